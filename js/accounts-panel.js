@@ -0,0 +1,188 @@
+// js/accounts-panel.js
+import { apiClient } from './api-client.js';
+import { store, selectAccounts } from './store.js';
+import { notifications } from './notifications.js';
+import { applyAccountChange } from './transactions.js';
+import { formatMoney, renderCurrencyOptions } from './currency.js';
+import { ACCOUNT_TYPES, getAccountBalances, getAccountCurrency, formatAccountLabel } from './accounts.js';
+import { openReconcilePanel } from './reconcile-panel.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Initializes the "Accounts" slide-out panel, opened from the
+ * Current Account Balance card, where accounts are added and edited.
+ */
+export function initializeAccountsPanel() {
+    console.log('🏦 Initializing accounts panel...');
+    const manageBtn = document.getElementById('manage-accounts-btn');
+    const accountsModal = document.getElementById('accounts-modal');
+    const accountsSidebar = document.getElementById('accounts-sidebar');
+    const accountsList = document.getElementById('accounts-list');
+
+    if (!manageBtn || !accountsModal) {
+        console.warn('⚠️ Accounts panel elements not found');
+        return;
+    }
+
+    manageBtn.addEventListener('click', () => {
+        resetAccountForm();
+        renderAccountList();
+        accountsModal.classList.remove('hidden');
+        setTimeout(() => {
+            accountsSidebar.classList.remove('translate-x-full');
+        }, 10);
+    });
+
+    function closeAccountsModal() {
+        accountsSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            accountsModal.classList.add('hidden');
+        }, 300);
+    }
+
+    document.getElementById('close-accounts-btn')?.addEventListener('click', closeAccountsModal);
+    accountsModal.addEventListener('click', (e) => {
+        if (e.target === accountsModal) closeAccountsModal();
+    });
+
+    document.getElementById('cancel-account-btn')?.addEventListener('click', resetAccountForm);
+    document.getElementById('save-account-btn')?.addEventListener('click', saveAccount);
+    document.getElementById('account-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveAccount();
+    });
+
+    accountsList.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-account-action]');
+        if (!button) return;
+        const { accountAction, id } = button.dataset;
+        if (accountAction === 'edit') {
+            editAccount(id);
+        } else if (accountAction === 'reconcile') {
+            await openReconcilePanel(id);
+        } else if (accountAction === 'delete') {
+            await deleteAccount(id);
+        }
+    });
+
+    // Balances move with every transaction, so keep the open list current
+    store.subscribe(['accounts', 'totals', 'exchangeRates', 'baseCurrency'], () => {
+        if (!accountsModal.classList.contains('hidden')) renderAccountList();
+    });
+
+    console.log('✅ Accounts panel initialized');
+}
+
+function renderAccountList() {
+    const list = document.getElementById('accounts-list');
+    const balances = getAccountBalances(store.getState()).filter(({ account }) => account);
+
+    if (balances.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No accounts yet. Add your bank accounts, petty cash and credit cards below.</p>';
+        return;
+    }
+
+    list.innerHTML = balances.map(({ account, balance }) => `
+        <div class="flex items-center justify-between bg-white border border-gray-200 rounded-lg p-3">
+            <div class="min-w-0">
+                <p class="text-sm font-medium text-gray-800 truncate">${escapeHtml(formatAccountLabel(account))}</p>
+                <p class="text-xs text-gray-500">${ACCOUNT_TYPES[account.type]?.label || account.type} · opening ${formatBalance(parseFloat(account.opening_balance) || 0, getAccountCurrency(account))}</p>
+            </div>
+            <div class="text-right flex-shrink-0 ml-2">
+                <p class="text-sm font-semibold ${balance < 0 ? 'text-red-600' : 'text-gray-800'}">${formatBalance(balance)}</p>
+                <div class="flex justify-end space-x-2">
+                    <button type="button" data-account-action="reconcile" data-id="${account.id}" class="text-xs font-medium text-indigo-600 hover:text-indigo-800">Reconcile</button>
+                    <button type="button" data-account-action="edit" data-id="${account.id}" class="text-xs font-medium text-indigo-600 hover:text-indigo-800">Edit</button>
+                    <button type="button" data-account-action="delete" data-id="${account.id}" class="text-xs font-medium text-red-600 hover:text-red-800">Delete</button>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function resetAccountForm() {
+    document.getElementById('account-id').value = '';
+    document.getElementById('account-name').value = '';
+    document.getElementById('account-type').value = 'bank';
+    document.getElementById('account-currency').innerHTML = renderCurrencyOptions();
+    document.getElementById('account-opening-balance').value = '';
+    document.getElementById('account-form-title').textContent = 'Add Account';
+    document.getElementById('save-account-btn').textContent = 'Add Account';
+}
+
+function editAccount(accountId) {
+    const account = selectAccounts(store.getState()).find(a => a.id === accountId);
+    if (!account) return;
+    document.getElementById('account-id').value = account.id;
+    document.getElementById('account-name').value = account.name || '';
+    document.getElementById('account-type').value = account.type;
+    document.getElementById('account-currency').innerHTML = renderCurrencyOptions(getAccountCurrency(account));
+    document.getElementById('account-opening-balance').value = parseFloat(account.opening_balance) || 0;
+    document.getElementById('account-form-title').textContent = `Edit ${account.name}`;
+    document.getElementById('save-account-btn').textContent = 'Save Changes';
+    document.getElementById('account-name').focus();
+}
+
+async function saveAccount() {
+    const accountId = document.getElementById('account-id').value;
+    const name = document.getElementById('account-name').value.trim();
+    const openingValue = document.getElementById('account-opening-balance').value;
+    const openingBalance = openingValue === '' ? 0 : parseFloat(openingValue);
+
+    if (!name) {
+        notifications.warning('Please give the account a name.');
+        return;
+    }
+    if (isNaN(openingBalance)) {
+        notifications.warning('Please enter a valid opening balance.');
+        return;
+    }
+    const duplicate = selectAccounts(store.getState())
+        .some(a => a.id !== accountId && a.name.toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        notifications.warning(`There is already an account called "${name}".`);
+        return;
+    }
+
+    const accountData = {
+        name,
+        type: document.getElementById('account-type').value,
+        currency: document.getElementById('account-currency').value,
+        opening_balance: openingBalance
+    };
+    const result = accountId
+        ? await apiClient.updateAccount(accountId, accountData)
+        : await apiClient.createAccount(accountData);
+    if (!result.success) {
+        notifications.error(`Failed to save "${name}"`, {
+            actions: [{ label: 'Retry', onClick: saveAccount }]
+        });
+        return;
+    }
+
+    applyAccountChange({ eventType: accountId ? 'UPDATE' : 'INSERT', new: result.data, old: { id: accountId } });
+    notifications.success(`Account "${name}" ${accountId ? 'updated' : 'added'}`);
+    resetAccountForm();
+    renderAccountList();
+}
+
+async function deleteAccount(accountId) {
+    const account = selectAccounts(store.getState()).find(a => a.id === accountId);
+    if (!account) return;
+    if (!confirm(`Delete the account "${account.name}"? Its transactions are kept but no longer belong to an account.`)) return;
+
+    const result = await apiClient.deleteAccount(accountId);
+    if (!result.success) {
+        notifications.error(`Failed to delete "${account.name}"`);
+        return;
+    }
+    applyAccountChange({ eventType: 'DELETE', new: {}, old: { id: accountId } });
+    notifications.success(`Account "${account.name}" deleted`);
+    if (document.getElementById('account-id').value === accountId) resetAccountForm();
+    renderAccountList();
+}
+
+function formatBalance(amount, currency) {
+    const formatted = formatMoney(Math.abs(amount), currency);
+    return amount < 0 ? `(${formatted})` : formatted;
+}
@@ -0,0 +1,103 @@
+/**
+ * accounts.js - Bank, cash and credit card accounts
+ * Every income or expense can name the account it went through, and a
+ * 'transfer' transaction moves money from its account_id to its
+ * transfer_account_id without counting as income or expense. An account's
+ * balance is its opening balance plus the net of its transactions.
+ */
+
+import { store, selectAccounts, selectAccountById } from './store.js';
+import { CONFIG } from './config.js';
+import { toBase } from './currency.js';
+
+export const ACCOUNT_TYPES = {
+    bank: { label: 'Bank', icon: '🏦' },
+    cash: { label: 'Cash', icon: '💵' },
+    credit_card: { label: 'Credit card', icon: '💳' }
+};
+
+// Key used in TransactionTotals.byAccount for transactions without an account
+export const UNASSIGNED_ACCOUNT = 'none';
+
+/**
+ * How a transaction changes account balances
+ * @param {Transaction} transaction
+ * @param {number} [amount] - The amount in the base currency, defaults to the stored amount
+ * @returns {Array<Array>} [accountKey, amount] pairs - a transfer yields one per side
+ */
+export function getAccountDeltas(transaction, amount = parseFloat(transaction.amount) || 0) {
+    const from = transaction.account_id || UNASSIGNED_ACCOUNT;
+    if (transaction.type === 'income') return [[from, amount]];
+    if (transaction.type === 'expense') return [[from, -amount]];
+    if (transaction.type === 'transfer') {
+        return [[from, -amount], [transaction.transfer_account_id || UNASSIGNED_ACCOUNT, amount]];
+    }
+    return [];
+}
+
+/**
+ * @param {string|null} accountId
+ * @returns {Account|null} Null for unassigned transactions and deleted accounts
+ */
+export function findAccount(accountId) {
+    if (!accountId) return null;
+    return selectAccountById(store.getState(), accountId) || null;
+}
+
+/**
+ * Currency the account holds money in, and its statements and opening balance are in
+ * @param {Account} account
+ * @returns {string} ISO code
+ */
+export function getAccountCurrency(account) {
+    return account?.currency || CONFIG.BASE_CURRENCY;
+}
+
+/**
+ * The opening balance in the base currency, at the latest rate
+ * @param {Account} account
+ * @param {AppState} state
+ * @returns {number}
+ */
+function openingBalanceToBase(account, state) {
+    return toBase(account.opening_balance, getAccountCurrency(account), null, state);
+}
+
+/**
+ * Label used in pickers and lists, e.g. '🏦 Maybank Business'
+ */
+export function formatAccountLabel(account) {
+    return `${ACCOUNT_TYPES[account.type]?.icon || '🏦'} ${account.name}`;
+}
+
+/**
+ * Current balance of every account in the base currency, from the all-time
+ * totals. Transactions whose account was deleted count as unassigned.
+ * @param {AppState} state
+ * @returns {Array<Object>} [{ account, balance }], with an unassigned row (account null) when it is not zero
+ */
+export function getAccountBalances(state = store.getState()) {
+    const accounts = selectAccounts(state);
+    const byAccount = state.totals.byAccount || {};
+
+    const balances = accounts.map(account => ({
+        account,
+        balance: openingBalanceToBase(account, state) + (byAccount[account.id] || 0)
+    }));
+
+    const unassigned = Object.entries(byAccount)
+        .filter(([key]) => !accounts.some(account => account.id === key))
+        .reduce((sum, [, amount]) => sum + amount, 0);
+    if (Math.abs(unassigned) >= 0.005) balances.push({ account: null, balance: unassigned });
+    return balances;
+}
+
+/**
+ * Money across all accounts: opening balances plus all income, less all expenses
+ * @param {AppState} state
+ * @returns {number}
+ */
+export function getTotalBalance(state = store.getState()) {
+    const openingBalances = selectAccounts(state).reduce((sum, account) => sum + openingBalanceToBase(account, state), 0);
+    return openingBalances + state.totals.balance;
+}
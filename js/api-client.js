@@ -1,10 +1,94 @@
 // js/api-client.js
-import { supabase } from './supabase-client.js';
 import { CONFIG } from './config.js';
+import { authManager } from './auth.js';
+import { SupabaseAdapter } from './storage/SupabaseAdapter.js';
+import { IndexedDBAdapter } from './storage/IndexedDBAdapter.js';
+import { SyncingAdapter } from './storage/SyncingAdapter.js';
+import { normalizeProject, checkProject, schemaDiagnostics } from './project-schema.js';
+import { diffProjects, pickRevisionFields } from './project-revisions.js';
+import { getAccountDeltas } from './accounts.js';
+import { getCategoryAmounts, getSplitLines, shareOutAmount } from './splits.js';
+
+// Storage bucket for transaction receipts and documents
+const ATTACHMENTS_BUCKET = 'attachments';
+
+// Tables whose rows are soft-deleted (deleted_at) and listed on the Trash page
+const TRASH_TABLES = ['contacts', 'projects', 'transactions'];
 
 export class ApiClient {
     constructor() {
-        this.userId = CONFIG.USER_ID;
+        this.storage = null;
+    }
+
+    /**
+     * Id of the signed-in user - every row is scoped to it
+     */
+    get userId() {
+        return authManager.userId;
+    }
+
+    /**
+     * Storage backend requested for this browser ('auto', 'supabase' or 'indexeddb')
+     */
+    get requestedBackend() {
+        return localStorage.getItem('storage-backend') || CONFIG.STORAGE_BACKEND || 'auto';
+    }
+
+    // ==========================================
+    // STORAGE BACKEND SELECTION
+    // ==========================================
+    /**
+     * Picks the storage backend for this session.
+     * 'supabase' and 'indexeddb' force a single backend; 'auto' works against
+     * Supabase while it is reachable and keeps going on the local IndexedDB copy
+     * when it is not, queueing writes until the connection comes back.
+     */
+    async init() {
+        const requested = this.requestedBackend;
+        console.log(`🗄️ Selecting storage backend (requested: ${requested})...`);
+
+        if (requested === 'supabase') {
+            const remote = new SupabaseAdapter();
+            if (!(await remote.init())) {
+                throw new Error('Supabase storage requested but unreachable');
+            }
+            this.storage = remote;
+            console.log('✅ Using Supabase storage');
+            return this.storage;
+        }
+
+        if (requested === 'indexeddb') {
+            const local = new IndexedDBAdapter();
+            if (!(await local.init())) {
+                throw new Error('No storage backend available');
+            }
+            this.storage = local;
+            console.warn('⚠️ Using local IndexedDB storage only');
+            return this.storage;
+        }
+
+        const syncing = new SyncingAdapter(new SupabaseAdapter(), new IndexedDBAdapter());
+        if (!(await syncing.init())) {
+            throw new Error('No storage backend available');
+        }
+        this.storage = syncing;
+        if (syncing.offline) {
+            console.warn('⚠️ Supabase unreachable - running in offline mode, changes will sync later');
+        } else {
+            console.log('✅ Using Supabase storage with offline sync');
+        }
+        return this.storage;
+    }
+
+    /**
+     * Whether this session can queue offline writes and report sync conflicts
+     */
+    get canSync() {
+        return this.storage instanceof SyncingAdapter;
+    }
+
+    get isOffline() {
+        return !!this.storage?.isLocal;
     }
 
     // ==========================================
@@ -12,8 +96,7 @@ export class ApiClient {
     // ==========================================
     async createContact(contactData) {
         try {
-            const { data, error } = await supabase.from('contacts').insert([{ ...contactData, user_id: this.userId }]).select().single();
-            if (error) throw error;
+            const data = await this.storage.insert('contacts', { ...contactData, user_id: this.userId });
             return { success: true, data, error: null };
         } catch (error) {
             console.error('❌ Error creating contact:', error.message);
@@ -22,8 +105,7 @@ export class ApiClient {
     }
     async getContacts() {
         try {
-            const { data, error } = await supabase.from('contacts').select('*').eq('user_id', this.userId).order('created_at', { ascending: false });
-            if (error) throw error;
+            const data = await this.storage.list('contacts', { match: { user_id: this.userId, deleted_at: null }, order: { column: 'created_at', ascending: false } });
             return { success: true, data: data || [], error: null };
         } catch (error) {
             console.error('❌ Error loading contacts:', error.message);
@@ -32,8 +114,8 @@ export class ApiClient {
     }
     async getContact(contactId) {
         try {
-            const { data, error } = await supabase.from('contacts').select('*').eq('id', contactId).eq('user_id', this.userId).single();
-            if (error) throw error;
+            const data = await this.storage.get('contacts', { id: contactId, user_id: this.userId });
+            if (!data) throw new Error('Contact not found');
             return { success: true, data, error: null };
         } catch (error) {
             console.error('❌ Error loading contact:', error.message);
@@ -42,19 +124,32 @@ export class ApiClient {
     }
     async updateContact(contactId, contactData) {
         try {
-            const { data, error } = await supabase.from('contacts').update(contactData).eq('id', contactId).eq('user_id', this.userId).select().single();
-            if (error) throw error;
+            const data = await this.storage.update('contacts', { id: contactId, user_id: this.userId }, contactData);
             return { success: true, data, error: null };
         } catch (error) {
             console.error('❌ Error updating contact:', error.message);
             return { success: false, data: null, error: error.message };
         }
     }
-    async deleteContact(contactId) {
+    /**
+     * Moves a contact to the trash
+     * @param {string} contactId
+     * @param {Object} options - { withProjects: also trash the contact's projects (restored together) }
+     * @returns {Promise<Object>} data: { projects: number of projects trashed with it }
+     */
+    async deleteContact(contactId, { withProjects = false } = {}) {
         try {
-            const { error } = await supabase.from('contacts').delete().eq('id', contactId).eq('user_id', this.userId);
-            if (error) throw error;
-            return { success: true, error: null };
+            const deletedAt = new Date().toISOString();
+            let projects = [];
+            if (withProjects) {
+                projects = await this.storage.list('projects', { match: { contact_id: contactId, user_id: this.userId, deleted_at: null } });
+                for (const project of projects) {
+                    await this.storage.update('projects', { id: project.id, user_id: this.userId }, { deleted_at: deletedAt, deleted_with_contact: contactId });
+                    schemaDiagnostics.forget(project.id);
+                }
+            }
+            await this.storage.update('contacts', { id: contactId, user_id: this.userId }, { deleted_at: deletedAt });
+            return { success: true, data: { projects: projects.length }, error: null };
         } catch (error) {
             console.error('❌ Error deleting contact:', error.message);
             return { success: false, error: error.message };
@@ -66,6 +161,7 @@ export class ApiClient {
     // ==========================================
     async createProject(projectData) {
         try {
+            projectData = this.prepareProjectJson(projectData);
             const dataToInsert = {
                 user_id: this.userId,
                 contact_id: projectData.contact_id,
@@ -74,13 +170,15 @@ export class ApiClient {
                 client_name: projectData.contactName,
                 description: projectData.description,
                 total_amount: projectData.total_amount,
+                currency: projectData.currency || CONFIG.BASE_CURRENCY,
+                tax_rate: projectData.tax_rate ?? null,
+                tax_inclusive: Boolean(projectData.tax_inclusive),
                 tasks: projectData.tasks,
                 payment_schedule: projectData.payment_schedule,
                 // NEW: Add start_date to the dataToInsert object
                 start_date: projectData.start_date,
             };
-            const { data, error } = await supabase.from('projects').insert([dataToInsert]).select().single();
-            if (error) throw error;
+            const data = checkProject(await this.storage.insert('projects', dataToInsert));
             // Create activity log after successful project creation
             await this.createActivity({
                 project_id: data.id,
@@ -88,19 +186,32 @@ export class ApiClient {
                 activity_type: 'project_created',
                 title: `Project Created: ${data.name}`
             });
+            await this.recordProjectRevision(data, []);
             return { success: true, data };
         } catch (error) {
             console.error('❌ Error creating project:', error.message);
             return { success: false, error: error.message };
         }
     }
-    async updateProject(projectId, projectData) {
+    /**
+     * Saves the project and records the fields that changed as a new revision
+     * @param {string} projectId
+     * @param {Object} projectData
+     * @param {Object} [options]
+     * @param {string} [options.revertedFrom] - Id of the revision this update restores
+     */
+    async updateProject(projectId, projectData, { revertedFrom = null } = {}) {
         try {
+            projectData = this.prepareProjectJson(projectData);
+            const existing = await this.storage.get('projects', { id: projectId, user_id: this.userId });
             const dataToUpdate = {
                 name: projectData.name,
                 description: projectData.description,
                 status: projectData.status,
                 total_amount: projectData.total_amount,
+                currency: projectData.currency || existing?.currency || CONFIG.BASE_CURRENCY,
+                tax_rate: projectData.tax_rate ?? null,
+                tax_inclusive: Boolean(projectData.tax_inclusive),
                 tasks: projectData.tasks,
                 payment_schedule: projectData.payment_schedule,
                 // NEW: Add start_date to the update object as well
@@ -109,15 +220,18 @@ export class ApiClient {
 
             console.log('✏️ Updating project:', projectId, dataToUpdate);
             
-            const { data, error } = await supabase
-                .from('projects')
-                .update(dataToUpdate)
-                .eq('id', projectId)
-                .eq('user_id', this.userId)
-                .select()
-                .single();
-            
-            if (error) throw error;
+            const row = await this.storage.update('projects', { id: projectId, user_id: this.userId }, dataToUpdate);
+            if (!row) throw new Error('Project not found');
+            const data = checkProject(row);
+
+            if (existing) {
+                const before = normalizeProject(existing).project;
+                const changes = diffProjects(before, data);
+                if (changes.length > 0) {
+                    await this.ensureOriginalRevision(before);
+                    await this.recordProjectRevision(data, changes, revertedFrom);
+                }
+            }
 
             console.log('✅ Project updated successfully:', data);
             return { success: true, data };
@@ -129,9 +243,8 @@ export class ApiClient {
     }
     async getProjectsByContact(contactId) {
         try {
-            const { data, error } = await supabase.from('projects').select('*').eq('contact_id', contactId).eq('user_id', this.userId).order('created_at', { ascending: false });
-            if (error) throw error;
-            return { success: true, data: data || [], error: null };
+            const data = await this.storage.list('projects', { match: { contact_id: contactId, user_id: this.userId, deleted_at: null }, order: { column: 'created_at', ascending: false } });
+            return { success: true, data: (data || []).map(checkProject), error: null };
         } catch (error) {
             console.error('❌ Error loading projects for contact:', error.message);
             return { success: false, data: [], error: error.message };
@@ -139,18 +252,26 @@ export class ApiClient {
     }
     async getAllProjects() {
         try {
-            const { data, error } = await supabase.from('projects').select('*').eq('user_id', this.userId);
-            if (error) throw error;
-            return { success: true, data: data || [], error: null };
+            const data = await this.storage.list('projects', { match: { user_id: this.userId, deleted_at: null } });
+            return { success: true, data: (data || []).map(checkProject), error: null };
         } catch (error) {
             console.error('❌ Error loading all projects:', error.message);
             return { success: false, data: [], error: error.message };
         }
     }
+    async getProject(projectId) {
+        try {
+            const row = await this.storage.get('projects', { id: projectId, user_id: this.userId });
+            if (!row) throw new Error('Project not found');
+            return { success: true, data: checkProject(row), error: null };
+        } catch (error) {
+            console.error('❌ Error loading project:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
     async getActivitiesByContact(contactId, limit = 20) {
         try {
-            const { data, error } = await supabase.from('project_activities').select('*').eq('contact_id', contactId).eq('user_id', this.userId).order('created_at', { ascending: false }).limit(limit);
-            if (error) throw error;
+            const data = await this.storage.list('project_activities', { match: { contact_id: contactId, user_id: this.userId }, order: { column: 'created_at', ascending: false }, limit });
             return { success: true, data: data || [], error: null };
         } catch (error) {
             console.error('❌ Error loading activities:', error.message);
@@ -160,24 +281,856 @@ export class ApiClient {
     async createActivity(activityData) {
         try {
             const dataToInsert = { ...activityData, user_id: this.userId };
-            const { error } = await supabase.from('project_activities').insert([dataToInsert]);
-            if (error) throw error;
+            await this.storage.insert('project_activities', dataToInsert);
             return { success: true };
         } catch (error) {
             console.error('❌ Error creating activity log:', error);
             return { success: false, error: error.message };
         }
     }
+    /**
+     * Puts payment_schedule and tasks into their canonical shapes before they are stored
+     * @param {Object} projectData - Project fields about to be written
+     * @returns {Object} A normalized copy
+     */
+    prepareProjectJson(projectData) {
+        const { project, issues } = normalizeProject(projectData);
+        const unresolved = issues.filter(issue => !issue.fixed);
+        if (unresolved.length > 0) {
+            console.warn('⚠️ Saving project with schema issues:', unresolved);
+        }
+        return project;
+    }
+    // ==========================================
+    // PROJECT COSTS
+    // ==========================================
+    /**
+     * Sums the expenses charged to each project, whole or by a split line.
+     * Only the columns needed for the sums are fetched.
+     * @param {Object} [options]
+     * @param {Function} [options.convert] - (row) => amount in the base currency
+     * @returns {Promise<Object>} data: { [project_id]: amount }
+     */
+    async getProjectCosts({ convert = null } = {}) {
+        try {
+            const rows = await this.storage.list('transactions', {
+                match: { user_id: this.userId, type: 'expense', deleted_at: null },
+                columns: 'project_id, amount, currency, date, splits'
+            });
+            const data = {};
+            rows.forEach(row => {
+                const total = convert ? convert(row) : parseFloat(row.amount) || 0;
+                shareOutAmount(row, total).forEach(([line, amount]) => {
+                    if (line.project_id) data[line.project_id] = (data[line.project_id] || 0) + amount;
+                });
+            });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error loading project costs:', error.message);
+            return { success: false, data: {}, error: error.message };
+        }
+    }
+    /**
+     * Gets the expenses charged to a project, whole or by a split line, newest first
+     * @param {string} projectId
+     */
+    async getProjectExpenses(projectId) {
+        try {
+            const rows = await this.storage.list('transactions', {
+                match: { user_id: this.userId, type: 'expense', deleted_at: null },
+                order: { column: 'date', ascending: false }
+            });
+            const data = rows.filter(row => getSplitLines(row).some(line => line.project_id === projectId));
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error loading project expenses:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+
+    // ==========================================
+    // PROJECT REVISIONS
+    // ==========================================
+
+    /**
+     * Lists a project's revisions, newest first
+     * @param {string} projectId
+     * @returns {Promise<Object>} data: Array<ProjectRevision>
+     */
+    async getProjectRevisions(projectId) {
+        try {
+            const data = await this.storage.list('project_revisions', { match: { project_id: projectId, user_id: this.userId }, order: { column: 'created_at', ascending: false } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading project revisions:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+
+    /**
+     * Puts a project back the way it was at the given revision.
+     * The revert is itself recorded as a new revision, so it can be undone.
+     * @param {string} projectId
+     * @param {string} revisionId
+     */
+    async revertProjectToRevision(projectId, revisionId) {
+        try {
+            const revision = await this.storage.get('project_revisions', { id: revisionId, project_id: projectId, user_id: this.userId });
+            if (!revision) throw new Error('Revision not found');
+            return await this.updateProject(projectId, pickRevisionFields(revision.snapshot), { revertedFrom: revisionId });
+        } catch (error) {
+            console.error('❌ Error reverting project:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
+    /**
+     * Stores one revision. Failing to record history never fails the save itself.
+     * @param {Object} project - The project after the change
+     * @param {Array<Object>} changes - Field changes (empty for the original version)
+     * @param {string|null} revertedFrom
+     */
+    async recordProjectRevision(project, changes, revertedFrom = null) {
+        try {
+            await this.storage.insert('project_revisions', {
+                user_id: this.userId,
+                project_id: project.id,
+                changed_by: authManager.user?.email || null,
+                changes,
+                snapshot: pickRevisionFields(project),
+                reverted_from: revertedFrom
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not record project revision:', error.message);
+        }
+    }
+
+    /**
+     * Projects created before revisions existed get their pre-edit state stored
+     * as the original version the first time they are changed
+     * @param {Object} project - The project before the change
+     */
+    async ensureOriginalRevision(project) {
+        try {
+            const existing = await this.storage.list('project_revisions', { match: { project_id: project.id, user_id: this.userId }, limit: 1, columns: 'id' });
+            if (existing.length > 0) return;
+            await this.storage.insert('project_revisions', {
+                user_id: this.userId,
+                project_id: project.id,
+                changed_by: null,
+                changes: [],
+                snapshot: pickRevisionFields(project),
+                reverted_from: null,
+                created_at: project.updated_at || project.created_at
+            });
+        } catch (error) {
+            console.warn('⚠️ Could not record original project version:', error.message);
+        }
+    }
+
+    /**
+     * Moves a project to the trash
+     */
     async deleteProject(projectId) {
         try {
-            const { error } = await supabase.from('projects').delete().eq('id', projectId).eq('user_id', this.userId);
-            if (error) throw error;
+            await this.storage.update('projects', { id: projectId, user_id: this.userId }, { deleted_at: new Date().toISOString() });
+            schemaDiagnostics.forget(projectId);
             return { success: true, error: null };
         } catch (error) {
             console.error('❌ Error deleting project:', error.message);
             return { success: false, error: error.message };
         }
     }
+    // ==========================================
+    // TRANSACTIONS REPOSITORY
+    // ==========================================
+    async createTransaction(transactionData) {
+        try {
+            const data = await this.storage.insert('transactions', { ...transactionData, user_id: this.userId });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error creating transaction:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    /**
+     * Saves many transactions, e.g. an imported bank statement. Rows are
+     * written one by one so a failure part way keeps the rows already saved.
+     * @param {Array<Object>} transactions
+     * @returns {Promise<Object>} data: the saved rows; error names how many failed
+     */
+    async createTransactions(transactions) {
+        const saved = [];
+        let failed = 0;
+        for (const transactionData of transactions) {
+            try {
+                saved.push(await this.storage.insert('transactions', { ...transactionData, user_id: this.userId }));
+            } catch (error) {
+                console.error('❌ Error creating transaction:', error.message);
+                failed++;
+            }
+        }
+        return { success: failed === 0, data: saved, error: failed > 0 ? `${failed} of ${transactions.length} transactions could not be saved` : null };
+    }
+    async getTransaction(transactionId) {
+        try {
+            const data = await this.storage.get('transactions', { id: transactionId, user_id: this.userId });
+            if (!data) throw new Error('Transaction not found');
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error loading transaction:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async updateTransaction(transactionId, transactionData) {
+        try {
+            const data = await this.storage.update('transactions', { id: transactionId, user_id: this.userId }, transactionData);
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error updating transaction:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    /**
+     * Moves a transaction to the trash
+     */
+    async deleteTransaction(transactionId) {
+        try {
+            await this.storage.update('transactions', { id: transactionId, user_id: this.userId }, { deleted_at: new Date().toISOString() });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting transaction:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Gets the transactions dated between two days (inclusive)
+     * @param {string|null} from - 'YYYY-MM-DD', or null for no lower bound
+     * @param {string|null} to - 'YYYY-MM-DD', or null for no upper bound
+     */
+    async getTransactionsInRange(from, to) {
+        try {
+            const data = await this.storage.list('transactions', {
+                match: { user_id: this.userId, deleted_at: null },
+                range: { column: 'date', from, to },
+                order: { column: 'date', ascending: true }
+            });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading transactions:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+
+    /**
+     * Gets one page of transactions, newest first
+     * @param {Object} options - { from, to, type, page (0-based), pageSize }
+     * @returns {Promise<Object>} data: { rows, page, pageSize, hasMore }
+     */
+    async getTransactionsPage({ from = null, to = null, type = null, page = 0, pageSize = 50 } = {}) {
+        try {
+            const match = { user_id: this.userId, deleted_at: null };
+            if (type) match.type = type;
+
+            // Ask for one extra row to know whether another page exists
+            const rows = await this.storage.list('transactions', {
+                match,
+                range: { column: 'date', from, to },
+                order: { column: 'date', ascending: false },
+                limit: pageSize + 1,
+                offset: page * pageSize
+            });
+            const hasMore = rows.length > pageSize;
+            return { success: true, data: { rows: rows.slice(0, pageSize), page, pageSize, hasMore }, error: null };
+        } catch (error) {
+            console.error('❌ Error loading transactions page:', error.message);
+            return { success: false, data: { rows: [], page, pageSize, hasMore: false }, error: error.message };
+        }
+    }
+
+    /**
+     * Finds transactions by exact field values (e.g. { type: 'income', title })
+     */
+    async findTransactions(match) {
+        try {
+            const data = await this.storage.list('transactions', { match: { ...match, user_id: this.userId, deleted_at: null } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error searching transactions:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+
+    /**
+     * Sums transactions by type and by account over a date range (all time when no range is given).
+     * Only the columns needed for the sums are fetched.
+     * @param {string|null} from
+     * @param {string|null} to
+     * @param {Object} [options]
+     * @param {Function} [options.convert] - (row) => amount in the base currency; amounts are summed as stored without it
+     * @returns {Promise<Object>} data: { income, expense, payable, balance, count, byAccount }
+     */
+    async getTransactionTotals(from = null, to = null, { convert = null } = {}) {
+        const totals = { income: 0, expense: 0, payable: 0, balance: 0, count: 0, byAccount: {} };
+        try {
+            const rows = await this.storage.list('transactions', {
+                match: { user_id: this.userId, deleted_at: null },
+                range: { column: 'date', from, to },
+                columns: 'type, amount, currency, date, account_id, transfer_account_id'
+            });
+            rows.forEach(row => {
+                const amount = convert ? convert(row) : parseFloat(row.amount) || 0;
+                if (row.type in totals) totals[row.type] += amount;
+                getAccountDeltas(row, amount).forEach(([account, delta]) => {
+                    totals.byAccount[account] = (totals.byAccount[account] || 0) + delta;
+                });
+                totals.count++;
+            });
+            totals.balance = totals.income - totals.expense;
+            return { success: true, data: totals, error: null };
+        } catch (error) {
+            console.error('❌ Error calculating transaction totals:', error.message);
+            return { success: false, data: totals, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // ATTACHMENTS
+    // ==========================================
+    /**
+     * Stores a receipt or document for a transaction. The transaction's
+     * attachments list is updated separately by the caller.
+     * @param {string} transactionId - May be an id chosen for a transaction not saved yet
+     * @param {File} file
+     * @returns {Promise<Object>} data: the attachment ({ path, name, type, size, uploaded_at })
+     */
+    async uploadAttachment(transactionId, file) {
+        try {
+            // Paths start with the user id, which the bucket's policies check
+            const safeName = file.name.replace(/[^\w.-]+/g, '_');
+            const path = `${this.userId}/${transactionId}/${crypto.randomUUID()}-${safeName}`;
+            await this.storage.uploadFile(ATTACHMENTS_BUCKET, path, file);
+            const data = { path, name: file.name, type: file.type || '', size: file.size, uploaded_at: new Date().toISOString() };
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error uploading attachment:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async getAttachmentUrl(path) {
+        try {
+            const data = await this.storage.getFileUrl(ATTACHMENTS_BUCKET, path);
+            return { success: !!data, data, error: data ? null : 'File is not available offline' };
+        } catch (error) {
+            console.error('❌ Error loading attachment:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async removeAttachment(path) {
+        try {
+            await this.storage.removeFile(ATTACHMENTS_BUCKET, path);
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting attachment:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // ACCOUNTS
+    // ==========================================
+    async getAccounts() {
+        try {
+            const data = await this.storage.list('accounts', { match: { user_id: this.userId }, order: { column: 'created_at', ascending: true } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading accounts:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+    async createAccount(accountData) {
+        try {
+            const data = await this.storage.insert('accounts', { opening_balance: 0, ...accountData, user_id: this.userId });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error creating account:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async updateAccount(accountId, accountData) {
+        try {
+            const data = await this.storage.update('accounts', { id: accountId, user_id: this.userId }, accountData);
+            if (!data) throw new Error('Account not found');
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error updating account:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    /**
+     * Deletes an account. Its transactions become unassigned.
+     */
+    async deleteAccount(accountId) {
+        try {
+            await this.storage.remove('accounts', { id: accountId, user_id: this.userId });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting account:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // EXCHANGE RATES
+    // ==========================================
+    async getExchangeRates() {
+        try {
+            const data = await this.storage.list('exchange_rates', { match: { user_id: this.userId }, order: { column: 'effective_date', ascending: true } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading exchange rates:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+    /**
+     * Sets the rate of a currency pair from a date, replacing a rate already entered for that date
+     * @param {Object} rateData - { currency, base_currency, rate, effective_date }
+     */
+    async saveExchangeRate(rateData) {
+        try {
+            const existing = await this.storage.list('exchange_rates', {
+                match: { user_id: this.userId, currency: rateData.currency, base_currency: rateData.base_currency, effective_date: rateData.effective_date }
+            });
+            const data = existing.length > 0
+                ? await this.storage.update('exchange_rates', { id: existing[0].id, user_id: this.userId }, { rate: rateData.rate })
+                : await this.storage.insert('exchange_rates', { ...rateData, user_id: this.userId });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error saving exchange rate:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async deleteExchangeRate(rateId) {
+        try {
+            await this.storage.remove('exchange_rates', { id: rateId, user_id: this.userId });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting exchange rate:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // RECONCILIATIONS
+    // ==========================================
+    /**
+     * Gets an account's reconciled statement periods, oldest first
+     */
+    async getReconciliations(accountId) {
+        try {
+            const data = await this.storage.list('reconciliations', { match: { user_id: this.userId, account_id: accountId }, order: { column: 'period_end', ascending: true } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading reconciliations:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+    /**
+     * Records a reconciled statement period and locks its cleared transactions.
+     * Transactions are updated one by one, like createTransactions.
+     * @param {Object} reconciliationData - { account_id, period_start, period_end, closing_balance }
+     * @param {Array<string>} transactionIds
+     * @returns {Promise<Object>} data: { reconciliation, transactions } with the locked rows
+     */
+    async createReconciliation(reconciliationData, transactionIds) {
+        try {
+            const reconciliation = await this.storage.insert('reconciliations', { ...reconciliationData, user_id: this.userId });
+            const transactions = [];
+            let failed = 0;
+            for (const transactionId of transactionIds) {
+                try {
+                    transactions.push(await this.storage.update('transactions', { id: transactionId, user_id: this.userId }, { cleared: true, reconciliation_id: reconciliation.id }));
+                } catch (error) {
+                    console.error('❌ Error locking reconciled transaction:', error.message);
+                    failed++;
+                }
+            }
+            return {
+                success: failed === 0,
+                data: { reconciliation, transactions },
+                error: failed > 0 ? `${failed} of ${transactionIds.length} transactions could not be locked` : null
+            };
+        } catch (error) {
+            console.error('❌ Error saving reconciliation:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // CATEGORIES
+    // ==========================================
+    async getCategories() {
+        try {
+            const data = await this.storage.list('categories', { match: { user_id: this.userId }, order: { column: 'name', ascending: true } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading categories:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+    async createCategory(categoryData) {
+        try {
+            const data = await this.storage.insert('categories', { ...categoryData, user_id: this.userId });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error creating category:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async updateCategory(categoryId, categoryData) {
+        try {
+            const data = await this.storage.update('categories', { id: categoryId, user_id: this.userId }, categoryData);
+            if (!data) throw new Error('Category not found');
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error updating category:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    /**
+     * Deletes a category. Its transactions become uncategorized.
+     */
+    async deleteCategory(categoryId) {
+        try {
+            await this.storage.remove('categories', { id: categoryId, user_id: this.userId });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting category:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+    /**
+     * Sums expenses per category over a date range; split expenses count
+     * each line under its own category.
+     * Only the columns needed for the sums are fetched.
+     * @param {string} from - 'YYYY-MM-DD'
+     * @param {string} to - 'YYYY-MM-DD'
+     * @param {Object} [options]
+     * @param {Function} [options.convert] - (row) => amount in the base currency
+     * @returns {Promise<Object>} data: { [category_id]: amount }, uncategorized spending under 'none'
+     */
+    async getCategorySpending(from, to, { convert = null } = {}) {
+        try {
+            const rows = await this.storage.list('transactions', {
+                match: { user_id: this.userId, type: 'expense', deleted_at: null },
+                range: { column: 'date', from, to },
+                columns: 'category_id, amount, currency, date, splits'
+            });
+            const data = {};
+            rows.forEach(row => {
+                const total = convert ? convert(row) : parseFloat(row.amount) || 0;
+                Object.entries(getCategoryAmounts(row, total)).forEach(([key, amount]) => {
+                    data[key] = (data[key] || 0) + amount;
+                });
+            });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error loading category spending:', error.message);
+            return { success: false, data: {}, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // SST
+    // ==========================================
+    /**
+     * Gets the expenses in a period that carry input tax, oldest first
+     * @param {string} from - 'YYYY-MM-DD'
+     * @param {string} to - 'YYYY-MM-DD'
+     */
+    async getTaxedExpenses(from, to) {
+        try {
+            const rows = await this.storage.list('transactions', {
+                match: { user_id: this.userId, type: 'expense', deleted_at: null },
+                range: { column: 'date', from, to },
+                order: { column: 'date', ascending: true }
+            });
+            const data = rows.filter(row => parseFloat(row.tax_amount) > 0);
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error loading taxed expenses:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+
+    // ==========================================
+    // RECURRING RULES
+    // ==========================================
+    async getRecurringRules() {
+        try {
+            const data = await this.storage.list('recurring_rules', { match: { user_id: this.userId }, order: { column: 'start_date', ascending: true } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading recurring rules:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+    async createRecurringRule(ruleData) {
+        try {
+            const data = await this.storage.insert('recurring_rules', { skip_dates: [], overrides: {}, interval: 1, ...ruleData, user_id: this.userId });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error creating recurring rule:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async updateRecurringRule(ruleId, changes) {
+        try {
+            const data = await this.storage.update('recurring_rules', { id: ruleId, user_id: this.userId }, changes);
+            if (!data) throw new Error('Recurring rule not found');
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error updating recurring rule:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    /**
+     * Deletes a rule for good. Transactions already confirmed from it are kept.
+     */
+    async deleteRecurringRule(ruleId) {
+        try {
+            await this.storage.remove('recurring_rules', { id: ruleId, user_id: this.userId });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting recurring rule:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // BILLS
+    // ==========================================
+    async getBills() {
+        try {
+            const data = await this.storage.list('bills', { match: { user_id: this.userId }, order: { column: 'due_date', ascending: true } });
+            return { success: true, data: data || [], error: null };
+        } catch (error) {
+            console.error('❌ Error loading bills:', error.message);
+            return { success: false, data: [], error: error.message };
+        }
+    }
+    async createBill(billData) {
+        try {
+            const data = await this.storage.insert('bills', { paid: false, paid_date: null, ...billData, user_id: this.userId });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error creating bill:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async updateBill(billId, changes) {
+        try {
+            const data = await this.storage.update('bills', { id: billId, user_id: this.userId }, changes);
+            if (!data) throw new Error('Bill not found');
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error updating bill:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    /**
+     * Deletes a bill for good. The expense recorded when it was paid is kept.
+     */
+    async deleteBill(billId) {
+        try {
+            await this.storage.remove('bills', { id: billId, user_id: this.userId });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error deleting bill:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ==========================================
+    // TRASH
+    // ==========================================
+
+    /**
+     * Lists everything in the trash, most recently deleted first
+     * @returns {Promise<Object>} data: { contacts, projects, transactions }
+     */
+    async getTrash() {
+        const trash = { contacts: [], projects: [], transactions: [] };
+        try {
+            for (const table of TRASH_TABLES) {
+                trash[table] = await this.storage.list(table, {
+                    match: { user_id: this.userId },
+                    notNull: ['deleted_at'],
+                    order: { column: 'deleted_at', ascending: false }
+                });
+            }
+            return { success: true, data: trash, error: null };
+        } catch (error) {
+            console.error('❌ Error loading trash:', error.message);
+            return { success: false, data: trash, error: error.message };
+        }
+    }
+
+    /**
+     * Takes a row out of the trash. Restoring a contact brings back the projects
+     * trashed with it; restoring a project brings back its contact if needed.
+     * @param {string} table - 'contacts' | 'projects' | 'transactions'
+     * @param {string} id
+     * @returns {Promise<Object>} data: { row, projects, contact } - what was restored alongside;
+     *   when a transaction's statement line has been imported again since, data: { duplicate }
+     */
+    async restoreFromTrash(table, id) {
+        try {
+            if (table === 'transactions') {
+                const duplicate = await this.findReimportedTransaction(id);
+                if (duplicate) {
+                    return { success: false, data: { duplicate }, error: 'The same statement line has been imported again' };
+                }
+            }
+            const row = await this.storage.update(table, { id, user_id: this.userId }, { deleted_at: null, ...(table === 'projects' ? { deleted_with_contact: null } : {}) });
+            if (!row) throw new Error('Item not found');
+
+            const restored = { row, projects: 0, contact: false };
+            if (table === 'contacts') {
+                const projects = await this.storage.list('projects', { match: { user_id: this.userId, deleted_with_contact: id }, notNull: ['deleted_at'] });
+                for (const project of projects) {
+                    await this.storage.update('projects', { id: project.id, user_id: this.userId }, { deleted_at: null, deleted_with_contact: null });
+                }
+                restored.projects = projects.length;
+            } else if (table === 'projects' && row.contact_id) {
+                const contact = await this.storage.get('contacts', { id: row.contact_id, user_id: this.userId });
+                if (contact?.deleted_at) {
+                    await this.storage.update('contacts', { id: contact.id, user_id: this.userId }, { deleted_at: null });
+                    restored.contact = true;
+                }
+            }
+            return { success: true, data: restored, error: null };
+        } catch (error) {
+            console.error('❌ Error restoring from trash:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
+    /**
+     * The live transaction recorded from the same statement line (same FITID
+     * and account) as a trashed one, which would clash with it on restore
+     * @returns {Promise<Transaction|null>}
+     */
+    async findReimportedTransaction(id) {
+        const trashed = await this.storage.get('transactions', { id, user_id: this.userId });
+        if (!trashed?.external_id) return null;
+        const [duplicate] = await this.storage.list('transactions', {
+            match: { user_id: this.userId, account_id: trashed.account_id || null, external_id: trashed.external_id, deleted_at: null },
+            limit: 1
+        });
+        return duplicate || null;
+    }
+
+    /**
+     * Permanently deletes a trashed row (and, for contacts, the projects trashed with it)
+     * @param {string} table - 'contacts' | 'projects' | 'transactions'
+     * @param {string} id
+     */
+    async purgeFromTrash(table, id) {
+        try {
+            if (table === 'contacts') {
+                const projects = await this.storage.list('projects', { match: { user_id: this.userId, deleted_with_contact: id }, notNull: ['deleted_at'] });
+                for (const project of projects) {
+                    await this.removeProjectRevisions(project.id);
+                    await this.storage.remove('projects', { id: project.id, user_id: this.userId });
+                }
+            } else if (table === 'projects') {
+                await this.removeProjectRevisions(id);
+            } else if (table === 'transactions') {
+                await this.removeTransactionAttachments(id);
+            }
+            await this.storage.remove(table, { id, user_id: this.userId });
+            return { success: true, error: null };
+        } catch (error) {
+            console.error('❌ Error purging from trash:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Permanently deletes everything that has been in the trash longer than the retention period
+     * @param {number} retentionDays - Days to keep trashed rows (0 empties the trash)
+     * @returns {Promise<Object>} data: number of rows purged
+     */
+    async purgeExpiredTrash(retentionDays) {
+        try {
+            const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+            let purged = 0;
+            for (const table of TRASH_TABLES) {
+                const rows = await this.storage.list(table, {
+                    match: { user_id: this.userId },
+                    notNull: ['deleted_at'],
+                    range: { column: 'deleted_at', to: cutoff },
+                    columns: 'id'
+                });
+                for (const row of rows) {
+                    if (table === 'projects') await this.removeProjectRevisions(row.id);
+                    if (table === 'transactions') await this.removeTransactionAttachments(row.id);
+                    await this.storage.remove(table, { id: row.id, user_id: this.userId });
+                    purged++;
+                }
+            }
+            return { success: true, data: purged, error: null };
+        } catch (error) {
+            console.error('❌ Error purging expired trash:', error.message);
+            return { success: false, data: 0, error: error.message };
+        }
+    }
+
+    /**
+     * Deletes a purged transaction's files from the attachments bucket, which
+     * nothing would point to once the row is gone
+     */
+    async removeTransactionAttachments(transactionId) {
+        const row = await this.storage.get('transactions', { id: transactionId, user_id: this.userId });
+        for (const attachment of row?.attachments || []) {
+            await this.removeAttachment(attachment.path);
+        }
+    }
+
+    /**
+     * Deletes a purged project's history (the database cascades this, the local store does not).
+     * Revisions go one at a time by id, so each queues offline as a single-row remove.
+     */
+    async removeProjectRevisions(projectId) {
+        const revisions = await this.storage.list('project_revisions', { match: { project_id: projectId, user_id: this.userId }, columns: 'id' });
+        for (const revision of revisions) {
+            await this.storage.remove('project_revisions', { id: revision.id, user_id: this.userId });
+        }
+    }
+
+    // ==========================================
+    // MONTHLY GOALS
+    // ==========================================
+    async getMonthlyGoal(month) {
+        try {
+            const data = await this.storage.get('monthly_goals', { user_id: this.userId, month });
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error loading monthly goal:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+    async saveMonthlyGoal(month, goalAmount) {
+        try {
+            const data = await this.storage.upsert('monthly_goals', { user_id: this.userId, month, goal_amount: goalAmount }, ['user_id', 'month']);
+            return { success: true, data, error: null };
+        } catch (error) {
+            console.error('❌ Error saving monthly goal:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
 }
 
 export const apiClient = new ApiClient();
\ No newline at end of file
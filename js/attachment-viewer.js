@@ -0,0 +1,115 @@
+// js/attachment-viewer.js
+import { getAttachments, getAttachmentUrl, isImage, removeAttachment } from './attachments.js';
+
+// The transaction whose files are shown, and which one
+let viewedTransaction = null;
+let viewedIndex = 0;
+let showRun = 0;
+
+/**
+ * Initializes the full-screen attachment viewer opened from the thumbnails
+ * on the day modal's entry cards. Images are shown as they are, PDFs in the
+ * browser's PDF viewer; arrow keys step through a transaction's files.
+ */
+export function initializeAttachmentViewer() {
+    console.log('📎 Initializing attachment viewer...');
+    const viewer = document.getElementById('attachment-viewer');
+
+    if (!viewer) {
+        console.warn('⚠️ Attachment viewer elements not found');
+        return;
+    }
+
+    document.getElementById('close-attachment-viewer-btn')?.addEventListener('click', closeAttachmentViewer);
+    document.getElementById('attachment-prev-btn')?.addEventListener('click', () => showAttachment(viewedIndex - 1));
+    document.getElementById('attachment-next-btn')?.addEventListener('click', () => showAttachment(viewedIndex + 1));
+    document.getElementById('attachment-remove-btn')?.addEventListener('click', removeViewedAttachment);
+    viewer.addEventListener('click', (e) => {
+        if (e.target === viewer || e.target.id === 'attachment-stage') closeAttachmentViewer();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (viewer.classList.contains('hidden')) return;
+        if (e.key === 'Escape') closeAttachmentViewer();
+        if (e.key === 'ArrowLeft') showAttachment(viewedIndex - 1);
+        if (e.key === 'ArrowRight') showAttachment(viewedIndex + 1);
+    });
+
+    console.log('✅ Attachment viewer initialized');
+}
+
+/**
+ * Opens the viewer on one of a transaction's attachments
+ * @param {Transaction} transaction
+ * @param {number} [index]
+ */
+export async function openAttachmentViewer(transaction, index = 0) {
+    viewedTransaction = transaction;
+    document.getElementById('attachment-viewer').classList.remove('hidden');
+    await showAttachment(index);
+}
+
+function closeAttachmentViewer() {
+    document.getElementById('attachment-viewer').classList.add('hidden');
+    document.getElementById('attachment-stage').innerHTML = '';
+    viewedTransaction = null;
+}
+
+async function showAttachment(index) {
+    const attachments = getAttachments(viewedTransaction);
+    if (index < 0 || index >= attachments.length) return;
+    viewedIndex = index;
+    const attachment = attachments[index];
+
+    document.getElementById('attachment-name').textContent = attachment.name;
+    document.getElementById('attachment-position').textContent = attachments.length > 1 ? `${index + 1} of ${attachments.length}` : '';
+    document.getElementById('attachment-prev-btn').disabled = index === 0;
+    document.getElementById('attachment-next-btn').disabled = index === attachments.length - 1;
+
+    const stage = document.getElementById('attachment-stage');
+    const download = document.getElementById('attachment-download-link');
+    stage.innerHTML = '<p class="text-gray-300 text-sm">Loading...</p>';
+    download.classList.add('hidden');
+
+    // Links are fetched one at a time; only the latest file is shown
+    const run = ++showRun;
+    const url = await getAttachmentUrl(attachment);
+    if (run !== showRun) return;
+    if (!url) {
+        stage.innerHTML = '<p class="text-gray-300 text-sm">This file cannot be opened offline.</p>';
+        return;
+    }
+
+    stage.innerHTML = '';
+    if (isImage(attachment)) {
+        const image = document.createElement('img');
+        image.src = url;
+        image.alt = attachment.name;
+        image.className = 'max-h-full max-w-full object-contain';
+        stage.appendChild(image);
+    } else {
+        const frame = document.createElement('iframe');
+        frame.src = url;
+        frame.title = attachment.name;
+        frame.className = 'w-full h-full bg-white rounded';
+        stage.appendChild(frame);
+    }
+    download.href = url;
+    download.download = attachment.name;
+    download.classList.remove('hidden');
+}
+
+async function removeViewedAttachment() {
+    const attachment = getAttachments(viewedTransaction)[viewedIndex];
+    if (!attachment) return;
+    if (!confirm(`Remove ${attachment.name} from "${viewedTransaction.title}"?`)) return;
+
+    const updated = await removeAttachment(viewedTransaction, attachment);
+    if (!updated) return;
+    viewedTransaction = updated;
+    const remaining = getAttachments(updated).length;
+    if (remaining === 0) {
+        closeAttachmentViewer();
+        return;
+    }
+    await showAttachment(Math.min(viewedIndex, remaining - 1));
+}
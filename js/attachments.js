@@ -0,0 +1,157 @@
+/**
+ * attachments.js - Receipts and documents on transactions
+ * Files (images and PDFs) are stored through the storage adapter - in
+ * Supabase Storage, or on the device while offline - and each transaction
+ * lists its files in its attachments column. Expenses of at least the
+ * receipt threshold without any attachment are flagged as missing a receipt.
+ */
+
+import { apiClient } from './api-client.js';
+import { CONFIG } from './config.js';
+import { notifications } from './notifications.js';
+import { applyTransactionChange } from './transactions.js';
+import { toBase } from './currency.js';
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} path - Where the file is stored, '<user id>/<transaction id>/<uuid>-<name>'
+ * @property {string} name - Original file name
+ * @property {string} type - MIME type, e.g. 'image/jpeg' or 'application/pdf'
+ * @property {number} size - Bytes
+ * @property {string} uploaded_at - ISO timestamp
+ */
+
+const RECEIPT_THRESHOLD_KEY = 'receipt-threshold';
+
+// Offered by the file pickers
+export const ACCEPTED_ATTACHMENT_TYPES = 'image/*,application/pdf';
+
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB, the bucket's limit
+
+// Signed links last an hour; they are reused for a little less than that
+const URL_CACHE_DURATION = 50 * 60 * 1000;
+const urlCache = new Map(); // path -> { url, expires }
+
+/**
+ * Smallest expense, in the base currency, that should have a receipt
+ * @returns {number}
+ */
+export function loadReceiptThreshold() {
+    const saved = parseFloat(localStorage.getItem(RECEIPT_THRESHOLD_KEY));
+    return saved >= 0 ? saved : CONFIG.RECEIPT_THRESHOLD;
+}
+
+export function saveReceiptThreshold(amount) {
+    localStorage.setItem(RECEIPT_THRESHOLD_KEY, String(amount));
+}
+
+/**
+ * @param {Transaction} transaction
+ * @returns {Array<Attachment>}
+ */
+export function getAttachments(transaction) {
+    return Array.isArray(transaction?.attachments) ? transaction.attachments : [];
+}
+
+export function isImage(attachment) {
+    return (attachment.type || '').startsWith('image/');
+}
+
+/**
+ * Whether an expense should have a receipt but has none. Recurring
+ * occurrences not confirmed yet are not spent, so they are never flagged.
+ * @param {Transaction} transaction
+ * @param {number} [threshold]
+ */
+export function isMissingReceipt(transaction, threshold = loadReceiptThreshold()) {
+    if (transaction.type !== 'expense' || transaction.is_recurring) return false;
+    if (getAttachments(transaction).length > 0) return false;
+    return toBase(transaction.amount, transaction.currency, transaction.date) >= threshold;
+}
+
+/**
+ * Uploads files for a transaction, skipping any that are not images or PDFs or are too big
+ * @param {string} transactionId - May be the id a new transaction will be saved with
+ * @param {Array<File>} files
+ * @returns {Promise<Object>} { attachments, failed } - failed lists the names of files not stored, with the reason
+ */
+export async function uploadAttachments(transactionId, files) {
+    const attachments = [];
+    const failed = [];
+    for (const file of files) {
+        if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+            failed.push(`${file.name} (not an image or PDF)`);
+            continue;
+        }
+        if (file.size > MAX_ATTACHMENT_SIZE) {
+            failed.push(`${file.name} (over 10 MB)`);
+            continue;
+        }
+        const result = await apiClient.uploadAttachment(transactionId, file);
+        if (result.success) {
+            attachments.push(result.data);
+        } else {
+            failed.push(`${file.name} (upload failed)`);
+        }
+    }
+    if (failed.length > 0) notifications.warning(`Not attached: ${failed.join(', ')}`);
+    return { attachments, failed };
+}
+
+/**
+ * Uploads files and adds them to a saved transaction
+ * @param {Transaction} transaction
+ * @param {Array<File>} files
+ * @returns {Promise<Transaction|null>} The updated row, null when nothing was attached
+ */
+export async function attachFiles(transaction, files) {
+    const { attachments } = await uploadAttachments(transaction.id, files);
+    if (attachments.length === 0) return null;
+
+    const result = await apiClient.updateTransaction(transaction.id, { attachments: [...getAttachments(transaction), ...attachments] });
+    if (!result.success || !result.data) {
+        // The files are stored but not listed, so they would never be seen
+        await Promise.all(attachments.map(attachment => apiClient.removeAttachment(attachment.path)));
+        notifications.error(`Failed to attach files to "${transaction.title}"`);
+        return null;
+    }
+    await applyTransactionChange({ eventType: 'UPDATE', new: result.data, old: { id: transaction.id } });
+    notifications.success(`${attachments.length} file${attachments.length === 1 ? '' : 's'} attached to "${transaction.title}"`);
+    return result.data;
+}
+
+/**
+ * Takes a file off a transaction and deletes it
+ * @param {Transaction} transaction
+ * @param {Attachment} attachment
+ * @returns {Promise<Transaction|null>} The updated row, null when it could not be removed
+ */
+export async function removeAttachment(transaction, attachment) {
+    const remaining = getAttachments(transaction).filter(a => a.path !== attachment.path);
+    const result = await apiClient.updateTransaction(transaction.id, { attachments: remaining });
+    if (!result.success || !result.data) {
+        notifications.error(`Failed to remove ${attachment.name}`);
+        return null;
+    }
+    await applyTransactionChange({ eventType: 'UPDATE', new: result.data, old: { id: transaction.id } });
+    // Already off the transaction, so a file left behind is only wasted space
+    await apiClient.removeAttachment(attachment.path);
+    urlCache.delete(attachment.path);
+    notifications.success(`${attachment.name} removed`);
+    return result.data;
+}
+
+/**
+ * Link to show or download an attachment
+ * @param {Attachment} attachment
+ * @returns {Promise<string|null>} Null when the file cannot be reached (e.g. offline and not on this device)
+ */
+export async function getAttachmentUrl(attachment) {
+    const cached = urlCache.get(attachment.path);
+    if (cached && cached.expires > Date.now()) return cached.url;
+
+    const result = await apiClient.getAttachmentUrl(attachment.path);
+    if (!result.success) return null;
+    urlCache.set(attachment.path, { url: result.data, expires: Date.now() + URL_CACHE_DURATION });
+    return result.data;
+}
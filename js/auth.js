@@ -0,0 +1,201 @@
+// js/auth.js
+import { supabase } from './supabase-client.js';
+
+const LOCAL_USER_KEY = 'local-user-id';
+
+/**
+ * Auth Manager
+ * Wraps Supabase Auth so the rest of the app only ever deals with a user object.
+ * When there is no Supabase server (local IndexedDB-only mode) a device-local
+ * user is created instead so data is still scoped to a user id.
+ */
+export class AuthManager {
+    constructor() {
+        this.user = null;
+        this.isLocalUser = false;
+        this.listeners = new Set();
+    }
+
+    // ==========================================
+    // SESSION
+    // ==========================================
+    /**
+     * Resolves with the signed-in user, showing the login screen until there is one
+     * @param {Object} options - { localOnly: true } skips Supabase Auth entirely
+     * @returns {Promise<Object>} { id, email }
+     */
+    async requireUser({ localOnly = false } = {}) {
+        if (localOnly || !supabase) {
+            return this.useLocalUser();
+        }
+
+        // getSession() reads the persisted session, so this also works while offline
+        const { data: { session } } = await supabase.auth.getSession();
+        if (session?.user) {
+            this.setUser(session.user);
+        } else {
+            this.setUser(await this.showAuthScreen());
+        }
+
+        supabase.auth.onAuthStateChange((event, newSession) => {
+            if (event === 'SIGNED_OUT' || (newSession?.user && newSession.user.id !== this.user?.id)) {
+                // Another tab signed out or switched account - start again with a clean state
+                window.location.reload();
+            }
+        });
+
+        return this.user;
+    }
+
+    useLocalUser() {
+        let userId = localStorage.getItem(LOCAL_USER_KEY);
+        if (!userId) {
+            userId = crypto.randomUUID();
+            localStorage.setItem(LOCAL_USER_KEY, userId);
+        }
+        this.isLocalUser = true;
+        this.setUser({ id: userId, email: null });
+        console.log('👤 Using device-local user (no Supabase Auth)');
+        return this.user;
+    }
+
+    setUser(user) {
+        this.user = { id: user.id, email: user.email || null };
+        console.log('👤 Signed in as:', this.user.email || this.user.id);
+        this.listeners.forEach(callback => callback(this.user));
+    }
+
+    get userId() {
+        return this.user?.id || null;
+    }
+
+    /**
+     * Registers a callback for when the user is set
+     * @returns {Function} Call to unsubscribe
+     */
+    onUserChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    // ==========================================
+    // SIGN IN / SIGN UP / SIGN OUT
+    // ==========================================
+    async signIn(email, password) {
+        try {
+            const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+            if (error) throw error;
+            return { success: true, data: data.user, error: null };
+        } catch (error) {
+            console.error('❌ Sign in failed:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
+    async signUp(email, password) {
+        try {
+            const { data, error } = await supabase.auth.signUp({ email, password });
+            if (error) throw error;
+            // With email confirmation enabled there is no session until the link is clicked
+            return { success: true, data: data.session ? data.user : null, error: null };
+        } catch (error) {
+            console.error('❌ Sign up failed:', error.message);
+            return { success: false, data: null, error: error.message };
+        }
+    }
+
+    async signOut() {
+        if (this.isLocalUser) return;
+        const { error } = await supabase.auth.signOut();
+        if (error) console.error('❌ Sign out failed:', error.message);
+        window.location.reload();
+    }
+
+    // ==========================================
+    // LOGIN SCREEN
+    // ==========================================
+    /**
+     * Shows the login / sign-up screen and resolves once a user is signed in
+     */
+    showAuthScreen() {
+        const screen = document.getElementById('auth-screen');
+        const form = document.getElementById('auth-form');
+        const title = document.getElementById('auth-title');
+        const submitBtn = document.getElementById('auth-submit-btn');
+        const toggleBtn = document.getElementById('auth-toggle-btn');
+        const togglePrompt = document.getElementById('auth-toggle-prompt');
+        const message = document.getElementById('auth-message');
+        let mode = 'signin';
+
+        const showMessage = (text, isError = true) => {
+            message.textContent = text;
+            message.className = `text-sm ${isError ? 'text-red-600' : 'text-green-600'}`;
+            message.classList.toggle('hidden', !text);
+        };
+
+        const setMode = (newMode) => {
+            mode = newMode;
+            title.textContent = mode === 'signin' ? 'Sign in to NotaWang' : 'Create your account';
+            submitBtn.textContent = mode === 'signin' ? 'Sign In' : 'Sign Up';
+            togglePrompt.textContent = mode === 'signin' ? "Don't have an account?" : 'Already have an account?';
+            toggleBtn.textContent = mode === 'signin' ? 'Sign up' : 'Sign in';
+            showMessage('');
+        };
+
+        screen.classList.remove('hidden');
+        setMode('signin');
+
+        return new Promise((resolve) => {
+            toggleBtn.onclick = () => setMode(mode === 'signin' ? 'signup' : 'signin');
+
+            form.onsubmit = async (e) => {
+                e.preventDefault();
+                const email = form.elements['auth-email'].value.trim();
+                const password = form.elements['auth-password'].value;
+
+                submitBtn.disabled = true;
+                const result = mode === 'signin'
+                    ? await this.signIn(email, password)
+                    : await this.signUp(email, password);
+                submitBtn.disabled = false;
+
+                if (!result.success) {
+                    showMessage(result.error);
+                    return;
+                }
+                if (!result.data) {
+                    setMode('signin');
+                    showMessage('Check your email to confirm your account, then sign in.', false);
+                    return;
+                }
+
+                form.reset();
+                screen.classList.add('hidden');
+                resolve(result.data);
+            };
+        });
+    }
+
+    /**
+     * Fills in the sidebar user card and wires up the sign-out button
+     */
+    renderUserInfo() {
+        const nameEl = document.querySelector('.user-name');
+        const roleEl = document.querySelector('.user-role');
+        const avatarEl = document.querySelector('.user-avatar');
+        const signOutBtn = document.getElementById('sign-out-btn');
+
+        const displayName = this.isLocalUser ? 'Local User' : (this.user.email || 'User');
+        if (nameEl) nameEl.textContent = displayName;
+        if (roleEl) roleEl.textContent = this.isLocalUser ? 'This device only' : 'Signed in';
+        if (avatarEl) avatarEl.textContent = displayName.charAt(0).toUpperCase();
+
+        if (signOutBtn) {
+            signOutBtn.classList.toggle('hidden', this.isLocalUser);
+            signOutBtn.addEventListener('click', () => this.signOut());
+        }
+    }
+}
+
+// Create and export a single instance
+export const authManager = new AuthManager();
@@ -0,0 +1,301 @@
+// js/bills-panel.js
+import { store, selectBills, selectContacts, selectAccounts } from './store.js';
+import { notifications } from './notifications.js';
+import { formatMoney, renderCurrencyOptions, toBase } from './currency.js';
+import { getCategoriesForType, formatCategoryLabel } from './categories.js';
+import { formatAccountLabel } from './accounts.js';
+import {
+    findBill,
+    getBillsForDate,
+    getUpcomingBills,
+    getVendorName,
+    isOverdue,
+    describeDue,
+    saveBill,
+    deleteBill,
+    markBillPaid,
+    markBillUnpaid
+} from './bills.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Initializes the dashboard's Upcoming Bills card and the "Bills" slide-out
+ * panel where bills are added, edited and marked paid.
+ */
+export function initializeBillsPanel() {
+    console.log('🧾 Initializing bills...');
+    const manageBtn = document.getElementById('manage-bills-btn');
+    const billsModal = document.getElementById('bills-modal');
+    const billsSidebar = document.getElementById('bills-sidebar');
+    const billsList = document.getElementById('bills-list');
+
+    if (!manageBtn || !billsModal) {
+        console.warn('⚠️ Bills panel elements not found');
+        return;
+    }
+
+    store.subscribe(['bills', 'contacts', 'exchangeRates', 'baseCurrency'], renderUpcomingBills);
+    renderUpcomingBills(store.getState());
+
+    manageBtn.addEventListener('click', () => {
+        resetBillForm();
+        renderBillList();
+        billsModal.classList.remove('hidden');
+        setTimeout(() => {
+            billsSidebar.classList.remove('translate-x-full');
+        }, 10);
+    });
+
+    function closeBillsModal() {
+        billsSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            billsModal.classList.add('hidden');
+        }, 300);
+    }
+
+    document.getElementById('close-bills-btn')?.addEventListener('click', closeBillsModal);
+    billsModal.addEventListener('click', (e) => {
+        if (e.target === billsModal) closeBillsModal();
+    });
+
+    document.getElementById('cancel-bill-btn')?.addEventListener('click', resetBillForm);
+    document.getElementById('save-bill-btn')?.addEventListener('click', submitBill);
+    document.getElementById('bill-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitBill();
+    });
+    document.getElementById('bills-filter')?.addEventListener('change', renderBillList);
+
+    // The card, the panel and the day modal share the same actions
+    billsList.addEventListener('click', handleBillAction);
+    document.getElementById('upcoming-bills-list')?.addEventListener('click', handleBillAction);
+    document.getElementById('currentDayBillsList')?.addEventListener('click', handleBillAction);
+
+    // Keep the list in step with realtime changes while the panel is open
+    store.subscribe(['bills', 'contacts'], () => {
+        if (!billsModal.classList.contains('hidden')) renderBillList();
+    });
+
+    console.log('✅ Bills initialized');
+}
+
+async function handleBillAction(e) {
+    const button = e.target.closest('[data-bill-action]');
+    if (!button) return;
+    const { billAction, id } = button.dataset;
+    const bill = findBill(id);
+    if (!bill) return;
+
+    if (billAction === 'edit') {
+        editBill(bill);
+    } else if (billAction === 'delete') {
+        if (!confirm(`Delete the bill "${bill.title}"?${bill.paid ? ' The expense that paid it is kept.' : ''}`)) return;
+        if (await deleteBill(bill) && document.getElementById('bill-id').value === bill.id) resetBillForm();
+    } else if (billAction === 'pay') {
+        button.disabled = true;
+        if (await markBillPaid(bill)) {
+            notifications.success(`"${bill.title}" paid - the expense is on today's date`);
+        } else {
+            button.disabled = false;
+        }
+    } else if (billAction === 'unpay') {
+        if (!confirm(`Mark "${bill.title}" unpaid? The expense that paid it moves to the trash.`)) return;
+        button.disabled = true;
+        if (await markBillUnpaid(bill)) {
+            notifications.success(`"${bill.title}" marked unpaid`);
+        } else {
+            button.disabled = false;
+        }
+    }
+}
+
+// ==========================================
+// DASHBOARD CARD
+// ==========================================
+
+/**
+ * Lists unpaid bills that are overdue or due in the coming weeks
+ * @param {AppState} state
+ */
+function renderUpcomingBills(state) {
+    const list = document.getElementById('upcoming-bills-list');
+    if (!list) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const bills = getUpcomingBills(today, undefined, state);
+    if (bills.length === 0) {
+        list.innerHTML = `<p class="text-sm text-gray-500">${selectBills(state).length === 0
+            ? 'Add the bills you owe vendors to see them on the calendar before they are due.'
+            : 'Nothing due in the next 30 days.'}</p>`;
+        return;
+    }
+
+    const total = bills.reduce((sum, bill) => sum + toBase(bill.amount, bill.currency, bill.due_date, state), 0);
+    list.innerHTML = bills.map(bill => {
+        const overdue = isOverdue(bill, today);
+        return `
+            <div class="flex items-center gap-3 py-2 text-sm">
+                <div class="flex-grow min-w-0">
+                    <p class="truncate font-medium text-gray-800">${escapeHtml(getVendorName(bill, state))} · ${escapeHtml(bill.title)}</p>
+                    <p class="text-xs ${overdue ? 'text-red-600 font-medium' : 'text-gray-500'}">${describeDue(bill, today)} · ${bill.due_date}</p>
+                </div>
+                <span class="flex-shrink-0 font-semibold ${overdue ? 'text-red-600' : 'text-gray-800'}">${formatMoney(bill.amount, bill.currency)}</span>
+                <button type="button" data-bill-action="pay" data-id="${bill.id}" class="flex-shrink-0 text-xs font-medium text-indigo-600 hover:text-indigo-800">Mark paid</button>
+            </div>
+        `;
+    }).join('') + `
+        <div class="flex justify-between items-center pt-2 text-sm">
+            <span class="text-gray-500">Total</span>
+            <span class="font-semibold text-gray-800">${formatMoney(total)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Shows the unpaid bills due on a day in the day modal
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+export function renderDayBills(date) {
+    const list = document.getElementById('currentDayBillsList');
+    if (!list) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const bills = getBillsForDate(date);
+    list.innerHTML = bills.length === 0 ? '' : `
+        <h4 class="text-xs font-semibold uppercase text-gray-400 pt-2">Bills due</h4>
+        ${bills.map(bill => `
+            <div class="flex items-center gap-3 rounded-lg border p-3 text-sm ${isOverdue(bill, today) ? 'border-red-200 bg-red-50' : 'border-orange-200 bg-orange-50'}">
+                <span class="flex-shrink-0">🧾</span>
+                <div class="flex-grow min-w-0">
+                    <p class="truncate font-medium text-gray-800">${escapeHtml(getVendorName(bill))} · ${escapeHtml(bill.title)}</p>
+                    ${bill.bill_number ? `<p class="text-xs text-gray-500">Bill ${escapeHtml(bill.bill_number)}</p>` : ''}
+                </div>
+                <span class="flex-shrink-0 font-semibold text-gray-800">${formatMoney(bill.amount, bill.currency)}</span>
+                <button type="button" data-bill-action="pay" data-id="${bill.id}" class="flex-shrink-0 text-xs font-medium text-indigo-600 hover:text-indigo-800">Mark paid</button>
+            </div>
+        `).join('')}
+    `;
+}
+
+// ==========================================
+// MANAGE PANEL
+// ==========================================
+
+function renderBillList() {
+    const list = document.getElementById('bills-list');
+    const filter = document.getElementById('bills-filter')?.value || 'unpaid';
+    const today = new Date().toISOString().slice(0, 10);
+    const bills = selectBills(store.getState())
+        .filter(bill => filter === 'all' || bill.paid === (filter === 'paid'));
+
+    if (bills.length === 0) {
+        list.innerHTML = `<p class="text-sm text-gray-500 text-center py-4">${filter === 'paid' ? 'No paid bills yet.' : 'No bills to pay.'}</p>`;
+        return;
+    }
+
+    // Paid bills most recent first; unpaid ones in the order they fall due
+    if (filter === 'paid') bills.reverse();
+    list.innerHTML = bills.map(bill => {
+        const overdue = isOverdue(bill, today);
+        const status = bill.paid
+            ? `Paid ${bill.paid_date || ''}`
+            : `${describeDue(bill, today)} · ${bill.due_date}`;
+        return `
+            <div class="bg-white border ${overdue ? 'border-red-200' : 'border-gray-200'} rounded-lg p-3">
+                <div class="flex items-center justify-between gap-2">
+                    <p class="text-sm font-medium text-gray-800 truncate">${escapeHtml(getVendorName(bill))} · ${escapeHtml(bill.title)}</p>
+                    <span class="text-sm font-semibold text-gray-800 flex-shrink-0">${formatMoney(bill.amount, bill.currency)}</span>
+                </div>
+                <div class="flex items-center justify-between gap-2 mt-1">
+                    <p class="text-xs ${overdue ? 'text-red-600 font-medium' : 'text-gray-500'} truncate">${status}${bill.bill_number ? ` · Bill ${escapeHtml(bill.bill_number)}` : ''}</p>
+                    <div class="flex space-x-2 flex-shrink-0">
+                        ${bill.paid
+                            ? `<button type="button" data-bill-action="unpay" data-id="${bill.id}" class="text-xs font-medium text-gray-600 hover:text-gray-800">Mark unpaid</button>`
+                            : `<button type="button" data-bill-action="pay" data-id="${bill.id}" class="text-xs font-medium text-green-700 hover:text-green-900">Mark paid</button>`}
+                        <button type="button" data-bill-action="edit" data-id="${bill.id}" class="text-xs font-medium text-indigo-600 hover:text-indigo-800">Edit</button>
+                        <button type="button" data-bill-action="delete" data-id="${bill.id}" class="text-xs font-medium text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderFormOptions(bill = {}) {
+    const state = store.getState();
+    const vendors = [...selectContacts(state)]
+        .sort((a, b) => (a.company_name || a.contact_person || '').localeCompare(b.company_name || b.contact_person || ''));
+    document.getElementById('bill-vendor').innerHTML = '<option value="">Choose a vendor...</option>' + vendors
+        .map(contact => `<option value="${contact.id}" ${contact.id === bill.contact_id ? 'selected' : ''}>${escapeHtml(contact.company_name || contact.contact_person || 'Unnamed')}</option>`)
+        .join('');
+    document.getElementById('bill-currency').innerHTML = renderCurrencyOptions(bill.currency);
+    document.getElementById('bill-category').innerHTML = '<option value="">Uncategorized</option>' + getCategoriesForType('expense')
+        .map(category => `<option value="${category.id}" ${category.id === bill.category_id ? 'selected' : ''}>${escapeHtml(formatCategoryLabel(category))}</option>`)
+        .join('');
+    document.getElementById('bill-account').innerHTML = '<option value="">First account</option>' + selectAccounts(state)
+        .map(account => `<option value="${account.id}" ${account.id === bill.account_id ? 'selected' : ''}>${escapeHtml(formatAccountLabel(account))}</option>`)
+        .join('');
+}
+
+function resetBillForm() {
+    renderFormOptions();
+    document.getElementById('bill-id').value = '';
+    document.getElementById('bill-title').value = '';
+    document.getElementById('bill-number').value = '';
+    document.getElementById('bill-amount').value = '';
+    document.getElementById('bill-due-date').value = '';
+    document.getElementById('bill-form-title').textContent = 'Add Bill';
+    document.getElementById('save-bill-btn').textContent = 'Add Bill';
+}
+
+function editBill(bill) {
+    renderFormOptions(bill);
+    document.getElementById('bill-id').value = bill.id;
+    document.getElementById('bill-title').value = bill.title || '';
+    document.getElementById('bill-number').value = bill.bill_number || '';
+    document.getElementById('bill-amount').value = bill.amount ?? '';
+    document.getElementById('bill-due-date').value = bill.due_date || '';
+    document.getElementById('bill-form-title').textContent = `Edit ${bill.title}`;
+    document.getElementById('save-bill-btn').textContent = 'Save Changes';
+    document.getElementById('bill-title').focus();
+}
+
+async function submitBill() {
+    const billId = document.getElementById('bill-id').value || null;
+    const contactId = document.getElementById('bill-vendor').value;
+    const title = document.getElementById('bill-title').value.trim();
+    const amount = parseFloat(document.getElementById('bill-amount').value);
+    const dueDate = document.getElementById('bill-due-date').value;
+
+    if (!contactId) {
+        notifications.warning('Please choose the vendor the bill is from.');
+        return;
+    }
+    if (!title) {
+        notifications.warning('Please say what the bill is for.');
+        return;
+    }
+    if (isNaN(amount) || amount < 0) {
+        notifications.warning('Please enter a valid positive number for the amount.');
+        return;
+    }
+    if (!dueDate) {
+        notifications.warning('Please pick the due date.');
+        return;
+    }
+
+    const billData = {
+        contact_id: contactId,
+        title,
+        bill_number: document.getElementById('bill-number').value.trim() || null,
+        amount,
+        currency: document.getElementById('bill-currency').value,
+        due_date: dueDate,
+        category_id: document.getElementById('bill-category').value || null,
+        account_id: document.getElementById('bill-account').value || null
+    };
+    if (await saveBill(billData, billId)) {
+        resetBillForm();
+        renderBillList();
+    }
+}
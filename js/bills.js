@@ -0,0 +1,193 @@
+/**
+ * bills.js - Bills we owe to vendors (accounts payable)
+ * A bill names its vendor (a contact), the amount and the due date. Unpaid
+ * bills show on the calendar on their due date and in the dashboard's
+ * Upcoming Bills card. Marking one paid records the matching expense, which
+ * keeps bill_id; marking it unpaid again moves that expense to the trash.
+ */
+
+import { apiClient } from './api-client.js';
+import { notifications } from './notifications.js';
+import { saveEntry, deleteTransaction, applyBillChange } from './transactions.js';
+import { store, selectBills, selectContactById, selectAccounts } from './store.js';
+import { isReconciled } from './reconciliation.js';
+
+// How far ahead the Upcoming Bills card looks
+export const UPCOMING_BILL_DAYS = 30;
+
+/**
+ * @param {string|null} billId
+ * @returns {Bill|null}
+ */
+export function findBill(billId) {
+    return selectBills(store.getState()).find(bill => bill.id === billId) || null;
+}
+
+/**
+ * Unpaid bills due on a day
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Array<Bill>}
+ */
+export function getBillsForDate(date, state = store.getState()) {
+    return selectBills(state).filter(bill => !bill.paid && bill.due_date === date);
+}
+
+/**
+ * Unpaid bills that are overdue or due within the next days, soonest first
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {number} [days]
+ * @returns {Array<Bill>}
+ */
+export function getUpcomingBills(today, days = UPCOMING_BILL_DAYS, state = store.getState()) {
+    const until = addDays(today, days);
+    return selectBills(state)
+        .filter(bill => !bill.paid && bill.due_date <= until)
+        .sort((a, b) => a.due_date.localeCompare(b.due_date));
+}
+
+/**
+ * @param {Bill} bill
+ * @param {string} today - 'YYYY-MM-DD'
+ */
+export function isOverdue(bill, today) {
+    return !bill.paid && bill.due_date < today;
+}
+
+/**
+ * e.g. 'Overdue 3 days', 'Due today', 'Due in 5 days'
+ * @param {Bill} bill
+ * @param {string} today - 'YYYY-MM-DD'
+ */
+export function describeDue(bill, today) {
+    const days = Math.round((Date.parse(bill.due_date) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+    if (days < 0) return `Overdue ${-days} day${days === -1 ? '' : 's'}`;
+    if (days === 0) return 'Due today';
+    return `Due in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * The vendor's name, or a placeholder when the contact is gone
+ * @param {Bill} bill
+ */
+export function getVendorName(bill, state = store.getState()) {
+    const contact = selectContactById(state, bill.contact_id);
+    return contact ? contact.company_name || contact.contact_person || 'Unnamed vendor' : 'No vendor';
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// ==========================================
+// SAVING
+// ==========================================
+
+/**
+ * Creates or updates a bill
+ * @param {Object} billData - { contact_id, title, bill_number, amount, currency, due_date, category_id, account_id }
+ * @param {string|null} billId
+ * @returns {Promise<boolean>}
+ */
+export async function saveBill(billData, billId = null) {
+    const result = billId
+        ? await apiClient.updateBill(billId, billData)
+        : await apiClient.createBill(billData);
+    if (!result.success) {
+        notifications.error(`Failed to save the bill "${billData.title}"`, {
+            actions: [{ label: 'Retry', onClick: () => saveBill(billData, billId) }]
+        });
+        return false;
+    }
+    applyBillChange({ eventType: billId ? 'UPDATE' : 'INSERT', new: result.data, old: { id: billId } });
+    notifications.success(`Bill "${billData.title}" ${billId ? 'updated' : 'added'}`);
+    return true;
+}
+
+/**
+ * Deletes a bill. The expense recorded when it was paid is kept.
+ * @param {Bill} bill
+ * @returns {Promise<boolean>}
+ */
+export async function deleteBill(bill) {
+    const result = await apiClient.deleteBill(bill.id);
+    if (!result.success) {
+        notifications.error(`Failed to delete the bill "${bill.title}"`);
+        return false;
+    }
+    applyBillChange({ eventType: 'DELETE', new: {}, old: { id: bill.id } });
+    notifications.success(`Bill "${bill.title}" deleted`);
+    return true;
+}
+
+// ==========================================
+// PAYING
+// ==========================================
+
+/**
+ * Marks a bill paid and records the expense that paid it
+ * @param {Bill} bill
+ * @param {string} [paidDate] - 'YYYY-MM-DD', defaults to today
+ * @returns {Promise<boolean>}
+ */
+export async function markBillPaid(bill, paidDate = new Date().toISOString().slice(0, 10)) {
+    if (bill.paid) return true;
+
+    // Bills without an account are paid from the first one, as in the day modal
+    const saved = await saveEntry({
+        date: paidDate,
+        type: 'expense',
+        title: `${getVendorName(bill)}: ${bill.title}`,
+        description: bill.bill_number ? `Bill ${bill.bill_number}` : '',
+        amount: bill.amount,
+        currency: bill.currency,
+        category_id: bill.category_id || null,
+        account_id: bill.account_id || selectAccounts(store.getState())[0]?.id || null,
+        bill_id: bill.id
+    });
+    if (!saved) return false;
+
+    const result = await apiClient.updateBill(bill.id, { paid: true, paid_date: paidDate });
+    if (!result.success) {
+        notifications.error(`The expense was recorded but "${bill.title}" could not be marked paid`, {
+            actions: [{ label: 'Retry', onClick: () => setBillPaid(bill, true, paidDate) }]
+        });
+        return false;
+    }
+    applyBillChange({ eventType: 'UPDATE', new: result.data, old: { id: bill.id } });
+    return true;
+}
+
+/**
+ * Marks a bill unpaid again and moves the expense that paid it to the trash
+ * @param {Bill} bill
+ * @returns {Promise<boolean>}
+ */
+export async function markBillUnpaid(bill) {
+    if (!bill.paid) return true;
+
+    const { success, data: expenses } = await apiClient.findTransactions({ bill_id: bill.id });
+    if (!success) {
+        notifications.error(`Could not find the payment of "${bill.title}"`);
+        return false;
+    }
+    const locked = expenses.find(isReconciled);
+    if (locked) {
+        notifications.warning(`The payment "${locked.title}" is reconciled. Unlock it from the calendar before marking the bill unpaid.`);
+        return false;
+    }
+    for (const expense of expenses) {
+        if (!(await deleteTransaction(expense.id))) return false;
+    }
+    return setBillPaid(bill, false, null);
+}
+
+async function setBillPaid(bill, paid, paidDate) {
+    const result = await apiClient.updateBill(bill.id, { paid, paid_date: paidDate });
+    if (!result.success) {
+        notifications.error(`Failed to update "${bill.title}"`);
+        return false;
+    }
+    applyBillChange({ eventType: 'UPDATE', new: result.data, old: { id: bill.id } });
+    return true;
+}
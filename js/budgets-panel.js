@@ -0,0 +1,307 @@
+// js/budgets-panel.js
+import { apiClient } from './api-client.js';
+import { store, selectCategories, selectTransactions } from './store.js';
+import { MonthCache } from './month-cache.js';
+import { notifications } from './notifications.js';
+import { applyCategoryChange } from './transactions.js';
+import { formatMoney } from './currency.js';
+import { SUGGESTED_CATEGORIES, DEFAULT_CATEGORY_COLOR, getBudget, sumSpendingByCategory, formatCategoryLabel } from './categories.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Initializes the dashboard's spending-by-category card and the
+ * "Categories & Budgets" slide-out panel where categories are managed.
+ */
+export function initializeBudgetsPanel() {
+    console.log('🏷️ Initializing categories & budgets...');
+    const manageBtn = document.getElementById('manage-categories-btn');
+    const categoriesModal = document.getElementById('categories-modal');
+    const categoriesSidebar = document.getElementById('categories-sidebar');
+    const categoriesList = document.getElementById('categories-list');
+
+    if (!manageBtn || !categoriesModal) {
+        console.warn('⚠️ Categories panel elements not found');
+        return;
+    }
+
+    // The viewed month's expenses and the categories both live in the store
+    store.subscribe(['transactions', 'categories', 'exchangeRates', 'baseCurrency', 'viewedDate'], renderBudgets);
+    renderBudgets(store.getState());
+
+    manageBtn.addEventListener('click', () => {
+        resetCategoryForm();
+        renderCategoryList();
+        categoriesModal.classList.remove('hidden');
+        setTimeout(() => {
+            categoriesSidebar.classList.remove('translate-x-full');
+        }, 10);
+    });
+
+    function closeCategoriesModal() {
+        categoriesSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            categoriesModal.classList.add('hidden');
+        }, 300);
+    }
+
+    document.getElementById('close-categories-btn')?.addEventListener('click', closeCategoriesModal);
+    categoriesModal.addEventListener('click', (e) => {
+        if (e.target === categoriesModal) closeCategoriesModal();
+    });
+
+    document.getElementById('cancel-category-btn')?.addEventListener('click', resetCategoryForm);
+    document.getElementById('save-category-btn')?.addEventListener('click', saveCategory);
+    document.getElementById('category-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveCategory();
+    });
+    document.getElementById('category-type')?.addEventListener('change', updateBudgetField);
+
+    categoriesList.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-category-action]');
+        if (!button) return;
+        const { categoryAction, id } = button.dataset;
+        if (categoryAction === 'edit') {
+            editCategory(id);
+        } else if (categoryAction === 'delete') {
+            await deleteCategory(id);
+        } else if (categoryAction === 'suggested') {
+            button.disabled = true;
+            await addSuggestedCategories();
+        }
+    });
+
+    // Keep the list in step with realtime changes while the panel is open
+    store.subscribe(['categories'], () => {
+        if (!categoriesModal.classList.contains('hidden')) renderCategoryList();
+    });
+
+    console.log('✅ Categories & budgets initialized');
+}
+
+// ==========================================
+// DASHBOARD CARD
+// ==========================================
+
+/**
+ * Shows how much went to each expense category in the viewed month, with a
+ * progress bar against the budget where one is set
+ * @param {AppState} state
+ */
+function renderBudgets(state) {
+    const list = document.getElementById('budgets-list');
+    const title = document.getElementById('budgets-card-title');
+    if (!list) return;
+
+    const viewedDate = state.viewedDate || new Date();
+    const monthKey = MonthCache.monthKey(viewedDate);
+    if (title) {
+        title.textContent = `Spending by Category (${viewedDate.toLocaleString('default', { month: 'long', year: 'numeric' })})`;
+    }
+
+    const categories = selectCategories(state).filter(category => category.type === 'expense');
+    const spending = sumSpendingByCategory(selectTransactions(state), monthKey);
+
+    const rows = categories
+        .map(category => ({ category, spent: spending[category.id] || 0, budget: getBudget(category) }))
+        .filter(row => row.budget || row.spent > 0);
+    // Closest to (or furthest over) the limit first, then the biggest spenders
+    rows.sort((a, b) => ((b.budget ? b.spent / b.budget : 0) - (a.budget ? a.spent / a.budget : 0)) || b.spent - a.spent);
+
+    const uncategorized = Object.entries(spending)
+        .filter(([key]) => !categories.some(category => category.id === key))
+        .reduce((sum, [, amount]) => sum + amount, 0);
+    if (uncategorized > 0) {
+        rows.push({ category: { name: 'Uncategorized', icon: '❔', color: '#9ca3af' }, spent: uncategorized, budget: null });
+    }
+
+    if (rows.length === 0) {
+        list.innerHTML = `<p class="text-sm text-gray-500 md:col-span-2">${categories.length === 0
+            ? 'Add categories to see where your money goes and set monthly budgets.'
+            : 'No expenses recorded this month.'}</p>`;
+        return;
+    }
+    list.innerHTML = rows.map(createBudgetRow).join('');
+}
+
+function createBudgetRow({ category, spent, budget }) {
+    const label = `<span class="truncate">${escapeHtml(formatCategoryLabel(category))}</span>`;
+    if (!budget) {
+        return `
+            <div class="flex justify-between items-center text-sm">
+                ${label}
+                <span class="font-semibold text-gray-800 flex-shrink-0 ml-2">${formatMoney(spent)}</span>
+            </div>
+        `;
+    }
+
+    const isOver = spent > budget;
+    const percentage = Math.min(100, (spent / budget) * 100);
+    const barColor = isOver ? '#ef4444' : escapeHtml(category.color || DEFAULT_CATEGORY_COLOR);
+    return `
+        <div class="text-sm">
+            <div class="flex justify-between items-center">
+                ${label}
+                <span class="flex-shrink-0 ml-2 ${isOver ? 'text-red-600 font-semibold' : 'text-gray-600'}">
+                    ${formatMoney(spent)} <span class="text-xs text-gray-400">of ${formatMoney(budget)}</span>
+                </span>
+            </div>
+            <div class="bg-gray-200 rounded-full h-2 w-full mt-1">
+                <div class="h-2 rounded-full" style="width: ${percentage}%; background-color: ${barColor}"></div>
+            </div>
+            ${isOver ? `<p class="text-xs text-red-600 mt-1">${formatMoney(spent - budget)} over budget</p>` : ''}
+        </div>
+    `;
+}
+
+// ==========================================
+// MANAGE PANEL
+// ==========================================
+
+function renderCategoryList() {
+    const list = document.getElementById('categories-list');
+    const categories = selectCategories(store.getState());
+
+    if (categories.length === 0) {
+        list.innerHTML = `
+            <div class="text-center py-4">
+                <p class="text-sm text-gray-500 mb-3">No categories yet.</p>
+                <button type="button" data-category-action="suggested" class="bg-white py-1 px-3 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50">Add suggested categories</button>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = ['expense', 'income'].map(type => {
+        const ofType = categories.filter(category => category.type === type);
+        if (ofType.length === 0) return '';
+        return `
+            <h4 class="text-xs font-semibold uppercase text-gray-400 pt-2">${type === 'expense' ? 'Expenses' : 'Income'}</h4>
+            ${ofType.map(category => `
+                <div class="flex items-center justify-between bg-white border border-gray-200 rounded-lg p-3">
+                    <div class="flex items-center min-w-0">
+                        <span class="w-8 h-8 rounded-full flex items-center justify-center mr-3 flex-shrink-0" style="background-color: ${escapeHtml(category.color || DEFAULT_CATEGORY_COLOR)}33">${escapeHtml(category.icon || '🏷️')}</span>
+                        <div class="min-w-0">
+                            <p class="text-sm font-medium text-gray-800 truncate">${escapeHtml(category.name)}</p>
+                            ${type === 'expense' ? `<p class="text-xs text-gray-500">${getBudget(category) ? `Budget ${formatMoney(getBudget(category))} / month` : 'No budget'}</p>` : ''}
+                        </div>
+                    </div>
+                    <div class="flex space-x-2 flex-shrink-0 ml-2">
+                        <button type="button" data-category-action="edit" data-id="${category.id}" class="text-xs font-medium text-indigo-600 hover:text-indigo-800">Edit</button>
+                        <button type="button" data-category-action="delete" data-id="${category.id}" class="text-xs font-medium text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }).join('');
+}
+
+function resetCategoryForm() {
+    document.getElementById('category-id').value = '';
+    document.getElementById('category-name').value = '';
+    document.getElementById('category-icon').value = '';
+    document.getElementById('category-color').value = DEFAULT_CATEGORY_COLOR;
+    document.getElementById('category-type').value = 'expense';
+    document.getElementById('category-budget').value = '';
+    document.getElementById('category-form-title').textContent = 'Add Category';
+    document.getElementById('save-category-btn').textContent = 'Add Category';
+    updateBudgetField();
+}
+
+function editCategory(categoryId) {
+    const category = selectCategories(store.getState()).find(c => c.id === categoryId);
+    if (!category) return;
+    document.getElementById('category-id').value = category.id;
+    document.getElementById('category-name').value = category.name || '';
+    document.getElementById('category-icon').value = category.icon || '';
+    document.getElementById('category-color').value = category.color || DEFAULT_CATEGORY_COLOR;
+    document.getElementById('category-type').value = category.type;
+    document.getElementById('category-budget').value = getBudget(category) ?? '';
+    document.getElementById('category-form-title').textContent = `Edit ${category.name}`;
+    document.getElementById('save-category-btn').textContent = 'Save Changes';
+    updateBudgetField();
+    document.getElementById('category-name').focus();
+}
+
+// Budgets only apply to expense categories
+function updateBudgetField() {
+    const isExpense = document.getElementById('category-type').value === 'expense';
+    document.getElementById('category-budget-group').classList.toggle('invisible', !isExpense);
+}
+
+async function saveCategory() {
+    const categoryId = document.getElementById('category-id').value;
+    const name = document.getElementById('category-name').value.trim();
+    const type = document.getElementById('category-type').value;
+    const budgetValue = document.getElementById('category-budget').value;
+    const budget = budgetValue === '' ? null : parseFloat(budgetValue);
+
+    if (!name) {
+        notifications.warning('Please give the category a name.');
+        return;
+    }
+    if (budget !== null && (isNaN(budget) || budget < 0)) {
+        notifications.warning('Please enter a valid positive number for the budget.');
+        return;
+    }
+    const duplicate = selectCategories(store.getState())
+        .some(c => c.id !== categoryId && c.type === type && c.name.toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        notifications.warning(`There is already a category called "${name}".`);
+        return;
+    }
+
+    const categoryData = {
+        name,
+        icon: document.getElementById('category-icon').value.trim() || null,
+        color: document.getElementById('category-color').value || DEFAULT_CATEGORY_COLOR,
+        type,
+        monthly_budget: type === 'expense' && budget ? budget : null
+    };
+    const result = categoryId
+        ? await apiClient.updateCategory(categoryId, categoryData)
+        : await apiClient.createCategory(categoryData);
+    if (!result.success) {
+        notifications.error(`Failed to save "${name}"`, {
+            actions: [{ label: 'Retry', onClick: saveCategory }]
+        });
+        return;
+    }
+
+    applyCategoryChange({ eventType: categoryId ? 'UPDATE' : 'INSERT', new: result.data, old: { id: categoryId } });
+    notifications.success(`Category "${name}" ${categoryId ? 'updated' : 'added'}`);
+    resetCategoryForm();
+    renderCategoryList();
+}
+
+async function deleteCategory(categoryId) {
+    const category = selectCategories(store.getState()).find(c => c.id === categoryId);
+    if (!category) return;
+    if (!confirm(`Delete the category "${category.name}"? Its transactions become uncategorized.`)) return;
+
+    const result = await apiClient.deleteCategory(categoryId);
+    if (!result.success) {
+        notifications.error(`Failed to delete "${category.name}"`);
+        return;
+    }
+    applyCategoryChange({ eventType: 'DELETE', new: {}, old: { id: categoryId } });
+    notifications.success(`Category "${category.name}" deleted`);
+    if (document.getElementById('category-id').value === categoryId) resetCategoryForm();
+    renderCategoryList();
+}
+
+async function addSuggestedCategories() {
+    let added = 0;
+    for (const suggestion of SUGGESTED_CATEGORIES) {
+        const result = await apiClient.createCategory(suggestion);
+        if (!result.success) break;
+        applyCategoryChange({ eventType: 'INSERT', new: result.data, old: {} });
+        added++;
+    }
+    if (added < SUGGESTED_CATEGORIES.length) {
+        notifications.error('Some suggested categories could not be added');
+    } else {
+        notifications.success(`Added ${added} categories - set budgets with Edit`);
+    }
+    renderCategoryList();
+}
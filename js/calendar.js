@@ -7,6 +7,11 @@ import { apiClient } from './api-client.js';
 import { projectFormModal } from './project-form-modal.js';
 import { getProjectCalendarItems } from './project-manager.js';
 import { getTransactionsForDate } from './transactions.js';
+import { getPendingOccurrencesForDate } from './recurring.js';
+import { getBillsForDate, getVendorName, isOverdue } from './bills.js';
+import { toBase, transactionToBase, currencySymbol } from './currency.js';
+import { getProjectedBalance } from './forecast.js';
+import { store, selectProjects, selectProjectById, selectContactById, selectForecast } from './store.js';
 
 let currentDate = new Date(2025, 7, 1); // August 2025 (month is 0-indexed, so 7 = August)
 /**
@@ -26,14 +31,22 @@ export async function initializeCalendar() {
         await loadAllCalendarData();
         setupCalendarNavigation();
         renderCalendar(currentDate);
+        // Day cells re-render whenever the data shown in them changes; incremental
+        // changes say which dates they touched so only those cells are rebuilt
+        store.subscribe(['transactions', 'recurringRules', 'bills', 'projects', 'projectData', 'projectCalendarData', 'exchangeRates', 'baseCurrency'], (state, changedKeys, meta) => {
+            if (meta?.dates) {
+                renderDayCells(meta.dates);
+            } else {
+                renderCalendar(currentDate);
+            }
+        });
+        // A new forecast only changes the projected balances, which are updated in place
+        store.subscribe(['forecast'], renderProjectedBalances);
         // ADD THIS NEW FUNCTION CALL
         setupMilestoneClickHandlers();
         console.log('✅ Calendar system initialized');
     } catch (error) {
         console.error('❌ Failed to initialize calendar:', error);
-        window.allContacts = [];
-        window.allProjects = [];
-        window.projectCalendarData = { quotations: [], invoices: [], tasks: [] };
     }
 }
 
@@ -49,15 +62,14 @@ async function loadAllCalendarData() {
             getProjectCalendarItems(apiClient.userId)
         ]);
 
-        window.allContacts = contactsResult.success ? (contactsResult.data || []) : [];
-        window.allProjects = projectsResult.success ? (projectsResult.data || []) : [];
-        window.projectCalendarData = calendarItemsResult || { quotations: [], invoices: [], tasks: [] };
+        store.setState({
+            contacts: contactsResult.success ? (contactsResult.data || []) : [],
+            projects: projectsResult.success ? (projectsResult.data || []) : [],
+            projectCalendarData: calendarItemsResult || { quotations: [], invoices: [], tasks: [] }
+        });
 
     } catch (error) {
         console.error('❌ Could not load all calendar data:', error);
-        window.allContacts = [];
-        window.allProjects = [];
-        window.projectCalendarData = { quotations: [], invoices: [], tasks: [] };
     }
 }
 
@@ -103,22 +115,12 @@ export function renderCalendar(date) {
     const month = date.getMonth();
     monthYearDisplay.textContent = new Date(year, month).toLocaleString('en-US', { month: 'long', year: 'numeric' });
 
-    const tasksByDate = new Map();
-    (window.allProjects || []).forEach(project => {
-        if (project.tasks && Array.isArray(project.tasks)) {
-            project.tasks.forEach(task => {
-                if (task.due_date) {
-                    const dateKey = task.due_date;
-                    if (!tasksByDate.has(dateKey)) tasksByDate.set(dateKey, []);
-                    tasksByDate.get(dateKey).push(task);
-                }
-            });
-        }
-    });
+    const projects = selectProjects(store.getState());
+    const tasksByDate = getTasksByDate(projects);
 
     // ADD THIS DEBUG BLOCK HERE:
     console.log('🔍 DEBUG renderCalendar task processing:');
-    console.log('  - Total projects processed:', (window.allProjects || []).length);
+    console.log('  - Total projects processed:', projects.length);
     console.log('  - Tasks found by date:', Object.fromEntries(tasksByDate));
     console.log('  - Total dates with tasks:', tasksByDate.size);
 
@@ -146,6 +148,45 @@ export function renderCalendar(date) {
     }
 }
 
+/**
+ * Groups every project task by its due date ('YYYY-MM-DD')
+ * @param {Array<Object>} projects
+ * @returns {Map<string, Array<Object>>}
+ */
+function getTasksByDate(projects) {
+    const tasksByDate = new Map();
+    projects.forEach(project => {
+        if (project.tasks && Array.isArray(project.tasks)) {
+            project.tasks.forEach(task => {
+                if (task.due_date) {
+                    const dateKey = task.due_date;
+                    if (!tasksByDate.has(dateKey)) tasksByDate.set(dateKey, []);
+                    tasksByDate.get(dateKey).push(task);
+                }
+            });
+        }
+    });
+    return tasksByDate;
+}
+
+/**
+ * Rebuilds only the day cells for the given dates, leaving the rest of the grid alone.
+ * Dates outside the displayed month are ignored.
+ * @param {Array<string>} dates - 'YYYY-MM-DD' dates
+ */
+export function renderDayCells(dates) {
+    const calendarGrid = document.getElementById('calendarDates') || document.getElementById('calendarGrid');
+    if (!calendarGrid) return;
+
+    const tasksByDate = getTasksByDate(selectProjects(store.getState()));
+    new Set(dates).forEach(dateString => {
+        const existingCell = calendarGrid.querySelector(`.date-cell.current-month[data-date="${dateString}"]`);
+        if (!existingCell) return;
+        const [year, month, day] = dateString.split('-').map(Number);
+        existingCell.replaceWith(createDayCell(day, month - 1, year, true, tasksByDate.get(dateString) || []));
+    });
+}
+
 /**
  * --- UI/UX UPDATE ---
  * Creates a single day cell for the calendar grid with an improved layout.
@@ -154,6 +195,7 @@ function createDayCell(day, month, year, isCurrentMonthDay, tasks) {
     const dateCell = document.createElement('div');
     dateCell.className = `date-cell p-2 flex flex-col min-h-[110px] border-t border-l border-gray-200 ${isCurrentMonthDay ? 'current-month bg-white hover:bg-gray-50 transition-colors duration-200' : 'other-month bg-gray-50 text-gray-400'}`;
     const fullDateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    if (isCurrentMonthDay) dateCell.dataset.date = fullDateString;
 
     dateCell.addEventListener('click', () => {
         if (window.openModal) {
@@ -196,9 +238,10 @@ function createDayCell(day, month, year, isCurrentMonthDay, tasks) {
     
     const transactionsForDay = getTransactionsForDate(fullDateString) || [];
     // MODIFIED: Only count actual income and expense transactions, not payables
+    // Amounts are converted to the base currency
     const netAmount = transactionsForDay.reduce((sum, t) => {
-        if (t.type === 'income') return sum + t.amount;
-        if (t.type === 'expense') return sum - t.amount;
+        if (t.type === 'income') return sum + transactionToBase(t);
+        if (t.type === 'expense') return sum - transactionToBase(t);
         // Do not include 'payable' or other types in the net amount
         return sum;
     }, 0);
@@ -212,7 +255,7 @@ function createDayCell(day, month, year, isCurrentMonthDay, tasks) {
         netAmountEl.style.flexShrink = '0';
         netAmountEl.style.whiteSpace = 'nowrap';
         netAmountEl.style.marginLeft = 'auto';
-        netAmountEl.textContent = (netAmount > 0 ? '+' : '') + `RM${Math.abs(netAmount).toFixed(2)}`;
+        netAmountEl.textContent = (netAmount > 0 ? '+' : '') + `${currencySymbol()}${Math.abs(netAmount).toFixed(2)}`;
         topRow.appendChild(netAmountEl);
         
         // ADD THIS DEBUG CODE
@@ -237,6 +280,7 @@ function createDayCell(day, month, year, isCurrentMonthDay, tasks) {
     }
     
     dateCell.appendChild(topRow);
+    if (isCurrentMonthDay) showProjectedBalance(dateCell, fullDateString);
 
     // Use a spacer to push content to the bottom, ensuring full width
     const spacer = document.createElement('div');
@@ -264,13 +308,39 @@ function createDayCell(day, month, year, isCurrentMonthDay, tasks) {
     }
     
     if (payablesForDay.length > 0) {
-        const totalPayable = payablesForDay.reduce((sum, p) => sum + (p.amount || 0), 0);
+        const totalPayable = payablesForDay.reduce((sum, p) => sum + toBase(p.amount, p.currency, fullDateString), 0);
         const payableLabel = document.createElement('div');
         payableLabel.className = 'w-full text-center text-xs font-medium rounded px-2 py-1 bg-blue-100 text-blue-800';
-        payableLabel.textContent = `RM${totalPayable.toFixed(2)}`;
+        payableLabel.textContent = `${currencySymbol()}${totalPayable.toFixed(2)}`;
         bottomContent.appendChild(payableLabel);
     }
     
+    // Recurring entries due this day that have not been confirmed yet
+    const pendingForDay = isCurrentMonthDay ? getPendingOccurrencesForDate(fullDateString) : [];
+    if (pendingForDay.length > 0) {
+        const pendingNet = pendingForDay.reduce((sum, o) => {
+            const amount = toBase(o.amount, o.currency, fullDateString);
+            return sum + (o.type === 'income' ? amount : -amount);
+        }, 0);
+        const recurringLabel = document.createElement('div');
+        recurringLabel.className = `w-full text-center text-xs font-medium rounded px-2 py-1 border border-dashed ${pendingNet >= 0 ? 'border-green-300 text-green-700' : 'border-red-300 text-red-700'}`;
+        recurringLabel.textContent = `↻ ${pendingNet >= 0 ? '+' : '-'}${currencySymbol()}${Math.abs(pendingNet).toFixed(2)}`;
+        recurringLabel.title = pendingForDay.map(o => o.title).join(', ') + ' - click to confirm';
+        bottomContent.appendChild(recurringLabel);
+    }
+    
+    // Vendor bills due this day and not paid yet
+    const billsForDay = isCurrentMonthDay ? getBillsForDate(fullDateString) : [];
+    if (billsForDay.length > 0) {
+        const totalBills = billsForDay.reduce((sum, bill) => sum + toBase(bill.amount, bill.currency, fullDateString), 0);
+        const overdue = isOverdue(billsForDay[0], new Date().toISOString().slice(0, 10));
+        const billLabel = document.createElement('div');
+        billLabel.className = `w-full text-center text-xs font-medium rounded px-2 py-1 ${overdue ? 'bg-red-100 text-red-800' : 'bg-orange-100 text-orange-800'}`;
+        billLabel.textContent = `🧾 ${currencySymbol()}${totalBills.toFixed(2)}`;
+        billLabel.title = billsForDay.map(bill => `${getVendorName(bill)}: ${bill.title}`).join(', ') + (overdue ? ' - overdue' : ' - bill due');
+        bottomContent.appendChild(billLabel);
+    }
+    
     if (bottomContent.children.length > 0) {
         dateCell.appendChild(bottomContent);
     }
@@ -278,18 +348,56 @@ function createDayCell(day, month, year, isCurrentMonthDay, tasks) {
     return dateCell;
 }
 
+/**
+ * Updates the projected balance of every day cell shown from the store's forecast
+ */
+function renderProjectedBalances() {
+    const calendarGrid = document.getElementById('calendarDates') || document.getElementById('calendarGrid');
+    if (!calendarGrid) return;
+    calendarGrid.querySelectorAll('.date-cell.current-month[data-date]').forEach(cell => {
+        showProjectedBalance(cell, cell.dataset.date);
+    });
+}
+
+/**
+ * Shows a day's projected end-of-day balance under its date, and tints the
+ * cell red when the balance is below zero. Days outside the forecast show nothing.
+ * @param {HTMLElement} dateCell
+ * @param {string} dateString - 'YYYY-MM-DD'
+ */
+function showProjectedBalance(dateCell, dateString) {
+    dateCell.querySelector('.projected-balance')?.remove();
+    const balance = getProjectedBalance(selectForecast(store.getState()), dateString);
+    const isNegative = balance !== null && balance < 0;
+    dateCell.classList.toggle('bg-white', !isNegative);
+    dateCell.classList.toggle('bg-red-50', isNegative);
+    if (balance === null) return;
+
+    const balanceEl = document.createElement('div');
+    balanceEl.className = 'projected-balance';
+    balanceEl.style.fontSize = '10px';
+    balanceEl.style.textAlign = 'right';
+    balanceEl.style.whiteSpace = 'nowrap';
+    balanceEl.style.color = isNegative ? '#dc2626' : '#9ca3af';
+    balanceEl.style.fontWeight = isNegative ? '600' : '400';
+    balanceEl.textContent = `≈ ${isNegative ? '-' : ''}${currencySymbol()}${Math.abs(balance).toFixed(2)}`;
+    balanceEl.title = 'Projected balance at the end of the day';
+    dateCell.firstElementChild.after(balanceEl);
+}
+
 /**
  * Handles clicking on a project task. This is exported for use in modals.js.
  * @param {string} projectId - The ID of the project to open.
  */
 export function handleTaskClick(projectId) {
     if (!projectId) return;
-    const project = (window.allProjects || []).find(p => p.id === projectId);
+    const state = store.getState();
+    const project = selectProjectById(state, projectId);
     if (!project) {
         console.error(`Could not find project with ID: ${projectId}`);
         return;
     }
-    const contact = (window.allContacts || []).find(c => c.id === project.contact_id);
+    const contact = selectContactById(state, project.contact_id);
     
     if (project && contact) {
         projectFormModal.openForEdit(project, contact);
@@ -318,12 +426,12 @@ export function setupMilestoneClickHandlers() {
                     const amount = parseFloat(amountText);
                                         
                     // Find project with matching milestone amount
-                    const project = window.allProjects?.find(p => 
+                    const project = selectProjects(store.getState()).find(p => 
                         p.payment_schedule?.milestones?.some(m => m.amount === amount)
                     );
                                         
                     if (project) {
-                        const contact = window.allContacts?.find(c => c.id === project.contact_id);
+                        const contact = selectContactById(store.getState(), project.contact_id);
                         if (contact) {
                             console.log('✅ Found project object:', project);
                             console.log('✅ Found contact object:', contact);
@@ -363,16 +471,18 @@ export function setupMilestoneClickHandlers() {
 }
 
 /**
- * Re-fetches all data and re-renders the calendar.
+ * Re-renders the calendar from the current store state.
+ * Store changes already trigger this; call it directly only to force a redraw.
  */
 export async function refreshCalendar() {
     console.log('🔄 Refreshing calendar display...');
 
     // ADD THIS DEBUG BLOCK HERE:
+    const state = store.getState();
     console.log('🔍 DEBUG refreshCalendar data sources:');
-    console.log('  - window.allProjects:', window.allProjects?.length || 0, 'projects');
-    console.log('  - window.projectCalendarData:', window.projectCalendarData);
-    console.log('  - projectCalendarData tasks:', window.projectCalendarData?.tasks?.length || 0);
+    console.log('  - projects:', state.projects.length, 'projects');
+    console.log('  - projectCalendarData:', state.projectCalendarData);
+    console.log('  - projectCalendarData tasks:', state.projectCalendarData?.tasks?.length || 0);
 
     renderCalendar(currentDate);
 }
\ No newline at end of file
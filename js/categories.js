@@ -0,0 +1,125 @@
+/**
+ * categories.js - Transaction categories and monthly budgets
+ * Categories are user-defined (name, emoji icon, color) and apply to either
+ * income or expenses. Expense categories may carry a monthly budget; saving an
+ * expense that takes a category past it raises a warning.
+ */
+
+import { apiClient } from './api-client.js';
+import { MonthCache } from './month-cache.js';
+import { notifications } from './notifications.js';
+import { store, selectCategories, selectCategoryById } from './store.js';
+import { transactionToBase, formatMoney } from './currency.js';
+import { getCategoryAmounts } from './splits.js';
+
+export const DEFAULT_CATEGORY_COLOR = '#6366f1';
+
+// Offered when a user has no categories yet
+export const SUGGESTED_CATEGORIES = [
+    { name: 'Client Work', icon: '💼', color: '#10b981', type: 'income' },
+    { name: 'Other Income', icon: '💰', color: '#14b8a6', type: 'income' },
+    { name: 'Rent', icon: '🏠', color: '#f59e0b', type: 'expense' },
+    { name: 'Software', icon: '💻', color: '#6366f1', type: 'expense' },
+    { name: 'Food', icon: '🍔', color: '#ef4444', type: 'expense' },
+    { name: 'Transport', icon: '🚗', color: '#3b82f6', type: 'expense' },
+    { name: 'Utilities', icon: '💡', color: '#eab308', type: 'expense' },
+    { name: 'Marketing', icon: '📣', color: '#ec4899', type: 'expense' }
+];
+
+/**
+ * Categories that can be picked for an entry of the given type
+ * @param {string} type - 'income' | 'expense'
+ * @returns {Array<Category>}
+ */
+export function getCategoriesForType(type) {
+    return selectCategories(store.getState()).filter(category => category.type === type);
+}
+
+/**
+ * @param {string|null} categoryId
+ * @returns {Category|null} Null for uncategorized entries and deleted categories
+ */
+export function findCategory(categoryId) {
+    if (!categoryId) return null;
+    return selectCategoryById(store.getState(), categoryId) || null;
+}
+
+/**
+ * Label used in notifications and lists, e.g. '🍔 Food'
+ */
+export function formatCategoryLabel(category) {
+    return [category.icon, category.name].filter(Boolean).join(' ');
+}
+
+/**
+ * Monthly budget of a category, null when it has none
+ * @returns {number|null}
+ */
+export function getBudget(category) {
+    const budget = parseFloat(category?.monthly_budget);
+    return budget > 0 ? budget : null;
+}
+
+/**
+ * Sums a month's expenses per category, in the base currency. Split
+ * expenses count each line under its own category.
+ * @param {Array<Transaction>} transactions - Any transactions; only the month's expenses count
+ * @param {string} monthKey - 'YYYY-MM'
+ * @returns {Object} { [category_id]: amount }, uncategorized spending under 'none'
+ */
+export function sumSpendingByCategory(transactions, monthKey) {
+    const spending = {};
+    transactions.forEach(transaction => {
+        if (transaction.type !== 'expense' || !transaction.date?.startsWith(monthKey)) return;
+        Object.entries(getCategoryAmounts(transaction, transactionToBase(transaction))).forEach(([key, amount]) => {
+            spending[key] = (spending[key] || 0) + amount;
+        });
+    });
+    return spending;
+}
+
+// ==========================================
+// OVERSPEND WARNINGS
+// ==========================================
+
+/**
+ * Warns when a saved expense takes one of its categories over the monthly
+ * budget; a split expense is checked for each of its lines' categories.
+ * Called by saveEntry after the write has gone through.
+ * @param {Transaction} transaction - The saved row
+ * @param {Transaction|null} previous - The row before an edit, so only the change in amount counts
+ */
+export async function checkCategoryBudget(transaction, previous = null) {
+    if (transaction.type !== 'expense' || !transaction.date) return;
+    const amounts = getCategoryAmounts(transaction, transactionToBase(transaction));
+    const budgeted = Object.keys(amounts).map(findCategory).filter(category => getBudget(category));
+    if (budgeted.length === 0) return;
+
+    const monthKey = transaction.date.slice(0, 7);
+    const { from, to } = MonthCache.monthBounds(monthKey);
+    const result = await apiClient.getCategorySpending(from, to, { convert: transactionToBase });
+    if (!result.success) return;
+
+    const countedBefore = previous
+        && previous.type === 'expense'
+        && previous.date?.startsWith(monthKey);
+    const previousAmounts = countedBefore ? getCategoryAmounts(previous, transactionToBase(previous)) : {};
+
+    const [year, month] = monthKey.split('-').map(Number);
+    const monthName = new Date(year, month - 1, 1).toLocaleString('default', { month: 'long', year: 'numeric' });
+    budgeted.forEach(category => {
+        const budget = getBudget(category);
+        const spent = result.data[category.id] || 0;
+        if (spent <= budget) return;
+
+        const added = amounts[category.id] - (previousAmounts[category.id] || 0);
+        if (added <= 0) return; // This save did not add to the overspend
+
+        const over = `${formatMoney(spent)} of ${formatMoney(budget)} spent (${formatMoney(spent - budget)} over)`;
+        const message = spent - added <= budget
+            ? `${formatCategoryLabel(category)} is now over its ${monthName} budget: ${over}`
+            : `${formatCategoryLabel(category)} is still over its ${monthName} budget: ${over}`;
+        console.warn(`⚠️ ${message}`);
+        notifications.warning(message);
+    });
+}
@@ -1,5 +1,6 @@
 // js/contact-form-panel.js
 // This module manages the slide-out contact form panel for both creating and editing contacts.
+import { notifications } from './notifications.js';
 
 export class ContactFormPanel {
     constructor() {
@@ -151,7 +152,7 @@ export class ContactFormPanel {
 
     validateForm(data) {
         if (!data.companyName && !data.contactPerson) {
-            alert('Please enter either a company name or a contact person.');
+            notifications.warning('Please enter either a company name or a contact person.');
             return false;
         }
         return true;
@@ -165,8 +166,8 @@ export class ContactFormPanel {
             // Pass back the data AND the ID (which will be null if creating a new contact)
             const wasSuccessful = await this.onSaveCallback(contactData, this.editingContactId);
             if (wasSuccessful) {
-                console.log('🔄 Contact saved successfully, refreshing all data...');
-                await this.refreshAllGlobalData();
+                // The save callback reloads contacts into the store, which refreshes every view
+                console.log('✅ Contact saved successfully');
                 this.close();
             }
         } else {
@@ -181,21 +182,6 @@ export class ContactFormPanel {
             console.error('❌ Save callback must be a function.');
         }
     }
-
-    async refreshAllGlobalData() {
-        try {
-            console.log('🔄 Refreshing all data after contact save...');
-            const { apiClient } = await import('./api-client.js');
-            window.allContacts = await apiClient.getContacts();
-            window.allProjects = await apiClient.getProjects();
-            if (typeof window.initializeCalendar === 'function') {
-                await window.initializeCalendar();
-            }
-            console.log('✅ Data refresh complete');
-        } catch (error) {
-            console.error('❌ Error refreshing data:', error);
-        }
-    }
 }
 
 export const contactFormPanel = new ContactFormPanel();
@@ -4,9 +4,11 @@
  */
 
 import { apiClient } from './api-client.js';
+import { saveEntry } from './transactions.js';
 import { projectFormModal } from './project-form-modal.js';
-import { refreshCalendar } from './calendar.js'; // Import the refresh function
-import { supabase } from './supabase-client.js';
+import { formatMoney } from './currency.js';
+import { getPaymentIncomeTax } from './tax.js';
+import { loadProjectCosts, getProjectProfit, formatMarginPercent } from './project-profit.js';
 
 // --- Status Configuration Function ---
 // This function provides the display properties for each project status.
@@ -59,7 +61,6 @@ export async function createContactProjects(contact, container, timelineComponen
                 // If projectData is null, it's a delete operation. Just refresh.
                 await component.loadAndRender(); // Refresh the project list on the contact page
                 await component.refreshTimeline(); // Refresh the activity timeline
-                await refreshCalendar(); // Refresh the main dashboard calendar
                 return true;
             }
 
@@ -67,27 +68,13 @@ export async function createContactProjects(contact, container, timelineComponen
             if (projectId) {
                 console.log(`Saving updates for project ID: ${projectId}`);
 
-                const { data: existingProject, error: fetchError } = await supabase
-                    .from('projects')
-                    .select('payment_schedule, name, total_amount, contact_id')
-                    .eq('id', projectId)
-                    .single();
+                const { data: existingProject, error: fetchError } = await apiClient.getProject(projectId);
 
                 if (fetchError) {
                     console.error('Error fetching existing project:', fetchError);
                     return false;
                 }
 
-                // Get the user ID from the Supabase auth session, with a fallback
-                const { data: { user } } = await supabase.auth.getUser();
-                const userId = user?.id || window.userId;
-
-                if (!userId) {
-                    console.error('❌ User ID not found. Unable to create transaction.');
-                    return false;
-                }
-                console.log('✅ User ID retrieved:', userId);
-
                 // Handle full payment transaction creation
                 if (projectData.payment_schedule?.type === 'full') {
                     const isPaidNow = projectData.payment_schedule.completed;
@@ -97,22 +84,17 @@ export async function createContactProjects(contact, container, timelineComponen
 
                     if (isPaidNow && !wasPaidBefore) {
                         const newTransaction = {
-                            user_id: userId,
                             type: 'income',
                             title: `Payment from ${existingProject.name}`,
                             description: `Project payment for ${existingProject.name}`,
-                            amount: projectData.total_amount,
+                            // Amount received, with the SST charged on it
+                            ...getPaymentIncomeTax(projectData, projectData.total_amount),
+                            currency: projectData.currency || existingProject.currency,
                             date: new Date().toISOString().substring(0, 10),
                         };
                         console.log('Attempting to create new full payment income transaction from contacts page:', newTransaction);
-                        const { error: transactionError } = await supabase
-                            .from('transactions')
-                            .insert([newTransaction]);
-
-                        if (transactionError) {
-                            console.error('Error creating new income transaction for full payment:', transactionError);
-                            return false;
-                        }
+                        // saveEntry patches the store, totals and month cache, and reports failures
+                        if (!(await saveEntry(newTransaction))) return false;
                     }
                 }
 
@@ -127,27 +109,18 @@ export async function createContactProjects(contact, container, timelineComponen
                         const isNewlyPaid = updatedMilestone.completed && (!existingMilestone || !existingMilestone.completed);
 
                         if (isNewlyPaid) {
-                            const milestoneAmount = (existingProject.total_amount * (updatedMilestone.percentage / 100));
+                            // The total, tax and currency being saved, not the ones stored before
+                            const milestoneAmount = projectData.total_amount * (updatedMilestone.percentage / 100);
                             const newTransaction = {
-                                user_id: userId,
                                 type: 'income',
                                 title: `Milestone payment from ${existingProject.name}`,
                                 description: `Milestone payment for ${existingProject.name} (Milestone ${index + 1})`,
-                                amount: milestoneAmount,
+                                ...getPaymentIncomeTax(projectData, milestoneAmount),
+                                currency: projectData.currency || existingProject.currency,
                                 date: new Date().toISOString().substring(0, 10),
                             };
                             console.log('Attempting to create new staggered payment income transaction from contacts page:', newTransaction);
-
-                            try {
-                                const { error: transactionError } = await supabase.from('transactions').insert([newTransaction]);
-                                if (transactionError) {
-                                    console.error('Error creating new income transaction for milestone:', transactionError);
-                                    return false;
-                                }
-                            } catch (error) {
-                                console.error('Caught an exception during transaction creation:', error);
-                                return false;
-                            }
+                            if (!(await saveEntry(newTransaction))) return false;
                         }
                     }
                 }
@@ -170,20 +143,15 @@ export async function createContactProjects(contact, container, timelineComponen
             if (result.success) {
                 await component.loadAndRender(); // Refresh the project list on the contact page
                 await component.refreshTimeline(); // Refresh the activity timeline
-                // NEW: Refresh global calendar data to prevent orphaned references
-                console.log('🔄 Refreshing global calendar data after project save...');
-                await refreshCalendar(); // Refresh the main dashboard calendar
-                if (window.initializeCalendar) {
-                    await window.initializeCalendar(); // Refresh global data arrays
-                }
+                // The modal reloads projects into the store after it closes, which refreshes the calendar
                 return true; // Tells the modal to close
             } else {
-                alert('Failed to save project.');
+                // The modal reports the failure with a Retry action
+                console.error('❌ Failed to save project:', result.error);
                 return false;
             }
         } catch (error) {
             console.error("Error saving project:", error);
-            alert('An error occurred while saving the project.');
             return false;
         }
     });
@@ -199,13 +167,22 @@ class ContactProjects {
         this.container = container;
         this.timelineComponent = timelineComponent;
         this.projects = [];
+        this.costs = {}; // { [project_id]: amount in the base currency }
     }
 
     async loadAndRender() {
         try {
-            const result = await apiClient.getProjectsByContact(this.contactId);
+            const [result, costs] = await Promise.all([
+                apiClient.getProjectsByContact(this.contactId),
+                // Without costs the cards still show, just without a margin
+                loadProjectCosts().catch(error => {
+                    console.error('❌ Error loading project costs:', error);
+                    return null;
+                })
+            ]);
             if (result.success) {
                 this.projects = result.data || [];
+                this.costs = costs;
                 this.render();
             } else {
                 throw new Error(result.error);
@@ -255,14 +232,24 @@ class ContactProjects {
         // Use the new getStatusConfig function to get status display properties
         const statusConfig = getStatusConfig(project.status);
 
+        // Gross margin once there is revenue or a cost to compare
+        const profit = this.costs ? getProjectProfit(project, this.costs[project.id] || 0) : null;
+        const marginLine = profit && (profit.revenue > 0 || profit.costs > 0)
+            ? `<p class="text-xs text-gray-500 mt-1">
+                    Costs ${formatMoney(profit.costs)} •
+                    Margin <span class="font-semibold ${profit.margin < 0 ? 'text-red-600' : 'text-green-700'}">${formatMoney(profit.margin)} (${formatMarginPercent(profit.marginPercent)})</span>
+               </p>`
+            : '';
+
         card.innerHTML = `
             <div class="flex justify-between items-start">
                 <div>
                     <h3 class="font-bold text-gray-800">${project.name || 'Untitled Project'}</h3>
                     <p class="text-sm text-gray-500 mt-1">
                         Due: ${project.end_date ? new Date(project.end_date).toLocaleDateString() : 'N/A'} • 
-                        <span class="font-semibold text-gray-700">RM ${project.total_amount ? project.total_amount.toLocaleString() : '0'}</span>
+                        <span class="font-semibold text-gray-700">${formatMoney(project.total_amount, project.currency)}</span>
                     </p>
+                    ${marginLine}
                 </div>
                 <span class="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusConfig.class}">
                     ${statusConfig.label}
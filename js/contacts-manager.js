@@ -4,12 +4,14 @@ import { apiClient } from './api-client.js';
 import { createContactProjects } from './contact-projects.js';
 import { createContactTimeline } from './contact-timeline.js';
 import { contactFormPanel } from './contact-form-panel.js'; // NEW: Import the contact form panel
+import { store, selectContacts } from './store.js';
+import { notifications } from './notifications.js';
+import { refetchTransactionData } from './transactions.js';
 
 export class ContactsManager {
     constructor() {
         this.currentView = 'list';
         this.currentContactId = null;
-        this.contacts = [];
         this.isLoading = false;
         // FIX: The contactFormPanel is now imported and should not be null
         this.contactFormPanel = contactFormPanel;
@@ -19,9 +21,20 @@ export class ContactsManager {
         console.log('👥 ContactsManager initialized');
     }
 
+    /**
+     * Contacts live in the shared store so the calendar and modals see the same list
+     */
+    get contacts() {
+        return selectContacts(store.getState());
+    }
+
     async init() {
         try {
             console.log('🚀 Initializing contacts module...');
+            // Re-render the list when contacts change elsewhere (e.g. realtime or another module)
+            store.subscribe(['contacts'], () => {
+                if (this.currentView === 'list' && !this.isLoading) this.renderCurrentView();
+            });
             // FIX: Initialize the form panel and connect it here
             this.contactFormPanel.init();
             this.connectFormPanel(this.contactFormPanel);
@@ -43,15 +56,8 @@ export class ContactsManager {
                 const transformedData = this.transformPanelDataToContactData(contactData);
                 const result = await this.saveContactFromPanel(transformedData, contactId);
                 if (result.success) {
-                    await this.loadContacts(); // Reload to show changes
-                    
-                    // FIX: Refresh global data after contact save
-                    window.allContacts = (await apiClient.getContacts()).data;
-                    window.allProjects = (await apiClient.getProjects()).data;
-                    if (typeof window.initializeCalendar === 'function') {
-                        await window.initializeCalendar();
-                    }
-                    console.log('✅ Global data refreshed after contact save');
+                    // Reloading puts the new list in the store for every other module
+                    await this.loadContacts();
                     
                     this.showNotification('Contact saved successfully!', 'success');
                     return true;
@@ -121,7 +127,7 @@ export class ContactsManager {
         try {
             const result = await apiClient.getContacts();
             if (result.success) {
-                this.contacts = result.data || [];
+                store.setState({ contacts: result.data || [] });
             } else {
                 throw new Error(result.error);
             }
@@ -371,11 +377,17 @@ export class ContactsManager {
         try {
             const result = await apiClient.deleteContact(contactId);
             if (result.success) {
-                this.showNotification('Contact deleted successfully', 'success');
+                this.showNotification('Contact moved to the trash', 'success', {
+                    actions: [{ label: 'Undo', onClick: () => this.restoreContact(contactId) }]
+                });
                 await this.loadContacts(); 
+            } else {
+                throw new Error(result.error);
             }
         } catch (error) {
-            this.showError('Failed to delete contact');
+            this.showError('Failed to delete contact', {
+                actions: [{ label: 'Retry', onClick: () => this.deleteContact(contactId) }]
+            });
         } finally {
             this.setLoading(false);
         }
@@ -392,7 +404,7 @@ export class ContactsManager {
             if (projects.length > 0) {
                 const projectNames = projects.map(p => p.name).slice(0, 5).join('\n• '); // Show max 5 projects
                 const moreText = projects.length > 5 ? `\n... and ${projects.length - 5} more` : '';
-                confirmMessage = `⚠️ WARNING: This will also delete ${projects.length} project(s):\n\n• ${projectNames}${moreText}\n\nThis action cannot be undone. Are you sure?`;
+                confirmMessage = `⚠️ WARNING: This will also delete ${projects.length} project(s):\n\n• ${projectNames}${moreText}\n\nThey can be restored together from the Trash. Are you sure?`;
             }
             
             if (confirm(confirmMessage)) {
@@ -410,30 +422,46 @@ export class ContactsManager {
     async deleteContactWithProjects(contactId, projects) {
         this.setLoading(true);
         try {
-            // Delete all projects first (cascade delete)
-            for (const project of projects) {
-                await apiClient.deleteProject(project.id);
-            }
-            
-            // Then delete the contact
-            const result = await apiClient.deleteContact(contactId);
+            // The projects go to the trash with the contact and come back with it
+            const result = await apiClient.deleteContact(contactId, { withProjects: projects.length > 0 });
             if (result.success) {
-                this.showNotification(`Contact and ${projects.length} project(s) deleted successfully`, 'success');
+                this.showNotification(`Contact and ${result.data.projects} project(s) moved to the trash`, 'success', {
+                    actions: [{ label: 'Undo', onClick: () => this.restoreContact(contactId) }]
+                });
                 await this.loadContacts(); 
+                if (result.data.projects > 0) await refetchTransactionData(null, { reloadProjects: true });
             } else {
                 throw new Error(result.error);
             }
         } catch (error) {
             console.error('Error deleting contact and projects:', error);
-            this.showError('Failed to delete contact and projects');
+            this.showError('Failed to delete contact and projects', {
+                actions: [{ label: 'Retry', onClick: () => this.confirmDeleteContact(contactId) }]
+            });
         } finally {
             this.setLoading(false);
         }
     }
     
+    /**
+     * Takes a contact (and the projects trashed with it) back out of the trash
+     */
+    async restoreContact(contactId) {
+        const result = await apiClient.restoreFromTrash('contacts', contactId);
+        if (!result.success) {
+            this.showError('Failed to restore contact', {
+                actions: [{ label: 'Retry', onClick: () => this.restoreContact(contactId) }]
+            });
+            return;
+        }
+        this.showNotification(`Contact restored${result.data.projects > 0 ? ` with ${result.data.projects} project(s)` : ''}`, 'info');
+        await this.loadContacts();
+        if (result.data.projects > 0) await refetchTransactionData(null, { reloadProjects: true });
+    }
+    
     setLoading(loading) { this.isLoading = loading; }
-    showNotification(message, type = 'info') { console.log(`[${type.toUpperCase()}] ${message}`); }
-    showError(message) { this.showNotification(message, 'error'); }
+    showNotification(message, type = 'info', options = {}) { notifications.notify(message, { ...options, type }); }
+    showError(message, options = {}) { this.showNotification(message, 'error', options); }
 }
 
 export const contactsManager = new ContactsManager();
\ No newline at end of file
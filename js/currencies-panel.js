@@ -0,0 +1,261 @@
+// js/currencies-panel.js
+import { apiClient } from './api-client.js';
+import { CONFIG } from './config.js';
+import { store, selectExchangeRates, selectTransactions, selectProjects, selectRecurringRules } from './store.js';
+import { notifications } from './notifications.js';
+import { applyExchangeRateChange, reloadTotals } from './transactions.js';
+import {
+    CURRENCIES,
+    getBaseCurrency,
+    saveBaseCurrency,
+    currencySymbol,
+    findUnconvertibleCurrencies,
+    renderCurrencyOptions
+} from './currency.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Initializes the "Currencies" slide-out panel, opened from the sidebar
+ * footer, where the base currency is chosen and exchange rates are entered.
+ */
+export function initializeCurrenciesPanel() {
+    console.log('💱 Initializing currencies panel...');
+    const currenciesBtn = document.getElementById('currencies-btn');
+    const currenciesModal = document.getElementById('currencies-modal');
+    const currenciesSidebar = document.getElementById('currencies-sidebar');
+    const ratesList = document.getElementById('exchange-rates-list');
+
+    if (!currenciesBtn || !currenciesModal) {
+        console.warn('⚠️ Currencies panel elements not found');
+        return;
+    }
+
+    // Labels such as "Goal Amount (RM)" follow the base currency
+    store.subscribe(['baseCurrency'], updateBaseCurrencyLabels);
+    updateBaseCurrencyLabels();
+
+    currenciesBtn.addEventListener('click', () => {
+        resetRateForm();
+        renderCurrenciesPanel();
+        currenciesModal.classList.remove('hidden');
+        setTimeout(() => {
+            currenciesSidebar.classList.remove('translate-x-full');
+        }, 10);
+    });
+
+    function closeCurrenciesModal() {
+        currenciesSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            currenciesModal.classList.add('hidden');
+        }, 300);
+    }
+
+    document.getElementById('close-currencies-btn')?.addEventListener('click', closeCurrenciesModal);
+    currenciesModal.addEventListener('click', (e) => {
+        if (e.target === currenciesModal) closeCurrenciesModal();
+    });
+
+    document.getElementById('base-currency').addEventListener('change', (e) => changeBaseCurrency(e.target.value));
+    document.getElementById('exchange-rate-currency').addEventListener('change', updateRateHint);
+    document.getElementById('exchange-rate-value').addEventListener('input', updateRateHint);
+    document.getElementById('cancel-exchange-rate-btn')?.addEventListener('click', resetRateForm);
+    document.getElementById('save-exchange-rate-btn')?.addEventListener('click', saveRate);
+    document.getElementById('exchange-rate-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveRate();
+    });
+
+    ratesList.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-rate-action]');
+        if (!button) return;
+        const { rateAction, id } = button.dataset;
+        if (rateAction === 'edit') {
+            editRate(id);
+        } else if (rateAction === 'delete') {
+            await deleteRate(id);
+        }
+    });
+
+    store.subscribe(['exchangeRates', 'baseCurrency', 'transactions', 'projects', 'recurringRules'], () => {
+        if (!currenciesModal.classList.contains('hidden')) renderCurrenciesPanel();
+    });
+
+    console.log('✅ Currencies panel initialized');
+}
+
+function updateBaseCurrencyLabels() {
+    const base = getBaseCurrency();
+    document.querySelectorAll('[data-base-currency]').forEach(label => {
+        label.textContent = currencySymbol(base).trim();
+    });
+    document.querySelectorAll('[data-base-currency-code]').forEach(label => {
+        label.textContent = base;
+    });
+}
+
+function renderCurrenciesPanel() {
+    const state = store.getState();
+    const base = getBaseCurrency(state);
+    document.getElementById('base-currency').innerHTML = renderCurrencyOptions(base);
+    renderMissingRates(state);
+    renderRateList(state);
+}
+
+/**
+ * Warns about currencies in use that have no rate to the base currency;
+ * their amounts are counted one-to-one until a rate is added
+ */
+function renderMissingRates(state) {
+    const container = document.getElementById('currencies-missing-rates');
+    const inUse = [
+        ...selectTransactions(state).map(transaction => transaction.currency),
+        ...selectProjects(state).map(project => project.currency),
+        ...selectRecurringRules(state).map(rule => rule.currency)
+    ];
+    const missing = findUnconvertibleCurrencies(inUse, state);
+    container.classList.toggle('hidden', missing.length === 0);
+    container.textContent = missing.length > 0
+        ? `No exchange rate to ${getBaseCurrency(state)} for ${missing.join(', ')}. These amounts are counted one-to-one until a rate is added.`
+        : '';
+}
+
+function renderRateList(state) {
+    const list = document.getElementById('exchange-rates-list');
+    const rates = selectExchangeRates(state);
+
+    if (rates.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No exchange rates yet. Add one for each foreign currency you bill or pay in.</p>';
+        return;
+    }
+
+    // Newest first within each pair
+    const pairs = {};
+    rates.forEach(rate => {
+        const pair = `${rate.currency}/${rate.base_currency}`;
+        (pairs[pair] ||= []).unshift(rate);
+    });
+
+    list.innerHTML = Object.entries(pairs).sort(([a], [b]) => a.localeCompare(b)).map(([pair, pairRates]) => `
+        <div class="bg-white border border-gray-200 rounded-lg p-3">
+            <p class="text-sm font-medium text-gray-800 mb-2">${escapeHtml(pair)}</p>
+            <div class="space-y-1">
+                ${pairRates.map(rate => `
+                    <div class="flex items-center justify-between text-sm">
+                        <span class="text-gray-600">From ${rate.effective_date}</span>
+                        <span class="font-semibold text-gray-800 ml-auto mr-3">1 ${escapeHtml(rate.currency)} = ${formatRate(rate.rate)} ${escapeHtml(rate.base_currency)}</span>
+                        <div class="flex space-x-2 flex-shrink-0">
+                            <button type="button" data-rate-action="edit" data-id="${rate.id}" class="text-xs font-medium text-indigo-600 hover:text-indigo-800">Edit</button>
+                            <button type="button" data-rate-action="delete" data-id="${rate.id}" class="text-xs font-medium text-red-600 hover:text-red-800">Delete</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Rates are entered against the base currency, so it is left out of the picker
+ */
+function renderForeignCurrencyOptions(selected) {
+    const base = getBaseCurrency();
+    return CURRENCIES.filter(currency => currency !== base)
+        .map(currency => `<option value="${currency}"${currency === selected ? ' selected' : ''}>${currency}</option>`)
+        .join('');
+}
+
+function resetRateForm() {
+    document.getElementById('exchange-rate-currency').innerHTML = renderForeignCurrencyOptions();
+    document.getElementById('exchange-rate-date').value = new Date().toISOString().slice(0, 10);
+    document.getElementById('exchange-rate-value').value = '';
+    updateRateHint();
+}
+
+function editRate(rateId) {
+    const rate = selectExchangeRates(store.getState()).find(r => r.id === rateId);
+    if (!rate) return;
+    // Rates are entered against the base currency; older ones may be against a previous base
+    if (rate.base_currency !== getBaseCurrency()) {
+        notifications.info(`This rate is against ${rate.base_currency}. Delete it and add a new rate against ${getBaseCurrency()} instead.`);
+        return;
+    }
+    document.getElementById('exchange-rate-currency').innerHTML = renderForeignCurrencyOptions(rate.currency);
+    document.getElementById('exchange-rate-date').value = rate.effective_date;
+    document.getElementById('exchange-rate-value').value = parseFloat(rate.rate);
+    updateRateHint();
+    document.getElementById('exchange-rate-value').focus();
+}
+
+function updateRateHint() {
+    const currency = document.getElementById('exchange-rate-currency').value;
+    const base = getBaseCurrency();
+    const value = parseFloat(document.getElementById('exchange-rate-value').value);
+    document.getElementById('exchange-rate-label').textContent = `${base} per ${currency}`;
+    document.getElementById('exchange-rate-hint').textContent = value > 0
+        ? `1 ${currency} = ${formatRate(value)} ${base}. Used for ${currency} amounts dated on or after this day, until a later rate.`
+        : `How many ${base} one ${currency} buys. Used for ${currency} amounts dated on or after this day, until a later rate.`;
+}
+
+async function saveRate() {
+    const base = getBaseCurrency();
+    const currency = document.getElementById('exchange-rate-currency').value;
+    const effectiveDate = document.getElementById('exchange-rate-date').value;
+    const rate = parseFloat(document.getElementById('exchange-rate-value').value);
+
+    if (!currency || currency === base) {
+        notifications.warning(`Pick a currency other than ${base}.`);
+        return;
+    }
+    if (!effectiveDate) {
+        notifications.warning('Please pick the date the rate applies from.');
+        return;
+    }
+    if (!(rate > 0)) {
+        notifications.warning('Please enter a rate greater than zero.');
+        return;
+    }
+
+    const result = await apiClient.saveExchangeRate({ currency, base_currency: base, rate, effective_date: effectiveDate });
+    if (!result.success) {
+        notifications.error(`Failed to save the ${currency} rate`, {
+            actions: [{ label: 'Retry', onClick: saveRate }]
+        });
+        return;
+    }
+
+    const isUpdate = selectExchangeRates(store.getState()).some(r => r.id === result.data.id);
+    await applyExchangeRateChange({ eventType: isUpdate ? 'UPDATE' : 'INSERT', new: result.data, old: { id: result.data.id } });
+    notifications.success(`1 ${currency} = ${formatRate(rate)} ${base} from ${effectiveDate}`);
+    resetRateForm();
+}
+
+async function deleteRate(rateId) {
+    const rate = selectExchangeRates(store.getState()).find(r => r.id === rateId);
+    if (!rate) return;
+    if (!confirm(`Delete the ${rate.currency}/${rate.base_currency} rate from ${rate.effective_date}? Amounts on those dates will use the nearest other rate.`)) return;
+
+    const result = await apiClient.deleteExchangeRate(rateId);
+    if (!result.success) {
+        notifications.error(`Failed to delete the ${rate.currency} rate`);
+        return;
+    }
+    await applyExchangeRateChange({ eventType: 'DELETE', new: {}, old: { id: rateId } });
+    notifications.success(`${rate.currency} rate from ${rate.effective_date} deleted`);
+}
+
+async function changeBaseCurrency(currency) {
+    saveBaseCurrency(currency);
+    // All-time totals were converted to the old base
+    await reloadTotals();
+    resetRateForm();
+    const rates = selectExchangeRates(store.getState());
+    const missing = findUnconvertibleCurrencies([CONFIG.BASE_CURRENCY, ...rates.flatMap(rate => [rate.currency, rate.base_currency])]);
+    notifications.success(`Totals are now shown in ${currency}`);
+    if (missing.length > 0) {
+        notifications.warning(`Add rates to ${currency} for ${missing.join(', ')} - those amounts are counted one-to-one for now.`);
+    }
+}
+
+function formatRate(rate) {
+    return (parseFloat(rate) || 0).toLocaleString('en-MY', { maximumFractionDigits: 6 });
+}
@@ -0,0 +1,164 @@
+/**
+ * currency.js - Currencies and conversion to the base currency
+ * Transactions and projects keep the amount in the currency they were made
+ * in. Wherever amounts are added up (balances, monthly summaries, goals,
+ * budgets) they are converted to the base currency with the exchange rate
+ * in effect on the transaction's date, from the user's exchange_rates table.
+ */
+
+import { CONFIG } from './config.js';
+import { store, selectExchangeRates } from './store.js';
+
+const BASE_CURRENCY_KEY = 'base-currency';
+
+// Offered in the currency pickers; rates can be added for any ISO code
+export const CURRENCIES = ['MYR', 'USD', 'SGD', 'EUR', 'GBP', 'AUD', 'CNY', 'JPY', 'IDR', 'THB'];
+
+/**
+ * Base currency chosen in this browser
+ * @returns {string} ISO code, e.g. 'MYR'
+ */
+export function loadBaseCurrency() {
+    return localStorage.getItem(BASE_CURRENCY_KEY) || CONFIG.BASE_CURRENCY;
+}
+
+export function saveBaseCurrency(currency) {
+    localStorage.setItem(BASE_CURRENCY_KEY, currency);
+    store.setState({ baseCurrency: currency });
+}
+
+export function getBaseCurrency(state = store.getState()) {
+    return state.baseCurrency || CONFIG.BASE_CURRENCY;
+}
+
+// ==========================================
+// RATES
+// ==========================================
+
+/**
+ * Rate of a currency pair on a date: the latest rate entered on or before
+ * the date, or the earliest one when the date predates them all
+ * @returns {number|null} Units of `to` per unit of `from`, null when the pair has no rates
+ */
+function pairRate(from, to, date, rates) {
+    const direct = rates.filter(rate => rate.currency === from && rate.base_currency === to);
+    const inverse = rates.filter(rate => rate.currency === to && rate.base_currency === from);
+    const candidates = [
+        ...direct.map(rate => ({ date: rate.effective_date, value: parseFloat(rate.rate) })),
+        ...inverse.map(rate => ({ date: rate.effective_date, value: 1 / parseFloat(rate.rate) }))
+    ].filter(candidate => candidate.value > 0 && isFinite(candidate.value));
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => a.date.localeCompare(b.date));
+    const onOrBefore = candidates.filter(candidate => !date || candidate.date <= date);
+    return (onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : candidates[0]).value;
+}
+
+/**
+ * Exchange rate between two currencies on a date. Pairs without a rate of
+ * their own are converted through a currency both have rates with.
+ * @param {string} from - ISO code
+ * @param {string} to - ISO code
+ * @param {string|null} date - 'YYYY-MM-DD', null for the latest rate
+ * @param {Array<ExchangeRate>} [rates]
+ * @returns {number|null} Null when no rate connects the two
+ */
+export function getRate(from, to, date, rates = selectExchangeRates(store.getState())) {
+    if (!from || !to || from === to) return 1;
+    const direct = pairRate(from, to, date, rates);
+    if (direct !== null) return direct;
+
+    const via = new Set(rates.flatMap(rate => [rate.currency, rate.base_currency]));
+    for (const pivot of via) {
+        if (pivot === from || pivot === to) continue;
+        const first = pairRate(from, pivot, date, rates);
+        const second = first !== null ? pairRate(pivot, to, date, rates) : null;
+        if (second !== null) return first * second;
+    }
+    return null;
+}
+
+/**
+ * Converts an amount to the base currency. Amounts in a currency without
+ * any rate are counted one-to-one; the currencies panel lists them.
+ * @param {number} amount
+ * @param {string|null} currency - Null for amounts saved before currencies were recorded
+ * @param {string|null} date - 'YYYY-MM-DD'
+ * @param {AppState} [state]
+ * @returns {number}
+ */
+export function toBase(amount, currency, date, state = store.getState()) {
+    const rate = getRate(currency || CONFIG.BASE_CURRENCY, getBaseCurrency(state), date, selectExchangeRates(state));
+    return (parseFloat(amount) || 0) * (rate ?? 1);
+}
+
+/**
+ * A transaction's amount in the base currency, at the rate of its date
+ * @param {Transaction} transaction
+ * @param {AppState} [state]
+ * @returns {number}
+ */
+export function transactionToBase(transaction, state = store.getState()) {
+    return toBase(transaction.amount, transaction.currency, transaction.date, state);
+}
+
+/**
+ * Currencies in use that cannot be converted to the base currency
+ * @param {Array<string>} currencies
+ * @returns {Array<string>}
+ */
+export function findUnconvertibleCurrencies(currencies, state = store.getState()) {
+    const base = getBaseCurrency(state);
+    return [...new Set(currencies.filter(Boolean))]
+        .filter(currency => getRate(currency, base, null, selectExchangeRates(state)) === null);
+}
+
+// ==========================================
+// DISPLAY
+// ==========================================
+
+/**
+ * Prefix used before amounts, e.g. 'RM', 'US$', '€' ('SGD ' for currencies without a symbol)
+ * @param {string} [currency] - Defaults to the base currency
+ * @returns {string}
+ */
+export function currencySymbol(currency = getBaseCurrency()) {
+    try {
+        const symbol = new Intl.NumberFormat('en-MY', { style: 'currency', currency })
+            .formatToParts(0)
+            .find(part => part.type === 'currency')?.value || currency;
+        return symbol === currency ? `${currency} ` : symbol;
+    } catch {
+        return `${currency} `; // Not an ISO code Intl knows
+    }
+}
+
+/**
+ * Formats an amount with its currency, e.g. 'US$1,200.00'
+ * @param {number} amount
+ * @param {string|null} [currency] - Defaults to the base currency; null for amounts saved before currencies were recorded
+ * @returns {string}
+ */
+export function formatMoney(amount, currency = getBaseCurrency()) {
+    const formatted = Math.abs(parseFloat(amount) || 0).toLocaleString('en-MY', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${amount < 0 ? '-' : ''}${currencySymbol(currency || CONFIG.BASE_CURRENCY)}${formatted}`;
+}
+
+/**
+ * Whether an amount is in a currency other than the base one
+ */
+export function isForeign(currency, state = store.getState()) {
+    return (currency || CONFIG.BASE_CURRENCY) !== getBaseCurrency(state);
+}
+
+/**
+ * <option> elements for a currency picker
+ * @param {string} [selected] - Defaults to the base currency; kept even when it is not in CURRENCIES
+ * @returns {string} HTML
+ */
+export function renderCurrencyOptions(selected = getBaseCurrency()) {
+    const currencies = CURRENCIES.includes(selected) ? CURRENCIES : [...CURRENCIES, selected];
+    return currencies
+        .map(currency => `<option value="${currency}"${currency === selected ? ' selected' : ''}>${currency}</option>`)
+        .join('');
+}
@@ -0,0 +1,301 @@
+/**
+ * data-export.js - Exports for the accountant
+ * Builds transactions, projects (one row per payment milestone) and contacts
+ * (with what they were billed and have paid) as sheets of plain cells, then
+ * writes them out as CSV files or as one XLSX workbook. XLSX needs SheetJS,
+ * loaded from its CDN in index.html as window.XLSX.
+ */
+
+import { apiClient } from './api-client.js';
+import { findCategory } from './categories.js';
+import { findAccount } from './accounts.js';
+import { getBaseCurrency, toBase } from './currency.js';
+import { CONFIG } from './config.js';
+import { isSplit, shareOutAmount } from './splits.js';
+import { getProjectPaymentsWithTax } from './tax.js';
+
+/**
+ * @typedef {Object} ExportSheet
+ * @property {string} name - Sheet name and file name stem, e.g. 'Transactions'
+ * @property {Array<Array>} rows - Header row first; numbers are left as numbers
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string|null} from - 'YYYY-MM-DD', null for no lower bound
+ * @property {string|null} to - 'YYYY-MM-DD', null for no upper bound
+ * @property {Array<string>} types - Transaction types to include, e.g. ['income', 'expense']
+ * @property {Array<string>} datasets - Any of 'transactions', 'projects', 'contacts'
+ */
+
+export const EXPORT_TRANSACTION_TYPES = {
+    income: 'Income',
+    expense: 'Expense',
+    transfer: 'Transfer',
+    payable: 'Payable'
+};
+
+// Statuses whose payment schedule has been invoiced
+const BILLED_STATUSES = ['invoice', 'partially_paid', 'completed'];
+
+// Titles given to the income recorded when a project payment is marked paid
+const PROJECT_PAYMENT_TITLE = /^(?:Milestone payment|Payment) from (.+)$/;
+
+/**
+ * Loads the data and builds the chosen sheets
+ * @param {ExportOptions} options
+ * @returns {Promise<Array<ExportSheet>>}
+ */
+export async function buildExport({ from, to, types, datasets }) {
+    const [projectsResult, contactsResult] = await Promise.all([apiClient.getAllProjects(), apiClient.getContacts()]);
+    if (!projectsResult.success) throw new Error(projectsResult.error);
+    if (!contactsResult.success) throw new Error(contactsResult.error);
+    const projects = projectsResult.data;
+    const contacts = contactsResult.data;
+
+    const sheets = [];
+    if (datasets.includes('transactions')) {
+        const result = await apiClient.getTransactionsInRange(from, to);
+        if (!result.success) throw new Error(result.error);
+        const transactions = result.data.filter(transaction => types.includes(transaction.type));
+        sheets.push(buildTransactionSheet(transactions, projects, contacts));
+    }
+    if (datasets.includes('projects')) {
+        sheets.push(buildProjectSheet(projects.filter(project => isProjectInRange(project, from, to)), contacts));
+    }
+    if (datasets.includes('contacts')) {
+        sheets.push(buildContactSheet(contacts, projects));
+    }
+    return sheets;
+}
+
+// ==========================================
+// SHEETS
+// ==========================================
+
+/**
+ * One row per transaction, with its category, account and project. A split
+ * transaction gets a row per line, each with the line's amount, category and project.
+ * @param {Array<Transaction>} transactions
+ * @param {Array<Project>} projects
+ * @param {Array<Contact>} contacts
+ * @returns {ExportSheet}
+ */
+export function buildTransactionSheet(transactions, projects, contacts) {
+    const base = getBaseCurrency();
+    const header = ['Date', 'Type', 'Title', 'Description', 'Amount', 'Currency', `Amount (${base})`, 'SST', 'Category', 'Account', 'Transfer to', 'Project', 'Client', 'Split'];
+    const rows = transactions.flatMap(transaction => {
+        const baseAmount = toBase(transaction.amount, transaction.currency, transaction.date);
+        const lines = shareOutAmount(transaction, baseAmount);
+        // SST is in the transaction's currency, shared over the lines like the amount
+        const taxShares = shareOutAmount(transaction, parseFloat(transaction.tax_amount) || 0);
+        return lines.map(([line, share], index) => {
+            const project = line.project_id
+                ? projects.find(project => project.id === line.project_id) || null
+                : findTransactionProject(transaction, projects);
+            return [
+                transaction.date,
+                EXPORT_TRANSACTION_TYPES[transaction.type] || transaction.type,
+                transaction.title || '',
+                transaction.description || '',
+                roundMoney(line.amount),
+                transaction.currency || CONFIG.BASE_CURRENCY,
+                roundMoney(share),
+                taxShares[index][1] ? roundMoney(taxShares[index][1]) : '',
+                findCategory(line.category_id)?.name || '',
+                findAccount(transaction.account_id)?.name || '',
+                transaction.type === 'transfer' ? findAccount(transaction.transfer_account_id)?.name || '' : '',
+                project?.name || '',
+                project ? contactName(contacts, project.contact_id) : '',
+                isSplit(transaction) ? `${index + 1} of ${lines.length}` : ''
+            ];
+        });
+    });
+    return { name: 'Transactions', rows: [header, ...rows] };
+}
+
+/**
+ * One row per payment milestone, with its SST; a full payment is a single row and a
+ * project without a payment schedule gets one row with the milestone columns empty
+ * @param {Array<Project>} projects
+ * @param {Array<Contact>} contacts
+ * @returns {ExportSheet}
+ */
+export function buildProjectSheet(projects, contacts) {
+    const header = ['Project', 'Client', 'Status', 'Start date', 'Total', 'Currency', 'Payment', 'Milestone', 'Percentage', 'Milestone amount', 'SST rate', 'SST', 'Billed', 'Due date', 'Paid'];
+    const rows = projects.flatMap(project => {
+        const details = [
+            project.name || '',
+            contactName(contacts, project.contact_id),
+            project.status || '',
+            project.start_date || '',
+            roundMoney(project.total_amount),
+            project.currency || CONFIG.BASE_CURRENCY
+        ];
+        const payments = getProjectPaymentsWithTax(project);
+        if (payments.length === 0) return [[...details, '', '', '', '', '', '', '', '', '']];
+        return payments.map(payment => [
+            ...details,
+            project.payment_schedule.type === 'full' ? 'Full' : 'Staggered',
+            payment.name,
+            payment.percentage,
+            roundMoney(payment.amount),
+            project.tax_rate ? `${parseFloat(project.tax_rate)}%${project.tax_inclusive ? ' incl.' : ''}` : '',
+            roundMoney(payment.tax),
+            roundMoney(payment.gross),
+            payment.due_date || '',
+            payment.paid ? 'Yes' : 'No'
+        ]);
+    });
+    return { name: 'Projects', rows: [header, ...rows] };
+}
+
+/**
+ * One row per contact with their lifetime billed, paid and outstanding
+ * amounts in the base currency, with SST like the Projects sheet's Billed
+ * column (each payment converted at its due date)
+ * @param {Array<Contact>} contacts
+ * @param {Array<Project>} projects
+ * @returns {ExportSheet}
+ */
+export function buildContactSheet(contacts, projects) {
+    const base = getBaseCurrency();
+    const header = ['Company', 'Contact person', 'Email', 'Phone', 'Projects', `Billed (${base})`, `Paid (${base})`, `Outstanding (${base})`];
+    const rows = contacts.map(contact => {
+        const contactProjects = projects.filter(project => project.contact_id === contact.id);
+        let billed = 0;
+        let paid = 0;
+        contactProjects
+            .filter(project => BILLED_STATUSES.includes(project.status))
+            .forEach(project => getProjectPaymentsWithTax(project).forEach(payment => {
+                const amount = toBase(payment.gross, project.currency, payment.due_date || project.start_date);
+                billed += amount;
+                if (payment.paid) paid += amount;
+            }));
+        return [
+            contact.company_name || '',
+            contact.contact_person || '',
+            contact.email || '',
+            contact.phone || '',
+            contactProjects.length,
+            roundMoney(billed),
+            roundMoney(paid),
+            roundMoney(billed - paid)
+        ];
+    });
+    return { name: 'Contacts', rows: [header, ...rows] };
+}
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * The project a transaction belongs to: its project_id when it has one,
+ * otherwise the project named in a payment's "Payment from ..." title
+ * @returns {Project|null}
+ */
+function findTransactionProject(transaction, projects) {
+    if (transaction.project_id) return projects.find(project => project.id === transaction.project_id) || null;
+    if (transaction.type !== 'income') return null;
+    const name = transaction.title?.match(PROJECT_PAYMENT_TITLE)?.[1];
+    return name ? projects.find(project => project.name === name) || null : null;
+}
+
+/**
+ * Whether any of a project's dates (start, payment due dates, or creation
+ * when it has none) falls in the range
+ */
+function isProjectInRange(project, from, to) {
+    if (!from && !to) return true;
+    const schedule = project.payment_schedule || {};
+    const dates = [
+        project.start_date,
+        schedule.due_date,
+        ...(schedule.milestones || []).map(milestone => milestone.due_date)
+    ].filter(Boolean);
+    if (dates.length === 0 && project.created_at) dates.push(project.created_at.slice(0, 10));
+    return dates.some(date => (!from || date >= from) && (!to || date <= to));
+}
+
+function contactName(contacts, contactId) {
+    const contact = contacts.find(c => c.id === contactId);
+    return contact ? contact.company_name || contact.contact_person || '' : '';
+}
+
+function roundMoney(amount) {
+    return Math.round((parseFloat(amount) || 0) * 100) / 100;
+}
+
+// ==========================================
+// FILES
+// ==========================================
+
+/**
+ * Writes a sheet as CSV text
+ * @param {ExportSheet} sheet
+ * @returns {string}
+ */
+export function toCsv(sheet) {
+    return sheet.rows.map(row => row.map(csvField).join(',')).join('\r\n');
+}
+
+function csvField(value) {
+    const text = String(escapeFormula(value) ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Text that a spreadsheet would run as a formula gets a leading quote, so an
+ * imported statement memo such as "=HYPERLINK(...)" stays text. Numbers are
+ * written as they are.
+ */
+function escapeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Whether SheetJS has loaded (it comes from a CDN, so it may not have when offline)
+ */
+export function canWriteXlsx() {
+    return typeof window !== 'undefined' && !!window.XLSX;
+}
+
+/**
+ * Downloads each sheet as its own CSV file
+ * @param {Array<ExportSheet>} sheets
+ * @param {string} suffix - Added to every file name, e.g. '2026-01-01-to-2026-03-31'
+ */
+export function downloadCsv(sheets, suffix) {
+    sheets.forEach(sheet => {
+        // The byte order mark makes Excel read the file as UTF-8
+        const blob = new Blob(['\uFEFF' + toCsv(sheet)], { type: 'text/csv;charset=utf-8' });
+        downloadBlob(blob, `${sheet.name.toLowerCase()}-${suffix}.csv`);
+    });
+}
+
+/**
+ * Downloads the sheets as one workbook
+ * @param {Array<ExportSheet>} sheets
+ * @param {string} suffix
+ */
+export function downloadXlsx(sheets, suffix) {
+    const { XLSX } = window;
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(sheet => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheet.rows.map(row => row.map(escapeFormula))), sheet.name);
+    });
+    XLSX.writeFile(workbook, `export-${suffix}.xlsx`);
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoked later so the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
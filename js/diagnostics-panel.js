@@ -0,0 +1,133 @@
+// js/diagnostics-panel.js
+import { apiClient } from './api-client.js';
+import { schemaDiagnostics } from './project-schema.js';
+import { store, selectProjectById, selectContactById } from './store.js';
+import { refetchTransactionData } from './transactions.js';
+import { notifications } from './notifications.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Initializes the "Data issues" chip in the sidebar and the panel listing projects
+ * whose payment_schedule or tasks JSON did not match the expected shape.
+ */
+export function initializeDiagnosticsPanel() {
+    console.log('🩺 Initializing diagnostics panel...');
+    const statusBtn = document.getElementById('diagnostics-btn');
+    const modal = document.getElementById('diagnostics-modal');
+    const sidebar = document.getElementById('diagnostics-sidebar');
+    const list = document.getElementById('diagnostics-list');
+
+    if (!statusBtn || !modal) {
+        console.warn('⚠️ Diagnostics panel elements not found');
+        return;
+    }
+
+    schemaDiagnostics.onChange(records => {
+        renderStatus(records);
+        if (!modal.classList.contains('hidden')) renderRecords(records);
+    });
+    renderStatus(schemaDiagnostics.list());
+
+    statusBtn.addEventListener('click', openPanel);
+    document.getElementById('close-diagnostics-btn')?.addEventListener('click', closePanel);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closePanel();
+    });
+
+    list.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-diagnostics-action]');
+        if (!button) return;
+
+        const project = selectProjectById(store.getState(), button.dataset.projectId);
+        if (!project) {
+            notifications.warning('This project is no longer loaded.');
+            return;
+        }
+
+        if (button.dataset.diagnosticsAction === 'open') {
+            const contact = selectContactById(store.getState(), project.contact_id);
+            if (!contact) {
+                notifications.error(`Cannot open "${project.name}": its contact is missing.`);
+                return;
+            }
+            closePanel();
+            const { projectFormModal } = await import('./project-form-modal.js');
+            projectFormModal.openForEdit(project, contact);
+            return;
+        }
+
+        // Projects in the store are already normalized, so saving them back
+        // stores the repaired JSON
+        button.disabled = true;
+        const result = await apiClient.updateProject(project.id, project);
+        if (result.success) {
+            notifications.success(`Saved cleaned-up data for "${project.name}"`);
+            await refetchTransactionData(null, { reloadProjects: true });
+        } else {
+            notifications.error(`Failed to save "${project.name}"`);
+            button.disabled = false;
+        }
+    });
+
+    function renderStatus(records) {
+        statusBtn.classList.toggle('hidden', records.length === 0);
+        document.getElementById('diagnostics-status-text').textContent =
+            `${records.length} project${records.length === 1 ? '' : 's'} with data issues`;
+    }
+
+    function renderRecords(records) {
+        if (records.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">All project data looks good.</p>';
+            return;
+        }
+        list.innerHTML = records.map(record => createRecordCard(record)).join('');
+    }
+
+    function openPanel() {
+        renderRecords(schemaDiagnostics.list());
+        modal.classList.remove('hidden');
+        setTimeout(() => {
+            sidebar.classList.remove('translate-x-full');
+        }, 10);
+    }
+
+    function closePanel() {
+        sidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            modal.classList.add('hidden');
+        }, 300);
+    }
+
+    console.log('✅ Diagnostics panel initialized');
+}
+
+/**
+ * Builds the card for one project's schema issues
+ * @param {Object} record - Record from schemaDiagnostics
+ * @returns {string} HTML string
+ */
+function createRecordCard(record) {
+    const unresolved = record.issues.filter(issue => !issue.fixed).length;
+    const rows = record.issues.map(issue => `
+        <li class="flex items-start space-x-2">
+            <span class="${issue.fixed ? 'text-green-600' : 'text-red-600'}">${issue.fixed ? '✓' : '✕'}</span>
+            <span><code class="text-gray-500">${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}</span>
+        </li>
+    `).join('');
+
+    return `
+        <div class="border ${unresolved > 0 ? 'border-red-200 bg-red-50' : 'border-amber-200 bg-amber-50'} rounded-lg p-4">
+            <p class="text-sm font-semibold text-gray-800">${escapeHtml(record.project_name || 'Untitled project')}</p>
+            <p class="text-xs text-gray-500">${unresolved > 0 ? `${unresolved} problem${unresolved === 1 ? '' : 's'} need attention` : 'Repaired when loaded - save to store the fix'}</p>
+            <ul class="text-xs text-gray-700 mt-2 space-y-1">${rows}</ul>
+            <details class="mt-2">
+                <summary class="text-xs text-gray-500 cursor-pointer">Stored JSON</summary>
+                <pre class="text-xs bg-white border border-gray-200 rounded p-2 mt-1 overflow-x-auto">${escapeHtml(JSON.stringify(record.raw, null, 2))}</pre>
+            </details>
+            <div class="flex justify-end space-x-2 mt-3">
+                <button data-diagnostics-action="open" data-project-id="${record.project_id}" class="bg-white py-1 px-3 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50">Open Project</button>
+                <button data-diagnostics-action="save" data-project-id="${record.project_id}" class="bg-indigo-600 py-1 px-3 border border-transparent rounded-md text-xs font-medium text-white hover:bg-indigo-700">Save Cleaned-up Data</button>
+            </div>
+        </div>
+    `;
+}
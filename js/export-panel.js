@@ -0,0 +1,127 @@
+// js/export-panel.js
+import { notifications } from './notifications.js';
+import { buildExport, canWriteXlsx, downloadCsv, downloadXlsx } from './data-export.js';
+
+/**
+ * Initializes the "Export Data" slide-out panel: a date range, the data to
+ * include and the transaction types are picked, then everything is
+ * downloaded as one XLSX workbook or as a CSV file per dataset.
+ */
+export function initializeExportPanel() {
+    console.log('📤 Initializing data export...');
+    const exportBtn = document.getElementById('export-data-btn');
+    const exportModal = document.getElementById('export-modal');
+    const exportSidebar = document.getElementById('export-sidebar');
+
+    if (!exportBtn || !exportModal) {
+        console.warn('⚠️ Data export elements not found');
+        return;
+    }
+
+    exportBtn.addEventListener('click', () => {
+        resetExportForm();
+        exportModal.classList.remove('hidden');
+        setTimeout(() => {
+            exportSidebar.classList.remove('translate-x-full');
+        }, 10);
+    });
+
+    function closeExportModal() {
+        exportSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            exportModal.classList.add('hidden');
+        }, 300);
+    }
+
+    document.getElementById('close-export-btn')?.addEventListener('click', closeExportModal);
+    document.getElementById('cancel-export-btn')?.addEventListener('click', closeExportModal);
+    exportModal.addEventListener('click', (e) => {
+        if (e.target === exportModal) closeExportModal();
+    });
+
+    // Transaction types only matter when transactions are exported
+    document.querySelectorAll('input[name="export-dataset"]').forEach(input => {
+        input.addEventListener('change', updateTypeOptions);
+    });
+    document.getElementById('export-form')?.addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('save-export-btn')?.addEventListener('click', async () => {
+        if (await runExport()) closeExportModal();
+    });
+
+    console.log('✅ Data export initialized');
+}
+
+/**
+ * Defaults to this year so far
+ */
+function resetExportForm() {
+    const today = new Date().toISOString().slice(0, 10);
+    document.getElementById('export-from').value = `${today.slice(0, 4)}-01-01`;
+    document.getElementById('export-to').value = today;
+    // SheetJS comes from a CDN; without it only CSV can be written
+    const xlsxOption = document.querySelector('input[name="export-format"][value="xlsx"]');
+    xlsxOption.disabled = !canWriteXlsx();
+    if (xlsxOption.disabled) document.querySelector('input[name="export-format"][value="csv"]').checked = true;
+    updateTypeOptions();
+}
+
+function updateTypeOptions() {
+    const exportsTransactions = checkedValues('export-dataset').includes('transactions');
+    document.getElementById('export-types').disabled = !exportsTransactions;
+    document.getElementById('export-types').classList.toggle('opacity-50', !exportsTransactions);
+}
+
+function checkedValues(name) {
+    return [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+}
+
+/**
+ * Builds and downloads the export
+ * @returns {Promise<boolean>} Whether the files were written
+ */
+async function runExport() {
+    const from = document.getElementById('export-from').value || null;
+    const to = document.getElementById('export-to').value || null;
+    const datasets = checkedValues('export-dataset');
+    const types = checkedValues('export-type');
+    const format = document.querySelector('input[name="export-format"]:checked')?.value || 'csv';
+
+    if (from && to && from > to) {
+        notifications.warning('The start date is after the end date.');
+        return false;
+    }
+    if (datasets.length === 0) {
+        notifications.warning('Pick at least one thing to export.');
+        return false;
+    }
+    if (datasets.includes('transactions') && types.length === 0) {
+        notifications.warning('Pick at least one transaction type.');
+        return false;
+    }
+
+    const button = document.getElementById('save-export-btn');
+    button.disabled = true;
+    button.textContent = 'Exporting...';
+    try {
+        const sheets = await buildExport({ from, to, types, datasets });
+        const suffix = from || to ? `${from || 'start'}-to-${to || 'today'}` : 'all';
+        if (format === 'xlsx') {
+            downloadXlsx(sheets, suffix);
+        } else {
+            downloadCsv(sheets, suffix);
+        }
+        const counts = sheets.map(sheet => `${sheet.name} (${sheet.rows.length - 1} rows)`);
+        console.log(`📤 Exported ${counts.join(', ')} as ${format.toUpperCase()}`);
+        notifications.success(`Exported ${counts.join(', ')}`);
+        return true;
+    } catch (error) {
+        console.error('❌ Error exporting data:', error);
+        notifications.error('Export failed', {
+            actions: [{ label: 'Retry', onClick: runExport }]
+        });
+        return false;
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Export';
+    }
+}
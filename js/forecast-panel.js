@@ -0,0 +1,187 @@
+// js/forecast-panel.js
+import { apiClient } from './api-client.js';
+import { store } from './store.js';
+import { notifications } from './notifications.js';
+import { formatMoney } from './currency.js';
+import { FORECAST_MONTH_OPTIONS, loadForecastMonths, saveForecastMonths, buildForecast } from './forecast.js';
+import { escapeHtml } from './utils.js';
+
+// Transactions recorded for days after today, and which load is the latest
+let laterTransactions = [];
+let loadId = 0;
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 10, right: 8, bottom: 22, left: 8 };
+
+/**
+ * Initializes the dashboard's Cash Flow Forecast card. The forecast is kept
+ * in the store so the calendar can show each day's projected balance.
+ */
+export function initializeForecastPanel() {
+    console.log('📈 Initializing cash flow forecast...');
+    const monthsSelect = document.getElementById('forecast-months');
+
+    if (!monthsSelect) {
+        console.warn('⚠️ Forecast card elements not found');
+        return;
+    }
+
+    const months = loadForecastMonths();
+    monthsSelect.innerHTML = FORECAST_MONTH_OPTIONS
+        .map(option => `<option value="${option}" ${option === months ? 'selected' : ''}>Next ${option} months</option>`)
+        .join('');
+    monthsSelect.addEventListener('change', () => {
+        saveForecastMonths(parseInt(monthsSelect.value, 10));
+        updateForecast();
+    });
+
+    // Any transaction change moves the all-time totals, and may add or
+    // remove one dated after today
+    store.subscribe(['totals', 'transactions', 'recurringRules', 'bills', 'projects', 'accounts', 'exchangeRates', 'baseCurrency'], (state, changedKeys) => {
+        if (changedKeys.includes('totals')) {
+            loadLaterTransactions();
+        } else {
+            updateForecast();
+        }
+    });
+    loadLaterTransactions();
+
+    console.log('✅ Cash flow forecast initialized');
+}
+
+async function loadLaterTransactions() {
+    const id = ++loadId;
+    const tomorrow = addDays(today(), 1);
+    const result = await apiClient.getTransactionsInRange(tomorrow, null);
+    if (id !== loadId) return; // A newer load has started
+    if (!result.success) {
+        notifications.error('Could not load the transactions recorded for later dates; the forecast leaves them out', {
+            actions: [{ label: 'Retry', onClick: loadLaterTransactions }]
+        });
+    }
+    laterTransactions = result.data;
+    updateForecast();
+}
+
+function updateForecast() {
+    const forecast = buildForecast(today(), loadForecastMonths(), laterTransactions);
+    store.setState({ forecast });
+    renderForecast(forecast);
+}
+
+// ==========================================
+// DASHBOARD CARD
+// ==========================================
+
+/**
+ * @param {Forecast} forecast
+ */
+function renderForecast(forecast) {
+    const summary = document.getElementById('forecast-summary');
+    if (!summary) return;
+
+    const first = forecast.days[0];
+    const last = forecast.days[forecast.days.length - 1];
+    const months = loadForecastMonths();
+    summary.innerHTML = [
+        ['End of today', formatMoney(first.balance), first.balance < 0, ''],
+        ['Lowest', formatMoney(forecast.lowest.balance), forecast.lowest.balance < 0, formatDate(forecast.lowest.date)],
+        [`In ${months} months`, formatMoney(last.balance), last.balance < 0, formatDate(last.date)],
+        forecast.firstNegativeDate
+            ? ['Runway', `${forecast.runwayDays} day${forecast.runwayDays === 1 ? '' : 's'}`, true, `Below zero on ${formatDate(forecast.firstNegativeDate)}`]
+            : ['Runway', `${months}+ months`, false, 'Stays above zero']
+    ].map(([label, value, negative, detail]) => `
+        <div>
+            <p class="text-xs text-gray-500">${label}</p>
+            <p class="font-semibold ${negative ? 'text-red-600' : 'text-gray-800'}">${value}</p>
+            ${detail ? `<p class="text-xs ${negative ? 'text-red-600' : 'text-gray-400'}">${detail}</p>` : ''}
+        </div>
+    `).join('');
+
+    document.getElementById('forecast-chart').innerHTML = createChart(forecast);
+
+    const counts = ['payment', 'recurring', 'bill', 'scheduled']
+        .map(kind => forecast.items.filter(item => item.kind === kind).length);
+    document.getElementById('forecast-note').textContent =
+        `From today's balance with ${plural(counts[0], 'unpaid project payment')}, ${plural(counts[1], 'recurring entry', 'recurring entries')}, ` +
+        `${plural(counts[2], 'unpaid bill')} and ${plural(counts[3], 'transaction')} already recorded for later dates. Overdue payments and bills are expected today.`;
+}
+
+/**
+ * Line chart of the projected balance as SVG, red below zero. Each day has
+ * a hover target showing its balance and what moves it.
+ * @param {Forecast} forecast
+ * @returns {string} HTML
+ */
+function createChart(forecast) {
+    const { days } = forecast;
+    const balances = days.map(day => day.balance);
+    const max = Math.max(0, ...balances);
+    const min = Math.min(0, ...balances);
+    const range = max - min || 1;
+
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const step = plotWidth / Math.max(1, days.length - 1);
+    const x = (index) => CHART_PADDING.left + index * step;
+    const y = (value) => CHART_PADDING.top + (max - value) / range * plotHeight;
+    const zeroY = y(0);
+
+    const points = days.map((day, index) => `${x(index).toFixed(1)},${y(day.balance).toFixed(1)}`).join(' ');
+    const area = `${x(0).toFixed(1)},${zeroY.toFixed(1)} ${points} ${x(days.length - 1).toFixed(1)},${zeroY.toFixed(1)}`;
+
+    const monthTicks = days
+        .map((day, index) => ({ day, index }))
+        .filter(({ day, index }) => index > 0 && day.date.endsWith('-01'))
+        .map(({ day, index }) => `
+            <line x1="${x(index).toFixed(1)}" x2="${x(index).toFixed(1)}" y1="${CHART_PADDING.top}" y2="${CHART_HEIGHT - CHART_PADDING.bottom}" stroke="#e5e7eb" />
+            <text x="${x(index).toFixed(1)}" y="${CHART_HEIGHT - 6}" font-size="10" fill="#9ca3af" text-anchor="middle">${formatMonth(day.date)}</text>
+        `).join('');
+
+    const hoverTargets = days.map((day, index) => {
+        const moves = forecast.items.filter(item => item.date === day.date)
+            .map(item => `\n${item.amount > 0 ? '+' : '-'}${formatMoney(Math.abs(item.amount))} ${item.title}`)
+            .join('');
+        return `<rect x="${(x(index) - step / 2).toFixed(1)}" y="0" width="${Math.max(step, 1).toFixed(1)}" height="${CHART_HEIGHT}" fill="transparent"><title>${escapeHtml(`${formatDate(day.date)}: ${formatMoney(day.balance)}${moves}`)}</title></rect>`;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="w-full h-auto" role="img" aria-label="Projected balance">
+            <defs>
+                <clipPath id="forecast-above-zero"><rect x="0" y="0" width="${CHART_WIDTH}" height="${zeroY.toFixed(1)}" /></clipPath>
+                <clipPath id="forecast-below-zero"><rect x="0" y="${zeroY.toFixed(1)}" width="${CHART_WIDTH}" height="${(CHART_HEIGHT - zeroY).toFixed(1)}" /></clipPath>
+            </defs>
+            ${monthTicks}
+            <polygon points="${area}" fill="#6366f1" fill-opacity="0.12" clip-path="url(#forecast-above-zero)" />
+            <polygon points="${area}" fill="#ef4444" fill-opacity="0.15" clip-path="url(#forecast-below-zero)" />
+            <polyline points="${points}" fill="none" stroke="#4f46e5" stroke-width="2" clip-path="url(#forecast-above-zero)" />
+            <polyline points="${points}" fill="none" stroke="#dc2626" stroke-width="2" clip-path="url(#forecast-below-zero)" />
+            <line x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${zeroY.toFixed(1)}" y2="${zeroY.toFixed(1)}" stroke="#9ca3af" stroke-dasharray="4 3" />
+            ${hoverTargets}
+        </svg>
+    `;
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+function formatMonth(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+}
+
+// The local date, as the calendar shows it; toISOString() would give the UTC one
+function today() {
+    const date = new Date();
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
@@ -0,0 +1,204 @@
+/**
+ * forecast.js - Cash flow forecast
+ * Starts from the balance at the end of today and walks forward a day at a
+ * time, adding what is expected to come in and go out: unpaid payments on
+ * accepted projects, pending recurring entries, unpaid bills and
+ * transactions already recorded for later dates. Amounts are in the base
+ * currency.
+ */
+
+import { store, selectProjects, selectBills, selectTransactions } from './store.js';
+import { toBase, transactionToBase } from './currency.js';
+import { getTotalBalance } from './accounts.js';
+import { getProjectPaymentsWithTax } from './tax.js';
+import { getPendingOccurrences } from './recurring.js';
+import { getVendorName } from './bills.js';
+
+/**
+ * @typedef {Object} ForecastItem
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {string} kind - 'payment' | 'recurring' | 'bill' | 'scheduled'
+ * @property {string} title
+ * @property {number} amount - Positive coming in, negative going out
+ */
+
+/**
+ * @typedef {Object} ForecastDay
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {number} inflow
+ * @property {number} outflow
+ * @property {number} balance - Projected end-of-day balance
+ */
+
+/**
+ * @typedef {Object} Forecast
+ * @property {string} from - Today
+ * @property {string} to - Last day forecast
+ * @property {number} startBalance - Balance before anything expected today
+ * @property {Array<ForecastDay>} days - One per day from `from` to `to`
+ * @property {Array<ForecastItem>} items - By date
+ * @property {ForecastDay} lowest - The day with the lowest balance
+ * @property {string|null} firstNegativeDate - First day the balance drops below zero
+ * @property {number|null} runwayDays - Days until then, null when it never does
+ */
+
+const FORECAST_MONTHS_KEY = 'forecast-months';
+
+// The forecast looks this many months ahead
+export const FORECAST_MONTH_OPTIONS = [3, 6, 9, 12];
+const DEFAULT_FORECAST_MONTHS = 3;
+
+// Projects still at these stages have nothing agreed to forecast: an inquiry
+// has no price yet and a quotation has not been accepted
+const UNCOMMITTED_STATUSES = ['inquiry', 'quotation'];
+
+export function loadForecastMonths() {
+    const saved = parseInt(localStorage.getItem(FORECAST_MONTHS_KEY), 10);
+    return FORECAST_MONTH_OPTIONS.includes(saved) ? saved : DEFAULT_FORECAST_MONTHS;
+}
+
+export function saveForecastMonths(months) {
+    localStorage.setItem(FORECAST_MONTHS_KEY, String(months));
+}
+
+/**
+ * Projects the balance day by day. Payments and bills already overdue are
+ * expected today.
+ * @param {string} today - 'YYYY-MM-DD'
+ * @param {number} months - How far ahead to look
+ * @param {Array<Transaction>} laterTransactions - Transactions dated after today, counted in the all-time totals
+ * @param {AppState} [state]
+ * @returns {Forecast}
+ */
+export function buildForecast(today, months, laterTransactions, state = store.getState()) {
+    const to = addDays(addMonths(today, months), -1);
+    const items = [
+        ...getPaymentItems(today, to, state),
+        ...getRecurringItems(today, to, laterTransactions, state),
+        ...getBillItems(today, to, state),
+        ...getScheduledItems(to, laterTransactions, state)
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    // The all-time totals already include transactions dated after today
+    const startBalance = getTotalBalance(state) - laterTransactions.reduce((sum, transaction) => sum + netAmount(transaction, state), 0);
+
+    const byDate = new Map();
+    items.forEach(item => {
+        if (!byDate.has(item.date)) byDate.set(item.date, []);
+        byDate.get(item.date).push(item);
+    });
+
+    const days = [];
+    let balance = startBalance;
+    for (let date = today; date <= to; date = addDays(date, 1)) {
+        const dayItems = byDate.get(date) || [];
+        const inflow = dayItems.filter(item => item.amount > 0).reduce((sum, item) => sum + item.amount, 0);
+        const outflow = dayItems.filter(item => item.amount < 0).reduce((sum, item) => sum - item.amount, 0);
+        balance += inflow - outflow;
+        days.push({ date, inflow, outflow, balance });
+    }
+
+    const lowest = days.reduce((low, day) => (day.balance < low.balance ? day : low), days[0]);
+    const firstNegative = days.find(day => day.balance < 0) || null;
+    return {
+        from: today,
+        to,
+        startBalance,
+        days,
+        items,
+        lowest,
+        firstNegativeDate: firstNegative?.date || null,
+        runwayDays: firstNegative ? daysBetween(today, firstNegative.date) : null
+    };
+}
+
+/**
+ * Projected end-of-day balance
+ * @param {Forecast|null} forecast
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number|null} Null outside the forecast
+ */
+export function getProjectedBalance(forecast, date) {
+    if (!forecast || date < forecast.from || date > forecast.to) return null;
+    return forecast.days[daysBetween(forecast.from, date)]?.balance ?? null;
+}
+
+// ==========================================
+// EXPECTED MONEY
+// ==========================================
+
+function getPaymentItems(today, to, state) {
+    return selectProjects(state)
+        .filter(project => !UNCOMMITTED_STATUSES.includes(project.status))
+        .flatMap(project => getProjectPaymentsWithTax(project)
+            .filter(payment => !payment.paid && payment.due_date && payment.due_date <= to && payment.gross > 0)
+            .map(payment => ({
+                date: payment.due_date < today ? today : payment.due_date,
+                kind: 'payment',
+                title: `${project.name || 'Untitled Project'} · ${payment.name}`,
+                amount: toBase(payment.gross, project.currency, payment.due_date, state)
+            })));
+}
+
+function getRecurringItems(today, to, laterTransactions, state) {
+    // Occurrences confirmed ahead of time are among the later transactions
+    return getPendingOccurrences(today, to, state, [...selectTransactions(state), ...laterTransactions])
+        .map(occurrence => {
+            const amount = toBase(occurrence.amount, occurrence.currency, occurrence.date, state);
+            return {
+                date: occurrence.date,
+                kind: 'recurring',
+                title: occurrence.title,
+                amount: occurrence.type === 'income' ? amount : -amount
+            };
+        });
+}
+
+function getBillItems(today, to, state) {
+    return selectBills(state)
+        .filter(bill => !bill.paid && bill.due_date <= to)
+        .map(bill => ({
+            date: bill.due_date < today ? today : bill.due_date,
+            kind: 'bill',
+            title: `${getVendorName(bill, state)}: ${bill.title}`,
+            amount: -toBase(bill.amount, bill.currency, bill.due_date, state)
+        }));
+}
+
+function getScheduledItems(to, laterTransactions, state) {
+    return laterTransactions
+        .filter(transaction => transaction.date <= to && netAmount(transaction, state) !== 0)
+        .map(transaction => ({
+            date: transaction.date,
+            kind: 'scheduled',
+            title: transaction.title,
+            amount: netAmount(transaction, state)
+        }));
+}
+
+// What a transaction adds to the total balance; transfers and payables add nothing
+function netAmount(transaction, state) {
+    if (transaction.type === 'income') return transactionToBase(transaction, state);
+    if (transaction.type === 'expense') return -transactionToBase(transaction, state);
+    return 0;
+}
+
+// ==========================================
+// DATES
+// ==========================================
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Day of the month is kept, or the last day of shorter months
+function addMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + months, Math.min(day, daysInMonth))).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
@@ -0,0 +1,347 @@
+// js/import-panel.js
+import { apiClient } from './api-client.js';
+import { store, selectAccounts } from './store.js';
+import { notifications } from './notifications.js';
+import { applyNewTransactions } from './transactions.js';
+import { formatAccountLabel } from './accounts.js';
+import { getBaseCurrency, renderCurrencyOptions, formatMoney } from './currency.js';
+import {
+    BANK_PRESETS,
+    parseCsv,
+    detectPreset,
+    presetMapping,
+    guessMapping,
+    mapRows,
+    detectFormat,
+    parseOfx,
+    parseQif,
+    checkDuplicates,
+    toTransaction
+} from './statement-import.js';
+import { escapeHtml } from './utils.js';
+
+const COLUMN_ROLES = ['date', 'description', 'amount', 'debit', 'credit'];
+
+// The file being imported: its format ('csv' | 'ofx' | 'qif'), text and, for CSV, cells
+let format = null;
+let fileText = '';
+let table = null;
+let importRows = [];
+let skippedLines = [];
+let previewRun = 0;
+
+/**
+ * Initializes the "Import Bank Statement" slide-out panel: a CSV, OFX/QFX or
+ * QIF file is read (a CSV's columns mapped by a bank preset or by hand), the
+ * rows previewed with likely duplicates unticked, and the ticked rows saved
+ * as transactions.
+ */
+export function initializeImportPanel() {
+    console.log('📥 Initializing statement import...');
+    const importBtn = document.getElementById('import-statement-btn');
+    const importModal = document.getElementById('import-modal');
+    const importSidebar = document.getElementById('import-sidebar');
+
+    if (!importBtn || !importModal) {
+        console.warn('⚠️ Statement import elements not found');
+        return;
+    }
+
+    importBtn.addEventListener('click', () => {
+        resetImport();
+        importModal.classList.remove('hidden');
+        setTimeout(() => {
+            importSidebar.classList.remove('translate-x-full');
+        }, 10);
+    });
+
+    function closeImportModal() {
+        importSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            importModal.classList.add('hidden');
+        }, 300);
+    }
+
+    document.getElementById('close-import-btn')?.addEventListener('click', closeImportModal);
+    importModal.addEventListener('click', (e) => {
+        if (e.target === importModal) closeImportModal();
+    });
+
+    document.getElementById('import-file').addEventListener('change', (e) => loadFile(e.target.files[0]));
+    document.getElementById('import-preset').addEventListener('change', applyPreset);
+    document.getElementById('import-qif-date-format').addEventListener('change', refreshPreview);
+    // Statement line ids are per account, so a new account needs a new duplicate check
+    document.getElementById('import-account').addEventListener('change', refreshPreview);
+    ['import-header-row', 'import-date-format', 'import-invert', ...COLUMN_ROLES.map(role => `import-col-${role}`)].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            if (id === 'import-header-row') fillColumnOptions(readMapping());
+            refreshPreview();
+        });
+    });
+
+    document.getElementById('import-currency').addEventListener('change', () => {
+        if (importRows.length > 0) renderPreview();
+    });
+    document.getElementById('import-rows').addEventListener('change', (e) => {
+        const row = importRows[Number(e.target.dataset.importIndex)];
+        if (!row) return;
+        row.selected = e.target.checked;
+        updateImportButton();
+    });
+    document.getElementById('import-select-all').addEventListener('change', (e) => {
+        importRows.filter(isSelectable).forEach(row => { row.selected = e.target.checked; });
+        renderPreview();
+    });
+
+    document.getElementById('cancel-import-btn')?.addEventListener('click', resetImport);
+    document.getElementById('save-import-btn')?.addEventListener('click', async () => {
+        if (await importSelected()) closeImportModal();
+    });
+
+    console.log('✅ Statement import initialized');
+}
+
+function resetImport() {
+    format = null;
+    fileText = '';
+    table = null;
+    importRows = [];
+    skippedLines = [];
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-preset').value = 'auto';
+    document.getElementById('import-currency').innerHTML = renderCurrencyOptions(getBaseCurrency());
+
+    const accounts = selectAccounts(store.getState());
+    document.getElementById('import-account').innerHTML = '<option value="">No account</option>'
+        + accounts.map(account => `<option value="${account.id}">${escapeHtml(formatAccountLabel(account))}</option>`).join('');
+    document.getElementById('import-account').value = accounts[0]?.id || '';
+
+    showFormatOptions();
+    document.getElementById('import-preview').classList.add('hidden');
+    updateImportButton();
+}
+
+/**
+ * Bank presets and column mapping are for CSV files; QIF only needs its date order
+ */
+function showFormatOptions() {
+    document.getElementById('import-preset-group').classList.toggle('hidden', format !== null && format !== 'csv');
+    document.getElementById('import-mapping').classList.toggle('hidden', format !== 'csv' || !table);
+    document.getElementById('import-qif-options').classList.toggle('hidden', format !== 'qif');
+}
+
+async function loadFile(file) {
+    if (!file) return;
+    try {
+        fileText = await file.text();
+        format = detectFormat(fileText, file.name);
+        table = format === 'csv' ? parseCsv(fileText) : null;
+    } catch (error) {
+        console.error('❌ Error reading statement:', error);
+        notifications.error(`Could not read ${file.name}`);
+        return;
+    }
+    console.log(`📥 Read ${file.name} as ${format.toUpperCase()}`);
+    showFormatOptions();
+
+    if (format !== 'csv') {
+        await refreshPreview();
+        return;
+    }
+    if (table.length < 2) {
+        notifications.warning(`${file.name} has no transactions to import.`);
+        table = null;
+        return;
+    }
+    await applyPreset();
+}
+
+/**
+ * Maps the columns from the chosen bank's preset, or guesses them for "Other"
+ */
+async function applyPreset() {
+    if (!table) return;
+    const choice = document.getElementById('import-preset').value;
+    const presetId = choice === 'auto' ? detectPreset(table) : choice;
+    const mapping = presetId && presetId !== 'custom' ? presetMapping(table, presetId) : null;
+
+    const note = document.getElementById('import-mapping-note');
+    if (mapping) {
+        note.textContent = `Columns found for ${BANK_PRESETS[presetId].label}. Adjust them if anything looks wrong.`;
+    } else if (choice === 'auto' || choice === 'custom') {
+        note.textContent = 'Pick which column holds each field.';
+    } else {
+        note.textContent = `This file does not have the usual ${BANK_PRESETS[choice].label} columns. Pick which column holds each field.`;
+    }
+
+    const chosen = mapping || guessMapping(table);
+    fillColumnOptions(chosen);
+    writeMapping(chosen);
+    document.getElementById('import-mapping').classList.remove('hidden');
+    await refreshPreview();
+}
+
+/**
+ * Lists the header row's column names in every column picker
+ */
+function fillColumnOptions(mapping) {
+    const names = table[mapping.headerRow] || [];
+    const options = '<option value="-1">Not used</option>'
+        + names.map((name, index) => `<option value="${index}">${escapeHtml(name || `Column ${index + 1}`)}</option>`).join('');
+    COLUMN_ROLES.forEach(role => {
+        const select = document.getElementById(`import-col-${role}`);
+        const current = parseInt(select.value, 10);
+        select.innerHTML = options;
+        select.value = current >= 0 && current < names.length ? String(current) : '-1';
+    });
+}
+
+function writeMapping(mapping) {
+    document.getElementById('import-header-row').value = mapping.headerRow + 1;
+    document.getElementById('import-date-format').value = mapping.dateFormat;
+    document.getElementById('import-invert').checked = mapping.invert;
+    COLUMN_ROLES.forEach(role => {
+        document.getElementById(`import-col-${role}`).value = String(mapping[role]);
+    });
+}
+
+/**
+ * @returns {ColumnMapping}
+ */
+function readMapping() {
+    const headerRow = Math.max(1, parseInt(document.getElementById('import-header-row').value, 10) || 1) - 1;
+    const mapping = {
+        headerRow: Math.min(headerRow, table.length - 1),
+        dateFormat: document.getElementById('import-date-format').value,
+        invert: document.getElementById('import-invert').checked
+    };
+    COLUMN_ROLES.forEach(role => {
+        mapping[role] = parseInt(document.getElementById(`import-col-${role}`).value, 10);
+    });
+    return mapping;
+}
+
+/**
+ * Reads the file into ImportRows with the current options
+ * @returns {Object|null} { rows, skipped, currency }, null while the CSV columns are incomplete
+ */
+function readRows() {
+    if (format === 'ofx') return parseOfx(fileText);
+    if (format === 'qif') return parseQif(fileText, document.getElementById('import-qif-date-format').value);
+    if (!table) return null;
+
+    const mapping = readMapping();
+    const hasAmount = mapping.amount >= 0 || (mapping.debit >= 0 && mapping.credit >= 0);
+    if (mapping.date < 0 || mapping.description < 0 || !hasAmount) return null;
+    return mapRows(table, mapping);
+}
+
+async function refreshPreview() {
+    if (!format) return;
+    const preview = document.getElementById('import-preview');
+    const parsed = readRows();
+    if (!parsed) {
+        importRows = [];
+        preview.classList.add('hidden');
+        updateImportButton();
+        return;
+    }
+
+    // Duplicate checks are async; only the latest options' result is shown
+    const run = ++previewRun;
+    const { rows, skipped, currency } = parsed;
+    await checkDuplicates(rows, document.getElementById('import-account').value || null);
+    if (run !== previewRun) return;
+
+    importRows = rows;
+    skippedLines = skipped;
+    // OFX files say which currency they are in
+    if (currency) document.getElementById('import-currency').innerHTML = renderCurrencyOptions(currency);
+    preview.classList.remove('hidden');
+    renderPreview();
+}
+
+function renderPreview() {
+    const list = document.getElementById('import-rows');
+    const duplicates = importRows.filter(row => row.duplicate).length;
+    const parts = [`${importRows.length} transactions`];
+    if (duplicates > 0) parts.push(`${duplicates} already recorded or possible duplicates (unticked)`);
+    if (skippedLines.length > 0) parts.push(`${skippedLines.length} rows skipped without a date or amount`);
+    document.getElementById('import-summary').textContent = parts.join(' · ');
+    document.getElementById('import-summary').title = skippedLines.map(({ line, reason }) => `Row ${line}: ${reason}`).join('\n');
+
+    if (importRows.length === 0) {
+        list.innerHTML = `<p class="text-sm text-gray-500 text-center py-4">${format === 'csv' ? 'No transactions found with these columns.' : 'No transactions found in this file.'}</p>`;
+        updateImportButton();
+        return;
+    }
+
+    list.innerHTML = importRows.map((row, index) => `
+        <label class="flex items-center gap-3 px-3 py-2 text-sm ${row.duplicate ? 'bg-yellow-50' : ''}">
+            <input type="checkbox" data-import-index="${index}" ${row.selected ? 'checked' : ''} ${isSelectable(row) ? '' : 'disabled'}>
+            <span class="w-24 flex-shrink-0 text-gray-500">${row.date}</span>
+            <span class="flex-grow min-w-0">
+                <span class="block truncate text-gray-800">${escapeHtml(row.title)}</span>
+                ${row.duplicate ? `<span class="block text-xs text-yellow-700">${describeDuplicate(row)}</span>` : ''}
+            </span>
+            <span class="flex-shrink-0 font-semibold ${row.type === 'income' ? 'text-green-600' : 'text-red-600'}">${row.type === 'income' ? '+' : '-'}${formatMoney(row.amount, document.getElementById('import-currency').value)}</span>
+        </label>
+    `).join('');
+    updateImportButton();
+}
+
+function describeDuplicate(row) {
+    const title = escapeHtml(row.duplicateOf?.title || 'an entry');
+    if (row.duplicate === 'imported') return `Already imported as "${title}" (same bank reference)`;
+    return row.duplicate === 'exact'
+        ? `Already recorded as "${title}"`
+        : `Possible duplicate of "${title}" (same date and amount)`;
+}
+
+function updateImportButton() {
+    const count = importRows.filter(row => row.selected).length;
+    const button = document.getElementById('save-import-btn');
+    button.disabled = count === 0;
+    button.textContent = count > 0 ? `Import ${count} transaction${count === 1 ? '' : 's'}` : 'Import';
+    const selectAll = document.getElementById('import-select-all');
+    const selectable = importRows.filter(isSelectable).length;
+    selectAll.checked = selectable > 0 && count === selectable;
+}
+
+// Lines already imported with the same bank reference would be rejected by the database
+function isSelectable(row) {
+    return row.duplicate !== 'imported';
+}
+
+/**
+ * Saves the ticked rows
+ * @returns {Promise<boolean>} Whether everything was saved
+ */
+async function importSelected() {
+    const selected = importRows.filter(row => row.selected);
+    if (selected.length === 0) return false;
+
+    const options = {
+        accountId: document.getElementById('import-account').value || null,
+        currency: document.getElementById('import-currency').value || getBaseCurrency()
+    };
+    const button = document.getElementById('save-import-btn');
+    button.disabled = true;
+    button.textContent = 'Importing...';
+
+    const result = await apiClient.createTransactions(selected.map(row => toTransaction(row, options)));
+    applyNewTransactions(result.data);
+
+    if (!result.success) {
+        // The saved rows now show as already recorded, leaving the failed ones ticked
+        await refreshPreview();
+        notifications.error(`Imported ${result.data.length} transactions, but ${result.error}`, {
+            actions: [{ label: 'Retry', onClick: importSelected }]
+        });
+        return false;
+    }
+
+    notifications.success(`Imported ${result.data.length} transaction${result.data.length === 1 ? '' : 's'}`);
+    resetImport();
+    return true;
+}
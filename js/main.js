@@ -10,6 +10,23 @@ import { setupTransactions } from './transactions.js';
 import { initializeModals } from './modals.js';
 // REMOVED: Direct import of projectFormModal - will be handled dynamically
 import { initializeMonthlyGoal } from './monthly-goal.js';
+import { initializeBudgetsPanel } from './budgets-panel.js';
+import { initializeAccountsPanel } from './accounts-panel.js';
+import { initializeCurrenciesPanel } from './currencies-panel.js';
+import { initializeImportPanel } from './import-panel.js';
+import { initializeExportPanel } from './export-panel.js';
+import { initializeProjectProfitPanel } from './project-profit-panel.js';
+import { initializeTaxPanel } from './tax-panel.js';
+import { initializeBillsPanel } from './bills-panel.js';
+import { initializeForecastPanel } from './forecast-panel.js';
+import { initializeAttachmentViewer } from './attachment-viewer.js';
+import { initializeReconcilePanel } from './reconcile-panel.js';
+import { apiClient } from './api-client.js';
+import { authManager } from './auth.js';
+import { initializeSyncPanel } from './sync-panel.js';
+import { notifications } from './notifications.js';
+import { initializeDiagnosticsPanel } from './diagnostics-panel.js';
+import { purgeExpiredTrash } from './trash-page.js';
 
 console.log('🚀 NotaWang App is starting...');
 
@@ -20,6 +37,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('🚀 Starting Cashflow Calendar...');
     
     try {
+        // Notification history drawer (toasts work without it)
+        notifications.initializeDrawer();
+
+        // 0. Sign in (Supabase Auth), then select the storage backend
+        await authManager.requireUser({ localOnly: apiClient.requestedBackend === 'indexeddb' });
+        await apiClient.init();
+        authManager.renderUserInfo();
+
         // 1. Initialize navigation system
         await initializeSidebar();
         
@@ -33,11 +58,33 @@ document.addEventListener('DOMContentLoaded', async () => {
         
         // 5. Initialize general modal system
         initializeModals();
+        initializeAttachmentViewer();
 
         // 6. REMOVED: Direct projectFormModal.init() - handled in dynamic import below
 
         // 7. Initialize monthly goal functionality
         await initializeMonthlyGoal();
+
+        // 8. Accounts and reconciliation, spending by category and budget progress, currencies, statement import and export, project profit, SST, vendor bills, cash flow forecast
+        initializeAccountsPanel();
+        initializeReconcilePanel();
+        initializeBudgetsPanel();
+        initializeCurrenciesPanel();
+        initializeImportPanel();
+        initializeExportPanel();
+        initializeProjectProfitPanel();
+        initializeTaxPanel();
+        initializeBillsPanel();
+        initializeForecastPanel();
+
+        // 9. Show offline sync status and conflicts
+        initializeSyncPanel();
+
+        // 10. Report projects with malformed payment_schedule / tasks JSON
+        initializeDiagnosticsPanel();
+
+        // 11. Permanently delete trashed items past the retention period
+        purgeExpiredTrash();
         
         console.log('🎉 App initialization completed successfully!');
         
@@ -91,7 +138,7 @@ window.addEventListener('DOMContentLoaded', () => {
                     
                     if (result && result.success) {
                         const { refetchTransactionData } = await import('./transactions.js');
-                        await refetchTransactionData();
+                        await refetchTransactionData(null, { reloadProjects: true });
                         console.log('✅ Data refreshed after save');
                         return true;
                     } else {
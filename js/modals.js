@@ -10,6 +10,19 @@ import { getProjectItemsForDate, getProjectItemColor } from './project-manager.j
 import { navigateToPage } from './navigation.js';
 import { handleTaskClick } from './calendar.js'; // Import the task click handler
 import { openProjectModalForProject } from './project-form-modal.js'; // Import the project modal handler
+import { store, selectProjects, selectProjectById, selectContactById, selectProjectCalendarData, selectAccounts } from './store.js';
+import { notifications } from './notifications.js';
+import { getPendingOccurrencesForDate, createRecurringEntry, confirmOccurrence, skipOccurrence, updateOccurrence, stopSeries, findRule, describeSchedule } from './recurring.js';
+import { getCategoriesForType, findCategory } from './categories.js';
+import { findAccount, formatAccountLabel } from './accounts.js';
+import { CONFIG } from './config.js';
+import { renderCurrencyOptions, formatMoney, toBase, isForeign, getBaseCurrency } from './currency.js';
+import { isReconciled, unlockTransaction } from './reconciliation.js';
+import { getAttachments, getAttachmentUrl, isImage, isMissingReceipt, attachFiles, loadReceiptThreshold, saveReceiptThreshold, ACCEPTED_ATTACHMENT_TYPES } from './attachments.js';
+import { openAttachmentViewer } from './attachment-viewer.js';
+import { renderDayBills } from './bills-panel.js';
+import { isSplit, getSplitLines, normalizeSplits, validateSplits, getUnallocated } from './splits.js';
+import { renderTaxRateOptions, calculateTax, parseTaxRate } from './tax.js';
 
 // --- Manage selected date locally to remove dependency on calendar.js ---
 let currentSelectedDate = null;
@@ -36,6 +49,13 @@ export function getCurrentSelectedDate() {
 export function initializeModals() {
     console.log('🪟 Initializing modal system...');
     setupModalEventListeners();
+    // Keep the open day's entry list in step with the data
+    store.subscribe(['transactions', 'recurringRules', 'bills', 'categories', 'accounts', 'exchangeRates', 'baseCurrency', 'projects', 'projectData', 'projectCalendarData'], (state, changedKeys) => {
+        if (changedKeys.includes('categories')) updateCategoryOptions();
+        if (changedKeys.includes('accounts')) updateAccountOptions();
+        const selectedDate = getCurrentSelectedDate();
+        if (selectedDate) renderCurrentDayEntries(selectedDate);
+    });
     console.log('✅ Modal system initialized');
 }
 
@@ -69,6 +89,260 @@ function setupModalEventListeners() {
     if (cancelEntryButton) {
         cancelEntryButton.addEventListener('click', closeModal);
     }
+
+    ['entryType', 'entryRepeat', 'entryRepeatEnds'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', updateRepeatFields);
+    });
+    document.getElementById('entryType')?.addEventListener('change', () => {
+        updateCategoryOptions();
+        updateProjectOptions();
+        updateAccountOptions();
+        updateBaseAmountHint();
+        updateSplitFields();
+        updateTaxFields();
+    });
+    ['entryAmount', 'entryCurrency', 'entryDate'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', updateBaseAmountHint);
+    });
+    document.getElementById('entryAmount')?.addEventListener('input', updateSplitRemaining);
+    document.getElementById('entryRepeat')?.addEventListener('change', updateSplitFields);
+    document.getElementById('entryRepeat')?.addEventListener('change', () => updateTaxFields());
+    ['entryAmount', 'entryTaxRate'].forEach(id => {
+        document.getElementById(id)?.addEventListener('input', fillTaxAmount);
+    });
+    document.getElementById('entrySplitToggle')?.addEventListener('change', handleSplitToggle);
+    document.getElementById('addSplitLineButton')?.addEventListener('click', () => {
+        addSplitLine({ amount: Math.max(0, getSplitTotal() - sumSplitInputs()) || '' });
+        updateSplitRemaining();
+    });
+    document.getElementById('entrySplitLines')?.addEventListener('input', updateSplitRemaining);
+    document.getElementById('stopRepeatingButton')?.addEventListener('click', handleStopRepeating);
+    document.getElementById('unlockEntryButton')?.addEventListener('click', handleUnlockEntry);
+
+    // The day's list can be narrowed to expenses still missing their receipt
+    const receiptThreshold = document.getElementById('receiptThreshold');
+    if (receiptThreshold) {
+        receiptThreshold.value = loadReceiptThreshold();
+        receiptThreshold.addEventListener('change', () => {
+            const amount = parseFloat(receiptThreshold.value);
+            if (amount >= 0) saveReceiptThreshold(amount);
+            receiptThreshold.value = loadReceiptThreshold();
+            renderCurrentDayEntries(getCurrentSelectedDate());
+        });
+    }
+    document.getElementById('missingReceiptsFilter')?.addEventListener('change', () => {
+        renderCurrentDayEntries(getCurrentSelectedDate());
+    });
+}
+
+/**
+ * Shows the repeat controls that apply: only new income and expense entries
+ * can be made recurring, and the end fields depend on the chosen ending
+ */
+function updateRepeatFields() {
+    const type = document.getElementById('entryType')?.value;
+    const isEditing = Boolean(document.getElementById('editingEntryId')?.value);
+    const repeat = document.getElementById('entryRepeat')?.value || 'none';
+    const ends = document.getElementById('entryRepeatEnds')?.value;
+    const show = (id, visible, display = 'block') => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = visible ? display : 'none';
+    };
+
+    const canRepeat = !isEditing && (type === 'income' || type === 'expense');
+    show('entryRepeatGroup', canRepeat);
+    show('entryRepeatEveryLabel', repeat !== 'none', 'inline');
+    show('entryRepeatInterval', repeat !== 'none', 'inline-block');
+    show('entryRepeatEndGroup', repeat !== 'none', 'flex');
+    show('entryRepeatUntil', ends === 'on', 'inline-block');
+    show('entryRepeatCount', ends === 'after', 'inline-block');
+
+    // Files go on saved transactions, not on a series or an unconfirmed occurrence
+    const editingId = document.getElementById('editingEntryId')?.value || '';
+    show('entryAttachmentsGroup', ['income', 'expense', 'transfer'].includes(type) && repeat === 'none' && !editingId.startsWith('recurring_'));
+}
+
+/**
+ * Fills the project picker; only expenses are charged to a project, and a
+ * split expense names its projects on the lines instead
+ * @param {string} [selectedId] - Project to select, defaults to the current choice
+ */
+function updateProjectOptions(selectedId) {
+    const group = document.getElementById('entryProjectGroup');
+    const select = document.getElementById('entryProject');
+    if (!group || !select) return;
+
+    const isExpense = document.getElementById('entryType')?.value === 'expense';
+    const splitting = document.getElementById('entrySplitToggle')?.checked;
+    group.style.display = isExpense && !splitting ? 'block' : 'none';
+
+    const current = selectedId !== undefined ? selectedId || '' : select.value;
+    const projects = selectProjects(store.getState());
+    select.innerHTML = '<option value="">No project</option>';
+    projects.forEach(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name || 'Untitled project';
+        select.appendChild(option);
+    });
+    select.value = projects.some(project => project.id === current) ? current : '';
+}
+
+/**
+ * Shows the input tax fields for expenses that are saved as transactions
+ * (not a new series or an unconfirmed occurrence) and sets them
+ * @param {number|null} [rate] - Rate to select, defaults to the current choice
+ * @param {number} [taxAmount] - Tax to show, defaults to the current value
+ */
+function updateTaxFields(rate, taxAmount) {
+    const group = document.getElementById('entryTaxGroup');
+    const select = document.getElementById('entryTaxRate');
+    const amountInput = document.getElementById('entryTaxAmount');
+    if (!group || !select || !amountInput) return;
+
+    const type = document.getElementById('entryType')?.value;
+    const repeat = document.getElementById('entryRepeat')?.value || 'none';
+    const editingId = document.getElementById('editingEntryId')?.value || '';
+    group.style.display = type === 'expense' && repeat === 'none' && !editingId.startsWith('recurring_') ? 'block' : 'none';
+
+    select.innerHTML = renderTaxRateOptions(rate !== undefined ? rate : select.value);
+    if (taxAmount !== undefined) amountInput.value = parseFloat(taxAmount) > 0 ? taxAmount : '';
+    amountInput.disabled = !select.value;
+}
+
+/**
+ * Works the tax out of the amount paid, which includes it
+ */
+function fillTaxAmount() {
+    const rate = parseTaxRate(document.getElementById('entryTaxRate')?.value);
+    const amountInput = document.getElementById('entryTaxAmount');
+    if (!amountInput) return;
+    amountInput.disabled = rate === null;
+    const amount = parseFloat(document.getElementById('entryAmount')?.value);
+    amountInput.value = rate !== null && amount > 0 ? calculateTax(amount, rate, true).tax.toFixed(2) : '';
+}
+
+/**
+ * Fills the category picker with the categories for the selected entry type.
+ * Only income and expense entries have a category.
+ * @param {string} [selectedId] - Category to select, defaults to the current choice
+ */
+function updateCategoryOptions(selectedId) {
+    const group = document.getElementById('entryCategoryGroup');
+    const select = document.getElementById('entryCategory');
+    if (!group || !select) return;
+
+    const type = document.getElementById('entryType')?.value;
+    const hasCategory = type === 'income' || type === 'expense';
+    // Split entries take their categories from the lines
+    const splitting = document.getElementById('entrySplitToggle')?.checked;
+    group.style.display = hasCategory && !splitting ? 'block' : 'none';
+
+    const current = selectedId !== undefined ? selectedId || '' : select.value;
+    const categories = hasCategory ? getCategoriesForType(type) : [];
+    select.innerHTML = '<option value="">Uncategorized</option>';
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = [category.icon, category.name].filter(Boolean).join(' ');
+        select.appendChild(option);
+    });
+    select.value = categories.some(category => category.id === current) ? current : '';
+}
+
+/**
+ * Fills the currency picker next to the amount
+ * @param {string} currency - ISO code to select
+ */
+function updateCurrencyOptions(currency) {
+    const select = document.getElementById('entryCurrency');
+    if (!select) return;
+    select.innerHTML = renderCurrencyOptions(currency);
+    updateBaseAmountHint();
+}
+
+/**
+ * Under a foreign amount, shows what it comes to in the base currency
+ */
+function updateBaseAmountHint() {
+    const hint = document.getElementById('entryBaseAmount');
+    if (!hint) return;
+    const currency = document.getElementById('entryCurrency')?.value;
+    const amount = parseFloat(document.getElementById('entryAmount')?.value);
+    if (!currency || !isForeign(currency) || isNaN(amount)) {
+        hint.style.display = 'none';
+        return;
+    }
+    const type = document.getElementById('entryType')?.value;
+    const date = ['payable', 'target'].includes(type) ? document.getElementById('entryDate')?.value : getCurrentSelectedDate();
+    hint.textContent = `≈ ${formatMoney(toBase(amount, currency, date))}`;
+    hint.style.display = 'block';
+}
+
+/**
+ * Fills the account pickers. Income and expenses name one account; a transfer
+ * names the account it leaves (entryAccount) and the one it goes to.
+ * @param {string} [accountId] - Account to select, defaults to the current choice
+ * @param {string} [transferAccountId] - Destination to select for transfers
+ */
+function updateAccountOptions(accountId, transferAccountId) {
+    const type = document.getElementById('entryType')?.value;
+    const isTransfer = type === 'transfer';
+    const accounts = selectAccounts(store.getState());
+    const accountGroup = document.getElementById('entryAccountGroup');
+    const transferGroup = document.getElementById('entryTransferAccountGroup');
+    if (!accountGroup || !transferGroup) return;
+
+    accountGroup.style.display = (type === 'income' || type === 'expense' || isTransfer) ? 'block' : 'none';
+    transferGroup.style.display = isTransfer ? 'block' : 'none';
+    document.getElementById('entryAccountLabel').textContent = isTransfer ? 'From account' : 'Account';
+
+    [['entryAccount', accountId], ['entryTransferAccount', transferAccountId]].forEach(([id, selectedId]) => {
+        const select = document.getElementById(id);
+        const current = selectedId !== undefined ? selectedId || '' : select.value;
+        select.innerHTML = '<option value="">No account</option>';
+        accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = formatAccountLabel(account);
+            select.appendChild(option);
+        });
+        select.value = accounts.some(account => account.id === current) ? current : '';
+    });
+}
+
+/**
+ * Reads the repeat controls
+ * @returns {Object|null} Schedule for a new recurring rule, or null when the entry does not repeat
+ */
+function getRepeatSchedule() {
+    const frequency = document.getElementById('entryRepeat')?.value || 'none';
+    if (frequency === 'none') return null;
+
+    const ends = document.getElementById('entryRepeatEnds').value;
+    const until = document.getElementById('entryRepeatUntil').value;
+    const count = parseInt(document.getElementById('entryRepeatCount').value, 10);
+    return {
+        frequency,
+        interval: Math.max(1, parseInt(document.getElementById('entryRepeatInterval').value, 10) || 1),
+        end_date: ends === 'on' ? until || null : null,
+        occurrence_count: ends === 'after' && count > 0 ? count : null
+    };
+}
+
+/**
+ * Ends the series of the occurrence being edited at the day before it
+ */
+async function handleStopRepeating() {
+    const ruleId = document.getElementById('editingRuleId')?.value;
+    const date = document.getElementById('editingRecurringDate')?.value;
+    const rule = ruleId && findRule(ruleId);
+    if (!rule || !date) return;
+    if (!confirm(`Stop repeating "${rule.title}" from ${date}? Transactions already confirmed are kept.`)) return;
+
+    if (await stopSeries(ruleId, date)) {
+        resetTransactionForm();
+    }
 }
 
 /**
@@ -137,7 +411,7 @@ function closeInsightsModal() {
  * Reset the transaction form to its default state.
  */
 function resetTransactionForm() {
-    const formIds = ['editingEntryId', 'entryType', 'entryAmount', 'entryTitle', 'entryDescription', 'entryDate'];
+    const formIds = ['editingEntryId', 'entryType', 'entryAmount', 'entryTitle', 'entryDescription', 'entryDate', 'entryAttachments'];
     const elements = formIds.reduce((acc, id) => ({ ...acc, [id]: document.getElementById(id) }), {});
     
     // Clear all form fields.
@@ -146,6 +420,7 @@ function resetTransactionForm() {
     if (elements.entryAmount) elements.entryAmount.value = '';
     if (elements.entryTitle) elements.entryTitle.value = '';
     if (elements.entryDescription) elements.entryDescription.value = '';
+    if (elements.entryAttachments) elements.entryAttachments.value = '';
     
     // Update button text to "Add" for new entries.
     const saveButton = document.getElementById('saveEntryButton');
@@ -158,6 +433,53 @@ function resetTransactionForm() {
     const entryDateGroup = document.getElementById('entryDateGroup');
     if (entryDateGroup) entryDateGroup.style.display = 'none';
     if (elements.entryDate) elements.entryDate.value = getCurrentSelectedDate();
+
+    // Repeat controls back to "does not repeat", no recurring occurrence being edited
+    const repeatDefaults = { entryRepeat: 'none', entryRepeatInterval: '1', entryRepeatEnds: 'never', entryRepeatUntil: '', entryRepeatCount: '', editingRuleId: '', editingRecurringDate: '' };
+    Object.entries(repeatDefaults).forEach(([id, value]) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    });
+    const entryScopeGroup = document.getElementById('entryScopeGroup');
+    if (entryScopeGroup) entryScopeGroup.style.display = 'none';
+    updateRepeatFields();
+    updateCategoryOptions('');
+    // New entries go to the first account, transfers to the second
+    const accounts = selectAccounts(store.getState());
+    updateAccountOptions(accounts[0]?.id || '', accounts[1]?.id || '');
+    updateCurrencyOptions(getBaseCurrency());
+    updateProjectOptions('');
+    updateTaxFields(null, 0);
+    setSplitLines([]);
+    setEntryLocked(false);
+}
+
+/**
+ * Reconciled entries can be viewed but not saved until they are unlocked
+ * @param {boolean} locked
+ */
+function setEntryLocked(locked) {
+    const lockedGroup = document.getElementById('entryLockedGroup');
+    if (lockedGroup) lockedGroup.style.display = locked ? 'block' : 'none';
+    const saveButton = document.getElementById('saveEntryButton');
+    if (saveButton) saveButton.disabled = locked;
+}
+
+async function handleUnlockEntry() {
+    const entryId = document.getElementById('editingEntryId')?.value;
+    const entry = getTransactionsForDate(getCurrentSelectedDate()).find(transaction => transaction.id === entryId);
+    if (!entry) return;
+    if (!confirm(`Unlock "${entry.title}"? It will no longer count as reconciled, and changes to it will show as a difference when the account is next reconciled.`)) return;
+
+    const unlocked = await unlockTransaction(entry);
+    if (!unlocked) {
+        notifications.error(`Could not unlock "${entry.title}"`, {
+            actions: [{ label: 'Retry', onClick: handleUnlockEntry }]
+        });
+        return;
+    }
+    setEntryLocked(false);
+    notifications.info(`"${entry.title}" unlocked for editing`);
 }
 
 /**
@@ -165,7 +487,7 @@ function resetTransactionForm() {
  * @param {string} entryId - ID of the entry to edit.
  */
 function editEntry(entryId) {
-    const transactions = getTransactionsForDate(getCurrentSelectedDate());
+    const transactions = [...getTransactionsForDate(getCurrentSelectedDate()), ...getPendingOccurrencesForDate(getCurrentSelectedDate())];
     const entryToEdit = transactions.find(entry => entry.id === entryId);
     
     if (!entryToEdit) {
@@ -181,6 +503,8 @@ function editEntry(entryId) {
     if (elements.entryType) elements.entryType.value = entryToEdit.type;
     if (elements.entryTitle) elements.entryTitle.value = entryToEdit.title || '';
     if (elements.entryDescription) elements.entryDescription.value = entryToEdit.description || '';
+    const attachmentsInput = document.getElementById('entryAttachments');
+    if (attachmentsInput) attachmentsInput.value = '';
     
     // Update button text to "Update" for edits.
     const saveButton = document.getElementById('saveEntryButton');
@@ -211,6 +535,174 @@ function editEntry(entryId) {
             if (elements.entryAmount) elements.entryAmount.value = entryToEdit.amount;
             if (elements.entryDate) elements.entryDate.value = getCurrentSelectedDate();
     }
+
+    // Occurrences of a recurring entry ask whether the change is for this date only
+    const ruleId = entryToEdit.is_recurring ? entryToEdit.rule_id : entryToEdit.recurring_rule_id;
+    const rule = ruleId && findRule(ruleId);
+    document.getElementById('editingRuleId').value = rule ? rule.id : '';
+    document.getElementById('editingRecurringDate').value = rule ? (entryToEdit.recurring_date || entryToEdit.date) : '';
+    document.querySelector('input[name="entryScope"][value="this"]').checked = true;
+    document.getElementById('entryScopeGroup').style.display = rule ? 'block' : 'none';
+    if (entryToEdit.is_recurring && saveButton) saveButton.textContent = 'Update Occurrence';
+    updateRepeatFields();
+    updateCategoryOptions(entryToEdit.category_id);
+    updateAccountOptions(entryToEdit.account_id || '', entryToEdit.transfer_account_id || '');
+    updateCurrencyOptions(entryToEdit.currency || CONFIG.BASE_CURRENCY);
+    updateProjectOptions(entryToEdit.project_id || '');
+    updateTaxFields(entryToEdit.tax_rate ?? null, entryToEdit.tax_amount || 0);
+    setSplitLines(isSplit(entryToEdit) ? entryToEdit.splits : []);
+    setEntryLocked(isReconciled(entryToEdit));
+}
+
+// ==========================================
+// SPLIT LINES
+// ==========================================
+
+/**
+ * Shows the split editor for entries that can be split: saved or new income
+ * and expenses, not a new series or an unconfirmed occurrence
+ */
+function updateSplitFields() {
+    const group = document.getElementById('entrySplitGroup');
+    const toggle = document.getElementById('entrySplitToggle');
+    if (!group || !toggle) return;
+
+    const type = document.getElementById('entryType')?.value;
+    const repeat = document.getElementById('entryRepeat')?.value || 'none';
+    const editingId = document.getElementById('editingEntryId')?.value || '';
+    const canSplit = (type === 'income' || type === 'expense') && repeat === 'none' && !editingId.startsWith('recurring_');
+    group.style.display = canSplit ? 'block' : 'none';
+    if (!canSplit) toggle.checked = false;
+
+    document.getElementById('entrySplitEditor').style.display = toggle.checked ? 'block' : 'none';
+    // The lines' categories follow the entry type
+    document.querySelectorAll('#entrySplitLines .split-category').forEach(select => fillSplitCategoryOptions(select, select.value));
+    updateCategoryOptions();
+    updateProjectOptions();
+    updateSplitRemaining();
+}
+
+/**
+ * Turning splitting on starts with the whole amount on the entry's category
+ * and an empty second line; turning it off keeps the first line's category
+ */
+function handleSplitToggle() {
+    const toggle = document.getElementById('entrySplitToggle');
+    const categorySelect = document.getElementById('entryCategory');
+    if (toggle.checked) {
+        const total = getSplitTotal();
+        setSplitLines([
+            { amount: total || '', category_id: categorySelect?.value || null, project_id: document.getElementById('entryProject')?.value || null },
+            { amount: '', category_id: null, project_id: null }
+        ], true);
+    } else {
+        const first = readSplitLines()[0];
+        setSplitLines([]);
+        updateCategoryOptions(first?.category_id || '');
+    }
+}
+
+/**
+ * Fills the editor, or empties and closes it when there are no lines
+ * @param {Array<Object>} lines
+ * @param {boolean} [open] - Keep the editor open even without lines
+ */
+function setSplitLines(lines, open = lines.length > 0) {
+    const list = document.getElementById('entrySplitLines');
+    const toggle = document.getElementById('entrySplitToggle');
+    if (!list || !toggle) return;
+    list.innerHTML = '';
+    toggle.checked = open;
+    lines.forEach(line => addSplitLine(line));
+    updateSplitFields();
+}
+
+function addSplitLine({ amount = '', category_id = null, project_id = null } = {}) {
+    const row = document.createElement('div');
+    row.className = 'split-line flex items-center gap-2';
+
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.step = '0.01';
+    amountInput.min = '0';
+    amountInput.placeholder = '0.00';
+    amountInput.className = 'split-amount w-24';
+    amountInput.value = amount;
+
+    const categorySelect = document.createElement('select');
+    categorySelect.className = 'split-category flex-grow min-w-0';
+    fillSplitCategoryOptions(categorySelect, category_id || '');
+
+    const projectSelect = document.createElement('select');
+    projectSelect.className = 'split-project flex-grow min-w-0';
+    projectSelect.innerHTML = '<option value="">No project</option>';
+    selectProjects(store.getState()).forEach(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name || 'Untitled project';
+        projectSelect.appendChild(option);
+    });
+    projectSelect.value = project_id || '';
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'text-gray-400 hover:text-red-500 flex-shrink-0';
+    removeButton.title = 'Remove line';
+    removeButton.textContent = '✕';
+    removeButton.onclick = () => {
+        row.remove();
+        updateSplitRemaining();
+    };
+
+    row.appendChild(amountInput);
+    row.appendChild(categorySelect);
+    row.appendChild(projectSelect);
+    row.appendChild(removeButton);
+    document.getElementById('entrySplitLines').appendChild(row);
+}
+
+function fillSplitCategoryOptions(select, selectedId) {
+    const type = document.getElementById('entryType')?.value;
+    const categories = type === 'income' || type === 'expense' ? getCategoriesForType(type) : [];
+    select.innerHTML = '<option value="">Uncategorized</option>';
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = [category.icon, category.name].filter(Boolean).join(' ');
+        select.appendChild(option);
+    });
+    select.value = categories.some(category => category.id === selectedId) ? selectedId : '';
+}
+
+function readSplitLines() {
+    return [...document.querySelectorAll('#entrySplitLines .split-line')].map(row => ({
+        amount: row.querySelector('.split-amount').value,
+        category_id: row.querySelector('.split-category').value || null,
+        project_id: row.querySelector('.split-project').value || null
+    }));
+}
+
+function getSplitTotal() {
+    return parseFloat(document.getElementById('entryAmount')?.value) || 0;
+}
+
+function sumSplitInputs() {
+    return readSplitLines().reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+}
+
+/**
+ * Says how much of the total is still to be shared out
+ */
+function updateSplitRemaining() {
+    const remaining = document.getElementById('entrySplitRemaining');
+    if (!remaining || !document.getElementById('entrySplitToggle')?.checked) return;
+    const currency = document.getElementById('entryCurrency')?.value;
+    const unallocated = getUnallocated(readSplitLines(), getSplitTotal());
+    const balanced = Math.abs(unallocated) < 0.005;
+    remaining.textContent = balanced
+        ? '✓ Lines match the total'
+        : `${unallocated > 0 ? 'Left to split' : 'Over the total by'} ${formatNumber(Math.abs(unallocated), true, currency)}`;
+    remaining.className = balanced ? 'text-green-600' : 'text-red-600';
 }
 
 /**
@@ -239,13 +731,12 @@ async function handleSaveEntry() {
     const description = ''; 
 
     if (entryId && entryId.startsWith('project_task_')) {
-        // Use a custom modal instead of alert for better UI/UX.
-        alert('Please edit project tasks from the Contacts page.');
+        notifications.warning('Please edit project tasks from the Contacts page.');
         return;
     }
     
     if (selectedType === 'none' || !title) {
-        alert("Please select an entry type and provide a title.");
+        notifications.warning('Please select an entry type and provide a title.');
         return;
     }
     
@@ -255,19 +746,95 @@ async function handleSaveEntry() {
     
     const amount = (selectedType !== 'task') ? parseFloat(elements.entryAmount.value) : 0;
     if (selectedType !== 'task' && isNaN(amount)) {
-        alert("Invalid amount.");
+        notifications.warning('Please enter a valid amount.');
+        return;
+    }
+
+    const currency = (selectedType !== 'task') ? document.getElementById('entryCurrency')?.value || getBaseCurrency() : null;
+
+    const categoryId = (selectedType === 'income' || selectedType === 'expense')
+        ? document.getElementById('entryCategory')?.value || null
+        : null;
+    const accountId = ['income', 'expense', 'transfer'].includes(selectedType)
+        ? document.getElementById('entryAccount')?.value || null
+        : null;
+    const transferAccountId = selectedType === 'transfer'
+        ? document.getElementById('entryTransferAccount')?.value || null
+        : null;
+    const projectId = selectedType === 'expense'
+        ? document.getElementById('entryProject')?.value || null
+        : null;
+
+    if (selectedType === 'transfer') {
+        if (!accountId || !transferAccountId || accountId === transferAccountId) {
+            notifications.warning('Please choose two different accounts for the transfer.');
+            return;
+        }
+        if (amount <= 0) {
+            notifications.warning('Please enter the amount transferred.');
+            return;
+        }
+    }
+
+    // Input tax is part of the amount paid
+    const taxShown = document.getElementById('entryTaxGroup')?.style.display === 'block';
+    const taxRate = selectedType === 'expense' && taxShown ? parseTaxRate(document.getElementById('entryTaxRate')?.value) : null;
+    const taxAmount = taxRate !== null ? parseFloat(document.getElementById('entryTaxAmount')?.value) || 0 : 0;
+    if (taxAmount < 0 || taxAmount > amount) {
+        notifications.warning('The SST paid must be between zero and the amount.');
         return;
     }
 
+    // Split lines replace the category; saving without them clears an earlier split
+    const splitting = (selectedType === 'income' || selectedType === 'expense') && document.getElementById('entrySplitToggle')?.checked;
+    const splits = splitting ? normalizeSplits(readSplitLines()) : [];
+    if (splitting) {
+        const splitError = validateSplits(splits, amount);
+        if (splitError) {
+            notifications.warning(splitError);
+            return;
+        }
+    }
+
     // Pass the description to the saveEntry function.
-    const entryData = { date: entryDateValue, type: selectedType, title, description, amount };
-    const success = await saveEntry(entryData, entryId || null);
+    const entryData = { date: entryDateValue, type: selectedType, title, description, amount, currency, category_id: splitting ? null : categoryId, project_id: splitting ? null : projectId, account_id: accountId, transfer_account_id: transferAccountId, splits };
+    // Income keeps the output tax recorded when a project payment was received
+    if (selectedType === 'expense') Object.assign(entryData, { tax_rate: taxRate, tax_amount: taxAmount });
+    const ruleId = document.getElementById('editingRuleId')?.value;
+    const recurringDate = document.getElementById('editingRecurringDate')?.value;
+    const scope = document.querySelector('input[name="entryScope"]:checked')?.value || 'this';
+    const schedule = entryId ? null : getRepeatSchedule();
+
+    let success;
+    if (entryId && entryId.startsWith('recurring_')) {
+        // A pending occurrence: the rule changes, no transaction exists yet
+        success = await updateOccurrence(ruleId, recurringDate, { type: selectedType, title, amount, currency, category_id: categoryId, account_id: accountId }, scope);
+        if (success) notifications.success(`"${title}" updated${scope === 'future' ? ' for this and all future occurrences' : ''}`);
+    } else if (schedule) {
+        if (schedule.end_date && schedule.end_date < entryDateValue) {
+            notifications.warning('The repeat end date must be after the first entry.');
+            return;
+        }
+        success = await createRecurringEntry(entryData, schedule);
+    } else {
+        const files = [...(document.getElementById('entryAttachments')?.files || [])];
+        const attaching = files.length > 0 && ['income', 'expense', 'transfer'].includes(selectedType);
+        if (attaching && !entryId) entryData.id = crypto.randomUUID();
+        const existing = getTransactionsForDate(selectedDate).find(transaction => transaction.id === entryId);
+        // saveEntry reports success or failure (with a Retry action) itself
+        success = await saveEntry(entryData, entryId || null);
+        // New files are stored once the entry is, so a failed or refused save leaves none behind
+        if (success && attaching) {
+            await attachFiles({ id: entryData.id || entryId, title, attachments: getAttachments(existing) }, files);
+        }
+        if (success && ruleId && scope === 'future') {
+            success = await updateOccurrence(ruleId, recurringDate, { type: selectedType, title, amount, currency, category_id: categoryId, account_id: accountId }, 'future');
+        }
+    }
     
     if (success) {
         // Close the modal after a successful save.
         closeModal(); 
-    } else {
-        alert('Failed to save entry. Please try again.');
     }
 }
 
@@ -277,20 +844,22 @@ async function handleSaveEntry() {
  */
 async function handleDeleteTransaction(transactionId) {
     if (transactionId.includes('_milestone_') || transactionId.startsWith('invoice_due_')) {
-        alert('This is a project invoice and cannot be deleted here. Please edit the project from the Contacts page to update its status.');
+        notifications.warning('This is a project invoice and cannot be deleted here. Edit the project from the Contacts page to update its status.');
         return;
     }
     
+    const transaction = getTransactionsForDate(getCurrentSelectedDate()).find(entry => entry.id === transactionId);
+    if (isReconciled(transaction)) {
+        notifications.warning('This transaction is reconciled. Open it and unlock it before deleting.');
+        return;
+    }
+
     // TODO: Replace this with a custom confirmation modal.
     if (!confirm('Are you sure you want to delete this transaction?')) return;
     
-    const success = await deleteTransaction(transactionId);
-    if (success) {
-        const selectedDate = getCurrentSelectedDate();
-        if (selectedDate) renderCurrentDayEntries(selectedDate);
-    } else {
-        alert('Failed to delete transaction. Please try again.');
-    }
+    // The entry list re-renders from the store once the deletion is loaded;
+    // deleteTransaction shows the outcome with Undo / Retry actions
+    await deleteTransaction(transactionId);
 }
 
 /**
@@ -303,34 +872,35 @@ function renderCurrentDayEntries(dateString) {
     if (!listEl) return;
     
     listEl.innerHTML = ''; // Clear previous entries
+    renderDayBills(dateString);
     
     const transactions = getTransactionsForDate(dateString);
-    const projectItems = window.projectCalendarData ? getProjectItemsForDate(window.projectCalendarData, dateString) : [];
+    const state = store.getState();
+    const projectCalendarData = selectProjectCalendarData(state);
+    const projectItems = getProjectItemsForDate(projectCalendarData, dateString);
     
     console.log('Debug - Date:', dateString);
     console.log('Debug - Project Items found:', projectItems);
-    console.log('Debug - Project Calendar Data:', window.projectCalendarData);
+    console.log('Debug - Project Calendar Data:', projectCalendarData);
     
     // Find all project tasks for the current day.
     const calendarTasks = [];
-    if (window.allProjects) {
-        window.allProjects.forEach(project => {
-            if (project.tasks && Array.isArray(project.tasks)) {
-                project.tasks.forEach((task, taskIndex) => {
-                    if (task.due_date === dateString) {
-                        calendarTasks.push({ 
-                            ...task, 
-                            type: 'project_task', 
-                            projectName: project.name, 
-                            projectId: project.id, 
-                            taskIndex,
-                            contact_id: project.contact_id
-                        });
-                    }
-                });
-            }
-        });
-    }
+    selectProjects(state).forEach(project => {
+        if (project.tasks && Array.isArray(project.tasks)) {
+            project.tasks.forEach((task, taskIndex) => {
+                if (task.due_date === dateString) {
+                    calendarTasks.push({ 
+                        ...task, 
+                        type: 'project_task', 
+                        projectName: project.name, 
+                        projectId: project.id, 
+                        taskIndex,
+                        contact_id: project.contact_id
+                    });
+                }
+            });
+        }
+    });
 
     // NEW: Filter out paid invoices from projectItems before combining.
     // This helps avoid showing paid items in the list.
@@ -437,15 +1007,25 @@ function renderCurrentDayEntries(dateString) {
 
     console.log(`📋 Total entries: ${allEntries.length}, After deduplication: ${deduplicatedEntries.length}`);
 
-    if (deduplicatedEntries.length === 0) {
-        listEl.innerHTML = '<p class="text-gray-500 text-sm text-center py-4">No entries for this day yet.</p>';
+    // Recurring entries waiting to be confirmed are listed as they are
+    deduplicatedEntries.push(...getPendingOccurrencesForDate(dateString));
+
+    const missingReceiptsOnly = document.getElementById('missingReceiptsFilter')?.checked;
+    const threshold = loadReceiptThreshold();
+    const shownEntries = missingReceiptsOnly
+        ? deduplicatedEntries.filter(entry => isMissingReceipt(entry, threshold))
+        : deduplicatedEntries;
+
+    if (shownEntries.length === 0) {
+        const message = missingReceiptsOnly ? 'No expenses missing a receipt on this day.' : 'No entries for this day yet.';
+        listEl.innerHTML = `<p class="text-gray-500 text-sm text-center py-4">${message}</p>`;
         return;
     }
     
     // Create a document fragment to batch DOM appends for performance.
     const fragment = document.createDocumentFragment();
 
-    deduplicatedEntries.forEach(entry => {
+    shownEntries.forEach(entry => {
         fragment.appendChild(createEntryCard(entry));
     });
 
@@ -473,12 +1053,21 @@ function createEntryCard(entry) {
                         entry.type === 'invoice_due' || 
                         entry.type === 'payable' || 
                         isProjectRelatedIncome(entry);
-    card.className = `flex items-center p-3 rounded-lg transition-all duration-200 mb-2 ${bgColor} hover:shadow-md ${isClickable ? 'cursor-pointer' : ''}`;
+    card.className = `flex items-center p-3 rounded-lg transition-all duration-200 mb-2 ${bgColor} hover:shadow-md ${isClickable ? 'cursor-pointer' : ''} ${entry.is_recurring ? 'border border-dashed border-gray-400 opacity-75' : ''}`;
     card.dataset.id = entry.id;
 
     const iconContainer = document.createElement('div');
     iconContainer.className = `flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center mr-4 ${iconColor}`;
     iconContainer.innerHTML = icon;
+
+    // Categorized income and expenses show the category's icon in its color
+    const category = findCategory(entry.category_id);
+    if (category) {
+        iconContainer.className = 'flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center mr-4 text-base';
+        iconContainer.style.backgroundColor = `${category.color || '#e5e7eb'}33`;
+        iconContainer.textContent = category.icon || '🏷️';
+        iconContainer.title = category.name;
+    }
     
     const detailsContainer = document.createElement('div');
     detailsContainer.className = 'flex-grow';
@@ -500,23 +1089,68 @@ function createEntryCard(entry) {
         description.textContent = entry.description || '';
     }
 
+    // Where the money went: category and account, or both sides of a transfer
+    const account = findAccount(entry.account_id);
+    const placement = entry.type === 'transfer'
+        ? `${account?.name || 'No account'} → ${findAccount(entry.transfer_account_id)?.name || 'No account'}`
+        : [isSplit(entry) ? describeSplit(entry) : category?.name, entry.type === 'expense' && !isSplit(entry) ? selectProjectById(store.getState(), entry.project_id)?.name : null, account?.name].filter(Boolean).join(' · ');
+    if (placement) {
+        description.textContent = description.textContent ? `${placement} · ${description.textContent}` : placement;
+    }
+
+    // SST charged on a project payment, or paid on an expense
+    if (parseFloat(entry.tax_amount) > 0) {
+        const tax = `SST ${formatMoney(entry.tax_amount, entry.currency)}`;
+        description.textContent = description.textContent ? `${description.textContent} · ${tax}` : tax;
+    }
+
+    // Recurring entries say how often they repeat; pending ones that they still need confirming
+    const rule = findRule(entry.is_recurring ? entry.rule_id : entry.recurring_rule_id);
+    if (rule) {
+        const schedule = `↻ ${describeSchedule(rule)}${entry.is_recurring ? ' · not confirmed yet' : ''}`;
+        description.textContent = description.textContent ? `${description.textContent} · ${schedule}` : schedule;
+    }
+
+    // Where it stands against the bank statement
+    if (isReconciled(entry) || entry.cleared) {
+        const status = isReconciled(entry) ? '🔒 Reconciled' : '✓ Cleared';
+        description.textContent = description.textContent ? `${description.textContent} · ${status}` : status;
+    }
+
     detailsContainer.appendChild(title);
     if (description.textContent) {
         detailsContainer.appendChild(description);
     }
 
+    // Receipts and documents, or a reminder that one is expected
+    if (getAttachments(entry).length > 0) {
+        detailsContainer.appendChild(createAttachmentThumbnails(entry));
+    } else if (isMissingReceipt(entry)) {
+        const missing = document.createElement('p');
+        missing.className = 'text-xs font-medium text-amber-700 mt-1';
+        missing.textContent = '⚠️ No receipt';
+        detailsContainer.appendChild(missing);
+    }
+
     const amountContainer = document.createElement('div');
     amountContainer.className = `text-right flex-shrink-0 ml-4`;
 
     if (entry.type !== 'project_task' && entry.type !== 'task') {
         const amountText = document.createElement('p');
         amountText.className = `font-bold text-sm ${textColor}`;
-        amountText.textContent = formatNumber(entry.amount, true);
+        amountText.textContent = formatNumber(entry.amount, true, entry.currency);
         amountContainer.appendChild(amountText);
+        // Foreign amounts also show what they come to in the base currency
+        if (entry.amount && isForeign(entry.currency)) {
+            const baseAmountText = document.createElement('p');
+            baseAmountText.className = `text-xs ${textColor} opacity-70`;
+            baseAmountText.textContent = `≈ ${formatMoney(toBase(entry.amount, entry.currency, entry.date || entry.due_date || getCurrentSelectedDate()))}`;
+            amountContainer.appendChild(baseAmountText);
+        }
     }
     
-    // --- MODIFIED: The delete button is only added for 'income' and 'expense' types ---
-    if (entry.type === 'income' || entry.type === 'expense') {
+    // --- MODIFIED: The delete button is only added for 'income', 'expense' and 'transfer' types ---
+    if (entry.type === 'income' || entry.type === 'expense' || entry.type === 'transfer') {
         const deleteButton = document.createElement('button');
         deleteButton.className = 'text-gray-400 hover:text-red-500 transition-colors duration-200 opacity-50 hover:opacity-100';
         deleteButton.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg>`;
@@ -524,9 +1158,33 @@ function createEntryCard(entry) {
             e.stopPropagation();
             handleDeleteTransaction(entry.id);
         };
+        if (!entry.is_recurring) amountContainer.appendChild(createAttachButton(entry));
         amountContainer.appendChild(deleteButton);
     }
 
+    if (entry.is_recurring) {
+        const actions = document.createElement('div');
+        actions.className = 'flex justify-end gap-2 mt-1';
+        [
+            { label: 'Skip', className: 'text-gray-500 hover:text-gray-800', onClick: () => skipOccurrence(entry.rule_id, entry.date) },
+            { label: 'Confirm', className: 'text-indigo-600 hover:text-indigo-800', onClick: () => confirmOccurrence(entry.rule_id, entry.date) }
+        ].forEach(({ label, className, onClick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `text-xs font-semibold ${className}`;
+            button.textContent = label;
+            button.onclick = async (e) => {
+                e.stopPropagation();
+                button.disabled = true;
+                // The list re-renders from the store once the change is applied
+                await onClick();
+                button.disabled = false;
+            };
+            actions.appendChild(button);
+        });
+        amountContainer.appendChild(actions);
+    }
+
     card.appendChild(iconContainer);
     card.appendChild(detailsContainer);
     card.appendChild(amountContainer);
@@ -561,9 +1219,9 @@ function createEntryCard(entry) {
                 if (projectId) {
                     console.log('🔍 Opening project modal for project ID:', projectId);
                     // Find the full project and contact objects
-                    const project = window.allProjects?.find(p => p.id === projectId);
+                    const project = selectProjectById(store.getState(), projectId);
                     if (project) {
-                        const contact = window.allContacts?.find(c => c.id === project.contact_id);
+                        const contact = selectContactById(store.getState(), project.contact_id);
                         if (contact) {
                             // Import the correct function and use it properly
                             import('./project-form-modal.js').then(module => {
@@ -572,11 +1230,11 @@ function createEntryCard(entry) {
                         } else {
                             // NEW: Handle missing contact gracefully
                             console.error('Contact not found for project:', project.id);
-                            alert(`❌ Cannot open project: Contact information is missing.\n\nProject: ${project.name}\nContact ID: ${project.contact_id}\n\nPlease update the project's contact or delete the project.`);
+                            notifications.error(`Cannot open "${project.name}": its contact is missing. Update the project's contact or delete the project.`);
                         }
                     } else {
                         console.error('Project not found with ID:', projectId);
-                        alert('❌ Project not found.');
+                        notifications.error('Project not found.');
                     }
                 } else {
                     console.error('Project ID not found for this entry:', entry);
@@ -591,6 +1249,105 @@ function createEntryCard(entry) {
     return card;
 }
 
+/**
+ * e.g. 'Split: Hardware 300.00 (Website), Software 50.00'
+ * @param {Transaction} entry
+ */
+function describeSplit(entry) {
+    const state = store.getState();
+    const lines = getSplitLines(entry).map(line => {
+        const project = line.project_id ? selectProjectById(state, line.project_id) : null;
+        const label = `${findCategory(line.category_id)?.name || 'Uncategorized'} ${formatNumber(line.amount, false)}`;
+        return project ? `${label} (${project.name})` : label;
+    });
+    return `Split: ${lines.join(', ')}`;
+}
+
+// Up to this many thumbnails per card; the rest are counted
+const MAX_THUMBNAILS = 3;
+
+/**
+ * A row of thumbnails for an entry's attachments, each opening the viewer
+ * @param {Transaction} entry
+ * @returns {HTMLElement}
+ */
+function createAttachmentThumbnails(entry) {
+    const attachments = getAttachments(entry);
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-1 mt-1';
+
+    attachments.slice(0, MAX_THUMBNAILS).forEach((attachment, index) => {
+        const thumbnail = document.createElement('button');
+        thumbnail.type = 'button';
+        thumbnail.className = 'w-10 h-10 rounded border border-gray-200 bg-white overflow-hidden flex items-center justify-center text-lg hover:ring-2 hover:ring-indigo-300';
+        thumbnail.title = attachment.name;
+        thumbnail.textContent = '📄';
+        thumbnail.onclick = (e) => {
+            e.stopPropagation();
+            openAttachmentViewer(entry, index);
+        };
+        if (isImage(attachment)) {
+            getAttachmentUrl(attachment).then(url => {
+                if (!url) return;
+                const image = document.createElement('img');
+                image.src = url;
+                image.alt = attachment.name;
+                image.className = 'w-full h-full object-cover';
+                thumbnail.replaceChildren(image);
+            });
+        }
+        row.appendChild(thumbnail);
+    });
+
+    if (attachments.length > MAX_THUMBNAILS) {
+        const more = document.createElement('button');
+        more.type = 'button';
+        more.className = 'text-xs font-medium text-gray-500 hover:text-gray-800 px-1';
+        more.textContent = `+${attachments.length - MAX_THUMBNAILS}`;
+        more.onclick = (e) => {
+            e.stopPropagation();
+            openAttachmentViewer(entry, MAX_THUMBNAILS);
+        };
+        row.appendChild(more);
+    }
+    return row;
+}
+
+/**
+ * A paperclip button that attaches picked files straight to a saved entry
+ * @param {Transaction} entry
+ * @returns {HTMLElement}
+ */
+function createAttachButton(entry) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = ACCEPTED_ATTACHMENT_TYPES;
+    input.multiple = true;
+    input.className = 'hidden';
+    input.onclick = (e) => e.stopPropagation();
+    input.onchange = async () => {
+        const files = [...input.files];
+        input.value = '';
+        // The list re-renders from the store once the files are on the entry
+        if (files.length > 0) await attachFiles(entry, files);
+    };
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'text-gray-400 hover:text-indigo-500 transition-colors duration-200 opacity-50 hover:opacity-100 mr-2';
+    button.title = 'Attach a receipt or document';
+    button.textContent = '📎';
+    button.onclick = (e) => {
+        e.stopPropagation();
+        input.click();
+    };
+
+    const wrapper = document.createElement('span');
+    wrapper.appendChild(input);
+    wrapper.appendChild(button);
+    return wrapper;
+}
+
 // --- NEW: Helper functions to detect project-related income ---
 function isProjectRelatedIncome(entry) {
     if (entry.type !== 'income') return false;
@@ -624,7 +1381,7 @@ function extractProjectIdFromIncome(entry) {
     if (quotationMatch) {
         // Find project by name containing "Quotation X"
         const quotationName = `Quotation ${quotationMatch[1]}`;
-        const project = (window.allProjects || []).find(p => 
+        const project = selectProjects(store.getState()).find(p => 
             p.name && p.name.toLowerCase().includes(quotationName.toLowerCase())
         );
         if (project) return project.id;
@@ -634,14 +1391,14 @@ function extractProjectIdFromIncome(entry) {
     const milestoneMatch = text.match(/milestone payment from (.+)/i);
     if (milestoneMatch) {
         const projectName = milestoneMatch[1].trim();
-        const project = (window.allProjects || []).find(p => 
+        const project = selectProjects(store.getState()).find(p => 
             p.name && p.name.toLowerCase().includes(projectName.toLowerCase())
         );
         if (project) return project.id;
     }
     
     // Try to find project by partial name match
-    const project = (window.allProjects || []).find(p => {
+    const project = selectProjects(store.getState()).find(p => {
         if (!p.name) return false;
         const projectName = p.name.toLowerCase();
         return text.includes(projectName) || projectName.includes(text.split(' ')[0]);
@@ -654,6 +1411,7 @@ function extractProjectIdFromIncome(entry) {
 function getEntryStyling(type) {
     const styles = {
         income: { bgColor: 'bg-green-50', textColor: 'text-green-800', iconColor: 'bg-green-200', icon: `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v12m6-6H6" /></svg>` },
+        transfer: { bgColor: 'bg-sky-50', textColor: 'text-sky-800', iconColor: 'bg-sky-200', icon: `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" /></svg>` },
         expense: { bgColor: 'bg-red-50', textColor: 'text-red-800', iconColor: 'bg-red-200', icon: `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M18 12H6" /></svg>` },
         payable: { bgColor: 'bg-yellow-50', textColor: 'text-yellow-800', iconColor: 'bg-yellow-200', icon: `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>` },
         project_task: { bgColor: 'bg-blue-50', textColor: 'text-blue-800', iconColor: 'bg-blue-200', icon: `<svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" /></svg>` },
@@ -663,14 +1421,14 @@ function getEntryStyling(type) {
     return styles[type] || styles.default;
 }
 
-function formatNumber(amount, includeCurrency = false) {
+function formatNumber(amount, includeCurrency = false, currency = CONFIG.BASE_CURRENCY) {
     const formatter = new Intl.NumberFormat('en-MY', {
         minimumFractionDigits: 2,
         maximumFractionDigits: 2,
     });
     let formattedAmount = formatter.format(Math.abs(amount));
     if (includeCurrency) {
-        formattedAmount = `RM${formattedAmount}`;
+        formattedAmount = formatMoney(Math.abs(amount), currency || CONFIG.BASE_CURRENCY);
     }
     return amount < 0 ? `(${formattedAmount})` : formattedAmount;
 }
\ No newline at end of file
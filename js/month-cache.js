@@ -0,0 +1,113 @@
+/**
+ * month-cache.js - Month-windowed data cache
+ * Keeps data keyed by month ('YYYY-MM') for CONFIG.CACHE_DURATION so flipping
+ * between months doesn't hit the database again. Concurrent loads of the same
+ * key share one request, which lets prefetches and real requests overlap.
+ */
+
+export class MonthCache {
+    /**
+     * @param {number} duration - How long an entry stays fresh, in milliseconds
+     */
+    constructor(duration) {
+        this.duration = duration;
+        this.entries = new Map(); // key -> { data, fetchedAt }
+        this.pending = new Map(); // key -> Promise
+    }
+
+    /**
+     * Returns the cached data for a key, or undefined when missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (Date.now() - entry.fetchedAt > this.duration) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.data;
+    }
+
+    set(key, data) {
+        this.entries.set(key, { data, fetchedAt: Date.now() });
+    }
+
+    /**
+     * Patches the data of every fresh entry without extending its lifetime
+     * @param {Function} updater - Called with (data, key), returns the new data
+     */
+    updateAll(updater) {
+        this.entries.forEach((entry, key) => {
+            if (this.get(key) === undefined) return;
+            entry.data = updater(entry.data, key);
+        });
+    }
+
+    /**
+     * Returns cached data, or runs the loader and caches its result
+     * @param {string} key - Cache key
+     * @param {Function} loader - Async function returning the data (throw to skip caching)
+     */
+    async load(key, loader) {
+        const cached = this.get(key);
+        if (cached !== undefined) return cached;
+        if (this.pending.has(key)) return this.pending.get(key);
+
+        const request = loader()
+            .then(data => {
+                // Skip if invalidated while the request was in flight
+                if (this.pending.get(key) === request) this.set(key, data);
+                return data;
+            })
+            .finally(() => {
+                if (this.pending.get(key) === request) this.pending.delete(key);
+            });
+        this.pending.set(key, request);
+        return request;
+    }
+
+    invalidate(key) {
+        this.entries.delete(key);
+        this.pending.delete(key);
+    }
+
+    /**
+     * Drops the month containing a 'YYYY-MM-DD' date
+     */
+    invalidateDate(dateString) {
+        if (dateString) this.invalidate(dateString.slice(0, 7));
+    }
+
+    clear() {
+        this.entries.clear();
+        this.pending.clear();
+    }
+
+    // === MONTH KEYS ===
+
+    /**
+     * @param {Date} date - Any day in the month
+     * @returns {string} 'YYYY-MM'
+     */
+    static monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * @param {string} key - 'YYYY-MM'
+     * @param {number} offset - Months to move (negative for earlier)
+     */
+    static shiftMonth(key, offset) {
+        const [year, month] = key.split('-').map(Number);
+        return MonthCache.monthKey(new Date(year, month - 1 + offset, 1));
+    }
+
+    /**
+     * First and last day of a month as 'YYYY-MM-DD' strings
+     */
+    static monthBounds(key) {
+        const [year, month] = key.split('-').map(Number);
+        const lastDay = new Date(year, month, 0).getDate();
+        return { from: `${key}-01`, to: `${key}-${String(lastDay).padStart(2, '0')}` };
+    }
+}
@@ -1,7 +1,10 @@
 // js/monthly-goal.js
-import { CONFIG } from './config.js';
-import { supabase } from './supabase-client.js'; // Assuming this is how you import your Supabase client
-import { getAllTransactions } from './transactions.js'; // NEW: Import getAllTransactions
+import { authManager } from './auth.js';
+import { store, selectMonthlyGoal, selectTransactions } from './store.js';
+import { apiClient } from './api-client.js';
+import { MonthCache } from './month-cache.js';
+import { notifications } from './notifications.js';
+import { transactionToBase, formatMoney } from './currency.js';
 
 /**
  * Initializes the monthly goal functionality.
@@ -17,6 +20,8 @@ export async function initializeMonthlyGoal() {
 
     // Load the current goal when the dashboard loads
     await fetchAndDisplayMonthlyGoal();
+    // Realtime goal changes and this month's income both land in the store
+    store.subscribe(['monthlyGoal', 'transactions', 'totals', 'exchangeRates', 'baseCurrency'], renderMonthlyGoal);
 
     // Event listener to open the modal
     if (editGoalBtn) {
@@ -34,21 +39,15 @@ export async function initializeMonthlyGoal() {
             const goalAmount = parseFloat(goalAmountInput.value);
 
             if (isNaN(goalAmount) || goalAmount < 0) {
-                // IMPORTANT: Do NOT use alert(). Use a custom message box instead.
-                // For now, I'll keep it as alert() as per your original code pattern,
-                // but consider replacing this with a styled modal or toast notification.
-                alert('Please enter a valid positive number for your goal.');
+                notifications.warning('Please enter a valid positive number for your goal.');
                 return;
             }
 
             // Here we call the function to save the data to the database
             await saveMonthlyGoal(goalAmount);
             
-            // Close the modal after saving
+            // Close the modal after saving (the store update redraws the dashboard)
             closeGoalModal();
-
-            // Update the dashboard display
-            await fetchAndDisplayMonthlyGoal();
         });
     }
 
@@ -77,12 +76,12 @@ export async function initializeMonthlyGoal() {
 }
 
 /**
- * Ensures a user session exists (either authenticated or anonymous) and returns the user ID.
- * If no session exists, it attempts to sign in anonymously.
+ * Returns the ID of the signed-in user.
+ * The session itself is established by authManager before the app starts.
  * @returns {string|null} The user ID if a session exists, otherwise null.
  */
 export async function getOrCreateUserId() {
-    return CONFIG.USER_ID;
+    return authManager.userId;
 }
 
 
@@ -94,8 +93,7 @@ async function saveMonthlyGoal(amount) {
     const userId = await getOrCreateUserId();
     if (!userId) {
         console.error('Cannot save goal: No user ID available.');
-        // IMPORTANT: Do NOT use alert(). Use a custom message box instead.
-        alert('Failed to get user ID. Cannot save goal.');
+        notifications.error('You need to be signed in to save a goal.');
         return;
     }
 
@@ -107,18 +105,18 @@ async function saveMonthlyGoal(amount) {
         goal_amount: amount
     });
 
-    // MODIFIED: Changed from .insert() to .upsert() to handle existing goals
-    // We also specify the columns 'user_id' and 'month' for conflict resolution.
-    const { data, error } = await supabase
-        .from('monthly_goals')
-        .upsert({ user_id: userId, month: currentMonth, goal_amount: amount }, { onConflict: 'user_id, month' });
+    // Upsert on 'user_id' + 'month' so an existing goal for the month is replaced
+    const { success, data, error } = await apiClient.saveMonthlyGoal(currentMonth, amount);
     
-    if (error) {
+    if (!success) {
         console.error('Error saving monthly goal - Full error:', error);
-        console.error('Error details:', error.details, error.message, error.hint);
-        alert('Failed to save the goal. Please check console for details.');
+        notifications.error('Failed to save the monthly goal', {
+            actions: [{ label: 'Retry', onClick: () => saveMonthlyGoal(amount) }]
+        });
     } else {
         console.log('Monthly goal saved successfully:', data);
+        store.setState({ monthlyGoal: data });
+        notifications.success(`Monthly goal set to ${formatMoney(amount)}`);
     }
 }
 
@@ -132,7 +130,7 @@ export async function fetchAndDisplayMonthlyGoal() {
         // If no user, display default 0 goal
         const goalTargetText = document.getElementById('goal-target-text');
         const goalAmountInput = document.getElementById('goal-amount');
-        goalTargetText.textContent = `of RM0.00`;
+        goalTargetText.textContent = `of ${formatMoney(0)}`;
         if (goalAmountInput) {
             goalAmountInput.value = '';
         }
@@ -146,25 +144,35 @@ export async function fetchAndDisplayMonthlyGoal() {
 
     const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM format
     
-    const { data, error } = await supabase
-        .from('monthly_goals')
-        .select('goal_amount')
-        .eq('user_id', userId)
-        .eq('month', currentMonth)
-        .single();
-    
+    const { data, error } = await apiClient.getMonthlyGoal(currentMonth);
+    if (error) {
+        console.error('Error fetching monthly goal:', error);
+    }
+
+    if (selectMonthlyGoal(store.getState()) === (data || null)) {
+        await renderMonthlyGoal(store.getState());
+    } else {
+        store.setState({ monthlyGoal: data || null });
+    }
+}
+
+/**
+ * Renders the goal target and this month's progress from the store.
+ * @param {Object} state - Current store state
+ */
+async function renderMonthlyGoal(state) {
+    const goal = selectMonthlyGoal(state);
+    if (goal === undefined) return; // Not loaded yet
+
+    const currentMonth = new Date().toISOString().slice(0, 7); // YYYY-MM format
     const goalTargetText = document.getElementById('goal-target-text');
     const goalAmountInput = document.getElementById('goal-amount');
     const goalProgressBar = document.getElementById('goal-progress-bar');
     const goalProgressText = document.getElementById('goal-progress-text');
-
-    if (error && error.code !== 'PGRST116') { // PGRST116 means "No row found"
-        console.error('Error fetching monthly goal:', error);
-    }
     
     // Set the goal display on the dashboard
-    const goalAmount = data ? data.goal_amount : 0;
-    goalTargetText.textContent = `of RM${goalAmount.toFixed(2)}`;
+    const goalAmount = goal ? parseFloat(goal.goal_amount) || 0 : 0;
+    goalTargetText.textContent = `of ${formatMoney(goalAmount)}`;
     
     // Also update the input field in the modal when it's opened
     // Only set if the modal is not currently open and being edited
@@ -172,19 +180,24 @@ export async function fetchAndDisplayMonthlyGoal() {
         goalAmountInput.value = goalAmount > 0 ? goalAmount : '';
     }
     
-    // MODIFIED: Calculate current progress based on monthly income from allTransactions
-    const allTransactions = getAllTransactions(); // Get all transactions from transactions.js
-    let currentProgress = 0;
-    allTransactions.forEach(transaction => {
-        // Ensure transaction.date exists and starts with the current month string
-        if (transaction.type === 'income' && transaction.date && transaction.date.startsWith(currentMonth)) {
-            currentProgress += transaction.amount;
-        }
-    });
+    // Progress is this month's income in the base currency. The store holds the viewed month and the one
+    // before it; when the calendar is elsewhere, ask the transactions repository.
+    const viewedMonth = MonthCache.monthKey(state.viewedDate || new Date());
+    const [year, month] = currentMonth.split('-').map(Number);
+    let currentProgress;
+    if ([viewedMonth, MonthCache.shiftMonth(viewedMonth, -1)].includes(currentMonth)) {
+        currentProgress = selectTransactions(state)
+            .filter(transaction => transaction.type === 'income' && transaction.date?.startsWith(currentMonth))
+            .reduce((sum, transaction) => sum + transactionToBase(transaction, state), 0);
+    } else {
+        const lastDay = new Date(year, month, 0).getDate();
+        const { data: totals } = await apiClient.getTransactionTotals(`${currentMonth}-01`, `${currentMonth}-${lastDay}`, { convert: transactionToBase });
+        currentProgress = totals.income;
+    }
 
     const progressPercentage = goalAmount > 0 ? (currentProgress / goalAmount) * 100 : 0;
     
     // MODIFIED: Display progress as percentage
     goalProgressText.textContent = `${Math.min(progressPercentage, 100).toFixed(0)}%`;
     goalProgressBar.style.width = `${Math.min(progressPercentage, 100)}%`;
-}
\ No newline at end of file
+}
@@ -4,13 +4,20 @@
  */
 
 import { initializeContactsPage } from './contacts-toolbar.js';
+import { initializeTrashPage, refreshTrashPage } from './trash-page.js';
 
 // --- State Management ---
 // This object keeps track of which pages have been initialized.
 const pageInitializationState = {
     dashboard: true, // Assume dashboard is always ready
     projects: false,
-    contacts: false
+    contacts: false,
+    trash: false
+};
+
+// Pages whose content is reloaded every time they are shown
+const pageRefreshers = {
+    trash: refreshTrashPage
 };
 
 /**
@@ -74,6 +81,8 @@ async function switchToPage(targetPage, navItems, pages) {
         try {
             if (targetPage === 'contacts') {
                 await initializeContactsPage();
+            } else if (targetPage === 'trash') {
+                await initializeTrashPage();
             }
             // Add other pages here if they need specific initialization
             // else if (targetPage === 'projects') {
@@ -91,6 +100,10 @@ async function switchToPage(targetPage, navItems, pages) {
     } else {
         console.log(`👍 Module for '${targetPage}' already initialized. No action needed.`);
     }
+
+    if (pageRefreshers[targetPage]) {
+        await pageRefreshers[targetPage]();
+    }
 }
 
 /**
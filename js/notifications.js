@@ -0,0 +1,292 @@
+/**
+ * notifications.js - App-wide Toasts and Notification History
+ * Every module reports the outcome of saves, deletes and sync through the
+ * `notifications` service instead of alert() or console-only messages.
+ * Toasts can carry action buttons (e.g. "Undo", "Retry"); every toast is
+ * also kept in a history drawer that survives page reloads.
+ */
+
+import { escapeHtml } from './utils.js';
+
+const HISTORY_KEY = 'notification-history';
+const HISTORY_LIMIT = 50;
+
+// How long each type of toast stays on screen, in milliseconds
+const DURATIONS = {
+    success: 4000,
+    info: 4000,
+    warning: 6000,
+    error: 8000
+};
+
+const TYPE_STYLES = {
+    success: { icon: '✓', accent: 'toast-success' },
+    info: { icon: 'i', accent: 'toast-info' },
+    warning: { icon: '!', accent: 'toast-warning' },
+    error: { icon: '✕', accent: 'toast-error' }
+};
+
+/**
+ * @typedef {Object} NotificationAction
+ * @property {string} label - Button text, e.g. 'Undo'
+ * @property {Function} onClick - Called when the button is pressed (may be async)
+ */
+
+/**
+ * @typedef {Object} NotificationOptions
+ * @property {Array<NotificationAction>} [actions]
+ * @property {number} [duration] - Milliseconds before the toast closes (0 keeps it open)
+ */
+
+export class NotificationService {
+    constructor() {
+        this.history = this.loadHistory();
+        this.toasts = new Map(); // id -> { element, timer }
+        this.listeners = new Set();
+        this.drawerInitialized = false;
+    }
+
+    // === SHOWING TOASTS ===
+
+    /**
+     * @param {string} message
+     * @param {NotificationOptions} [options]
+     * @returns {string} Notification id
+     */
+    success(message, options = {}) {
+        return this.notify(message, { ...options, type: 'success' });
+    }
+
+    error(message, options = {}) {
+        return this.notify(message, { ...options, type: 'error' });
+    }
+
+    warning(message, options = {}) {
+        return this.notify(message, { ...options, type: 'warning' });
+    }
+
+    info(message, options = {}) {
+        return this.notify(message, { ...options, type: 'info' });
+    }
+
+    /**
+     * Shows a toast and records it in the history
+     * @param {string} message
+     * @param {NotificationOptions & { type?: string }} [options]
+     * @returns {string} Notification id
+     */
+    notify(message, { type = 'info', actions = [], duration } = {}) {
+        const notification = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            type: TYPE_STYLES[type] ? type : 'info',
+            message,
+            created_at: new Date().toISOString(),
+            read: false
+        };
+
+        const logger = { error: console.error, warning: console.warn }[notification.type] || console.log;
+        logger(`🔔 [${notification.type.toUpperCase()}] ${message}`);
+
+        this.history = [notification, ...this.history].slice(0, HISTORY_LIMIT);
+        this.saveHistory();
+
+        // Toasts with buttons stay up long enough to be used
+        const timeout = duration ?? Math.max(DURATIONS[notification.type], actions.length > 0 ? 8000 : 0);
+        this.showToast(notification, actions, timeout);
+        this.notifyListeners();
+        return notification.id;
+    }
+
+    /**
+     * Closes a toast early (it stays in the history)
+     * @param {string} id - Notification id
+     */
+    dismiss(id) {
+        const toast = this.toasts.get(id);
+        if (!toast) return;
+
+        clearTimeout(toast.timer);
+        this.toasts.delete(id);
+        toast.element.classList.remove('toast-visible');
+        setTimeout(() => toast.element.remove(), 200);
+    }
+
+    showToast(notification, actions, duration) {
+        const container = this.getContainer();
+        if (!container) return;
+
+        const { icon, accent } = TYPE_STYLES[notification.type];
+        const element = document.createElement('div');
+        element.className = `toast ${accent}`;
+        element.setAttribute('role', notification.type === 'error' ? 'alert' : 'status');
+        element.innerHTML = `
+            <span class="toast-icon">${icon}</span>
+            <p class="toast-message"></p>
+            <div class="toast-actions"></div>
+            <button class="toast-close" title="Dismiss">&times;</button>
+        `;
+        element.querySelector('.toast-message').textContent = notification.message;
+
+        const actionsContainer = element.querySelector('.toast-actions');
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', async () => {
+                this.dismiss(notification.id);
+                try {
+                    await action.onClick();
+                } catch (error) {
+                    console.error(`❌ "${action.label}" action failed:`, error);
+                }
+            });
+            actionsContainer.appendChild(button);
+        });
+        element.querySelector('.toast-close').addEventListener('click', () => this.dismiss(notification.id));
+
+        container.appendChild(element);
+        setTimeout(() => element.classList.add('toast-visible'), 10);
+
+        const timer = duration > 0 ? setTimeout(() => this.dismiss(notification.id), duration) : null;
+        this.toasts.set(notification.id, { element, timer });
+    }
+
+    getContainer() {
+        if (typeof document === 'undefined' || !document.body) return null;
+        let container = document.getElementById('toast-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toast-container';
+            container.className = 'toast-container';
+            document.body.appendChild(container);
+        }
+        return container;
+    }
+
+    // === HISTORY ===
+
+    loadHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveHistory() {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('⚠️ Could not save notification history:', error);
+        }
+    }
+
+    get unreadCount() {
+        return this.history.filter(notification => !notification.read).length;
+    }
+
+    markAllRead() {
+        if (this.unreadCount === 0) return;
+        this.history = this.history.map(notification => ({ ...notification, read: true }));
+        this.saveHistory();
+        this.notifyListeners();
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.saveHistory();
+        this.notifyListeners();
+    }
+
+    /**
+     * Calls back whenever the history changes
+     * @param {Function} callback - Called with the history array
+     * @returns {Function} Call to unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    notifyListeners() {
+        this.listeners.forEach(callback => callback(this.history));
+    }
+
+    // === HISTORY DRAWER ===
+
+    /**
+     * Wires the sidebar bell button to the notification history drawer
+     */
+    initializeDrawer() {
+        if (this.drawerInitialized) return;
+
+        const button = document.getElementById('notifications-btn');
+        const modal = document.getElementById('notifications-modal');
+        const sidebar = document.getElementById('notifications-sidebar');
+        const list = document.getElementById('notifications-list');
+        if (!button || !modal) {
+            console.warn('⚠️ Notification drawer elements not found');
+            return;
+        }
+        this.drawerInitialized = true;
+
+        const renderBadge = () => {
+            const badge = document.getElementById('notifications-badge');
+            const unread = this.unreadCount;
+            badge.textContent = unread > 9 ? '9+' : String(unread);
+            badge.classList.toggle('hidden', unread === 0);
+        };
+
+        const renderList = () => {
+            if (this.history.length === 0) {
+                list.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">No notifications yet.</p>';
+                return;
+            }
+            list.innerHTML = this.history.map(notification => createHistoryItem(notification)).join('');
+        };
+
+        const close = () => {
+            sidebar.classList.add('translate-x-full');
+            setTimeout(() => modal.classList.add('hidden'), 300);
+        };
+
+        button.addEventListener('click', () => {
+            renderList();
+            modal.classList.remove('hidden');
+            setTimeout(() => sidebar.classList.remove('translate-x-full'), 10);
+            this.markAllRead();
+        });
+        document.getElementById('close-notifications-btn')?.addEventListener('click', close);
+        document.getElementById('clear-notifications-btn')?.addEventListener('click', () => this.clearHistory());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+
+        this.onChange(() => {
+            renderBadge();
+            if (!modal.classList.contains('hidden')) renderList();
+        });
+        renderBadge();
+    }
+}
+
+/**
+ * Builds one row of the history drawer
+ * @param {Object} notification - History entry
+ * @returns {string} HTML string
+ */
+function createHistoryItem(notification) {
+    const { icon, accent } = TYPE_STYLES[notification.type] || TYPE_STYLES.info;
+    return `
+        <div class="flex items-start space-x-3 border border-gray-200 rounded-lg p-3 ${notification.read ? '' : 'bg-indigo-50'}">
+            <span class="toast-icon ${accent}">${icon}</span>
+            <div class="min-w-0">
+                <p class="text-sm text-gray-800">${escapeHtml(notification.message)}</p>
+                <p class="text-xs text-gray-500">${new Date(notification.created_at).toLocaleString()}</p>
+            </div>
+        </div>
+    `;
+}
+
+// Create and export a single instance
+export const notifications = new NotificationService();
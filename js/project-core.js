@@ -4,14 +4,13 @@
  */
 
 import { supabase } from './supabase-client.js';
-import { CONFIG } from './config.js';
+import { authManager } from './auth.js';
 
 /**
  * Core Projects Manager Class
  */
 export class ProjectsCore {
     constructor() {
-        this.userId = CONFIG.DEFAULT_USER_ID;
         this.projects = [];
         this.activities = [];
         this.statusConfig = {
@@ -23,6 +22,10 @@ export class ProjectsCore {
         };
     }
 
+    get userId() {
+        return authManager.userId;
+    }
+
     /**
      * Initialize the projects system
      */
@@ -5,13 +5,15 @@
  */
 
 import { setupTransactions, refetchTransactionData, getProjectData, saveEntry } from './transactions.js';
-import { supabase } from './supabase-client.js';
 import { CONFIG } from './config.js';
+import { notifications } from './notifications.js';
 import { ProjectFormRenderer } from './project-form/ProjectFormRenderer.js';
 import { ProjectFormEvents } from './project-form/ProjectFormEvents.js';
 import { ProjectFormPayments } from './project-form/ProjectFormPayments.js';
 import { ProjectFormData } from './project-form/ProjectFormData.js';
 import { ProjectFormDebug } from './project-form/ProjectFormDebug.js';
+import { ProjectFormHistory } from './project-form/ProjectFormHistory.js';
+import { ProjectFormCosts } from './project-form/ProjectFormCosts.js';
 
 class ProjectFormModal {
     constructor() {
@@ -35,6 +37,8 @@ class ProjectFormModal {
         this.payments = new ProjectFormPayments(this);
         this.data = new ProjectFormData(this);
         this.debug = new ProjectFormDebug(this);
+        this.history = new ProjectFormHistory(this);
+        this.costs = new ProjectFormCosts(this);
     }
 
     // === INITIALIZATION ===
@@ -58,6 +62,8 @@ class ProjectFormModal {
         this.payments.init();
         this.data.init();
         this.debug.init();
+        this.history.init();
+        this.costs.init();
         
         this.isInitialized = true;
         console.log('✅ Project form modal initialized.');
@@ -72,6 +78,8 @@ class ProjectFormModal {
         this.renderer.updateUI('Add New Project', 'Save Project');
         this.renderer.clearForm();
         this.renderer.hideDeleteButton();
+        this.history.reset();
+        this.costs.reset();
         this.show();
     }
 
@@ -83,6 +91,8 @@ class ProjectFormModal {
         
         this.renderer.populateForm(project);
         this.renderer.addDeleteButton();
+        this.history.reset();
+        this.costs.reset();
         this.show();
         
         // Ensure status is set correctly after showing
@@ -142,7 +152,7 @@ class ProjectFormModal {
         console.log('🔍 DEBUG - Project data being saved:', projectData);
         
         if (!projectData.name) {
-            console.error('Project Name is required.');
+            notifications.warning('Project name is required.');
             return;
         }
 
@@ -157,8 +167,13 @@ class ProjectFormModal {
             const success = await this.onSaveCallback(projectData, this.editingProjectId);
             if (success) {
                 this.close();
+                notifications.success(`Project "${projectData.name}" saved`);
                 console.log('🔍 Calling refetchTransactionData...');
-                await refetchTransactionData();
+                await refetchTransactionData(null, { reloadProjects: true });
+            } else {
+                notifications.error(`Failed to save project "${projectData.name}"`, {
+                    actions: [{ label: 'Retry', onClick: () => this.save() }]
+                });
             }
         }
         
@@ -171,17 +186,38 @@ class ProjectFormModal {
         
         try {
             const { apiClient } = await import('./api-client.js');
-            const result = await apiClient.deleteProject(this.editingProjectId);
+            const projectId = this.editingProjectId;
+            const result = await apiClient.deleteProject(projectId);
             if (result.success) {
                 this.close();
-                await refetchTransactionData();
+                notifications.success('Project moved to the trash', {
+                    actions: [{ label: 'Undo', onClick: () => this.restoreProject(projectId) }]
+                });
+                await refetchTransactionData(null, { reloadProjects: true });
                 if (this.onSaveCallback) await this.onSaveCallback(null, this.editingProjectId);
             } else {
                 console.error('Failed to delete project:', result.error || 'Unknown error');
+                notifications.error('Failed to delete project');
             }
         } catch (error) {
             console.error('❌ Error deleting project:', error);
+            notifications.error('Failed to delete project');
+        }
+    }
+
+    /**
+     * Takes a deleted project back out of the trash (the "Undo" of deleteProject)
+     */
+    async restoreProject(projectId) {
+        const { apiClient } = await import('./api-client.js');
+        const result = await apiClient.restoreFromTrash('projects', projectId);
+        if (!result.success) {
+            notifications.error('Failed to restore project');
+            return;
         }
+        notifications.info(`Project "${result.data.row.name}" restored`);
+        await refetchTransactionData(null, { reloadProjects: true });
+        if (this.onSaveCallback) await this.onSaveCallback(null, projectId);
     }
 
     // === MAIN DATA COLLECTION ===
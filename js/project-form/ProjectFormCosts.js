@@ -0,0 +1,208 @@
+/**
+ * js/project-form/ProjectFormCosts.js
+ * Handles the Costs section: lists the expenses charged to a project, adds
+ * new ones and shows the project's gross margin against its total amount
+ */
+
+import { apiClient } from '../api-client.js';
+import { notifications } from '../notifications.js';
+import { saveEntry } from '../transactions.js';
+import { store, selectAccounts } from '../store.js';
+import { formatMoney, getBaseCurrency, transactionToBase } from '../currency.js';
+import { isSplit, shareOutAmount } from '../splits.js';
+import { getProjectProfit, formatMarginPercent } from '../project-profit.js';
+import { isReconciled } from '../reconciliation.js';
+import { escapeHtml } from '../utils.js';
+
+export class ProjectFormCosts {
+    constructor(modal) {
+        this.modal = modal; // Reference to main ProjectFormModal instance
+        this.expenses = [];
+    }
+
+    // === INITIALIZATION ===
+
+    init() {
+        this.sectionElement = this.modal.modalElement.querySelector('#project-costs-section');
+        this.listElement = this.modal.modalElement.querySelector('#project-costs-list');
+        if (!this.sectionElement) return;
+
+        this.modal.modalElement.querySelector('#add-project-cost-btn')?.addEventListener('click', () => this.addCost());
+        // Enter adds the cost instead of saving the whole project
+        this.modal.modalElement.querySelector('#project-cost-form')?.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.addCost();
+        });
+        this.listElement?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-unlink-cost]');
+            if (!button) return;
+            button.disabled = true;
+            await this.unlinkCost(button.dataset.unlinkCost);
+            button.disabled = false;
+        });
+        // The margin follows the total amount as it is edited
+        ['#total_amount', '#project_currency'].forEach(selector => {
+            this.modal.modalElement.querySelector(selector)?.addEventListener('input', () => this.renderMargin());
+        });
+
+        console.log('✅ ProjectFormCosts initialized');
+    }
+
+    /**
+     * Resets the section when the modal opens - costs can only be charged to saved projects
+     */
+    reset() {
+        if (!this.sectionElement) return;
+        this.expenses = [];
+        const isSaved = Boolean(this.modal.editingProjectId);
+        this.modal.modalElement.querySelector('#project-cost-form')?.classList.toggle('hidden', !isSaved);
+        this.modal.modalElement.querySelector('#project-costs-unsaved')?.classList.toggle('hidden', isSaved);
+        this.modal.modalElement.querySelector('#project-cost-date').value = new Date().toISOString().slice(0, 10);
+        this.modal.modalElement.querySelector('#project-cost-title').value = '';
+        this.modal.modalElement.querySelector('#project-cost-amount').value = '';
+        this.render();
+        if (isSaved) this.load();
+    }
+
+    // === COSTS LIST ===
+
+    async load() {
+        const projectId = this.modal.editingProjectId;
+        if (!projectId) return;
+
+        this.listElement.innerHTML = '<p class="text-sm text-gray-500">Loading costs...</p>';
+        const result = await apiClient.getProjectExpenses(projectId);
+        if (projectId !== this.modal.editingProjectId) return; // Another project was opened meanwhile
+
+        if (!result.success) {
+            this.listElement.innerHTML = '<p class="text-sm text-red-600">Could not load the costs.</p>';
+            return;
+        }
+        this.expenses = result.data;
+        this.render();
+    }
+
+    render() {
+        if (!this.listElement) return;
+        if (this.expenses.length === 0) {
+            this.listElement.innerHTML = this.modal.editingProjectId
+                ? '<p class="text-sm text-gray-500">No costs charged to this project yet.</p>'
+                : '';
+        } else {
+            this.listElement.innerHTML = this.expenses.map(expense => this.createCostRow(expense)).join('');
+        }
+        this.renderMargin();
+    }
+
+    /**
+     * One expense; a split one shows only its lines for this project
+     * @param {Transaction} expense
+     * @returns {string} HTML string
+     */
+    createCostRow(expense) {
+        const amount = this.getProjectShare(expense, 'amount');
+        return `
+            <div class="flex items-center gap-2 text-sm bg-white border border-gray-200 rounded-md px-3 py-2">
+                <span class="w-24 flex-shrink-0 text-gray-500">${expense.date}</span>
+                <span class="flex-grow min-w-0 truncate text-gray-800">${escapeHtml(expense.title)}${isSplit(expense) ? ' <span class="text-xs text-gray-500">(split)</span>' : ''}</span>
+                <span class="flex-shrink-0 font-semibold text-red-700">${formatMoney(amount, expense.currency)}</span>
+                ${isSplit(expense)
+                    ? '<span class="w-4 flex-shrink-0"></span>'
+                    : `<button type="button" data-unlink-cost="${expense.id}" class="flex-shrink-0 text-gray-400 hover:text-red-600" title="No longer charge to this project">✕</button>`}
+            </div>
+        `;
+    }
+
+    /**
+     * The part of an expense charged to this project
+     * @param {Transaction} expense
+     * @param {string} as - 'amount' in the expense's currency or 'base' in the base currency
+     */
+    getProjectShare(expense, as) {
+        const total = as === 'base' ? transactionToBase(expense) : parseFloat(expense.amount) || 0;
+        return shareOutAmount(expense, total)
+            .filter(([line]) => line.project_id === this.modal.editingProjectId)
+            .reduce((sum, [, share]) => sum + share, 0);
+    }
+
+    /**
+     * Gross margin of the project as the form stands
+     */
+    renderMargin() {
+        const marginElement = this.modal.modalElement.querySelector('#project-costs-margin');
+        if (!marginElement) return;
+        if (!this.modal.editingProjectId) {
+            marginElement.textContent = '';
+            return;
+        }
+
+        const form = this.modal.modalElement.querySelector('#project-form');
+        const costs = this.expenses.reduce((sum, expense) => sum + this.getProjectShare(expense, 'base'), 0);
+        const profit = getProjectProfit({
+            total_amount: form?.elements.total_amount?.value,
+            currency: form?.elements.currency?.value,
+            start_date: form?.elements.target_date?.value || null
+        }, costs);
+        marginElement.innerHTML = `
+            ${formatMoney(profit.costs)} spent •
+            margin <span class="font-semibold ${profit.margin < 0 ? 'text-red-600' : 'text-green-700'}">${formatMoney(profit.margin)} (${formatMarginPercent(profit.marginPercent)})</span>
+        `;
+    }
+
+    // === ADDING AND UNLINKING ===
+
+    async addCost() {
+        const projectId = this.modal.editingProjectId;
+        if (!projectId) return;
+
+        const dateInput = this.modal.modalElement.querySelector('#project-cost-date');
+        const titleInput = this.modal.modalElement.querySelector('#project-cost-title');
+        const amountInput = this.modal.modalElement.querySelector('#project-cost-amount');
+        const title = titleInput.value.trim();
+        const amount = parseFloat(amountInput.value);
+        if (!dateInput.value || !title || !(amount > 0)) {
+            notifications.warning('Enter a date, what the cost was for and its amount.');
+            return;
+        }
+
+        // New costs are paid from the first account, as in the day modal
+        const saved = await saveEntry({
+            date: dateInput.value,
+            type: 'expense',
+            title,
+            description: '',
+            amount,
+            currency: getBaseCurrency(),
+            category_id: null,
+            account_id: selectAccounts(store.getState())[0]?.id || null,
+            project_id: projectId
+        });
+        if (!saved) return;
+
+        titleInput.value = '';
+        amountInput.value = '';
+        await this.afterChange(projectId);
+    }
+
+    async unlinkCost(expenseId) {
+        const projectId = this.modal.editingProjectId;
+        const expense = this.expenses.find(e => e.id === expenseId);
+        if (!projectId || !expense) return;
+        if (isReconciled(expense)) {
+            notifications.warning(`"${expense.title}" is reconciled. Unlock it from the calendar before changing it.`);
+            return;
+        }
+        if (!confirm(`Stop charging "${expense.title}" to this project? The expense itself is kept.`)) return;
+
+        const saved = await saveEntry({ title: expense.title, project_id: null }, expense.id);
+        if (saved) await this.afterChange(projectId);
+    }
+
+    async afterChange(projectId) {
+        if (projectId === this.modal.editingProjectId) await this.load();
+        // Refreshes the contact's project cards and their margins
+        if (this.modal.onSaveCallback) await this.modal.onSaveCallback(null, projectId);
+    }
+}
@@ -3,6 +3,10 @@
  * Handles form data collection, validation, transformation, and processing
  */
 
+import { PAYMENT_TYPES } from '../project-schema.js';
+import { getBaseCurrency } from '../currency.js';
+import { parseTaxRate } from '../tax.js';
+
 export class ProjectFormData {
     constructor(modal) {
         this.modal = modal; // Reference to main ProjectFormModal instance
@@ -63,6 +67,8 @@ export class ProjectFormData {
             contactName: this.modal.contactName,
             contact_id: this.modal.contactId,
             total_amount: null,
+            tax_rate: null,
+            tax_inclusive: false,
             start_date: null,
             payment_schedule: null,
             tasks: []
@@ -89,7 +95,11 @@ export class ProjectFormData {
         if (['quotation', 'invoice', 'partially_paid', 'completed'].includes(status)) {
             const amountValue = this.getFieldValue(form, 'total_amount');
             projectData.total_amount = this.parseAmount(amountValue);
-            console.log('💰 Added total amount:', projectData.total_amount);
+            projectData.currency = this.getFieldValue(form, 'currency') || getBaseCurrency();
+            console.log('💰 Added total amount:', projectData.total_amount, projectData.currency);
+            projectData.tax_rate = parseTaxRate(this.getFieldValue(form, 'tax_rate'));
+            projectData.tax_inclusive = this.getFieldValue(form, 'tax_inclusive') === 'true';
+            console.log('🧾 Added SST:', projectData.tax_rate, projectData.tax_inclusive ? 'inclusive' : 'exclusive');
         }
         
         // Add target date for quotations
@@ -319,7 +329,7 @@ export class ProjectFormData {
         const errors = [];
         const warnings = [];
         
-        if (!paymentSchedule.type || !['full', 'staggered'].includes(paymentSchedule.type)) {
+        if (!PAYMENT_TYPES.includes(paymentSchedule.type)) {
             errors.push('Invalid payment schedule type');
             return { errors, warnings };
         }
@@ -116,6 +116,13 @@ export class ProjectFormEvents {
         this.modal.modalElement.addEventListener('change', (e) => {
             this.handleFieldChange(e);
         });
+
+        // SST on the total and milestones follows the amounts as they are typed
+        this.modal.modalElement.addEventListener('input', (e) => {
+            if (e.target.matches('#total_amount, #project_currency, #project_tax_rate, [name="tax_inclusive"], .milestone-percentage')) {
+                this.modal.renderer.updateTaxSummary();
+            }
+        });
     }
 
     handleFieldChange(event) {
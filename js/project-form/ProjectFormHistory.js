@@ -0,0 +1,188 @@
+/**
+ * js/project-form/ProjectFormHistory.js
+ * Handles the History tab: lists a project's revisions and reverts to one of them
+ */
+
+import { apiClient } from '../api-client.js';
+import { notifications } from '../notifications.js';
+import { refetchTransactionData } from '../transactions.js';
+import { describePath, formatRevisionValue } from '../project-revisions.js';
+import { escapeHtml } from '../utils.js';
+
+export class ProjectFormHistory {
+    constructor(modal) {
+        this.modal = modal; // Reference to main ProjectFormModal instance
+        this.activeTab = 'details';
+        this.revisions = [];
+    }
+
+    // === INITIALIZATION ===
+
+    init() {
+        this.tabsElement = this.modal.modalElement.querySelector('#project-modal-tabs');
+        this.panelElement = this.modal.modalElement.querySelector('#project-history-panel');
+
+        this.tabsElement?.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-project-tab]');
+            if (tab) this.showTab(tab.dataset.projectTab);
+        });
+
+        this.panelElement?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-revert-revision]');
+            if (!button) return;
+            button.disabled = true;
+            await this.revert(button.dataset.revertRevision);
+            button.disabled = false;
+        });
+
+        console.log('✅ ProjectFormHistory initialized');
+    }
+
+    // === TABS ===
+
+    /**
+     * Resets the tabs when the modal opens - History only exists for saved projects
+     */
+    reset() {
+        this.revisions = [];
+        this.tabsElement?.classList.toggle('hidden', !this.modal.editingProjectId);
+        this.showTab('details');
+    }
+
+    showTab(tab) {
+        this.activeTab = tab;
+        const isHistory = tab === 'history';
+
+        this.tabsElement?.querySelectorAll('[data-project-tab]').forEach(button => {
+            const isActive = button.dataset.projectTab === tab;
+            button.classList.toggle('border-indigo-600', isActive);
+            button.classList.toggle('text-indigo-600', isActive);
+            button.classList.toggle('border-transparent', !isActive);
+            button.classList.toggle('text-gray-500', !isActive);
+        });
+
+        this.modal.modalElement.querySelector('#project-form')?.classList.toggle('hidden', isHistory);
+        this.panelElement?.classList.toggle('hidden', !isHistory);
+        this.modal.modalElement.querySelector('#project-modal-save-btn')?.classList.toggle('hidden', isHistory);
+        if (isHistory) {
+            this.modal.renderer.hideDeleteButton();
+        } else if (this.modal.editingProjectId) {
+            this.modal.renderer.addDeleteButton();
+        }
+
+        if (isHistory) this.load();
+    }
+
+    // === HISTORY LIST ===
+
+    async load() {
+        const projectId = this.modal.editingProjectId;
+        if (!projectId || !this.panelElement) return;
+
+        this.panelElement.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">Loading history...</p>';
+        const result = await apiClient.getProjectRevisions(projectId);
+        if (projectId !== this.modal.editingProjectId) return; // Another project was opened meanwhile
+
+        if (!result.success) {
+            this.panelElement.innerHTML = '<p class="text-sm text-red-600 text-center py-8">Could not load the history.</p>';
+            return;
+        }
+        this.revisions = result.data;
+        this.render();
+    }
+
+    render() {
+        if (this.revisions.length === 0) {
+            this.panelElement.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">No changes have been recorded for this project yet.</p>';
+            return;
+        }
+        this.panelElement.innerHTML = this.revisions.map((revision, index) => this.createRevisionCard(revision, index === 0)).join('');
+    }
+
+    /**
+     * Builds the card for one revision
+     * @param {Object} revision - Row from project_revisions
+     * @param {boolean} isCurrent - Newest revision (the project as it is now)
+     * @returns {string} HTML string
+     */
+    createRevisionCard(revision, isCurrent) {
+        const changes = revision.changes || [];
+        const revertedFrom = revision.reverted_from && this.revisions.find(r => r.id === revision.reverted_from);
+
+        let summary = `${changes.length} change${changes.length === 1 ? '' : 's'}`;
+        if (changes.length === 0) summary = 'Original version';
+        if (revision.reverted_from) {
+            summary = revertedFrom
+                ? `Reverted to the version from ${new Date(revertedFrom.created_at).toLocaleString()}`
+                : 'Reverted to an earlier version';
+        }
+
+        const rows = changes.map(change => `
+            <li>
+                <span class="font-medium text-gray-700">${escapeHtml(describePath(change.path))}:</span>
+                <span class="text-red-600 line-through">${escapeHtml(formatRevisionValue(change.before))}</span>
+                →
+                <span class="text-green-700">${escapeHtml(formatRevisionValue(change.after))}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="bg-white border ${isCurrent ? 'border-indigo-200' : 'border-gray-200'} rounded-lg p-4">
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="text-sm font-semibold text-gray-800">${escapeHtml(summary)}</p>
+                        <p class="text-xs text-gray-500">${new Date(revision.created_at).toLocaleString()} · ${escapeHtml(revision.changed_by || 'Local user')}</p>
+                    </div>
+                    ${isCurrent
+                        ? '<span class="text-xs font-medium text-indigo-600">Current</span>'
+                        : `<button type="button" data-revert-revision="${revision.id}" class="bg-white py-1 px-3 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50 flex-shrink-0 ml-2">Revert to this</button>`}
+                </div>
+                ${rows ? `<ul class="text-xs text-gray-600 mt-2 space-y-1">${rows}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    // === REVERT ===
+
+    async revert(revisionId) {
+        const projectId = this.modal.editingProjectId;
+        const revision = this.revisions.find(r => r.id === revisionId);
+        if (!projectId || !revision) return;
+
+        const when = new Date(revision.created_at).toLocaleString();
+        if (!confirm(`Revert this project to the version from ${when}? Later changes stay in the history.`)) return;
+
+        const currentRevisionId = this.revisions[0]?.id;
+        const result = await apiClient.revertProjectToRevision(projectId, revisionId);
+        if (!result.success) {
+            notifications.error('Failed to revert project', {
+                actions: [{ label: 'Retry', onClick: () => this.revert(revisionId) }]
+            });
+            return;
+        }
+
+        notifications.success(`Project "${result.data.name}" reverted to the version from ${when}`, {
+            actions: currentRevisionId ? [{ label: 'Undo', onClick: () => this.undoRevert(projectId, currentRevisionId) }] : []
+        });
+        await this.afterRevert(projectId, result.data);
+    }
+
+    async undoRevert(projectId, revisionId) {
+        const result = await apiClient.revertProjectToRevision(projectId, revisionId);
+        if (!result.success) {
+            notifications.error('Failed to undo the revert');
+            return;
+        }
+        notifications.info(`Project "${result.data.name}" restored`);
+        await this.afterRevert(projectId, result.data);
+    }
+
+    async afterRevert(projectId, project) {
+        if (projectId === this.modal.editingProjectId && !this.modal.modalElement.classList.contains('hidden')) {
+            this.modal.renderer.populateForm(project);
+            if (this.activeTab === 'history') await this.load();
+        }
+        await refetchTransactionData(null, { reloadProjects: true });
+        if (this.modal.onSaveCallback) await this.modal.onSaveCallback(null, projectId);
+    }
+}
@@ -4,6 +4,10 @@
  */
 
 import { saveEntry } from '../transactions.js';
+import { apiClient } from '../api-client.js';
+import { store, selectProjectById } from '../store.js';
+import { normalizePaymentSchedule } from '../project-schema.js';
+import { getPaymentIncomeTax } from '../tax.js';
 
 export class ProjectFormPayments {
     constructor(modal) {
@@ -28,7 +32,7 @@ export class ProjectFormPayments {
         
         try {
             // Get the original project data to compare
-            const originalProject = window.allProjects?.find(p => p.id === this.modal.editingProjectId);
+            const originalProject = selectProjectById(store.getState(), this.modal.editingProjectId);
             if (!originalProject) {
                 console.log('❌ Original project not found, skipping income creation');
                 return;
@@ -165,7 +169,9 @@ export class ProjectFormPayments {
                 type: 'income',
                 title: `Milestone payment from ${projectData.name}`,
                 description: `Milestone payment for ${projectData.name} (Milestone ${milestoneIndex + 1})`,
-                amount: milestoneAmount
+                // What the client pays, with the SST charged on it
+                ...getPaymentIncomeTax(projectData, milestoneAmount),
+                currency: projectData.currency
             };
             
             console.log('💰 CREATING MILESTONE INCOME:', incomeData);
@@ -189,7 +195,8 @@ export class ProjectFormPayments {
                 type: 'income',
                 title: `Project Payment: ${projectData.name}`,
                 description: `Full payment from ${projectData.contactName}`,
-                amount: projectData.total_amount
+                ...getPaymentIncomeTax(projectData, projectData.total_amount),
+                currency: projectData.currency
             };
 
             console.log('💰 CREATING FULL PAYMENT INCOME:', incomeData);
@@ -213,19 +220,15 @@ export class ProjectFormPayments {
             console.log(`🗑️ Searching for income to remove: ${projectName} - Milestone ${milestoneNumber}`);
             
             // Import transaction functions
-            const { deleteTransaction, getAllTransactions } = await import('../transactions.js');
+            const { deleteTransaction } = await import('../transactions.js');
             
-            // Get all current transactions
-            const allTransactions = getAllTransactions();
-            
-            // Find the income entry that matches this milestone
+            // Find the income entry that matches this milestone (it may be outside the months on screen)
             const targetTitle = `Milestone payment from ${projectName}`;
             const targetDescription = `Milestone payment for ${projectName} (Milestone ${milestoneNumber})`;
             
-            const incomeToRemove = allTransactions.find(transaction => 
-                transaction.type === 'income' && 
-                (transaction.title === targetTitle || transaction.description === targetDescription)
-            );
+            const byTitle = await apiClient.findTransactions({ type: 'income', title: targetTitle });
+            const byDescription = await apiClient.findTransactions({ type: 'income', description: targetDescription });
+            const incomeToRemove = byTitle.data[0] || byDescription.data[0];
             
             if (incomeToRemove) {
                 console.log('🗑️ Found income to remove:', incomeToRemove);
@@ -256,17 +259,13 @@ export class ProjectFormPayments {
             console.log(`🗑️ Searching for full payment income to remove: ${projectName}`);
             
             // Import transaction functions
-            const { deleteTransaction, getAllTransactions } = await import('../transactions.js');
-            
-            // Get all current transactions
-            const allTransactions = getAllTransactions();
+            const { deleteTransaction } = await import('../transactions.js');
             
-            // Find the full payment income entry
+            // Find the full payment income entry (it may be outside the months on screen)
             const targetTitle = `Project Payment: ${projectName}`;
             
-            const incomeToRemove = allTransactions.find(transaction => 
-                transaction.type === 'income' && transaction.title === targetTitle
-            );
+            const { data: matches } = await apiClient.findTransactions({ type: 'income', title: targetTitle });
+            const incomeToRemove = matches[0];
             
             if (incomeToRemove) {
                 console.log('🗑️ Found full payment income to remove:', incomeToRemove);
@@ -295,35 +294,14 @@ export class ProjectFormPayments {
      * Validates payment schedule data before processing
      */
     validatePaymentSchedule(paymentSchedule) {
-        const errors = [];
-        
         if (!paymentSchedule) {
-            errors.push('Payment schedule is missing');
-            return { isValid: false, errors };
-        }
-        
-        if (!['full', 'staggered'].includes(paymentSchedule.type)) {
-            errors.push('Invalid payment schedule type');
+            return { isValid: false, errors: ['Payment schedule is missing'] };
         }
         
-        if (paymentSchedule.type === 'staggered') {
-            if (!paymentSchedule.milestones || !Array.isArray(paymentSchedule.milestones)) {
-                errors.push('Staggered payment must have milestones array');
-            } else {
-                // Validate milestones
-                let totalPercentage = 0;
-                paymentSchedule.milestones.forEach((milestone, index) => {
-                    if (!milestone.percentage || milestone.percentage <= 0) {
-                        errors.push(`Milestone ${index + 1} has invalid percentage`);
-                    }
-                    totalPercentage += milestone.percentage || 0;
-                });
-                
-                if (Math.abs(totalPercentage - 100) > 0.01) {
-                    errors.push(`Total milestone percentage is ${totalPercentage}%, should be 100%`);
-                }
-            }
-        }
+        // Structural checks are shared with every other reader of the column
+        const issues = [];
+        normalizePaymentSchedule(paymentSchedule, null, issues);
+        const errors = issues.filter(issue => !issue.fixed).map(issue => `${issue.path}: ${issue.message}`);
         
         return { isValid: errors.length === 0, errors };
     }
@@ -3,6 +3,10 @@
  * Handles all UI rendering, DOM manipulation, and visual updates
  */
 
+import { CONFIG } from '../config.js';
+import { renderCurrencyOptions, formatMoney } from '../currency.js';
+import { renderTaxRateOptions, calculateTax, parseTaxRate, formatTaxRate } from '../tax.js';
+
 export class ProjectFormRenderer {
     constructor(modal) {
         this.modal = modal; // Reference to main ProjectFormModal instance
@@ -141,6 +145,8 @@ export class ProjectFormRenderer {
         if (!form) return;
         
         form.reset();
+        if (form.elements.currency) form.elements.currency.innerHTML = renderCurrencyOptions();
+        if (form.elements.tax_rate) form.elements.tax_rate.innerHTML = renderTaxRateOptions();
         this.modal.modalElement.querySelector('#task-list').innerHTML = '';
         this.modal.modalElement.querySelector('#staggered-payment-details-list').innerHTML = '';
         this.addTaskRow();
@@ -156,6 +162,7 @@ export class ProjectFormRenderer {
         this.updateFormFields();
         this.updatePaymentDetails();
         this.updatePaymentProgressDisplay();
+        this.updateTaxSummary();
     }
 
     populateForm(project) {
@@ -177,6 +184,15 @@ export class ProjectFormRenderer {
         if (form.elements.total_amount) {
             form.elements.total_amount.value = project.total_amount || '';
         }
+        if (form.elements.currency) {
+            // Projects saved before currencies were recorded are in the original base currency
+            form.elements.currency.innerHTML = renderCurrencyOptions(project.currency || CONFIG.BASE_CURRENCY);
+        }
+        if (form.elements.tax_rate) {
+            form.elements.tax_rate.innerHTML = renderTaxRateOptions(project.tax_rate);
+        }
+        const taxInclusiveRadio = form.querySelector(`input[name="tax_inclusive"][value="${project.tax_inclusive ? 'true' : 'false'}"]`);
+        if (taxInclusiveRadio) taxInclusiveRadio.checked = true;
         
         const quoteDate = project.start_date;
         if (quoteDate && form.elements.target_date) {
@@ -227,6 +243,7 @@ export class ProjectFormRenderer {
         this.updateFormFields();
         this.updatePaymentDetails();
         this.autoUpdateProjectStatus();
+        this.updateTaxSummary();
     }
 
     // === DYNAMIC ROWS ===
@@ -253,6 +270,7 @@ export class ProjectFormRenderer {
             <input type="checkbox" class="milestone-completed h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" ${milestone.completed ? 'checked' : ''}>
             <input type="number" placeholder="%" class="milestone-percentage w-20 px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm" value="${milestone.percentage || ''}">
             <input type="date" class="milestone-date flex-grow px-2 py-1 border border-gray-300 rounded-md shadow-sm text-sm" value="${milestone.due_date || ''}">
+            <span class="milestone-tax w-28 flex-shrink-0 text-right text-xs text-gray-500"></span>
             <button type="button" class="remove-milestone-btn p-2 text-gray-400 hover:text-red-600"><svg xmlns="http://www.w3.org/2000/svg" class="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path stroke-linecap="round" stroke-linejoin="round" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" /></svg></button>
         `;
         milestoneList.appendChild(milestoneRow);
@@ -260,6 +278,42 @@ export class ProjectFormRenderer {
             e.currentTarget.closest('.milestone-row').remove();
             this.autoUpdateProjectStatus();
         });
+        this.updateTaxSummary();
+    }
+
+    // === SST ===
+
+    /**
+     * Shows the SST on the total and on each milestone as the form stands
+     */
+    updateTaxSummary() {
+        const form = this.modal.modalElement.querySelector('#project-form');
+        const summary = this.modal.modalElement.querySelector('#project-tax-summary');
+        if (!form || !summary) return;
+
+        const total = parseFloat(form.elements.total_amount?.value) || 0;
+        const currency = form.elements.currency?.value;
+        const rate = parseTaxRate(form.elements.tax_rate?.value);
+        const inclusive = form.elements.tax_inclusive?.value === 'true';
+
+        if (rate === null) {
+            summary.textContent = '';
+        } else {
+            const { net, tax, gross } = calculateTax(total, rate, inclusive);
+            summary.textContent = `Net ${formatMoney(net, currency)} + SST ${formatTaxRate(rate)} ${formatMoney(tax, currency)} = ${formatMoney(gross, currency)} billed`;
+        }
+
+        this.modal.modalElement.querySelectorAll('.milestone-row').forEach(row => {
+            const taxElement = row.querySelector('.milestone-tax');
+            const percentage = parseFloat(row.querySelector('.milestone-percentage')?.value) || 0;
+            if (!taxElement) return;
+            if (rate === null || percentage <= 0) {
+                taxElement.textContent = '';
+                return;
+            }
+            const { tax } = calculateTax(total * percentage / 100, rate, inclusive);
+            taxElement.textContent = `SST ${formatMoney(tax, currency)}`;
+        });
     }
 
     // === PROJECT STATUS CALCULATION ===
@@ -1,5 +1,5 @@
-import { supabase } from './supabase-client.js';
-import { CONFIG } from './config.js';
+import { apiClient } from './api-client.js';
+import { formatMoney } from './currency.js';
 
 /**
  * Project Management Module
@@ -7,22 +7,20 @@ import { CONFIG } from './config.js';
  */
 
 // Get all project-related items for calendar display
-export async function getProjectCalendarItems(userId) {
+// Pass already loaded projects to skip the database query
+export async function getProjectCalendarItems(userId, loadedProjects = null) {
     console.log('getProjectCalendarItems called with userId:', userId);
     try {
         // FIXED: Fetch ALL project statuses to include tasks
-        const { data: projects, error: projError } = await supabase
-            .from('projects')
-            .select(`
-                id, name, client_name, status, total_amount,
-                payment_schedule, contact_id, created_at, updated_at, start_date, tasks
-            `) // Added 'tasks' column and removed status filter
-            .eq('user_id', userId);
+        const projectsResult = loadedProjects
+            ? { success: true, data: loadedProjects }
+            : await apiClient.getAllProjects();
+        const projects = projectsResult.data;
 
         console.log('Raw projects fetched (all statuses):', projects);
-        if (projError) {
-            console.error('Query error:', projError);
-            throw projError;
+        if (!projectsResult.success) {
+            console.error('Query error:', projectsResult.error);
+            throw new Error(projectsResult.error);
         }
 
         const invoices = [];
@@ -39,6 +37,7 @@ export async function getProjectCalendarItems(userId) {
                         project_name: project.name,
                         client_name: project.client_name,
                         amount: parseFloat(project.total_amount),
+                        currency: project.currency,
                         due_date: schedule.due_date,
                         is_paid: schedule.completed || false,
                         type: 'full',
@@ -53,6 +52,7 @@ export async function getProjectCalendarItems(userId) {
                             project_name: project.name,
                             client_name: project.client_name,
                             amount: milestoneAmount,
+                            currency: project.currency,
                             due_date: milestone.due_date,
                             is_paid: milestone.completed || false,
                             type: 'staggered',
@@ -70,6 +70,7 @@ export async function getProjectCalendarItems(userId) {
                     project_name: project.name,
                     client_name: project.client_name,
                     amount: parseFloat(project.total_amount),
+                    currency: project.currency,
                     target_date: project.start_date,
                     // Assuming 'valid_until' is a property on the project object for quotations
                     valid_until: project.valid_until,
@@ -127,11 +128,13 @@ export function getProjectItemsForDate(projectData, dateString) {
         if (quote.valid_until && quote.valid_until.substring(0, 10) === dateString) {
             items.push({
                 type: 'quotation_expiry',
-                title: `Quote Expires: ${quote.quotation_number}`,
-                description: `${quote.projects.name} - ${quote.projects.client_name}`,
+                id: quote.id,
+                title: `Quote Expires: ${quote.project_name}`,
+                description: `${quote.project_name} - ${quote.client_name}`,
                 amount: quote.amount,
-                status: quote.status,
-                priority: quote.status === 'sent' ? 'high' : 'medium'
+                currency: quote.currency,
+                status: 'quotation',
+                priority: 'high'
             });
         }
     });
@@ -146,8 +149,9 @@ export function getProjectItemsForDate(projectData, dateString) {
                 id: invoice.id,
                 type: 'invoice_due',
                 title: `Invoice Due: ${invoice.project_name} - ${invoice.client_name}`,
-                description: `RM${invoice.amount.toFixed(2)}`,
+                description: formatMoney(invoice.amount, invoice.currency),
                 amount: invoice.amount,
+                currency: invoice.currency,
                 status: 'due',
                 priority: 'high'
             });
@@ -161,8 +165,9 @@ export function getProjectItemsForDate(projectData, dateString) {
                 id: invoice.id,
                 type: 'payment_received',
                 title: `Payment Received: ${invoice.project_name} - ${invoice.client_name}`,
-                description: `RM${invoice.amount.toFixed(2)}`,
+                description: formatMoney(invoice.amount, invoice.currency),
                 amount: invoice.amount,
+                currency: invoice.currency,
                 status: 'paid',
                 priority: 'medium'
             });
@@ -205,23 +210,25 @@ export function createTransactionFromProject(projectItem, dateString) {
     switch (projectItem.type) {
         case 'payment_received':
             return {
-                user_id: CONFIG.DEFAULT_USER_ID,
+                user_id: apiClient.userId,
                 date: dateString,
                 type: 'income',
                 title: projectItem.title,
                 description: `Project payment: ${projectItem.description}`,
-                amount: projectItem.amount
+                amount: projectItem.amount,
+                currency: projectItem.currency
             };
         
         case 'invoice_due':
             // Create a "payable" entry for expected income
             return {
-                user_id: CONFIG.DEFAULT_USER_ID,
+                user_id: apiClient.userId,
                 date: dateString,
                 type: 'payable',
                 title: projectItem.title,
                 description: `Expected payment: ${projectItem.description}`,
-                amount: projectItem.amount
+                amount: projectItem.amount,
+                currency: projectItem.currency
             };
         
         default:
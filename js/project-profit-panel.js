@@ -0,0 +1,116 @@
+// js/project-profit-panel.js
+import { store, selectProjects, selectContactById } from './store.js';
+import { notifications } from './notifications.js';
+import { formatMoney } from './currency.js';
+import { loadProjectCosts, rankProjectsByProfit, formatMarginPercent } from './project-profit.js';
+import { escapeHtml } from './utils.js';
+
+// Costs per project while the panel is open
+let costsByProject = null;
+
+/**
+ * Initializes the "Project Profit" slide-out panel: projects ranked by
+ * gross margin (or margin %), with their revenue and costs.
+ */
+export function initializeProjectProfitPanel() {
+    console.log('📈 Initializing project profit report...');
+    const profitBtn = document.getElementById('project-profit-btn');
+    const profitModal = document.getElementById('project-profit-modal');
+    const profitSidebar = document.getElementById('project-profit-sidebar');
+
+    if (!profitBtn || !profitModal) {
+        console.warn('⚠️ Project profit report elements not found');
+        return;
+    }
+
+    profitBtn.addEventListener('click', async () => {
+        profitModal.classList.remove('hidden');
+        setTimeout(() => {
+            profitSidebar.classList.remove('translate-x-full');
+        }, 10);
+        await loadReport();
+    });
+
+    function closeProfitModal() {
+        profitSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            profitModal.classList.add('hidden');
+        }, 300);
+        costsByProject = null;
+    }
+
+    document.getElementById('close-project-profit-btn')?.addEventListener('click', closeProfitModal);
+    profitModal.addEventListener('click', (e) => {
+        if (e.target === profitModal) closeProfitModal();
+    });
+    document.getElementById('project-profit-sort')?.addEventListener('change', renderReport);
+
+    // Revenue moves with the projects' totals and currencies
+    store.subscribe(['projects', 'exchangeRates', 'baseCurrency'], () => {
+        if (!profitModal.classList.contains('hidden')) renderReport();
+    });
+
+    console.log('✅ Project profit report initialized');
+}
+
+async function loadReport() {
+    const list = document.getElementById('project-profit-list');
+    list.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">Loading...</p>';
+    try {
+        costsByProject = await loadProjectCosts();
+    } catch (error) {
+        console.error('❌ Error loading project costs:', error);
+        list.innerHTML = '';
+        notifications.error('Could not load the project costs', {
+            actions: [{ label: 'Retry', onClick: loadReport }]
+        });
+        return;
+    }
+    renderReport();
+}
+
+function renderReport() {
+    if (!costsByProject) return;
+    const state = store.getState();
+    const sortBy = document.getElementById('project-profit-sort')?.value || 'margin';
+    const ranked = rankProjectsByProfit(selectProjects(state), costsByProject, sortBy);
+
+    const totals = ranked.reduce((sum, { revenue, costs, margin }) => ({
+        revenue: sum.revenue + revenue,
+        costs: sum.costs + costs,
+        margin: sum.margin + margin
+    }), { revenue: 0, costs: 0, margin: 0 });
+    document.getElementById('project-profit-totals').innerHTML = [
+        ['Revenue', formatMoney(totals.revenue), 'text-gray-800'],
+        ['Costs', formatMoney(totals.costs), 'text-gray-800'],
+        ['Gross margin', formatMoney(totals.margin), totals.margin < 0 ? 'text-red-600' : 'text-green-700']
+    ].map(([label, value, color]) => `
+        <div>
+            <p class="text-xs text-gray-500">${label}</p>
+            <p class="font-semibold ${color}">${value}</p>
+        </div>
+    `).join('');
+
+    const list = document.getElementById('project-profit-list');
+    if (ranked.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">No projects with an amount or costs yet. Charge expenses to a project from its Costs section or the calendar.</p>';
+        return;
+    }
+    list.innerHTML = ranked.map(({ project, revenue, costs, margin, marginPercent }, index) => {
+        const contact = selectContactById(state, project.contact_id);
+        const client = contact ? contact.company_name || contact.contact_person : '';
+        return `
+            <div class="flex items-center gap-3 px-3 py-2 text-sm">
+                <span class="w-6 flex-shrink-0 text-gray-400 font-semibold">${index + 1}</span>
+                <div class="flex-grow min-w-0">
+                    <p class="truncate font-medium text-gray-800">${escapeHtml(project.name || 'Untitled Project')}</p>
+                    <p class="truncate text-xs text-gray-500">${client ? `${escapeHtml(client)} · ` : ''}${formatMoney(revenue)} revenue · ${formatMoney(costs)} costs</p>
+                </div>
+                <div class="text-right flex-shrink-0">
+                    <p class="font-semibold ${margin < 0 ? 'text-red-600' : 'text-green-700'}">${formatMoney(margin)}</p>
+                    <p class="text-xs text-gray-500">${formatMarginPercent(marginPercent)}</p>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
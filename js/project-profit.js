@@ -0,0 +1,73 @@
+/**
+ * project-profit.js - What each project earns after its costs
+ * A project's revenue is its total amount; its costs are the expenses
+ * charged to it, whole (project_id) or by a split line. Both are counted in
+ * the base currency, the revenue at the rate of the project's start date.
+ */
+
+import { apiClient } from './api-client.js';
+import { toBase, transactionToBase } from './currency.js';
+
+/**
+ * @typedef {Object} ProjectProfit
+ * @property {Project} project
+ * @property {number} revenue - Total amount, base currency
+ * @property {number} costs - Expenses charged to the project, base currency
+ * @property {number} margin - Revenue less costs
+ * @property {number|null} marginPercent - Margin as a share of revenue, null without revenue
+ */
+
+/**
+ * Loads every project's costs
+ * @returns {Promise<Object>} { [project_id]: amount in the base currency }
+ */
+export async function loadProjectCosts() {
+    const result = await apiClient.getProjectCosts({ convert: transactionToBase });
+    if (!result.success) throw new Error(result.error);
+    return result.data;
+}
+
+/**
+ * @param {Project} project
+ * @param {number} costs - The project's costs in the base currency
+ * @returns {ProjectProfit}
+ */
+export function getProjectProfit(project, costs = 0) {
+    const date = project.start_date || project.created_at?.slice(0, 10);
+    const revenue = toBase(project.total_amount, project.currency, date);
+    const margin = revenue - costs;
+    return {
+        project,
+        revenue,
+        costs,
+        margin,
+        marginPercent: revenue > 0 ? (margin / revenue) * 100 : null
+    };
+}
+
+/**
+ * Projects with revenue or costs, most profitable first
+ * @param {Array<Project>} projects
+ * @param {Object} costsByProject - From loadProjectCosts
+ * @param {string} [sortBy] - 'margin' or 'marginPercent'
+ * @returns {Array<ProjectProfit>}
+ */
+export function rankProjectsByProfit(projects, costsByProject, sortBy = 'margin') {
+    return projects
+        .map(project => getProjectProfit(project, costsByProject[project.id] || 0))
+        .filter(profit => profit.revenue > 0 || profit.costs > 0)
+        .sort((a, b) => {
+            if (sortBy === 'marginPercent') {
+                return (b.marginPercent ?? -Infinity) - (a.marginPercent ?? -Infinity) || b.margin - a.margin;
+            }
+            return b.margin - a.margin;
+        });
+}
+
+/**
+ * e.g. '42%', or '—' without revenue
+ * @param {number|null} marginPercent
+ */
+export function formatMarginPercent(marginPercent) {
+    return marginPercent === null ? '—' : `${Math.round(marginPercent)}%`;
+}
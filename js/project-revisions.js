@@ -0,0 +1,155 @@
+/**
+ * project-revisions.js - Field-level change history for projects
+ * Every project update made through the ApiClient is stored in the
+ * project_revisions table with the list of fields that changed and a
+ * snapshot of the tracked fields afterwards, so any earlier version can be
+ * inspected and restored from the History tab of the project form.
+ */
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} path - e.g. 'status' or 'payment_schedule.milestones[1].completed'
+ * @property {*} before - Value before the update (null when it did not exist)
+ * @property {*} after - Value after the update (null when it was removed)
+ */
+
+/**
+ * @typedef {Object} ProjectRevision
+ * @property {string} id
+ * @property {string} project_id
+ * @property {string|null} changed_by - Email of the user who saved it, null for the local user
+ * @property {Array<FieldChange>} changes - Empty for the original version
+ * @property {Object} snapshot - The tracked fields after this revision
+ * @property {string|null} reverted_from - Revision restored by this one, if any
+ * @property {string} created_at
+ */
+
+// Project columns that are versioned (the columns ApiClient.updateProject writes)
+export const REVISION_FIELDS = ['name', 'description', 'status', 'total_amount', 'currency', 'tax_rate', 'tax_inclusive', 'start_date', 'tasks', 'payment_schedule'];
+
+const FIELD_LABELS = {
+    name: 'Name',
+    description: 'Description',
+    status: 'Status',
+    total_amount: 'Total amount',
+    currency: 'Currency',
+    tax_rate: 'SST rate',
+    tax_inclusive: 'Amounts include SST',
+    start_date: 'Target date',
+    tasks: 'Tasks',
+    payment_schedule: 'Payment schedule',
+    type: 'Payment type',
+    due_date: 'Due date',
+    completed: 'Completed',
+    completed_date: 'Completed on',
+    percentage: 'Percentage',
+    amount: 'Amount'
+};
+
+// ==========================================
+// DIFFING
+// ==========================================
+
+/**
+ * Copies the versioned fields out of a project row
+ * @param {Object} project
+ * @returns {Object}
+ */
+export function pickRevisionFields(project) {
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+        snapshot[field] = project?.[field] ?? null;
+    });
+    return snapshot;
+}
+
+/**
+ * Lists every versioned field that differs between two versions of a project.
+ * JSON columns are compared item by item, so unticking one milestone yields a
+ * single 'payment_schedule.milestones[n].completed' change.
+ * @param {Object} before - Project before the update
+ * @param {Object} after - Project after the update
+ * @returns {Array<FieldChange>}
+ */
+export function diffProjects(before, after) {
+    const changes = [];
+    REVISION_FIELDS.forEach(field => {
+        diffValues(field, before?.[field], after?.[field], changes);
+    });
+    return changes;
+}
+
+function diffValues(path, before, after, changes) {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            diffValues(`${path}[${i}]`, before[i], after[i], changes);
+        }
+        return;
+    }
+
+    // A payment schedule that switched between full and staggered is one change,
+    // not a list of unrelated sub-fields
+    if (isPlainObject(before) && isPlainObject(after) && before.type === after.type) {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            diffValues(`${path}.${key}`, before[key], after[key], changes);
+        });
+        return;
+    }
+
+    if (!isSameValue(before, after)) {
+        changes.push({ path, before: before ?? null, after: after ?? null });
+    }
+}
+
+function isSameValue(a, b) {
+    const emptyA = a === undefined || a === null || a === '';
+    const emptyB = b === undefined || b === null || b === '';
+    if (emptyA || emptyB) return emptyA && emptyB;
+    if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+    // total_amount can come back from the database as a numeric string
+    return String(a) === String(b);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ==========================================
+// DISPLAY
+// ==========================================
+
+/**
+ * Human readable name of a change path
+ * @param {string} path - e.g. 'payment_schedule.milestones[1].completed'
+ * @returns {string} e.g. 'Milestone 2 › Completed'
+ */
+export function describePath(path) {
+    return path
+        .replace(/^payment_schedule\.milestones/, 'milestones')
+        .split('.')
+        .map(part => {
+            const item = part.match(/^(\w+)\[(\d+)\]$/);
+            if (item) {
+                const noun = item[1] === 'milestones' ? 'Milestone' : 'Task';
+                return `${noun} ${Number(item[2]) + 1}`;
+            }
+            return FIELD_LABELS[part] || part;
+        })
+        .join(' › ');
+}
+
+/**
+ * Short display form of a changed value
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatRevisionValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') {
+        const label = value.description || value.name || value.type;
+        return label ? String(label) : JSON.stringify(value);
+    }
+    return String(value);
+}
@@ -0,0 +1,392 @@
+/**
+ * project-schema.js - Shapes of the projects.payment_schedule and projects.tasks JSON columns
+ * Both columns are free-form JSON, and older rows use different field names
+ * (e.g. `paid` for `completed`, `title` for a task's `description`, dates
+ * with a time part). Every project read or written through the ApiClient
+ * passes through normalizeProject, so the rest of the app can rely on the
+ * canonical shapes below. Anything that had to be fixed up, or could not
+ * be, is reported to `schemaDiagnostics` for the Data Issues panel.
+ */
+
+/**
+ * @typedef {Object} Milestone
+ * @property {string} [name] - Optional label, e.g. 'Deposit'
+ * @property {number} percentage - Share of the project total (0-100)
+ * @property {string|null} due_date - 'YYYY-MM-DD'
+ * @property {boolean} completed - Paid
+ */
+
+/**
+ * @typedef {Object} PaymentSchedule
+ * @property {string} type - 'full' | 'staggered'
+ * @property {string|null} [due_date] - Full payments only
+ * @property {boolean} [completed] - Full payments only
+ * @property {Array<Milestone>} [milestones] - Staggered payments only
+ */
+
+/**
+ * @typedef {Object} ProjectTask
+ * @property {string} description
+ * @property {string|null} due_date - 'YYYY-MM-DD'
+ * @property {boolean} completed
+ * @property {string} [completed_date] - 'YYYY-MM-DD'
+ */
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - e.g. 'payment_schedule.milestones[1].percentage'
+ * @property {string} message
+ * @property {boolean} fixed - True when the value was repaired, false when it could not be
+ */
+
+export const PAYMENT_TYPES = ['full', 'staggered'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+// Older field names mapped to their canonical names
+const MILESTONE_ALIASES = { title: 'name', date: 'due_date', dueDate: 'due_date', paid: 'completed', is_paid: 'completed' };
+const TASK_ALIASES = { title: 'description', name: 'description', date: 'due_date', dueDate: 'due_date', done: 'completed', completedDate: 'completed_date' };
+const SCHEDULE_ALIASES = { date: 'due_date', dueDate: 'due_date', paid: 'completed', is_paid: 'completed' };
+
+// ==========================================
+// NORMALIZATION
+// ==========================================
+
+/**
+ * Returns a copy of the project with payment_schedule and tasks in their canonical shapes.
+ * Columns missing from the object (e.g. a partial update) are left out.
+ * @param {Object} project - Row from the projects table (or form data about to be saved)
+ * @returns {{ project: Object, issues: Array<SchemaIssue> }}
+ */
+export function normalizeProject(project) {
+    if (!project) return { project, issues: [] };
+
+    const issues = [];
+    const normalized = { ...project };
+    if ('payment_schedule' in project) {
+        normalized.payment_schedule = normalizePaymentSchedule(project.payment_schedule, project.total_amount, issues);
+    }
+    if ('tasks' in project) {
+        normalized.tasks = normalizeTasks(project.tasks, issues);
+    }
+
+    return { project: normalized, issues };
+}
+
+/**
+ * @param {*} value - Stored payment_schedule value
+ * @param {number|string} totalAmount - Project total, used to convert milestone amounts to percentages
+ * @param {Array<SchemaIssue>} issues - Collects problems found
+ * @returns {PaymentSchedule|null}
+ */
+export function normalizePaymentSchedule(value, totalAmount, issues = []) {
+    const path = 'payment_schedule';
+    let schedule = parseJson(value, path, issues);
+    if (schedule === null || schedule === undefined) return null;
+
+    if (Array.isArray(schedule)) {
+        issues.push(issue(path, 'Bare milestone list wrapped in a staggered schedule', true));
+        schedule = { type: 'staggered', milestones: schedule };
+    }
+    if (typeof schedule !== 'object') {
+        issues.push(issue(path, `Expected an object, found ${describe(schedule)}`, false));
+        return null;
+    }
+
+    const normalized = renameAliases(schedule, SCHEDULE_ALIASES, path, issues);
+    const inferredType = Array.isArray(normalized.milestones) ? 'staggered' : 'full';
+    const type = typeof normalized.type === 'string' ? normalized.type.trim().toLowerCase() : normalized.type;
+    if (!PAYMENT_TYPES.includes(type)) {
+        issues.push(issue(`${path}.type`, `${type === undefined ? 'Missing type' : `Unknown type ${describe(type)}`}, treated as '${inferredType}'`, true));
+        normalized.type = inferredType;
+    } else if (type !== normalized.type) {
+        issues.push(issue(`${path}.type`, `'${normalized.type}' changed to '${type}'`, true));
+        normalized.type = type;
+    }
+
+    if (normalized.type === 'full') {
+        normalized.due_date = normalizeDate(normalized.due_date, `${path}.due_date`, issues);
+        normalized.completed = normalizeBoolean(normalized.completed, `${path}.completed`, issues);
+        return normalized;
+    }
+
+    if (!Array.isArray(normalized.milestones)) {
+        issues.push(issue(`${path}.milestones`, 'Staggered schedule has no milestone list', false));
+        normalized.milestones = [];
+        return normalized;
+    }
+
+    normalized.milestones = normalized.milestones
+        .map((milestone, index) => normalizeMilestone(milestone, totalAmount, `${path}.milestones[${index}]`, issues))
+        .filter(Boolean);
+
+    const totalPercentage = normalized.milestones.reduce((sum, milestone) => sum + milestone.percentage, 0);
+    if (normalized.milestones.length > 0 && Math.abs(totalPercentage - 100) > 0.01) {
+        issues.push(issue(`${path}.milestones`, `Milestone percentages add up to ${round(totalPercentage)}%, not 100%`, false));
+    }
+    return normalized;
+}
+
+/**
+ * @param {*} value - Stored tasks value
+ * @param {Array<SchemaIssue>} issues - Collects problems found
+ * @returns {Array<ProjectTask>}
+ */
+export function normalizeTasks(value, issues = []) {
+    const path = 'tasks';
+    const tasks = parseJson(value, path, issues);
+    if (tasks === null || tasks === undefined) return [];
+
+    if (!Array.isArray(tasks)) {
+        issues.push(issue(path, `Expected a list, found ${describe(tasks)}`, false));
+        return [];
+    }
+
+    return tasks
+        .map((task, index) => normalizeTask(task, `${path}[${index}]`, issues))
+        .filter(Boolean);
+}
+
+function normalizeMilestone(value, totalAmount, path, issues) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        issues.push(issue(path, `Dropped: expected an object, found ${describe(value)}`, false));
+        return null;
+    }
+
+    const milestone = renameAliases(value, MILESTONE_ALIASES, path, issues);
+    let percentage = parseNumber(milestone.percentage);
+    if (percentage === null && milestone.amount !== undefined) {
+        const amount = parseNumber(milestone.amount);
+        const total = parseNumber(totalAmount);
+        if (amount !== null && total > 0) {
+            percentage = round((amount / total) * 100);
+            issues.push(issue(`${path}.percentage`, `Derived ${percentage}% from amount ${amount}`, true));
+        }
+    } else if (percentage !== null && percentage !== milestone.percentage) {
+        issues.push(issue(`${path}.percentage`, `${describe(milestone.percentage)} converted to ${percentage}`, true));
+    }
+    if (percentage === null || percentage < 0 || percentage > 100) {
+        issues.push(issue(`${path}.percentage`, `Invalid percentage ${describe(milestone.percentage)}, counted as 0%`, false));
+        percentage = 0;
+    }
+    milestone.percentage = percentage;
+
+    if (milestone.name !== undefined && milestone.name !== null && typeof milestone.name !== 'string') {
+        milestone.name = String(milestone.name);
+    }
+    milestone.due_date = normalizeDate(milestone.due_date, `${path}.due_date`, issues);
+    milestone.completed = normalizeBoolean(milestone.completed, `${path}.completed`, issues);
+    return milestone;
+}
+
+function normalizeTask(value, path, issues) {
+    if (typeof value === 'string' && value.trim()) {
+        issues.push(issue(path, 'Plain text task converted to an object', true));
+        return { description: value.trim(), due_date: null, completed: false };
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        issues.push(issue(path, `Dropped: expected an object, found ${describe(value)}`, false));
+        return null;
+    }
+
+    const task = renameAliases(value, TASK_ALIASES, path, issues);
+    if (typeof task.description !== 'string' || !task.description.trim()) {
+        issues.push(issue(`${path}.description`, 'Task has no description', false));
+        task.description = task.description ? String(task.description) : '';
+    }
+    task.due_date = normalizeDate(task.due_date, `${path}.due_date`, issues);
+    task.completed = normalizeBoolean(task.completed, `${path}.completed`, issues);
+    if (task.completed_date !== undefined) {
+        task.completed_date = normalizeDate(task.completed_date, `${path}.completed_date`, issues);
+        if (task.completed_date === null) delete task.completed_date;
+    }
+    return task;
+}
+
+// ==========================================
+// VALUE HELPERS
+// ==========================================
+
+function issue(path, message, fixed) {
+    return { path, message, fixed };
+}
+
+function parseJson(value, path, issues) {
+    if (typeof value !== 'string') return value;
+    if (!value.trim()) return null;
+    try {
+        const parsed = JSON.parse(value);
+        issues.push(issue(path, 'Stored as a JSON string, parsed', true));
+        return parsed;
+    } catch (error) {
+        issues.push(issue(path, 'Not valid JSON, ignored', false));
+        return null;
+    }
+}
+
+/**
+ * Moves values from older field names to the canonical ones
+ * @returns {Object} A copy of the value
+ */
+function renameAliases(value, aliases, path, issues) {
+    const renamed = { ...value };
+    Object.entries(aliases).forEach(([alias, canonical]) => {
+        if (!(alias in renamed)) return;
+        if (renamed[canonical] === undefined || renamed[canonical] === null) {
+            renamed[canonical] = renamed[alias];
+            issues.push(issue(`${path}.${alias}`, `Renamed to '${canonical}'`, true));
+        } else {
+            issues.push(issue(`${path}.${alias}`, `Dropped in favour of '${canonical}'`, true));
+        }
+        delete renamed[alias];
+    });
+    return renamed;
+}
+
+/**
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+function normalizeDate(value, path, issues) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+        if (value.length > 10) issues.push(issue(path, 'Time part removed', true));
+        return value.slice(0, 10);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        issues.push(issue(path, `Invalid date ${describe(value)}, cleared`, false));
+        return null;
+    }
+    const dateString = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    issues.push(issue(path, `${describe(value)} converted to ${dateString}`, true));
+    return dateString;
+}
+
+function normalizeBoolean(value, path, issues) {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'boolean') return value;
+    const converted = ['true', '1', 'yes', 'paid'].includes(String(value).trim().toLowerCase());
+    issues.push(issue(path, `${describe(value)} converted to ${converted}`, true));
+    return converted;
+}
+
+function parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const parsed = parseFloat(value.replace(/[%,\s]/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    if (typeof value === 'string') return `'${value}'`;
+    return Array.isArray(value) ? 'a list' : JSON.stringify(value);
+}
+
+// ==========================================
+// PAYMENTS
+// ==========================================
+
+/**
+ * A project's payments in its own currency
+ * @param {Project} project
+ * @returns {Array<Object>} [{ name, percentage, amount, due_date, paid }]
+ */
+export function getProjectPayments(project) {
+    const schedule = project.payment_schedule;
+    const total = parseFloat(project.total_amount) || 0;
+    if (schedule?.type === 'full') {
+        return [{ name: 'Full payment', percentage: 100, amount: total, due_date: schedule.due_date, paid: !!schedule.completed }];
+    }
+    if (schedule?.type === 'staggered') {
+        return (schedule.milestones || []).map((milestone, index) => ({
+            name: milestone.name || `Milestone ${index + 1}`,
+            percentage: milestone.percentage,
+            amount: total * (parseFloat(milestone.percentage) || 0) / 100,
+            due_date: milestone.due_date,
+            paid: !!milestone.completed
+        }));
+    }
+    return [];
+}
+
+// ==========================================
+// DIAGNOSTICS
+// ==========================================
+
+/**
+ * Keeps the latest schema issues per project for the Data Issues panel
+ */
+export class SchemaDiagnostics {
+    constructor() {
+        this.records = new Map(); // project id -> record
+        this.listeners = new Set();
+    }
+
+    /**
+     * Records (or clears) the issues found for one project
+     * @param {Object} project - The project as stored (before normalization)
+     * @param {Array<SchemaIssue>} issues
+     */
+    report(project, issues) {
+        if (!project?.id) return;
+
+        const hadRecord = this.records.has(project.id);
+        if (issues.length === 0) {
+            if (!hadRecord) return;
+            this.records.delete(project.id);
+        } else {
+            this.records.set(project.id, {
+                project_id: project.id,
+                project_name: project.name,
+                contact_id: project.contact_id,
+                issues,
+                raw: { payment_schedule: project.payment_schedule, tasks: project.tasks },
+                checked_at: new Date().toISOString()
+            });
+            if (!hadRecord) {
+                console.warn(`⚠️ Project "${project.name}" has malformed JSON data:`, issues);
+            }
+        }
+        this.listeners.forEach(callback => callback(this.list()));
+    }
+
+    forget(projectId) {
+        if (this.records.delete(projectId)) {
+            this.listeners.forEach(callback => callback(this.list()));
+        }
+    }
+
+    list() {
+        return [...this.records.values()];
+    }
+
+    /**
+     * Calls back whenever the recorded issues change
+     * @param {Function} callback - Called with the list of records
+     * @returns {Function} Call to unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+}
+
+/**
+ * Normalizes a project read from storage and records any issues found
+ * @param {Object} project
+ * @returns {Object} The normalized project
+ */
+export function checkProject(project) {
+    const { project: normalized, issues } = normalizeProject(project);
+    schemaDiagnostics.report(project, issues);
+    return normalized;
+}
+
+// Create and export a single instance
+export const schemaDiagnostics = new SchemaDiagnostics();
@@ -0,0 +1,261 @@
+// js/reconcile-panel.js
+import { apiClient } from './api-client.js';
+import { store, selectAccounts } from './store.js';
+import { notifications } from './notifications.js';
+import { formatAccountLabel } from './accounts.js';
+import { formatMoney, currencySymbol } from './currency.js';
+import {
+    loadReconciliation,
+    getClearedBalance,
+    getAccountAmount,
+    setCleared,
+    finishReconciliation
+} from './reconciliation.js';
+import { escapeHtml } from './utils.js';
+
+// The statement being reconciled
+let session = null;
+let loadRun = 0;
+
+/**
+ * Initializes the "Reconcile Account" slide-out panel, opened from an
+ * account in the Accounts panel: transactions up to the statement's last day
+ * are ticked as cleared until the cleared balance matches the statement's
+ * closing balance, then the period is saved and its transactions locked.
+ */
+export function initializeReconcilePanel() {
+    console.log('🧾 Initializing reconciliation panel...');
+    const reconcileModal = document.getElementById('reconcile-modal');
+
+    if (!reconcileModal) {
+        console.warn('⚠️ Reconciliation panel elements not found');
+        return;
+    }
+
+    document.getElementById('close-reconcile-btn')?.addEventListener('click', closeReconcilePanel);
+    document.getElementById('cancel-reconcile-btn')?.addEventListener('click', closeReconcilePanel);
+    reconcileModal.addEventListener('click', (e) => {
+        if (e.target === reconcileModal) closeReconcilePanel();
+    });
+
+    document.getElementById('reconcile-account').addEventListener('change', (e) => startStatement(e.target.value));
+    document.getElementById('reconcile-end').addEventListener('change', refreshSession);
+    document.getElementById('reconcile-start').addEventListener('change', renderSession);
+    document.getElementById('reconcile-closing').addEventListener('input', renderSummary);
+    document.getElementById('reconcile-rows').addEventListener('change', (e) => {
+        if (e.target.dataset.reconcileId) toggleCleared(e.target);
+    });
+    document.getElementById('finish-reconcile-btn')?.addEventListener('click', finish);
+
+    console.log('✅ Reconciliation panel initialized');
+}
+
+/**
+ * Opens the panel on an account's next statement
+ * @param {string} accountId
+ */
+export async function openReconcilePanel(accountId) {
+    const accounts = selectAccounts(store.getState());
+    document.getElementById('reconcile-account').innerHTML = accounts
+        .map(account => `<option value="${account.id}"${account.id === accountId ? ' selected' : ''}>${escapeHtml(formatAccountLabel(account))}</option>`)
+        .join('');
+
+    document.getElementById('reconcile-modal').classList.remove('hidden');
+    setTimeout(() => {
+        document.getElementById('reconcile-sidebar').classList.remove('translate-x-full');
+    }, 10);
+    await startStatement(accountId);
+}
+
+function closeReconcilePanel() {
+    document.getElementById('reconcile-sidebar').classList.add('translate-x-full');
+    setTimeout(() => {
+        document.getElementById('reconcile-modal').classList.add('hidden');
+    }, 300);
+    session = null;
+}
+
+/**
+ * Sets the statement period to the one after the account's last
+ * reconciliation (or last month when it has none) and loads it
+ */
+async function startStatement(accountId) {
+    const result = await apiClient.getReconciliations(accountId);
+    const last = result.data[result.data.length - 1];
+    const today = new Date().toISOString().slice(0, 10);
+    const start = last ? addDays(last.period_end, 1) : `${addMonths(today, -1).slice(0, 7)}-01`;
+    const monthEnd = endOfMonth(start);
+
+    document.getElementById('reconcile-start').value = start;
+    document.getElementById('reconcile-end').value = monthEnd < today ? monthEnd : today;
+    document.getElementById('reconcile-closing').value = '';
+    await refreshSession();
+}
+
+async function refreshSession() {
+    const accountId = document.getElementById('reconcile-account').value;
+    const periodEnd = document.getElementById('reconcile-end').value;
+    if (!accountId || !periodEnd) return;
+
+    // Only the latest account and end date's transactions are shown
+    const run = ++loadRun;
+    try {
+        const loaded = await loadReconciliation(accountId, periodEnd);
+        if (run !== loadRun) return;
+        session = loaded;
+        document.getElementById('reconcile-currency').textContent = currencySymbol(session.currency);
+    } catch (error) {
+        console.error('❌ Error loading reconciliation:', error);
+        notifications.error('Could not load the account\'s transactions', {
+            actions: [{ label: 'Retry', onClick: refreshSession }]
+        });
+        return;
+    }
+    renderSession();
+}
+
+function renderSession() {
+    renderRows();
+    renderSummary();
+    renderHistory();
+}
+
+function renderRows() {
+    const list = document.getElementById('reconcile-rows');
+    if (!session) return;
+    if (session.transactions.length === 0 && session.otherCurrency.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500 text-center py-4">Every transaction up to this date is reconciled.</p>';
+        return;
+    }
+
+    const start = document.getElementById('reconcile-start').value;
+    list.innerHTML = session.transactions.map(transaction => {
+        const amount = getAccountAmount(transaction, session.account.id);
+        const earlier = start && transaction.date < start;
+        return `
+            <label class="flex items-center gap-3 px-3 py-2 text-sm ${transaction.cleared ? 'bg-green-50' : ''}">
+                <input type="checkbox" data-reconcile-id="${transaction.id}" ${transaction.cleared ? 'checked' : ''}>
+                <span class="w-24 flex-shrink-0 text-gray-500">${transaction.date}</span>
+                <span class="flex-grow min-w-0">
+                    <span class="block truncate text-gray-800">${escapeHtml(transaction.title)}</span>
+                    ${earlier ? '<span class="block text-xs text-yellow-700">Before this statement, not cleared yet</span>' : ''}
+                </span>
+                <span class="flex-shrink-0 font-semibold ${amount >= 0 ? 'text-green-600' : 'text-red-600'}">${amount >= 0 ? '+' : '-'}${formatMoney(Math.abs(amount), session.currency)}</span>
+            </label>
+        `;
+    }).join('') + session.otherCurrency.map(transaction => {
+        const amount = getAccountAmount(transaction, session.account.id);
+        return `
+            <div class="flex items-center gap-3 px-3 py-2 text-sm opacity-60">
+                <input type="checkbox" disabled>
+                <span class="w-24 flex-shrink-0 text-gray-500">${transaction.date}</span>
+                <span class="flex-grow min-w-0">
+                    <span class="block truncate text-gray-800">${escapeHtml(transaction.title)}</span>
+                    <span class="block text-xs text-yellow-700">In ${escapeHtml(transaction.currency)}, not ${escapeHtml(session.currency)} - change its currency or account to reconcile it</span>
+                </span>
+                <span class="flex-shrink-0 font-semibold text-gray-500">${amount >= 0 ? '+' : '-'}${formatMoney(Math.abs(amount), transaction.currency)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Cleared balance against the statement, and whether the period can be finished
+ */
+function renderSummary() {
+    const summary = document.getElementById('reconcile-summary');
+    const finishButton = document.getElementById('finish-reconcile-btn');
+    if (!session) {
+        summary.innerHTML = '';
+        finishButton.disabled = true;
+        return;
+    }
+
+    const closingInput = document.getElementById('reconcile-closing').value;
+    const closing = parseFloat(closingInput);
+    const cleared = getClearedBalance(session);
+    const difference = closingInput === '' || isNaN(closing) ? null : closing - cleared;
+    const balanced = difference !== null && Math.abs(difference) < 0.005;
+
+    const figures = [
+        ['Reconciled before', formatMoney(session.reconciledBalance, session.currency), 'text-gray-800'],
+        ['Cleared balance', formatMoney(cleared, session.currency), 'text-gray-800'],
+        ['Statement balance', difference === null ? '—' : formatMoney(closing, session.currency), 'text-gray-800'],
+        ['Difference', difference === null ? '—' : formatMoney(balanced ? 0 : difference, session.currency), balanced ? 'text-green-600' : 'text-red-600']
+    ];
+    summary.innerHTML = figures.map(([label, value, color]) => `
+        <div>
+            <p class="text-xs text-gray-500">${label}</p>
+            <p class="font-semibold ${color}">${value}</p>
+        </div>
+    `).join('');
+    finishButton.disabled = !balanced;
+}
+
+function renderHistory() {
+    const section = document.getElementById('reconcile-history-section');
+    const reconciliations = session?.reconciliations || [];
+    section.classList.toggle('hidden', reconciliations.length === 0);
+    document.getElementById('reconcile-history').innerHTML = [...reconciliations].reverse().map(reconciliation => `
+        <p>${reconciliation.period_start ? `${reconciliation.period_start} to ` : 'To '}${reconciliation.period_end} · closing ${formatMoney(parseFloat(reconciliation.closing_balance) || 0, session.currency)}</p>
+    `).join('');
+}
+
+async function toggleCleared(checkbox) {
+    const transaction = session?.transactions.find(t => t.id === checkbox.dataset.reconcileId);
+    if (!transaction) return;
+
+    checkbox.disabled = true;
+    const saved = await setCleared(transaction, checkbox.checked);
+    checkbox.disabled = false;
+    if (!saved) {
+        checkbox.checked = !checkbox.checked;
+        notifications.error(`Could not update "${transaction.title}"`);
+        return;
+    }
+    transaction.cleared = saved.cleared;
+    checkbox.closest('label').classList.toggle('bg-green-50', transaction.cleared);
+    renderSummary();
+}
+
+async function finish() {
+    if (!session) return;
+    const statement = {
+        periodStart: document.getElementById('reconcile-start').value || null,
+        periodEnd: document.getElementById('reconcile-end').value,
+        closingBalance: parseFloat(document.getElementById('reconcile-closing').value)
+    };
+    const button = document.getElementById('finish-reconcile-btn');
+    button.disabled = true;
+
+    const result = await finishReconciliation(session, statement);
+    if (!result.data) {
+        notifications.error(`Failed to save the reconciliation of ${session.account.name}`);
+        renderSummary();
+        return;
+    }
+    const locked = result.data.transactions.length;
+    if (result.success) {
+        notifications.success(`${session.account.name} reconciled to ${statement.periodEnd} · ${locked} transaction${locked === 1 ? '' : 's'} locked`);
+    } else {
+        // The reconciliation is saved; the rows that failed stay cleared and show up next time
+        notifications.warning(`${session.account.name} reconciled to ${statement.periodEnd}, but ${result.error}.`);
+    }
+    await startStatement(session.account.id);
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function addMonths(dateString, months) {
+    const date = new Date(`${dateString.slice(0, 7)}-01T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.toISOString().slice(0, 10);
+}
+
+function endOfMonth(dateString) {
+    return addDays(addMonths(dateString, 1), -1);
+}
@@ -0,0 +1,153 @@
+/**
+ * reconciliation.js - Reconciling an account against its bank statements
+ * While checking a statement, each transaction the bank shows is ticked as
+ * cleared. The account's cleared balance (opening balance plus every cleared
+ * transaction) should then equal the statement's closing balance. When it
+ * does, the period is saved as a reconciliation and its cleared transactions
+ * are locked: editing one afterwards needs an explicit unlock.
+ * Everything is added up in the account's own currency, the one its
+ * statements are in; transactions in another currency cannot be cleared.
+ */
+
+import { apiClient } from './api-client.js';
+import { applyTransactionChange } from './transactions.js';
+import { getAccountDeltas, findAccount, getAccountCurrency } from './accounts.js';
+import { CONFIG } from './config.js';
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {string} id
+ * @property {string} account_id
+ * @property {string|null} period_start - 'YYYY-MM-DD', first day of the statement
+ * @property {string} period_end - 'YYYY-MM-DD', last day of the statement
+ * @property {number} closing_balance - The statement's balance at period_end
+ */
+
+/**
+ * @typedef {Object} ReconciliationSession
+ * @property {Account} account
+ * @property {string} currency - The account's currency, which every amount here is in
+ * @property {Array<Reconciliation>} reconciliations - Earlier statements, oldest first
+ * @property {number} reconciledBalance - Opening balance plus every transaction already reconciled
+ * @property {Array<Transaction>} transactions - The account's unreconciled transactions up to the statement's end, oldest first
+ * @property {Array<Transaction>} otherCurrency - Unreconciled transactions in another currency, which cannot be cleared
+ */
+
+// Types that move money in or out of an account
+const MONEY_TYPES = ['income', 'expense', 'transfer'];
+
+/**
+ * Whether a transaction belongs to a reconciled statement and is locked
+ * @param {Transaction} transaction
+ */
+export function isReconciled(transaction) {
+    return !!transaction?.reconciliation_id;
+}
+
+/**
+ * How much a transaction moves one account's balance, in the transaction's own currency
+ * @param {Transaction} transaction
+ * @param {string} accountId
+ * @returns {number}
+ */
+export function getAccountAmount(transaction, accountId) {
+    return getAccountDeltas(transaction)
+        .filter(([key]) => key === accountId)
+        .reduce((sum, [, amount]) => sum + amount, 0);
+}
+
+/**
+ * Loads an account's transactions up to a statement's last day
+ * @param {string} accountId
+ * @param {string} periodEnd - 'YYYY-MM-DD'
+ * @returns {Promise<ReconciliationSession>}
+ */
+export async function loadReconciliation(accountId, periodEnd) {
+    const account = findAccount(accountId);
+    if (!account) throw new Error('Account not found');
+
+    const [reconciliationsResult, transactionsResult] = await Promise.all([
+        apiClient.getReconciliations(accountId),
+        apiClient.getTransactionsInRange(null, periodEnd)
+    ]);
+    if (!reconciliationsResult.success) throw new Error(reconciliationsResult.error);
+    if (!transactionsResult.success) throw new Error(transactionsResult.error);
+
+    const currency = getAccountCurrency(account);
+    const inAccountCurrency = (transaction) => (transaction.currency || CONFIG.BASE_CURRENCY) === currency;
+    const accountTransactions = transactionsResult.data.filter(transaction =>
+        MONEY_TYPES.includes(transaction.type) &&
+        (transaction.account_id === accountId || transaction.transfer_account_id === accountId));
+
+    const reconciledBalance = accountTransactions
+        .filter(transaction => isReconciled(transaction) && inAccountCurrency(transaction))
+        .reduce((sum, transaction) => sum + getAccountAmount(transaction, accountId), parseFloat(account.opening_balance) || 0);
+    const unreconciled = accountTransactions.filter(transaction => !isReconciled(transaction));
+
+    return {
+        account,
+        currency,
+        reconciliations: reconciliationsResult.data,
+        reconciledBalance,
+        transactions: unreconciled.filter(inAccountCurrency),
+        otherCurrency: unreconciled.filter(transaction => !inAccountCurrency(transaction))
+    };
+}
+
+/**
+ * The account's balance counting only reconciled and cleared transactions
+ * @param {ReconciliationSession} session
+ * @returns {number}
+ */
+export function getClearedBalance(session) {
+    return session.transactions
+        .filter(transaction => transaction.cleared)
+        .reduce((sum, transaction) => sum + getAccountAmount(transaction, session.account.id), session.reconciledBalance);
+}
+
+/**
+ * Ticks or unticks a transaction as cleared by the bank
+ * @param {Transaction} transaction
+ * @param {boolean} cleared
+ * @returns {Promise<Transaction|null>} The saved row, null when saving failed
+ */
+export async function setCleared(transaction, cleared) {
+    const result = await apiClient.updateTransaction(transaction.id, { cleared });
+    if (!result.success || !result.data) return null;
+    await applyTransactionChange({ eventType: 'UPDATE', new: result.data, old: { id: transaction.id } });
+    return result.data;
+}
+
+/**
+ * Saves the statement period and locks its cleared transactions
+ * @param {ReconciliationSession} session
+ * @param {Object} statement - { periodStart, periodEnd, closingBalance }
+ * @returns {Promise<Object>} apiClient result; data: { reconciliation, transactions }
+ */
+export async function finishReconciliation(session, { periodStart, periodEnd, closingBalance }) {
+    const clearedIds = session.transactions.filter(transaction => transaction.cleared).map(transaction => transaction.id);
+    const result = await apiClient.createReconciliation({
+        account_id: session.account.id,
+        period_start: periodStart || null,
+        period_end: periodEnd,
+        closing_balance: closingBalance
+    }, clearedIds);
+
+    for (const row of result.data?.transactions || []) {
+        await applyTransactionChange({ eventType: 'UPDATE', new: row, old: { id: row.id } });
+    }
+    return result;
+}
+
+/**
+ * Takes a transaction out of its reconciled statement so it can be edited.
+ * It stays cleared; the next reconciliation of the account picks up any change.
+ * @param {Transaction} transaction
+ * @returns {Promise<Transaction|null>} The unlocked row, null when saving failed
+ */
+export async function unlockTransaction(transaction) {
+    const result = await apiClient.updateTransaction(transaction.id, { reconciliation_id: null });
+    if (!result.success || !result.data) return null;
+    await applyTransactionChange({ eventType: 'UPDATE', new: result.data, old: { id: transaction.id } });
+    return result.data;
+}
@@ -0,0 +1,360 @@
+/**
+ * recurring.js - Recurring Income and Expenses
+ * A recurring rule (rent, a software subscription, a retainer) describes a
+ * schedule instead of a single transaction. Its upcoming occurrences are
+ * computed here and shown on the calendar as pending entries until they are
+ * confirmed into real transactions (which keep recurring_rule_id and
+ * recurring_date so the occurrence is not offered again), skipped, or edited
+ * as "this occurrence" or "this and all future occurrences".
+ */
+
+import { apiClient } from './api-client.js';
+import { notifications } from './notifications.js';
+import { saveEntry, applyRecurringRuleChange, applyTransactionChange } from './transactions.js';
+import { store, selectRecurringRules, selectTransactions } from './store.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const FREQUENCY_LABELS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+
+/**
+ * @typedef {Object} Occurrence
+ * @property {string} id - 'recurring_<rule id>_<date>'
+ * @property {string} rule_id
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {string} type - 'income' | 'expense'
+ * @property {string} title
+ * @property {string} description
+ * @property {number} amount
+ * @property {string|null} currency - ISO code
+ * @property {string|null} category_id
+ * @property {string|null} account_id
+ * @property {boolean} is_recurring - Always true, marks a pending (unconfirmed) occurrence
+ */
+
+// ==========================================
+// SCHEDULE
+// ==========================================
+
+/**
+ * Lists the dates a rule falls on between two days (inclusive), skipped ones included
+ * @param {Object} rule - Row from recurring_rules
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @returns {Array<{ date: string, index: number }>} index counts from the rule's first occurrence
+ */
+export function getOccurrenceDates(rule, from, to) {
+    const dates = [];
+    if (!rule?.start_date || !FREQUENCIES.includes(rule.frequency)) return dates;
+
+    const last = rule.end_date && rule.end_date < to ? rule.end_date : to;
+    const maxCount = rule.occurrence_count || Infinity;
+    for (let index = firstIndexBefore(rule, from); index < maxCount; index++) {
+        const date = nthOccurrence(rule, index);
+        if (date > last) break;
+        if (date >= from) dates.push({ date, index });
+    }
+    return dates;
+}
+
+/**
+ * Index of an occurrence on or just before the given date, so long-running
+ * rules do not have to be walked from their first occurrence
+ */
+function firstIndexBefore(rule, date) {
+    if (date <= rule.start_date) return 0;
+    const interval = parseInt(rule.interval, 10) || 1;
+    const [startYear, startMonth] = rule.start_date.split('-').map(Number);
+    const [year, month] = date.split('-').map(Number);
+    let periods;
+    if (rule.frequency === 'daily' || rule.frequency === 'weekly') {
+        const days = (Date.parse(date) - Date.parse(rule.start_date)) / (24 * 60 * 60 * 1000);
+        periods = rule.frequency === 'weekly' ? days / 7 : days;
+    } else if (rule.frequency === 'monthly') {
+        periods = (year - startYear) * 12 + (month - startMonth);
+    } else {
+        periods = year - startYear;
+    }
+    return Math.max(0, Math.floor(periods / interval) - 1);
+}
+
+/**
+ * Date of a rule's nth occurrence (0 = start_date). Monthly and yearly rules
+ * that start on the 29th-31st fall on the last day of shorter months.
+ */
+function nthOccurrence(rule, index) {
+    const [year, month, day] = rule.start_date.split('-').map(Number);
+    const step = index * (parseInt(rule.interval, 10) || 1);
+
+    if (rule.frequency === 'daily' || rule.frequency === 'weekly') {
+        const days = rule.frequency === 'weekly' ? step * 7 : step;
+        return toDateString(new Date(Date.UTC(year, month - 1, day + days)));
+    }
+
+    const monthIndex = rule.frequency === 'monthly' ? month - 1 + step : month - 1;
+    const targetYear = rule.frequency === 'yearly' ? year + step : year;
+    const daysInMonth = new Date(Date.UTC(targetYear, monthIndex + 1, 0)).getUTCDate();
+    return toDateString(new Date(Date.UTC(targetYear, monthIndex, Math.min(day, daysInMonth))));
+}
+
+/**
+ * Builds the entry shown for one occurrence, with any single-occurrence edits applied
+ * @param {Object} rule
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Occurrence}
+ */
+export function buildOccurrence(rule, date) {
+    const override = rule.overrides?.[date] || {};
+    return {
+        id: `recurring_${rule.id}_${date}`,
+        rule_id: rule.id,
+        date,
+        type: override.type ?? rule.type,
+        title: override.title ?? rule.title,
+        description: rule.description || '',
+        amount: parseFloat(override.amount ?? rule.amount) || 0,
+        currency: override.currency ?? rule.currency ?? null,
+        category_id: (override.category_id !== undefined ? override.category_id : rule.category_id) || null,
+        account_id: (override.account_id !== undefined ? override.account_id : rule.account_id) || null,
+        is_recurring: true
+    };
+}
+
+/**
+ * Occurrences on a day that have been neither confirmed nor skipped.
+ * Confirmations are looked up in the loaded transactions, which cover every
+ * month the calendar can show.
+ * @param {string} dateString - 'YYYY-MM-DD'
+ * @param {Object} [state] - Store state, defaults to the current one
+ * @returns {Array<Occurrence>}
+ */
+export function getPendingOccurrencesForDate(dateString, state = store.getState()) {
+    return getPendingOccurrences(dateString, dateString, state);
+}
+
+/**
+ * Occurrences between two days (inclusive) that have been neither confirmed
+ * nor skipped, by date
+ * @param {string} from - 'YYYY-MM-DD'
+ * @param {string} to - 'YYYY-MM-DD'
+ * @param {Object} [state] - Store state, defaults to the current one
+ * @param {Array<Transaction>} [transactions] - Where to look for confirmations, defaults to the loaded ones
+ * @returns {Array<Occurrence>}
+ */
+export function getPendingOccurrences(from, to, state = store.getState(), transactions = selectTransactions(state)) {
+    const rules = selectRecurringRules(state);
+    if (rules.length === 0) return [];
+
+    const confirmed = new Set(transactions
+        .filter(transaction => transaction.recurring_rule_id)
+        .map(transaction => `${transaction.recurring_rule_id}_${transaction.recurring_date}`));
+
+    return rules
+        .flatMap(rule => getOccurrenceDates(rule, from, to)
+            .filter(({ date }) => !(rule.skip_dates || []).includes(date) && !confirmed.has(`${rule.id}_${date}`))
+            .map(({ date }) => buildOccurrence(rule, date)))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Short description of a rule's schedule, e.g. 'Every 2 weeks, 10 times'
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeSchedule(rule) {
+    const interval = parseInt(rule.interval, 10) || 1;
+    const unit = FREQUENCY_LABELS[rule.frequency] || rule.frequency;
+    let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    if (rule.occurrence_count) text += `, ${rule.occurrence_count} times`;
+    else if (rule.end_date) text += ` until ${rule.end_date}`;
+    return text;
+}
+
+export function findRule(ruleId) {
+    return selectRecurringRules(store.getState()).find(rule => rule.id === ruleId);
+}
+
+// ==========================================
+// ACTIONS
+// ==========================================
+
+/**
+ * Creates a rule from a new day-modal entry. The entry itself is saved as the
+ * rule's first, already confirmed, occurrence.
+ * @param {Object} entryData - { date, type, title, description, amount, currency, category_id, account_id }
+ * @param {Object} schedule - { frequency, interval, end_date, occurrence_count }
+ * @returns {Promise<boolean>}
+ */
+export async function createRecurringEntry(entryData, schedule) {
+    const result = await apiClient.createRecurringRule({
+        type: entryData.type,
+        title: entryData.title,
+        description: entryData.description,
+        amount: entryData.amount,
+        currency: entryData.currency,
+        category_id: entryData.category_id || null,
+        account_id: entryData.account_id || null,
+        start_date: entryData.date,
+        ...schedule
+    });
+    if (!result.success) {
+        notifications.error(`Failed to save recurring "${entryData.title}"`, {
+            actions: [{ label: 'Retry', onClick: () => createRecurringEntry(entryData, schedule) }]
+        });
+        return false;
+    }
+    applyRecurringRuleChange({ eventType: 'INSERT', new: result.data, old: {} });
+    return saveEntry({ ...entryData, recurring_rule_id: result.data.id, recurring_date: entryData.date });
+}
+
+/**
+ * Turns a pending occurrence into a real transaction
+ * @param {string} ruleId
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<boolean>}
+ */
+export async function confirmOccurrence(ruleId, date) {
+    const rule = findRule(ruleId);
+    if (!rule) return false;
+    const { type, title, description, amount, currency, category_id, account_id } = buildOccurrence(rule, date);
+    return saveEntry({ date, type, title, description, amount, currency, category_id, account_id, recurring_rule_id: rule.id, recurring_date: date });
+}
+
+/**
+ * Leaves one occurrence out of the schedule
+ * @param {string} ruleId
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+export async function skipOccurrence(ruleId, date) {
+    const rule = findRule(ruleId);
+    if (!rule) return false;
+    const skipDates = [...new Set([...(rule.skip_dates || []), date])].sort();
+    const saved = await saveRule(rule, { skip_dates: skipDates });
+    if (saved) {
+        notifications.info(`Skipped "${rule.title}" on ${date}`, {
+            actions: [{ label: 'Undo', onClick: () => unskipOccurrence(ruleId, date) }]
+        });
+    }
+    return saved;
+}
+
+async function unskipOccurrence(ruleId, date) {
+    const rule = findRule(ruleId);
+    if (!rule) return;
+    await saveRule(rule, { skip_dates: (rule.skip_dates || []).filter(skipped => skipped !== date) });
+}
+
+/**
+ * Edits a rule's occurrence
+ * @param {string} ruleId
+ * @param {string} date - The occurrence being edited, 'YYYY-MM-DD'
+ * @param {Object} changes - { type, title, amount, currency, category_id, account_id }
+ * @param {string} scope - 'this' keeps the change to this date, 'future' applies it
+ *   to this and every later occurrence (earlier ones keep their old values)
+ * @returns {Promise<boolean>}
+ */
+export async function updateOccurrence(ruleId, date, changes, scope) {
+    const rule = findRule(ruleId);
+    if (!rule) return false;
+
+    if (scope === 'this') {
+        return saveRule(rule, { overrides: { ...(rule.overrides || {}), [date]: changes } });
+    }
+
+    // Editing from the first occurrence changes the whole series
+    if (date <= rule.start_date) {
+        return saveRule(rule, { ...changes, overrides: {} });
+    }
+
+    // Otherwise end this rule the day before and continue with a new one
+    const [{ index } = { index: 0 }] = getOccurrenceDates(rule, date, date);
+    const result = await apiClient.createRecurringRule({
+        type: rule.type,
+        title: rule.title,
+        description: rule.description,
+        amount: rule.amount,
+        currency: rule.currency,
+        category_id: rule.category_id || null,
+        account_id: rule.account_id || null,
+        frequency: rule.frequency,
+        interval: rule.interval,
+        start_date: date,
+        end_date: rule.end_date,
+        occurrence_count: rule.occurrence_count ? rule.occurrence_count - index : null,
+        skip_dates: (rule.skip_dates || []).filter(skipped => skipped > date),
+        overrides: {},
+        ...changes
+    });
+    if (!result.success) {
+        notifications.error(`Failed to update "${rule.title}"`);
+        return false;
+    }
+    applyRecurringRuleChange({ eventType: 'INSERT', new: result.data, old: {} });
+    await moveConfirmedOccurrences(rule.id, result.data.id, date);
+    return endSeriesBefore(rule, date);
+}
+
+/**
+ * Hands transactions already confirmed from a split rule's later occurrences
+ * over to the rule that continues the series, so they are not offered again
+ */
+async function moveConfirmedOccurrences(fromRuleId, toRuleId, date) {
+    const { data: confirmed } = await apiClient.findTransactions({ recurring_rule_id: fromRuleId });
+    for (const transaction of confirmed.filter(row => row.recurring_date >= date)) {
+        const result = await apiClient.updateTransaction(transaction.id, { recurring_rule_id: toRuleId });
+        if (result.success && result.data) {
+            await applyTransactionChange({ eventType: 'UPDATE', new: result.data, old: { id: transaction.id } });
+        }
+    }
+}
+
+/**
+ * Stops a series so that the given occurrence and everything after it disappear
+ * @param {string} ruleId
+ * @param {string} date - 'YYYY-MM-DD'
+ */
+export async function stopSeries(ruleId, date) {
+    const rule = findRule(ruleId);
+    if (!rule) return false;
+    const stopped = await endSeriesBefore(rule, date);
+    if (stopped) notifications.success(`"${rule.title}" no longer repeats from ${date}`);
+    return stopped;
+}
+
+async function endSeriesBefore(rule, date) {
+    if (date <= rule.start_date) {
+        const result = await apiClient.deleteRecurringRule(rule.id);
+        if (!result.success) {
+            notifications.error(`Failed to update "${rule.title}"`);
+            return false;
+        }
+        applyRecurringRuleChange({ eventType: 'DELETE', new: {}, old: { id: rule.id } });
+        return true;
+    }
+
+    const [year, month, day] = date.split('-').map(Number);
+    const dayBefore = toDateString(new Date(Date.UTC(year, month - 1, day - 1)));
+    const overrides = Object.fromEntries(Object.entries(rule.overrides || {}).filter(([overrideDate]) => overrideDate < date));
+    return saveRule(rule, {
+        end_date: dayBefore,
+        occurrence_count: null,
+        skip_dates: (rule.skip_dates || []).filter(skipped => skipped < date),
+        overrides
+    });
+}
+
+async function saveRule(rule, changes) {
+    const result = await apiClient.updateRecurringRule(rule.id, changes);
+    if (!result.success) {
+        notifications.error(`Failed to update "${rule.title}"`, {
+            actions: [{ label: 'Retry', onClick: () => saveRule(rule, changes) }]
+        });
+        return false;
+    }
+    applyRecurringRuleChange({ eventType: 'UPDATE', new: result.data, old: { id: rule.id } });
+    return true;
+}
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
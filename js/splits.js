@@ -0,0 +1,107 @@
+/**
+ * splits.js - Transactions split across categories and projects
+ * One payment can cover several things, e.g. hardware bought for two client
+ * projects. A split transaction lists its lines in its splits column, each
+ * with its own amount, category and optional project; the lines add up to
+ * the transaction's amount and are in its currency. Everything that sums
+ * by category (the budget card, overspend warnings, category spending)
+ * counts the lines rather than the transaction.
+ */
+
+/**
+ * @typedef {Object} SplitLine
+ * @property {number} amount - In the transaction's currency
+ * @property {string|null} category_id
+ * @property {string|null} project_id
+ */
+
+// Lines may differ from the total by less than a cent
+const SPLIT_TOLERANCE = 0.005;
+
+/**
+ * @param {Transaction} transaction
+ */
+export function isSplit(transaction) {
+    return Array.isArray(transaction?.splits) && transaction.splits.length > 0;
+}
+
+/**
+ * The transaction's split lines, or a single line for the whole amount
+ * when it is not split
+ * @param {Transaction} transaction
+ * @returns {Array<SplitLine>}
+ */
+export function getSplitLines(transaction) {
+    if (isSplit(transaction)) return transaction.splits;
+    return [{ amount: parseFloat(transaction.amount) || 0, category_id: transaction.category_id || null, project_id: transaction.project_id || null }];
+}
+
+/**
+ * Shares a converted amount out over the transaction's lines in proportion
+ * to their amounts, so the shares add up to exactly what the whole counts for
+ * @param {Transaction} transaction
+ * @param {number} total - The transaction's amount as counted, e.g. in the base currency
+ * @returns {Array<[SplitLine, number]>}
+ */
+export function shareOutAmount(transaction, total) {
+    const amount = parseFloat(transaction.amount) || 0;
+    return getSplitLines(transaction).map(line => [line, amount ? total * (parseFloat(line.amount) || 0) / amount : 0]);
+}
+
+/**
+ * How much of a transaction goes to each category
+ * @param {Transaction} transaction
+ * @param {number} total - The transaction's amount as counted
+ * @returns {Object} { [category_id]: amount }, uncategorized lines under 'none'
+ */
+export function getCategoryAmounts(transaction, total) {
+    const amounts = {};
+    shareOutAmount(transaction, total).forEach(([line, share]) => {
+        const key = line.category_id || 'none';
+        amounts[key] = (amounts[key] || 0) + share;
+    });
+    return amounts;
+}
+
+/**
+ * Cleans up lines from the editor: amounts as numbers, empty choices as null,
+ * lines without an amount dropped
+ * @param {Array<Object>} lines
+ * @returns {Array<SplitLine>}
+ */
+export function normalizeSplits(lines) {
+    return lines
+        .map(line => ({
+            amount: Math.round((parseFloat(line.amount) || 0) * 100) / 100,
+            category_id: line.category_id || null,
+            project_id: line.project_id || null
+        }))
+        .filter(line => line.amount !== 0);
+}
+
+/**
+ * What is left to share out: the total less the lines
+ * @param {Array<SplitLine>} lines
+ * @param {number} total
+ */
+export function getUnallocated(lines, total) {
+    return total - lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+}
+
+/**
+ * Why a set of lines cannot be saved, null when they can
+ * @param {Array<SplitLine>} lines - Normalized lines
+ * @param {number} total - The transaction's amount
+ * @returns {string|null}
+ */
+export function validateSplits(lines, total) {
+    if (lines.length < 2) return 'A split needs at least two lines with an amount.';
+    if (lines.some(line => line.amount < 0)) return 'Split amounts cannot be negative.';
+    const unallocated = getUnallocated(lines, total);
+    if (Math.abs(unallocated) >= SPLIT_TOLERANCE) {
+        return unallocated > 0
+            ? `The lines are ${unallocated.toFixed(2)} short of the total.`
+            : `The lines are ${(-unallocated).toFixed(2)} over the total.`;
+    }
+    return null;
+}
@@ -0,0 +1,544 @@
+/**
+ * statement-import.js - Bank statement import
+ * Turns a bank's CSV, OFX/QFX or QIF export into rows ready to become
+ * transactions. Each format is parsed into ImportRows (CSV columns are
+ * mapped first, with presets for the common Malaysian banks), then rows that
+ * look like transactions already recorded are flagged before anything is saved.
+ */
+
+import { apiClient } from './api-client.js';
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {number} line - 1-based row of the file (blank lines not counted), for messages
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {string} title - The statement's description
+ * @property {number} amount - Always positive
+ * @property {string} type - 'income' | 'expense'
+ * @property {string|null} external_id - OFX FITID, null for CSV and QIF
+ * @property {string|null} duplicate - 'imported' (same FITID) | 'exact' (date, amount and title match) | 'likely' (date and amount match) | null
+ * @property {Transaction|null} duplicateOf - The recorded transaction it matches
+ * @property {boolean} selected - Whether it will be imported
+ */
+
+/**
+ * @typedef {Object} ColumnMapping
+ * @property {number} headerRow - Index of the row holding the column names
+ * @property {number} date - Column indexes; -1 when not used
+ * @property {number} description
+ * @property {number} amount - A signed amount column (money in positive)...
+ * @property {number} debit - ...or separate money-out and money-in columns
+ * @property {number} credit
+ * @property {string} dateFormat - 'DMY' | 'MDY' | 'YMD'
+ * @property {boolean} invert - Money out is positive in the amount column (credit card statements)
+ */
+
+// Column names as the banks' internet banking exports them (lowercase)
+export const BANK_PRESETS = {
+    maybank: {
+        label: 'Maybank (Maybank2u)',
+        columns: {
+            date: ['entry date', 'transaction date', 'posting date', 'date'],
+            description: ['transaction description', 'description'],
+            amount: ['transaction amount', 'amount']
+        },
+        dateFormat: 'DMY'
+    },
+    cimb: {
+        label: 'CIMB (CIMB Clicks)',
+        columns: {
+            date: ['transaction date', 'post date', 'date'],
+            description: ['description', 'transaction details'],
+            debit: ['withdrawal', 'withdrawal amount', 'debit'],
+            credit: ['deposit', 'deposit amount', 'credit']
+        },
+        dateFormat: 'DMY'
+    },
+    public_bank: {
+        label: 'Public Bank (PBe)',
+        columns: {
+            date: ['date', 'transaction date'],
+            description: ['transaction', 'transaction description', 'description', 'particulars'],
+            debit: ['debit', 'debit amount', 'withdrawal'],
+            credit: ['credit', 'credit amount', 'deposit']
+        },
+        dateFormat: 'DMY'
+    }
+};
+
+// Banks put account details above the column names
+const HEADER_SEARCH_ROWS = 20;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ==========================================
+// CSV
+// ==========================================
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells (with commas,
+ * line breaks and doubled quotes) and semicolon or tab separated files.
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows without the blank lines
+ */
+export function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).slice(0, HEADER_SEARCH_ROWS).join('\n');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, sample.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// ==========================================
+// COLUMN MAPPING
+// ==========================================
+
+/**
+ * Finds the first preset whose column names appear in the file
+ * @param {Array<Array<string>>} table - From parseCsv
+ * @returns {string|null} Key of BANK_PRESETS
+ */
+export function detectPreset(table) {
+    return Object.keys(BANK_PRESETS).find(presetId => presetMapping(table, presetId)) || null;
+}
+
+/**
+ * The column mapping a preset gives for this file
+ * @returns {ColumnMapping|null} Null when the file does not have the preset's columns
+ */
+export function presetMapping(table, presetId) {
+    const preset = BANK_PRESETS[presetId];
+    if (!preset) return null;
+
+    for (let headerRow = 0; headerRow < Math.min(table.length, HEADER_SEARCH_ROWS); headerRow++) {
+        const names = table[headerRow].map(normalizeHeader);
+        const find = (role) => {
+            for (const candidate of preset.columns[role] || []) {
+                const index = names.indexOf(candidate);
+                if (index !== -1) return index;
+            }
+            return -1;
+        };
+        const mapping = {
+            headerRow,
+            date: find('date'),
+            description: find('description'),
+            amount: find('amount'),
+            debit: find('debit'),
+            credit: find('credit'),
+            dateFormat: preset.dateFormat,
+            invert: false
+        };
+        const hasAmount = mapping.amount !== -1 || (mapping.debit !== -1 && mapping.credit !== -1);
+        if (mapping.date !== -1 && mapping.description !== -1 && hasAmount) return mapping;
+    }
+    return null;
+}
+
+/**
+ * A starting point for the custom mapper: the first row is taken as the
+ * column names and columns are guessed from their names
+ * @returns {ColumnMapping}
+ */
+export function guessMapping(table) {
+    const names = (table[0] || []).map(normalizeHeader);
+    const find = (...words) => names.findIndex(name => words.some(word => name.includes(word)));
+    return {
+        headerRow: 0,
+        date: find('date'),
+        description: find('description', 'details', 'particular', 'narrative', 'transaction'),
+        amount: find('amount'),
+        debit: find('debit', 'withdrawal'),
+        credit: find('credit', 'deposit'),
+        dateFormat: 'DMY',
+        invert: false
+    };
+}
+
+function normalizeHeader(name) {
+    return String(name || '').toLowerCase().replace(/\(rm\)|\(myr\)/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turns the lines below the header into ImportRows
+ * @param {Array<Array<string>>} table
+ * @param {ColumnMapping} mapping
+ * @returns {Object} { rows: Array<ImportRow>, skipped: Array<{ line, reason }> }
+ */
+export function mapRows(table, mapping) {
+    const rows = [];
+    const skipped = [];
+    const useAmount = mapping.amount >= 0;
+
+    table.slice(mapping.headerRow + 1).forEach((cells, offset) => {
+        const line = mapping.headerRow + offset + 2;
+        const date = parseStatementDate(cells[mapping.date], mapping.dateFormat);
+        if (!date) {
+            skipped.push({ line, reason: `no date in "${cells[mapping.date] || ''}"` });
+            return;
+        }
+
+        let amount;
+        if (useAmount) {
+            amount = parseStatementAmount(cells[mapping.amount]);
+            if (amount !== null && mapping.invert) amount = -amount;
+        } else {
+            const moneyOut = parseStatementAmount(cells[mapping.debit]);
+            const moneyIn = parseStatementAmount(cells[mapping.credit]);
+            amount = moneyOut === null && moneyIn === null
+                ? null
+                : Math.abs(moneyIn || 0) - Math.abs(moneyOut || 0);
+        }
+        if (amount === null || Math.abs(amount) < 0.005) {
+            skipped.push({ line, reason: 'no amount' });
+            return;
+        }
+
+        rows.push({
+            line,
+            date,
+            title: (cells[mapping.description] || '').replace(/\s+/g, ' ').trim() || 'Bank transaction',
+            amount: Math.round(Math.abs(amount) * 100) / 100,
+            type: amount > 0 ? 'income' : 'expense',
+            external_id: null,
+            duplicate: null,
+            duplicateOf: null,
+            selected: true
+        });
+    });
+
+    return { rows, skipped };
+}
+
+/**
+ * Reads the date formats banks export: 31/12/2025, 31-12-25, 31 Dec 2025,
+ * 31-DEC-2025 and ISO 2025-12-31
+ * @param {string} value
+ * @param {string} dateFormat - Order of numeric dates: 'DMY' | 'MDY' | 'YMD'
+ * @returns {string|null} 'YYYY-MM-DD'
+ */
+export function parseStatementDate(value, dateFormat = 'DMY') {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let year, month, day;
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const named = text.match(/^(\d{1,2})[\s\-/]([a-z]{3})[a-z]*[\s\-/,]+(\d{2,4})$/i);
+    const numeric = text.match(/^(\d{1,4})[/\-.](\d{1,2})[/\-.](\d{1,4})/);
+
+    if (iso) {
+        [, year, month, day] = iso.map(Number);
+    } else if (named) {
+        day = Number(named[1]);
+        month = MONTHS.indexOf(named[2].toLowerCase()) + 1;
+        year = Number(named[3]);
+    } else if (numeric) {
+        const parts = numeric.slice(1, 4).map(Number);
+        if (dateFormat === 'YMD') [year, month, day] = parts;
+        else if (dateFormat === 'MDY') [month, day, year] = parts;
+        else [day, month, year] = parts;
+    } else {
+        return null;
+    }
+
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (!month || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reads a statement amount: "1,234.56", "RM 12.00", "(12.00)", "12.00-",
+ * "-12.00", "12.00 DR" (money out) or "12.00 CR" (money in)
+ * @param {string} value
+ * @returns {number|null} Signed amount, null when the cell holds none
+ */
+export function parseStatementAmount(value) {
+    let text = String(value ?? '').trim().toUpperCase();
+    if (!text) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+    if (/\s*DR$/.test(text)) {
+        sign = -1;
+        text = text.replace(/\s*DR$/, '');
+    } else if (/\s*CR$/.test(text)) {
+        text = text.replace(/\s*CR$/, '');
+    }
+    if (text.endsWith('-')) {
+        sign = -sign;
+        text = text.slice(0, -1);
+    } else if (text.endsWith('+')) {
+        text = text.slice(0, -1);
+    }
+    text = text.replace(/RM|MYR|[,\s]/g, '');
+    if (text.startsWith('-')) {
+        sign = -sign;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+
+    if (!/^\d*\.?\d+$/.test(text)) return null;
+    return sign * parseFloat(text);
+}
+
+// ==========================================
+// OFX / QFX AND QIF
+// ==========================================
+
+/**
+ * Tells the statement formats apart by extension, then by content
+ * @param {string} text
+ * @param {string} [fileName]
+ * @returns {string} 'ofx' (also QFX) | 'qif' | 'csv'
+ */
+export function detectFormat(text, fileName = '') {
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'ofx' || extension === 'qfx') return 'ofx';
+    if (extension === 'qif') return 'qif';
+    const start = text.trimStart().slice(0, 500).toUpperCase();
+    if (start.includes('<OFX>') || start.includes('OFXHEADER')) return 'ofx';
+    if (start.startsWith('!TYPE:') || start.startsWith('!ACCOUNT')) return 'qif';
+    return 'csv';
+}
+
+/**
+ * Reads the statement lines of an OFX or QFX file, both the SGML (1.x)
+ * flavour, where values have no closing tags, and XML (2.x)
+ * @param {string} text
+ * @returns {Object} { rows: Array<ImportRow>, skipped: Array<{ line, reason }>, currency: string|null }
+ */
+export function parseOfx(text) {
+    const rows = [];
+    const skipped = [];
+    const seen = new Set();
+    const field = (block, tag) => {
+        const match = block.match(new RegExp(`<${tag}>([^<\r\n]*)`, 'i'));
+        return match ? decodeEntities(match[1].trim()) : '';
+    };
+
+    const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+    blocks.forEach((block, index) => {
+        const line = index + 1;
+        const posted = field(block, 'DTPOSTED');
+        const date = /^\d{8}/.test(posted)
+            ? parseStatementDate(`${posted.slice(0, 4)}-${posted.slice(4, 6)}-${posted.slice(6, 8)}`)
+            : null;
+        // Some banks write the decimal with a comma
+        const amount = parseStatementAmount(field(block, 'TRNAMT').replace(/,(\d{1,2})$/, '.$1'));
+        const fitId = field(block, 'FITID') || null;
+
+        if (!date) {
+            skipped.push({ line, reason: `no date in "${posted}"` });
+        } else if (amount === null || Math.abs(amount) < 0.005) {
+            skipped.push({ line, reason: 'no amount' });
+        } else if (fitId && seen.has(fitId)) {
+            skipped.push({ line, reason: `FITID ${fitId} appears twice` });
+        } else {
+            if (fitId) seen.add(fitId);
+            rows.push({
+                line,
+                date,
+                title: (field(block, 'NAME') || field(block, 'MEMO') || field(block, 'PAYEE')).replace(/\s+/g, ' ') || 'Bank transaction',
+                amount: Math.round(Math.abs(amount) * 100) / 100,
+                type: amount > 0 ? 'income' : 'expense',
+                external_id: fitId,
+                duplicate: null,
+                duplicateOf: null,
+                selected: true
+            });
+        }
+    });
+
+    const currency = text.match(/<CURDEF>\s*([A-Z]{3})/i)?.[1].toUpperCase() || null;
+    return { rows, skipped, currency };
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads the records of a QIF file: D (date), T or U (amount), P (payee),
+ * M (memo), each record ending with ^. QIF dates have no fixed order, so
+ * the caller says which one the file uses.
+ * @param {string} text
+ * @param {string} dateFormat - 'DMY' | 'MDY' | 'YMD'
+ * @returns {Object} { rows: Array<ImportRow>, skipped: Array<{ line, reason }> }
+ */
+export function parseQif(text, dateFormat = 'DMY') {
+    const rows = [];
+    const skipped = [];
+    let record = {};
+    let line = 0;
+
+    const finishRecord = () => {
+        if (Object.keys(record).length === 0) return;
+        line++;
+        // Quicken writes the year after an apostrophe: 12/31'25
+        const date = parseStatementDate((record.D || '').replace(/'\s*/, '/').replace(/\s+/g, ''), dateFormat);
+        const amount = parseStatementAmount(record.T ?? record.U);
+        if (!date) {
+            skipped.push({ line, reason: `no date in "${record.D || ''}"` });
+        } else if (amount === null || Math.abs(amount) < 0.005) {
+            skipped.push({ line, reason: 'no amount' });
+        } else {
+            rows.push({
+                line,
+                date,
+                title: (record.P || record.M || '').replace(/\s+/g, ' ').trim() || 'Bank transaction',
+                amount: Math.round(Math.abs(amount) * 100) / 100,
+                type: amount > 0 ? 'income' : 'expense',
+                external_id: null,
+                duplicate: null,
+                duplicateOf: null,
+                selected: true
+            });
+        }
+        record = {};
+    };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(raw => {
+        const entry = raw.trim();
+        if (!entry || entry.startsWith('!')) return;
+        if (entry === '^') {
+            finishRecord();
+            return;
+        }
+        const code = entry[0];
+        // Split lines (S, E, $) describe category splits; the total is in T
+        if (!(code in record) && 'DTUPM'.includes(code)) record[code] = entry.slice(1).trim();
+    });
+    finishRecord();
+
+    return { rows, skipped };
+}
+
+// ==========================================
+// DUPLICATES
+// ==========================================
+
+/**
+ * Flags rows already recorded: 'imported' when a transaction carries the
+ * row's FITID, otherwise when one has the same type, date and amount -
+ * as 'exact' when the title matches too, 'likely' otherwise.
+ * Each recorded transaction matches at most one row, so a statement with
+ * two identical purchases only loses one of them to a single recorded entry.
+ * Flagged rows are deselected.
+ * @param {Array<ImportRow>} rows
+ * @param {Array<Transaction>} existing
+ * @param {string|null} [accountId] - Account the rows are imported into; FITIDs only match within it
+ * @returns {Array<ImportRow>} The same rows
+ */
+export function matchDuplicates(rows, existing, accountId = null) {
+    const unmatched = existing.filter(transaction => transaction.type === 'income' || transaction.type === 'expense');
+    const sameEntry = (row, transaction) => transaction.type === row.type
+        && transaction.date === row.date
+        && Math.abs((parseFloat(transaction.amount) || 0) - row.amount) < 0.005;
+
+    rows.forEach(row => Object.assign(row, { duplicate: null, duplicateOf: null }));
+
+    // Strongest matches first, so a FITID or title match is not taken by a looser one
+    const matchers = {
+        imported: (row, transaction) => Boolean(row.external_id) && transaction.external_id === row.external_id
+            && (transaction.account_id || null) === accountId,
+        exact: (row, transaction) => sameEntry(row, transaction) && titlesMatch(row.title, transaction.title),
+        likely: sameEntry
+    };
+    Object.entries(matchers).forEach(([level, matches]) => {
+        rows.forEach(row => {
+            if (row.duplicate) return;
+            const index = unmatched.findIndex(transaction => matches(row, transaction));
+            if (index === -1) return;
+            Object.assign(row, { duplicate: level, duplicateOf: unmatched[index], selected: false });
+            unmatched.splice(index, 1);
+        });
+    });
+    return rows;
+}
+
+function titlesMatch(a, b) {
+    const normalize = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const left = normalize(a);
+    const right = normalize(b);
+    return Boolean(left && right) && (left === right || left.includes(right) || right.includes(left));
+}
+
+/**
+ * Loads the transactions recorded over the rows' dates and flags duplicates
+ * @param {Array<ImportRow>} rows
+ * @param {string|null} [accountId] - Account the rows are imported into
+ * @returns {Promise<Array<ImportRow>>}
+ */
+export async function checkDuplicates(rows, accountId = null) {
+    if (rows.length === 0) return rows;
+    const dates = rows.map(row => row.date).sort();
+    const result = await apiClient.getTransactionsInRange(dates[0], dates[dates.length - 1]);
+    return matchDuplicates(rows, result.success ? result.data : [], accountId);
+}
+
+/**
+ * The transaction saved for an accepted row
+ * @param {ImportRow} row
+ * @param {Object} options - { accountId, currency }
+ * @returns {Object} Transaction data for createTransaction
+ */
+export function toTransaction(row, { accountId = null, currency = null } = {}) {
+    return {
+        date: row.date,
+        type: row.type,
+        title: row.title,
+        description: '',
+        amount: row.amount,
+        currency,
+        account_id: accountId,
+        external_id: row.external_id || null
+    };
+}
@@ -0,0 +1,259 @@
+/**
+ * js/storage/IndexedDBAdapter.js
+ * Storage backend that keeps everything in the browser's IndexedDB.
+ * Used when Supabase is unreachable, or on its own when no server is configured.
+ */
+
+import { StorageAdapter, STORAGE_TABLES } from './StorageAdapter.js';
+
+const DB_NAME = 'notawang-local';
+const DB_VERSION = 10;
+
+// Stored files, keyed by '<bucket>/<path>'
+const FILES_TABLE = 'local_files';
+
+// Stores that only ever exist on this device (offline write queue bookkeeping and stored files)
+export const LOCAL_ONLY_TABLES = ['sync_outbox', 'sync_conflicts', FILES_TABLE];
+
+export class IndexedDBAdapter extends StorageAdapter {
+    constructor() {
+        super('indexeddb');
+        this.db = null;
+        this.listeners = new Map(); // table -> Set of { match, callback }
+    }
+
+    get isLocal() {
+        return true;
+    }
+
+    async init() {
+        if (!window.indexedDB) {
+            console.error('❌ IndexedDB is not available in this browser');
+            return false;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            console.log('✅ Local IndexedDB storage ready');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to open local database:', error);
+            return false;
+        }
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [...STORAGE_TABLES, ...LOCAL_ONLY_TABLES].forEach(table => {
+                    if (!db.objectStoreNames.contains(table)) {
+                        const store = db.createObjectStore(table, { keyPath: 'id' });
+                        store.createIndex('user_id', 'user_id', { unique: false });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // === READS ===
+
+    async list(table, query = {}) {
+        const match = query.match || {};
+        let rows = await this.readRows(table, match);
+
+        if (query.notNull) {
+            rows = rows.filter(row => query.notNull.every(column => row[column] !== undefined && row[column] !== null));
+        }
+        if (query.range) {
+            const { column, from, to } = query.range;
+            rows = rows.filter(row => (!from || row[column] >= from) && (!to || row[column] <= to));
+        }
+        if (query.order) {
+            const { column, ascending = true } = query.order;
+            rows.sort((a, b) => {
+                if (a[column] === b[column]) return 0;
+                if (a[column] === undefined || a[column] === null) return 1;
+                if (b[column] === undefined || b[column] === null) return -1;
+                const result = a[column] < b[column] ? -1 : 1;
+                return ascending ? result : -result;
+            });
+        }
+        if (query.limit) {
+            const offset = query.offset || 0;
+            rows = rows.slice(offset, offset + query.limit);
+        }
+        return rows;
+    }
+
+    async get(table, match) {
+        const rows = await this.readRows(table, match);
+        return rows[0] || null;
+    }
+
+    // === WRITES ===
+
+    async insert(table, row) {
+        const now = new Date().toISOString();
+        const newRow = {
+            ...row,
+            id: row.id || crypto.randomUUID(),
+            created_at: row.created_at || now,
+            updated_at: row.updated_at || now
+        };
+
+        await this.writeRows(table, [newRow]);
+        this.emit(table, { eventType: 'INSERT', table, new: newRow, old: {} });
+        return newRow;
+    }
+
+    async update(table, match, changes) {
+        const existingRows = await this.readRows(table, match);
+        const now = new Date().toISOString();
+        const updatedRows = existingRows.map(row => ({ ...row, ...changes, id: row.id, updated_at: changes.updated_at || now }));
+
+        await this.writeRows(table, updatedRows);
+        updatedRows.forEach((row, index) => {
+            this.emit(table, { eventType: 'UPDATE', table, new: row, old: existingRows[index] });
+        });
+        return updatedRows[0] || null;
+    }
+
+    async upsert(table, row, conflictColumns) {
+        const conflictMatch = {};
+        conflictColumns.forEach(column => { conflictMatch[column] = row[column]; });
+
+        const existing = await this.get(table, conflictMatch);
+        if (existing) {
+            return await this.update(table, { id: existing.id }, row);
+        }
+        return await this.insert(table, row);
+    }
+
+    async remove(table, match) {
+        const existingRows = await this.readRows(table, match);
+        await this.transaction(table, 'readwrite', store => {
+            existingRows.forEach(row => store.delete(row.id));
+        });
+        existingRows.forEach(row => {
+            this.emit(table, { eventType: 'DELETE', table, new: {}, old: row });
+        });
+    }
+
+    // === FILES ===
+
+    async uploadFile(bucket, path, file) {
+        await this.writeRows(FILES_TABLE, [{ id: `${bucket}/${path}`, blob: file, stored_at: new Date().toISOString() }]);
+    }
+
+    async getFileUrl(bucket, path) {
+        const row = await this.get(FILES_TABLE, { id: `${bucket}/${path}` });
+        return row ? URL.createObjectURL(row.blob) : null;
+    }
+
+    async removeFile(bucket, path) {
+        await this.deleteRows(FILES_TABLE, [`${bucket}/${path}`]);
+    }
+
+    // === CHANGE EVENTS ===
+
+    subscribe(table, match, callback) {
+        if (!this.listeners.has(table)) this.listeners.set(table, new Set());
+        const listener = { match: match || {}, callback };
+        this.listeners.get(table).add(listener);
+        return () => this.listeners.get(table)?.delete(listener);
+    }
+
+    emit(table, payload) {
+        const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+        this.listeners.get(table)?.forEach(listener => {
+            if (this.matches(row, listener.match)) {
+                try {
+                    listener.callback(payload);
+                } catch (error) {
+                    console.error(`❌ Error in ${table} change listener:`, error);
+                }
+            }
+        });
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Reads rows matching the filters, using the user_id index when possible
+     */
+    async readRows(table, match = {}) {
+        let rows;
+        if (match.id !== undefined) {
+            const row = await this.request(table, store => store.get(match.id));
+            rows = row ? [row] : [];
+        } else if (match.user_id !== undefined) {
+            rows = await this.request(table, store => store.index('user_id').getAll(match.user_id));
+        } else {
+            rows = await this.request(table, store => store.getAll());
+        }
+        return rows.filter(row => this.matches(row, match));
+    }
+
+    /**
+     * Replaces the locally cached rows matching the filters with a fresh copy
+     * from the server, without emitting change events
+     */
+    async replaceRows(table, match, rows) {
+        const existingRows = await this.readRows(table, match);
+        const freshIds = new Set(rows.map(row => row.id));
+        await this.transaction(table, 'readwrite', store => {
+            existingRows.forEach(row => {
+                if (!freshIds.has(row.id)) store.delete(row.id);
+            });
+            rows.forEach(row => store.put(row));
+        });
+    }
+
+    async writeRows(table, rows) {
+        await this.transaction(table, 'readwrite', store => {
+            rows.forEach(row => store.put(row));
+        });
+    }
+
+    async deleteRows(table, ids) {
+        await this.transaction(table, 'readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    matches(row, match) {
+        return Object.entries(match).every(([column, value]) => (
+            value === null ? (row?.[column] ?? null) === null : row?.[column] === value
+        ));
+    }
+
+    /**
+     * Runs a single read request and resolves with its result
+     */
+    request(table, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(table, 'readonly').objectStore(table);
+            const request = makeRequest(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs several operations in one transaction and resolves once it commits
+     */
+    transaction(table, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(table, mode);
+            work(tx.objectStore(table));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * js/storage/Outbox.js
+ * Persists writes made while offline so they can be replayed against Supabase later.
+ * Entries that clash with changes made on the server are moved to a conflicts list
+ * for the user to resolve by hand.
+ */
+
+const OUTBOX_TABLE = 'sync_outbox';
+const CONFLICTS_TABLE = 'sync_conflicts';
+
+export class Outbox {
+    /**
+     * @param {IndexedDBAdapter} local - The local adapter the queue is stored in
+     */
+    constructor(local) {
+        this.local = local;
+        this.lastSeq = 0;
+    }
+
+    // === PENDING MUTATIONS ===
+
+    /**
+     * Adds a mutation to the end of the queue
+     * @param {Object} mutation - { table, operation, match, row, changes, conflictColumns, base }
+     */
+    async enqueue(mutation) {
+        // Date-based sequence numbers keep the order across page reloads
+        const seq = Math.max(Date.now(), this.lastSeq + 1);
+        this.lastSeq = seq;
+
+        const entry = { ...mutation, seq, queued_at: new Date().toISOString() };
+        await this.local.writeRows(OUTBOX_TABLE, [{ ...entry, id: crypto.randomUUID() }]);
+        console.log(`📥 Queued offline ${mutation.operation} on ${mutation.table}`);
+        return entry;
+    }
+
+    /**
+     * Returns the queued mutations, oldest first
+     */
+    async pending() {
+        return await this.local.list(OUTBOX_TABLE, { order: { column: 'seq', ascending: true } });
+    }
+
+    async count() {
+        return (await this.local.list(OUTBOX_TABLE)).length;
+    }
+
+    async remove(entryId) {
+        await this.local.deleteRows(OUTBOX_TABLE, [entryId]);
+    }
+
+    // === CONFLICTS ===
+
+    /**
+     * Moves a queued mutation to the conflicts list
+     * @param {Object} entry - The outbox entry that could not be applied
+     * @param {Object|null} serverRow - The row as it currently is on the server
+     * @param {string} reason - Human readable explanation
+     */
+    async markConflict(entry, serverRow, reason) {
+        const conflict = {
+            id: entry.id,
+            mutation: entry,
+            server_row: serverRow,
+            reason,
+            detected_at: new Date().toISOString()
+        };
+        await this.local.writeRows(CONFLICTS_TABLE, [conflict]);
+        await this.remove(entry.id);
+        console.warn(`⚠️ Sync conflict on ${entry.table}: ${reason}`);
+        return conflict;
+    }
+
+    async conflicts() {
+        return await this.local.list(CONFLICTS_TABLE, { order: { column: 'detected_at', ascending: true } });
+    }
+
+    async getConflict(conflictId) {
+        return await this.local.get(CONFLICTS_TABLE, { id: conflictId });
+    }
+
+    async removeConflict(conflictId) {
+        await this.local.deleteRows(CONFLICTS_TABLE, [conflictId]);
+    }
+}
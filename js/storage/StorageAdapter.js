@@ -0,0 +1,151 @@
+/**
+ * js/storage/StorageAdapter.js
+ * Defines the storage interface that ApiClient talks to.
+ * Every backend (Supabase, IndexedDB) implements these methods so the rest of
+ * the app never needs to know where the data actually lives.
+ */
+
+// Tables every adapter must be able to store
+export const STORAGE_TABLES = ['contacts', 'projects', 'project_activities', 'project_revisions', 'transactions', 'recurring_rules', 'categories', 'accounts', 'exchange_rates', 'reconciliations', 'bills', 'monthly_goals'];
+
+/**
+ * Query object accepted by list() and get():
+ * {
+ *   match:   { column: value, ... }              // equality filters; null matches missing/null values
+ *   notNull: ['deleted_at']                      // columns that must have a value
+ *   range:   { column: 'date', from: '2025-08-01', to: '2025-08-31' }  // inclusive, either end optional
+ *   order:   { column: 'created_at', ascending: false }
+ *   limit:   20
+ *   offset:  40                                  // rows to skip (paging), used with limit
+ *   columns: 'id, name'                          // optional column list, defaults to '*'
+ * }
+ */
+export class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // === LIFECYCLE ===
+
+    /**
+     * Prepares the backend (opens databases, checks connectivity, ...)
+     * @returns {Promise<boolean>} True if the backend is ready to use
+     */
+    async init() {
+        return true;
+    }
+
+    /**
+     * Whether this adapter keeps data on the device only
+     */
+    get isLocal() {
+        return false;
+    }
+
+    // === READS ===
+
+    /**
+     * Lists rows from a table
+     * @param {string} table - Table name
+     * @param {Object} query - See the query object above
+     * @returns {Promise<Array>} Matching rows
+     */
+    async list(table, query = {}) {
+        throw new Error(`${this.name}: list() not implemented`);
+    }
+
+    /**
+     * Gets a single row
+     * @param {string} table - Table name
+     * @param {Object} match - Equality filters identifying the row
+     * @returns {Promise<Object|null>} The row, or null when nothing matches
+     */
+    async get(table, match) {
+        throw new Error(`${this.name}: get() not implemented`);
+    }
+
+    // === WRITES ===
+
+    /**
+     * Inserts a row and returns it as stored
+     * @param {string} table - Table name
+     * @param {Object} row - Row data
+     */
+    async insert(table, row) {
+        throw new Error(`${this.name}: insert() not implemented`);
+    }
+
+    /**
+     * Updates the row(s) matching the filters and returns the first updated row
+     * @param {string} table - Table name
+     * @param {Object} match - Equality filters
+     * @param {Object} changes - Fields to update
+     */
+    async update(table, match, changes) {
+        throw new Error(`${this.name}: update() not implemented`);
+    }
+
+    /**
+     * Inserts a row, or updates the existing one that shares the conflict columns
+     * @param {string} table - Table name
+     * @param {Object} row - Row data
+     * @param {Array<string>} conflictColumns - Columns that identify an existing row
+     */
+    async upsert(table, row, conflictColumns) {
+        throw new Error(`${this.name}: upsert() not implemented`);
+    }
+
+    /**
+     * Deletes the row(s) matching the filters
+     * @param {string} table - Table name
+     * @param {Object} match - Equality filters
+     */
+    async remove(table, match) {
+        throw new Error(`${this.name}: remove() not implemented`);
+    }
+
+    // === FILES ===
+
+    /**
+     * Stores a file (e.g. a receipt) in a bucket, replacing any file at the same path
+     * @param {string} bucket - Bucket name, e.g. 'attachments'
+     * @param {string} path - e.g. '<user id>/<transaction id>/<file name>'
+     * @param {Blob} file
+     */
+    async uploadFile(bucket, path, file) {
+        throw new Error(`${this.name}: uploadFile() not implemented`);
+    }
+
+    /**
+     * URL a stored file can be shown or downloaded from
+     * @param {string} bucket
+     * @param {string} path
+     * @returns {Promise<string|null>} Null when the file is not available from this backend
+     */
+    async getFileUrl(bucket, path) {
+        throw new Error(`${this.name}: getFileUrl() not implemented`);
+    }
+
+    /**
+     * Deletes a stored file
+     * @param {string} bucket
+     * @param {string} path
+     */
+    async removeFile(bucket, path) {
+        throw new Error(`${this.name}: removeFile() not implemented`);
+    }
+
+    // === CHANGE EVENTS ===
+
+    /**
+     * Subscribes to INSERT/UPDATE/DELETE events on a table.
+     * Payloads follow the Supabase realtime shape: { eventType, table, new, old }
+     * @param {string} table - Table name
+     * @param {Object} match - Equality filter (only user_id is supported by every backend)
+     * @param {Function} callback - Called with each change payload
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe(table, match, callback) {
+        return () => {};
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * js/storage/SupabaseAdapter.js
+ * Storage backend that talks to the hosted Supabase database
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { supabase, testConnection } from '../supabase-client.js';
+
+// Seconds a signed file link stays valid; buckets are private
+const FILE_URL_LIFETIME = 60 * 60;
+
+export class SupabaseAdapter extends StorageAdapter {
+    constructor() {
+        super('supabase');
+        this.channelCount = 0;
+    }
+
+    async init() {
+        if (!supabase) return false;
+        return await testConnection();
+    }
+
+    // === READS ===
+
+    async list(table, query = {}) {
+        let request = supabase.from(table).select(query.columns || '*');
+        request = this.applyMatch(request, query.match);
+        (query.notNull || []).forEach(column => {
+            request = request.not(column, 'is', null);
+        });
+
+        if (query.range) {
+            const { column, from, to } = query.range;
+            if (from) request = request.gte(column, from);
+            if (to) request = request.lte(column, to);
+        }
+        if (query.order) {
+            request = request.order(query.order.column, { ascending: query.order.ascending !== false });
+        }
+        if (query.limit) {
+            const offset = query.offset || 0;
+            request = request.range(offset, offset + query.limit - 1);
+        }
+
+        const { data, error } = await request;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async get(table, match) {
+        const request = this.applyMatch(supabase.from(table).select('*'), match);
+        const { data, error } = await request.maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    // === WRITES ===
+
+    async insert(table, row) {
+        const { data, error } = await supabase.from(table).insert([row]).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    async update(table, match, changes) {
+        const request = this.applyMatch(supabase.from(table).update(changes), match);
+        const { data, error } = await request.select();
+        if (error) throw error;
+        return data?.[0] || null;
+    }
+
+    async upsert(table, row, conflictColumns) {
+        const { data, error } = await supabase
+            .from(table)
+            .upsert(row, { onConflict: conflictColumns.join(', ') })
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    async remove(table, match) {
+        const { error } = await this.applyMatch(supabase.from(table).delete(), match);
+        if (error) throw error;
+    }
+
+    // === FILES ===
+
+    async uploadFile(bucket, path, file) {
+        const { error } = await supabase.storage.from(bucket).upload(path, file, { contentType: file.type || undefined, upsert: true });
+        if (error) throw error;
+    }
+
+    async getFileUrl(bucket, path) {
+        const { data, error } = await supabase.storage.from(bucket).createSignedUrl(path, FILE_URL_LIFETIME);
+        if (error) throw error;
+        return data?.signedUrl || null;
+    }
+
+    async removeFile(bucket, path) {
+        const { error } = await supabase.storage.from(bucket).remove([path]);
+        if (error) throw error;
+    }
+
+    // === CHANGE EVENTS ===
+
+    subscribe(table, match, callback) {
+        const filter = Object.entries(match || {}).map(([column, value]) => `${column}=eq.${value}`)[0];
+        const channel = supabase.channel(`public:${table}:${++this.channelCount}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table, ...(filter ? { filter } : {}) }, callback)
+            .subscribe();
+
+        return () => supabase.removeChannel(channel);
+    }
+
+    // === HELPERS ===
+
+    applyMatch(request, match = {}) {
+        Object.entries(match).forEach(([column, value]) => {
+            request = value === null ? request.is(column, null) : request.eq(column, value);
+        });
+        return request;
+    }
+}
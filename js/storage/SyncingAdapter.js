@@ -0,0 +1,458 @@
+/**
+ * js/storage/SyncingAdapter.js
+ * Storage backend that uses Supabase while it is reachable and keeps working
+ * against the local IndexedDB copy when it is not. Writes made offline are
+ * queued in the Outbox and replayed in order once the connection comes back.
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { Outbox } from './Outbox.js';
+import { testConnection } from '../supabase-client.js';
+
+const RECONNECT_INTERVAL = 30 * 1000; // 30 seconds
+
+// Outbox entries for stored files use this in place of a table name
+const FILES_OUTBOX_TABLE = 'files';
+
+export class SyncingAdapter extends StorageAdapter {
+    /**
+     * @param {SupabaseAdapter} remote - Server backend
+     * @param {IndexedDBAdapter} local - Local backend used as cache and offline store
+     */
+    constructor(remote, local) {
+        super('sync');
+        this.remote = remote;
+        this.local = local;
+        this.outbox = new Outbox(local);
+        this.offline = false;
+        this.isReplaying = false;
+        this.statusListeners = new Set();
+        this.reconnectTimer = null;
+    }
+
+    get isLocal() {
+        return this.offline;
+    }
+
+    async init() {
+        if (!(await this.local.init())) return false;
+
+        const isConnected = await this.remote.init();
+        this.offline = !isConnected;
+
+        window.addEventListener('online', () => this.reconnect());
+        window.addEventListener('offline', () => this.goOffline());
+        this.reconnectTimer = setInterval(() => {
+            if (this.offline) this.reconnect();
+        }, RECONNECT_INTERVAL);
+
+        // Writes queued in an earlier session can go out straight away
+        if (isConnected && (await this.outbox.count()) > 0) {
+            await this.replay();
+        }
+        this.notifyStatus();
+        return true;
+    }
+
+    // === READS ===
+
+    async list(table, query = {}) {
+        if (!this.offline) {
+            try {
+                const rows = await this.remote.list(table, query);
+                await this.cacheRows(table, query, rows);
+                return rows;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+        return await this.local.list(table, query);
+    }
+
+    async get(table, match) {
+        if (!this.offline) {
+            try {
+                const row = await this.remote.get(table, match);
+                if (row) await this.local.writeRows(table, [row]);
+                return row;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+        return await this.local.get(table, match);
+    }
+
+    // === WRITES ===
+
+    async insert(table, row) {
+        if (!this.offline) {
+            try {
+                const inserted = await this.remote.insert(table, row);
+                await this.local.writeRows(table, [inserted]);
+                return inserted;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+
+        const inserted = await this.local.insert(table, row);
+        await this.outbox.enqueue({ table, operation: 'insert', row: { ...row, id: inserted.id } });
+        this.notifyStatus();
+        return inserted;
+    }
+
+    async update(table, match, changes) {
+        if (!this.offline) {
+            try {
+                const updated = await this.remote.update(table, match, changes);
+                if (updated) await this.local.writeRows(table, [updated]);
+                return updated;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+
+        const base = await this.local.get(table, match);
+        const updated = await this.local.update(table, match, changes);
+        await this.outbox.enqueue({ table, operation: 'update', match, changes, base });
+        this.notifyStatus();
+        return updated;
+    }
+
+    async upsert(table, row, conflictColumns) {
+        if (!this.offline) {
+            try {
+                const saved = await this.remote.upsert(table, row, conflictColumns);
+                await this.local.writeRows(table, [saved]);
+                return saved;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+
+        const saved = await this.local.upsert(table, row, conflictColumns);
+        await this.outbox.enqueue({ table, operation: 'upsert', row, conflictColumns });
+        this.notifyStatus();
+        return saved;
+    }
+
+    async remove(table, match) {
+        if (!this.offline) {
+            try {
+                await this.remote.remove(table, match);
+                const cached = await this.local.list(table, { match });
+                await this.local.deleteRows(table, cached.map(row => row.id));
+                return;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+
+        const base = await this.local.get(table, match);
+        await this.local.remove(table, match);
+        await this.outbox.enqueue({ table, operation: 'remove', match, base });
+        this.notifyStatus();
+    }
+
+    // === FILES ===
+
+    async uploadFile(bucket, path, file) {
+        if (!this.offline) {
+            try {
+                await this.remote.uploadFile(bucket, path, file);
+                return;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+
+        // Kept on the device until it can be uploaded
+        await this.local.uploadFile(bucket, path, file);
+        await this.outbox.enqueue({ table: FILES_OUTBOX_TABLE, operation: 'uploadFile', bucket, path });
+        this.notifyStatus();
+    }
+
+    async getFileUrl(bucket, path) {
+        // Files attached offline are only on the device until the outbox is replayed
+        const localUrl = await this.local.getFileUrl(bucket, path);
+        if (localUrl || this.offline) return localUrl;
+        try {
+            return await this.remote.getFileUrl(bucket, path);
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+            this.goOffline();
+            return null;
+        }
+    }
+
+    async removeFile(bucket, path) {
+        await this.local.removeFile(bucket, path);
+        if (!this.offline) {
+            try {
+                await this.remote.removeFile(bucket, path);
+                return;
+            } catch (error) {
+                if (!this.isNetworkError(error)) throw error;
+                this.goOffline();
+            }
+        }
+
+        await this.outbox.enqueue({ table: FILES_OUTBOX_TABLE, operation: 'removeFile', bucket, path });
+        this.notifyStatus();
+    }
+
+    /**
+     * Replays a queued file upload or removal
+     */
+    async replayFile(mutation) {
+        const { operation, bucket, path } = mutation;
+        if (operation === 'uploadFile') {
+            const row = await this.local.get('local_files', { id: `${bucket}/${path}` });
+            // Removed again before it was uploaded
+            if (!row) return;
+            await this.remote.uploadFile(bucket, path, row.blob);
+            await this.local.removeFile(bucket, path);
+        } else if (operation === 'removeFile') {
+            await this.remote.removeFile(bucket, path);
+        }
+    }
+
+    // === CHANGE EVENTS ===
+
+    subscribe(table, match, callback) {
+        const unsubscribeRemote = this.remote.subscribe(table, match, callback);
+        const unsubscribeLocal = this.local.subscribe(table, match, callback);
+        return () => {
+            unsubscribeRemote();
+            unsubscribeLocal();
+        };
+    }
+
+    // === CONNECTIVITY ===
+
+    goOffline() {
+        if (this.offline) return;
+        this.offline = true;
+        console.warn('⚠️ Lost connection to Supabase - switching to offline mode');
+        this.notifyStatus();
+    }
+
+    /**
+     * Checks the connection and, when it is back, replays the outbox.
+     * @returns {Promise<boolean>} True when back online with an empty queue
+     */
+    async reconnect() {
+        if (!this.offline || this.isReplaying) return !this.offline;
+        if (!(await testConnection())) return false;
+
+        console.log('🔌 Connection restored - replaying offline changes...');
+        const completed = await this.replay();
+        if (completed) {
+            this.offline = false;
+            console.log('✅ Back online');
+        }
+        this.notifyStatus();
+        return completed;
+    }
+
+    // === REPLAY ===
+
+    /**
+     * Sends queued mutations to Supabase in the order they were made.
+     * Stops at the first network error so the rest stay queued.
+     * @returns {Promise<boolean>} True if the whole queue was processed
+     */
+    async replay() {
+        this.isReplaying = true;
+        try {
+            const entries = await this.outbox.pending();
+            for (const entry of entries) {
+                try {
+                    await this.replayEntry(entry);
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        console.warn('⚠️ Network dropped during replay - will retry later');
+                        return false;
+                    }
+                    await this.outbox.markConflict(entry, null, error.message || 'Server rejected the change');
+                }
+            }
+            return true;
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    async replayEntry(entry) {
+        const { table, operation } = entry;
+
+        if (table === FILES_OUTBOX_TABLE) {
+            await this.replayFile(entry);
+        } else if (operation === 'insert') {
+            const existing = await this.remote.get(table, { id: entry.row.id });
+            if (existing) {
+                await this.outbox.markConflict(entry, existing, 'A row with this ID already exists on the server');
+                return;
+            }
+            await this.remote.insert(table, entry.row);
+        } else if (operation === 'update') {
+            const serverRow = await this.remote.get(table, entry.match);
+            if (!serverRow) {
+                await this.outbox.markConflict(entry, null, 'This record was deleted on the server');
+                return;
+            }
+            const changedFields = this.findServerChanges(entry.base, serverRow, Object.keys(entry.changes));
+            if (changedFields.length > 0) {
+                await this.outbox.markConflict(entry, serverRow, `Also changed on the server: ${changedFields.join(', ')}`);
+                return;
+            }
+            await this.remote.update(table, entry.match, entry.changes);
+        } else if (operation === 'remove') {
+            const serverRow = await this.remote.get(table, entry.match);
+            if (serverRow) {
+                const changedFields = this.findServerChanges(entry.base, serverRow, Object.keys(entry.base || {}));
+                if (changedFields.length > 0) {
+                    await this.outbox.markConflict(entry, serverRow, `Edited on the server before it was deleted here: ${changedFields.join(', ')}`);
+                    return;
+                }
+                await this.remote.remove(table, entry.match);
+            }
+        } else if (operation === 'upsert') {
+            await this.remote.upsert(table, entry.row, entry.conflictColumns);
+        }
+
+        await this.outbox.remove(entry.id);
+    }
+
+    /**
+     * Lists the fields that changed on the server since the offline edit was made
+     * @param {Object|null} base - The row as it was locally before the edit
+     * @param {Object} serverRow - The row as it is on the server now
+     * @param {Array<string>} fields - Fields to compare
+     */
+    findServerChanges(base, serverRow, fields) {
+        if (!base) return [];
+        return fields.filter(field => {
+            if (['updated_at', 'created_at'].includes(field)) return false;
+            if (!(field in serverRow)) return false;
+            return JSON.stringify(base[field] ?? null) !== JSON.stringify(serverRow[field] ?? null);
+        });
+    }
+
+    // === CONFLICT RESOLUTION ===
+
+    async getConflicts() {
+        return await this.outbox.conflicts();
+    }
+
+    /**
+     * Applies the offline change over whatever is on the server
+     */
+    async resolveKeepLocal(conflictId) {
+        const conflict = await this.outbox.getConflict(conflictId);
+        if (!conflict) return;
+        const { table, operation } = conflict.mutation;
+
+        if (table === FILES_OUTBOX_TABLE) {
+            await this.replayFile(conflict.mutation);
+        } else if (operation === 'insert') {
+            await this.remote.upsert(table, conflict.mutation.row, ['id']);
+        } else if (operation === 'update') {
+            if (conflict.server_row) {
+                await this.remote.update(table, conflict.mutation.match, conflict.mutation.changes);
+            } else {
+                const localRow = await this.local.get(table, conflict.mutation.match);
+                if (localRow) await this.remote.insert(table, localRow);
+            }
+        } else if (operation === 'remove') {
+            await this.remote.remove(table, conflict.mutation.match);
+        } else if (operation === 'upsert') {
+            await this.remote.upsert(table, conflict.mutation.row, conflict.mutation.conflictColumns);
+        }
+
+        await this.outbox.removeConflict(conflictId);
+        this.notifyStatus();
+    }
+
+    /**
+     * Drops the offline change and restores the server version locally
+     */
+    async resolveKeepServer(conflictId) {
+        const conflict = await this.outbox.getConflict(conflictId);
+        if (!conflict) return;
+        const { table } = conflict.mutation;
+
+        if (table === FILES_OUTBOX_TABLE) {
+            // The server has no copy of a file that could not be uploaded
+            if (conflict.mutation.operation === 'uploadFile') await this.local.removeFile(conflict.mutation.bucket, conflict.mutation.path);
+        } else if (conflict.server_row) {
+            await this.local.writeRows(table, [conflict.server_row]);
+        } else {
+            const localRow = await this.local.get(table, conflict.mutation.match || { id: conflict.mutation.row?.id });
+            if (localRow) await this.local.deleteRows(table, [localRow.id]);
+        }
+
+        await this.outbox.removeConflict(conflictId);
+        this.notifyStatus();
+    }
+
+    // === STATUS ===
+
+    /**
+     * Registers a callback for connectivity / queue changes
+     * @param {Function} callback - Called with { offline, pending, conflicts }
+     * @returns {Function} Call to unsubscribe
+     */
+    onStatusChange(callback) {
+        this.statusListeners.add(callback);
+        return () => this.statusListeners.delete(callback);
+    }
+
+    async getStatus() {
+        return {
+            offline: this.offline,
+            pending: await this.outbox.count(),
+            conflicts: (await this.outbox.conflicts()).length
+        };
+    }
+
+    async notifyStatus() {
+        const status = await this.getStatus();
+        this.statusListeners.forEach(callback => callback(status));
+    }
+
+    // === HELPERS ===
+
+    /**
+     * Keeps the local copy in step with the server so it is ready for offline use
+     */
+    async cacheRows(table, query, rows) {
+        // Partial rows would overwrite the full cached copies
+        if (query.columns) return;
+        try {
+            // Trashed rows are listed separately, so "everything not in the trash" still counts as a full list
+            const matchColumns = Object.keys(query.match || {}).filter(column => column !== 'deleted_at' || query.match.deleted_at !== null);
+            const isFullUserList = !query.limit && !query.range && !query.notNull && matchColumns.join() === 'user_id';
+            if (isFullUserList && (await this.outbox.count()) === 0) {
+                await this.local.replaceRows(table, query.match, rows);
+            } else {
+                await this.local.writeRows(table, rows);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not cache ${table} locally:`, error);
+        }
+    }
+
+    isNetworkError(error) {
+        if (!navigator.onLine) return true;
+        const message = `${error?.message || ''} ${error?.details || ''}`;
+        return /failed to fetch|networkerror|network request failed|load failed/i.test(message);
+    }
+}
@@ -0,0 +1,307 @@
+/**
+ * store.js - Central Application State
+ * Single source of truth for the data shared between modules (contacts,
+ * projects, transactions and the project items derived from them).
+ * Modules read state through the selectors below and re-render by
+ * subscribing to the keys they care about, instead of reaching into
+ * window globals or calling each other's refresh functions.
+ */
+
+/**
+ * @typedef {Object} Contact
+ * @property {string} id
+ * @property {string} company_name
+ * @property {string} contact_person
+ * @property {string} email
+ * @property {string} phone
+ */
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id
+ * @property {string} contact_id
+ * @property {string} name
+ * @property {string} status - 'inquiry' | 'quotation' | 'invoice' | 'partially_paid' | 'completed'
+ * @property {number|string} total_amount
+ * @property {string} [currency] - ISO code of total_amount
+ * @property {number|null} [tax_rate] - SST percent charged, null when not taxable
+ * @property {boolean} [tax_inclusive] - Whether total_amount includes the SST or has it added on top
+ * @property {string|null} start_date
+ * @property {Object|null} payment_schedule - { type: 'full', due_date, completed } or { type: 'staggered', milestones: [] }
+ * @property {Array<Object>} tasks - [{ description, due_date, completed }]
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} id
+ * @property {string} date - 'YYYY-MM-DD'
+ * @property {string} type - 'income' | 'expense' | 'transfer' | 'payable' | 'target' | 'task'
+ * @property {string} title
+ * @property {string} [description]
+ * @property {number} amount
+ * @property {string|null} [recurring_rule_id] - Rule the transaction was confirmed from
+ * @property {string|null} [recurring_date] - Occurrence of that rule it stands for
+ * @property {string|null} [category_id]
+ * @property {string|null} [account_id] - Account paid from or into (the source account of a transfer)
+ * @property {string|null} [transfer_account_id] - Destination account, transfers only
+ * @property {string} [currency] - ISO code of the amount, MYR when missing
+ * @property {string|null} [external_id] - The bank's id for the statement line it was imported from (OFX FITID)
+ * @property {boolean} [cleared] - Ticked off against a bank statement
+ * @property {string|null} [reconciliation_id] - Reconciled statement it belongs to; locked while set
+ * @property {Array<Object>} [attachments] - Receipts and documents: [{ path, name, type, size, uploaded_at }]
+ * @property {string|null} [project_id] - Project an expense is charged to, one of its costs
+ * @property {Array<Object>} [splits] - Split lines adding up to amount: [{ amount, category_id, project_id }]; empty when not split
+ * @property {string|null} [bill_id] - Bill the expense paid
+ * @property {number|null} [tax_rate] - SST percent on a project payment or an expense
+ * @property {number} [tax_amount] - SST included in amount: output tax on income, input tax on expenses
+ */
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {string} id
+ * @property {string} currency - e.g. 'USD'
+ * @property {string} base_currency - e.g. 'MYR'
+ * @property {number} rate - Units of base_currency per unit of currency
+ * @property {string} effective_date - 'YYYY-MM-DD', applies until the next rate for the pair
+ */
+
+/**
+ * @typedef {Object} Account
+ * @property {string} id
+ * @property {string} name
+ * @property {string} type - 'bank' | 'cash' | 'credit_card'
+ * @property {number} opening_balance - Balance before the first recorded transaction, in the account's currency
+ * @property {string} [currency] - ISO code of the money the account holds (CONFIG.BASE_CURRENCY when missing)
+ */
+
+/**
+ * @typedef {Object} Category
+ * @property {string} id
+ * @property {string} name
+ * @property {string} icon - Emoji
+ * @property {string} color - '#rrggbb'
+ * @property {string} type - 'income' | 'expense'
+ * @property {number|null} monthly_budget - Spending limit per month (expense categories)
+ */
+
+/**
+ * @typedef {Object} RecurringRule
+ * @property {string} id
+ * @property {string} type - 'income' | 'expense'
+ * @property {string} title
+ * @property {number} amount
+ * @property {string} frequency - 'daily' | 'weekly' | 'monthly' | 'yearly'
+ * @property {number} interval - Every n days / weeks / months / years
+ * @property {string} start_date - 'YYYY-MM-DD', also the first occurrence
+ * @property {string|null} end_date - Last possible occurrence
+ * @property {number|null} occurrence_count - Number of occurrences, skipped ones included
+ * @property {Array<string>} skip_dates - Occurrences that were skipped
+ * @property {Object<string, Object>} overrides - { 'YYYY-MM-DD': { type, title, amount, currency, category_id, account_id } } for edited single occurrences
+ * @property {string|null} [category_id]
+ * @property {string|null} [account_id]
+ * @property {string} [currency]
+ */
+
+/**
+ * @typedef {Object} Bill
+ * A bill we owe to a vendor
+ * @property {string} id
+ * @property {string|null} contact_id - The vendor
+ * @property {string} title - What it is for
+ * @property {string|null} [bill_number] - The vendor's invoice number
+ * @property {number} amount
+ * @property {string} [currency]
+ * @property {string} due_date - 'YYYY-MM-DD'
+ * @property {string|null} [category_id] - Category of the expense recorded when it is paid
+ * @property {string|null} [account_id] - Account it is paid from
+ * @property {boolean} paid
+ * @property {string|null} paid_date - 'YYYY-MM-DD'
+ */
+
+/**
+ * @typedef {Object} ProjectData
+ * Project-derived items used by the summary cards and day cells
+ * @property {Array<Object>} quotations
+ * @property {Array<Object>} invoices - Full payments and milestones, each with _project
+ * @property {Array<Object>} tasks
+ */
+
+/**
+ * @typedef {Object} TransactionTotals
+ * @property {number} income
+ * @property {number} expense
+ * @property {number} payable
+ * @property {number} balance - Income less expenses (opening balances not included)
+ * @property {number} count
+ * @property {Object<string, number>} byAccount - Net change per account id ('none' for unassigned)
+ * All amounts are in the base currency
+ */
+
+/**
+ * @typedef {Object} AppState
+ * @property {Array<Contact>} contacts
+ * @property {Array<Project>} projects
+ * @property {Array<Transaction>} transactions - Transactions for the viewed month and the one before it
+ * @property {Array<RecurringRule>} recurringRules
+ * @property {Array<Bill>} bills - Every bill, paid or not, by due date
+ * @property {Array<Category>} categories
+ * @property {Array<Account>} accounts
+ * @property {Array<ExchangeRate>} exchangeRates
+ * @property {string|null} baseCurrency - Currency totals are converted to (CONFIG.BASE_CURRENCY until set)
+ * @property {TransactionTotals} totals - All-time totals
+ * @property {ProjectData} projectData
+ * @property {ProjectData} projectCalendarData - Items from project-manager's getProjectCalendarItems
+ * @property {Object|null|undefined} monthlyGoal - This month's monthly_goals row (undefined until loaded)
+ * @property {Date|null} viewedDate - Month shown in the calendar and summary cards
+ * @property {Forecast|null} forecast - Projected daily balance from forecast.js (null until built)
+ */
+
+const EMPTY_PROJECT_ITEMS = { quotations: [], invoices: [], tasks: [] };
+
+export class Store {
+    constructor() {
+        /** @type {AppState} */
+        this.state = {
+            contacts: [],
+            projects: [],
+            transactions: [],
+            recurringRules: [],
+            bills: [],
+            categories: [],
+            accounts: [],
+            exchangeRates: [],
+            baseCurrency: null,
+            totals: { income: 0, expense: 0, payable: 0, balance: 0, count: 0, byAccount: {} },
+            projectData: EMPTY_PROJECT_ITEMS,
+            projectCalendarData: EMPTY_PROJECT_ITEMS,
+            monthlyGoal: undefined,
+            viewedDate: null,
+            forecast: null
+        };
+        this.subscribers = new Set();
+    }
+
+    /**
+     * @returns {AppState}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Merges new values into the state and notifies subscribers once.
+     * Keys whose value is identical to the current one are ignored.
+     * @param {Partial<AppState>} changes
+     * @param {Object|null} meta - Passed to subscribers, e.g. { dates: [...] } when
+     *   only some days are affected so views can re-render just those
+     */
+    setState(changes, meta = null) {
+        const changedKeys = Object.keys(changes).filter(key => this.state[key] !== changes[key]);
+        if (changedKeys.length === 0) return;
+
+        this.state = { ...this.state, ...changes };
+        this.subscribers.forEach(subscriber => {
+            if (subscriber.keys.some(key => changedKeys.includes(key))) {
+                try {
+                    subscriber.callback(this.state, changedKeys, meta);
+                } catch (error) {
+                    console.error('❌ Error in store subscriber:', error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Calls back whenever one of the given keys changes
+     * @param {Array<keyof AppState>} keys - State keys to watch
+     * @param {Function} callback - Called with (state, changedKeys, meta)
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe(keys, callback) {
+        const subscriber = { keys, callback };
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+}
+
+// ==========================================
+// SELECTORS
+// ==========================================
+
+/** @returns {Array<Contact>} */
+export const selectContacts = (state) => state.contacts;
+
+/** @returns {Contact|undefined} */
+export const selectContactById = (state, contactId) => state.contacts.find(contact => contact.id === contactId);
+
+/** @returns {Array<Project>} */
+export const selectProjects = (state) => state.projects;
+
+/** @returns {Project|undefined} */
+export const selectProjectById = (state, projectId) => state.projects.find(project => project.id === projectId);
+
+/** @returns {Array<Project>} */
+export const selectProjectsByContact = (state, contactId) => state.projects.filter(project => project.contact_id === contactId);
+
+/** @returns {Array<Transaction>} */
+export const selectTransactions = (state) => state.transactions;
+
+/** @returns {Array<RecurringRule>} */
+export const selectRecurringRules = (state) => state.recurringRules;
+
+/** @returns {Array<Bill>} */
+export const selectBills = (state) => state.bills;
+
+/** @returns {Array<Account>} */
+export const selectAccounts = (state) => state.accounts;
+
+/** @returns {Account|undefined} */
+export const selectAccountById = (state, accountId) => state.accounts.find(account => account.id === accountId);
+
+/** @returns {Array<ExchangeRate>} */
+export const selectExchangeRates = (state) => state.exchangeRates;
+
+/** @returns {Array<Category>} */
+export const selectCategories = (state) => state.categories;
+
+/** @returns {Category|undefined} */
+export const selectCategoryById = (state, categoryId) => state.categories.find(category => category.id === categoryId);
+
+/** @returns {TransactionTotals} */
+export const selectTotals = (state) => state.totals;
+
+/** @returns {ProjectData} */
+export const selectProjectData = (state) => state.projectData;
+
+/** @returns {ProjectData} */
+export const selectProjectCalendarData = (state) => state.projectCalendarData;
+
+/** @returns {Object|null|undefined} */
+export const selectMonthlyGoal = (state) => state.monthlyGoal;
+
+/** @returns {Forecast|null} */
+export const selectForecast = (state) => state.forecast;
+
+// ==========================================
+// CHANGE HELPERS
+// ==========================================
+
+/**
+ * Applies a realtime payload ({ eventType, new, old }) to a list of rows.
+ * Updated rows keep their position; inserted rows are appended.
+ * @param {Array<Object>} rows - Current rows
+ * @param {Object} payload - Change payload
+ * @returns {Array<Object>} A new array
+ */
+export function applyRowChange(rows, payload) {
+    const id = payload.new?.id || payload.old?.id;
+    if (payload.eventType === 'DELETE') {
+        return rows.filter(row => row.id !== id);
+    }
+    const index = rows.findIndex(row => row.id === id);
+    if (index === -1) return [...rows, payload.new];
+    return rows.map((row, i) => (i === index ? payload.new : row));
+}
+
+// Create and export a single instance
+export const store = new Store();
@@ -1,13 +1,19 @@
 import { CONFIG } from './config.js';
 
-// Initialize Supabase client
-export const supabase = window.supabase.createClient(
-    CONFIG.SUPABASE_URL, 
-    CONFIG.SUPABASE_ANON_KEY
-);
+// Initialize Supabase client (null when the CDN script could not be loaded, e.g. fully offline)
+export const supabase = window.supabase
+    ? window.supabase.createClient(
+        localStorage.getItem('supabase-url') || CONFIG.SUPABASE_URL,
+        localStorage.getItem('supabase-anon-key') || CONFIG.SUPABASE_ANON_KEY
+    )
+    : null;
 
 // Test connection
 export async function testConnection() {
+    if (!supabase) {
+        console.warn('⚠️ Supabase client not loaded');
+        return false;
+    }
     try {
         const { data, error } = await supabase.from('transactions').select('count').limit(1);
         if (error) throw error;
@@ -0,0 +1,230 @@
+// js/sync-panel.js
+import { apiClient } from './api-client.js';
+import { refetchTransactionData, clearTransactionCache } from './transactions.js';
+import { notifications } from './notifications.js';
+import { escapeHtml } from './utils.js';
+
+const OPERATION_LABELS = {
+    insert: 'Created',
+    update: 'Edited',
+    upsert: 'Saved',
+    remove: 'Deleted',
+    uploadFile: 'Attached',
+    removeFile: 'Removed'
+};
+
+const TABLE_LABELS = {
+    contacts: 'contact',
+    projects: 'project',
+    project_activities: 'activity',
+    project_revisions: 'project revision',
+    transactions: 'transaction',
+    recurring_rules: 'recurring rule',
+    categories: 'category',
+    accounts: 'account',
+    exchange_rates: 'exchange rate',
+    reconciliations: 'reconciliation',
+    bills: 'bill',
+    monthly_goals: 'monthly goal',
+    files: 'file'
+};
+
+/**
+ * Initializes the sync status chip in the sidebar and the offline changes panel.
+ * Only active when the app runs with offline sync ('auto' storage backend).
+ */
+export function initializeSyncPanel() {
+    if (!apiClient.canSync) return;
+
+    console.log('🔄 Initializing sync panel...');
+    const storage = apiClient.storage;
+    const statusBtn = document.getElementById('sync-status-btn');
+    const syncModal = document.getElementById('sync-modal');
+    const syncSidebar = document.getElementById('sync-sidebar');
+    const conflictsList = document.getElementById('sync-conflicts-list');
+    const syncNowBtn = document.getElementById('sync-now-btn');
+
+    if (!statusBtn || !syncModal) {
+        console.warn('⚠️ Sync panel elements not found');
+        return;
+    }
+
+    statusBtn.classList.remove('hidden');
+
+    let wasOffline = storage.offline;
+    let knownConflicts = null;
+    storage.onStatusChange(async (status) => {
+        const wentOffline = !wasOffline && status.offline;
+        const cameOnline = wasOffline && !status.offline;
+        const newConflicts = knownConflicts === null ? 0 : status.conflicts - knownConflicts;
+        wasOffline = status.offline;
+        knownConflicts = status.conflicts;
+
+        renderStatus(status);
+        if (wentOffline) {
+            notifications.warning('You are offline. Changes are saved on this device and will sync when the connection returns.');
+        }
+        if (newConflicts > 0) {
+            notifications.error(`${newConflicts} offline change${newConflicts === 1 ? '' : 's'} conflicted with the server`, {
+                actions: [{ label: 'Review', onClick: openSyncModal }]
+            });
+        }
+        if (!syncModal.classList.contains('hidden')) {
+            await renderConflicts();
+        }
+        // Pull the server's view of the data once queued changes have gone out
+        if (cameOnline) {
+            notifications.success('Back online - offline changes have been synced');
+            clearTransactionCache();
+            await refetchTransactionData();
+        }
+    });
+    storage.getStatus().then(status => {
+        renderStatus(status);
+        knownConflicts = status.conflicts;
+        // Conflicts left over from an earlier session
+        const { conflicts } = status;
+        if (conflicts > 0) {
+            notifications.warning(`${conflicts} offline change${conflicts === 1 ? '' : 's'} need${conflicts === 1 ? 's' : ''} review`, {
+                actions: [{ label: 'Review', onClick: openSyncModal }]
+            });
+        }
+    });
+
+    statusBtn.addEventListener('click', openSyncModal);
+    document.getElementById('close-sync-btn')?.addEventListener('click', closeSyncModal);
+    syncModal.addEventListener('click', (e) => {
+        if (e.target === syncModal) closeSyncModal();
+    });
+
+    syncNowBtn.addEventListener('click', async () => {
+        syncNowBtn.disabled = true;
+        syncNowBtn.textContent = 'Syncing...';
+        const isSynced = await storage.reconnect();
+        syncNowBtn.disabled = false;
+        syncNowBtn.textContent = 'Sync Now';
+        if (!isSynced) {
+            document.getElementById('sync-modal-summary').textContent = 'Still offline - changes will sync when the connection returns.';
+            notifications.warning('Still offline - changes will sync when the connection returns.');
+        }
+    });
+
+    conflictsList.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-resolve]');
+        if (!button) return;
+
+        button.disabled = true;
+        try {
+            if (button.dataset.resolve === 'mine') {
+                await storage.resolveKeepLocal(button.dataset.conflictId);
+                notifications.success('Your version was saved to the server');
+            } else {
+                await storage.resolveKeepServer(button.dataset.conflictId);
+                notifications.success('Your offline change was discarded');
+            }
+            clearTransactionCache();
+            await refetchTransactionData();
+        } catch (error) {
+            console.error('❌ Failed to resolve sync conflict:', error);
+            notifications.error('Failed to resolve the sync conflict');
+            button.disabled = false;
+        }
+    });
+
+    function renderStatus({ offline, pending, conflicts }) {
+        const text = document.getElementById('sync-status-text');
+        statusBtn.classList.toggle('offline', offline);
+        statusBtn.classList.toggle('has-conflicts', conflicts > 0);
+
+        if (conflicts > 0) {
+            text.textContent = `${conflicts} sync conflict${conflicts === 1 ? '' : 's'}`;
+        } else if (offline) {
+            text.textContent = pending > 0 ? `Offline · ${pending} pending` : 'Offline';
+        } else {
+            text.textContent = 'Online';
+        }
+    }
+
+    async function renderConflicts() {
+        const status = await storage.getStatus();
+        const conflicts = await storage.getConflicts();
+        const summary = document.getElementById('sync-modal-summary');
+
+        summary.textContent = status.offline
+            ? `Offline - ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync`
+            : 'Connected - all queued changes have been sent';
+
+        if (conflicts.length === 0) {
+            conflictsList.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">No sync conflicts.</p>';
+            return;
+        }
+
+        conflictsList.innerHTML = conflicts.map(conflict => createConflictCard(conflict)).join('');
+    }
+
+    async function openSyncModal() {
+        await renderConflicts();
+        syncModal.classList.remove('hidden');
+        setTimeout(() => {
+            syncSidebar.classList.remove('translate-x-full');
+        }, 10);
+    }
+
+    function closeSyncModal() {
+        syncSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            syncModal.classList.add('hidden');
+        }, 300);
+    }
+
+    console.log('✅ Sync panel initialized');
+}
+
+/**
+ * Builds the card for a single conflicted change
+ * @param {Object} conflict - Conflict record from the outbox
+ * @returns {string} HTML string
+ */
+function createConflictCard(conflict) {
+    const { mutation } = conflict;
+    const label = `${OPERATION_LABELS[mutation.operation] || mutation.operation} ${TABLE_LABELS[mutation.table] || mutation.table}`;
+    const localValues = mutation.changes || mutation.row || mutation.base || {};
+    const name = localValues.title || localValues.name || mutation.base?.title || mutation.base?.name || mutation.path?.split('/').pop() || '';
+    const fields = Object.keys(mutation.changes || {}).filter(field => field !== 'updated_at');
+
+    const rows = fields.map(field => `
+        <tr class="border-t border-gray-100">
+            <td class="py-1 pr-2 text-gray-500">${escapeHtml(field)}</td>
+            <td class="py-1 pr-2 text-gray-800">${formatValue(mutation.changes[field])}</td>
+            <td class="py-1 text-gray-800">${conflict.server_row ? formatValue(conflict.server_row[field]) : '<em>deleted</em>'}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="border border-red-200 bg-red-50 rounded-lg p-4">
+            <div class="flex justify-between items-start">
+                <div>
+                    <p class="text-sm font-semibold text-gray-800">${escapeHtml(label)}${name ? `: ${escapeHtml(name)}` : ''}</p>
+                    <p class="text-xs text-gray-500">${new Date(mutation.queued_at).toLocaleString()}</p>
+                </div>
+            </div>
+            <p class="text-sm text-red-700 mt-2">${escapeHtml(conflict.reason)}</p>
+            ${rows ? `
+                <table class="w-full text-xs mt-3">
+                    <thead><tr class="text-left text-gray-500"><th class="pr-2">Field</th><th class="pr-2">Yours</th><th>Server</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : ''}
+            <div class="flex justify-end space-x-2 mt-3">
+                <button data-resolve="server" data-conflict-id="${escapeHtml(conflict.id)}" class="bg-white py-1 px-3 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50">Keep Server</button>
+                <button data-resolve="mine" data-conflict-id="${escapeHtml(conflict.id)}" class="bg-indigo-600 py-1 px-3 border border-transparent rounded-md text-xs font-medium text-white hover:bg-indigo-700">Keep Mine</button>
+            </div>
+        </div>
+    `;
+}
+
+// Values come from synced rows, so they are escaped before going into the card
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '<em>empty</em>';
+    return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+}
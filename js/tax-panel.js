@@ -0,0 +1,213 @@
+// js/tax-panel.js
+import { apiClient } from './api-client.js';
+import { store, selectProjects, selectContactById } from './store.js';
+import { notifications } from './notifications.js';
+import { formatMoney } from './currency.js';
+import {
+    loadTaxRates,
+    saveTaxRates,
+    parseTaxRate,
+    formatTaxRate,
+    getFilingPeriod,
+    shiftFilingPeriod,
+    buildSstReport
+} from './tax.js';
+import { escapeHtml } from './utils.js';
+
+// The period shown and its taxed expenses, while the panel is open
+let period = null;
+let periodExpenses = null;
+
+/**
+ * Initializes the "SST" slide-out panel: tax collected on project payments
+ * against tax paid on expenses for a filing period, and the tax rates offered.
+ */
+export function initializeTaxPanel() {
+    console.log('🧾 Initializing SST report...');
+    const sstBtn = document.getElementById('sst-report-btn');
+    const sstModal = document.getElementById('sst-report-modal');
+    const sstSidebar = document.getElementById('sst-report-sidebar');
+
+    if (!sstBtn || !sstModal) {
+        console.warn('⚠️ SST report elements not found');
+        return;
+    }
+
+    sstBtn.addEventListener('click', async () => {
+        // Opens on the period before the current one, the one due to be filed
+        const today = new Date().toISOString().slice(0, 10);
+        period = shiftFilingPeriod(getFilingPeriod(today), -1);
+        renderRates();
+        sstModal.classList.remove('hidden');
+        setTimeout(() => {
+            sstSidebar.classList.remove('translate-x-full');
+        }, 10);
+        await loadReport();
+    });
+
+    function closeSstModal() {
+        sstSidebar.classList.add('translate-x-full');
+        setTimeout(() => {
+            sstModal.classList.add('hidden');
+        }, 300);
+        periodExpenses = null;
+    }
+
+    document.getElementById('close-sst-report-btn')?.addEventListener('click', closeSstModal);
+    sstModal.addEventListener('click', (e) => {
+        if (e.target === sstModal) closeSstModal();
+    });
+
+    document.getElementById('sst-prev-period-btn')?.addEventListener('click', () => changePeriod(shiftFilingPeriod(getFilingPeriod(period.from), -1)));
+    document.getElementById('sst-next-period-btn')?.addEventListener('click', () => changePeriod(shiftFilingPeriod(getFilingPeriod(period.from), 1)));
+    ['sst-period-from', 'sst-period-to'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => {
+            const from = document.getElementById('sst-period-from').value;
+            const to = document.getElementById('sst-period-to').value;
+            if (!from || !to || from > to) return;
+            changePeriod({ from, to, label: 'Custom period' });
+        });
+    });
+
+    document.getElementById('sst-rates-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        addRate();
+    });
+    document.getElementById('sst-rates-list')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-rate]');
+        if (button) removeRate(Number(button.dataset.removeRate));
+    });
+
+    // Milestones move with the projects; expenses are reloaded when they change
+    store.subscribe(['projects', 'exchangeRates', 'baseCurrency'], () => {
+        if (!sstModal.classList.contains('hidden')) renderReport();
+    });
+    store.subscribe(['transactions'], () => {
+        if (!sstModal.classList.contains('hidden')) loadReport();
+    });
+
+    console.log('✅ SST report initialized');
+}
+
+async function changePeriod(newPeriod) {
+    period = newPeriod;
+    await loadReport();
+}
+
+async function loadReport() {
+    if (!period) return;
+    document.getElementById('sst-period-label').textContent = period.label;
+    document.getElementById('sst-period-from').value = period.from;
+    document.getElementById('sst-period-to').value = period.to;
+
+    const shown = period;
+    const result = await apiClient.getTaxedExpenses(period.from, period.to);
+    if (shown !== period) return; // Another period was picked meanwhile
+    if (!result.success) {
+        periodExpenses = null;
+        notifications.error('Could not load the expenses for the SST report', {
+            actions: [{ label: 'Retry', onClick: loadReport }]
+        });
+        return;
+    }
+    periodExpenses = result.data;
+    renderReport();
+}
+
+function renderReport() {
+    if (!period || !periodExpenses) return;
+    const state = store.getState();
+    const report = buildSstReport(selectProjects(state), periodExpenses, period);
+
+    document.getElementById('sst-report-totals').innerHTML = [
+        ['Collected', formatMoney(report.collected), 'text-gray-800'],
+        ['Paid', formatMoney(report.paid), 'text-gray-800'],
+        [report.net < 0 ? 'Refundable' : 'Net payable', formatMoney(Math.abs(report.net)), report.net < 0 ? 'text-green-700' : 'text-red-600']
+    ].map(([label, value, color]) => `
+        <div>
+            <p class="text-xs text-gray-500">${label}</p>
+            <p class="font-semibold ${color}">${value}</p>
+        </div>
+    `).join('') + (report.outstanding > 0
+        ? `<p class="col-span-3 text-xs text-gray-500">${formatMoney(report.outstanding)} more is due on milestones not yet paid in this period.</p>`
+        : '');
+
+    const milestonesList = document.getElementById('sst-milestones-list');
+    milestonesList.innerHTML = report.milestones.length === 0
+        ? '<p class="text-sm text-gray-500 text-center py-4">No taxable milestones due in this period.</p>'
+        : report.milestones.map(milestone => {
+            const contact = selectContactById(state, milestone.project.contact_id);
+            const client = contact ? contact.company_name || contact.contact_person : '';
+            return `
+                <div class="flex items-center gap-3 px-3 py-2 text-sm ${milestone.paid ? '' : 'opacity-60'}">
+                    <span class="w-24 flex-shrink-0 text-gray-500">${milestone.due_date}</span>
+                    <div class="flex-grow min-w-0">
+                        <p class="truncate font-medium text-gray-800">${escapeHtml(milestone.project.name || 'Untitled Project')} · ${escapeHtml(milestone.name)}</p>
+                        <p class="truncate text-xs text-gray-500">${client ? `${escapeHtml(client)} · ` : ''}${formatMoney(milestone.gross, milestone.project.currency)} at ${formatTaxRate(milestone.project.tax_rate)}${milestone.paid ? '' : ' · not paid yet'}</p>
+                    </div>
+                    <span class="flex-shrink-0 font-semibold text-gray-800">${formatMoney(milestone.taxBase)}</span>
+                </div>
+            `;
+        }).join('');
+
+    const expensesList = document.getElementById('sst-expenses-list');
+    expensesList.innerHTML = report.expenses.length === 0
+        ? '<p class="text-sm text-gray-500 text-center py-4">No expenses with SST in this period.</p>'
+        : report.expenses.map(({ transaction, taxBase }) => `
+            <div class="flex items-center gap-3 px-3 py-2 text-sm">
+                <span class="w-24 flex-shrink-0 text-gray-500">${transaction.date}</span>
+                <div class="flex-grow min-w-0">
+                    <p class="truncate font-medium text-gray-800">${escapeHtml(transaction.title)}</p>
+                    <p class="truncate text-xs text-gray-500">${formatMoney(transaction.amount, transaction.currency)}${transaction.tax_rate ? ` at ${formatTaxRate(transaction.tax_rate)}` : ''}</p>
+                </div>
+                <span class="flex-shrink-0 font-semibold text-gray-800">${formatMoney(taxBase)}</span>
+            </div>
+        `).join('');
+}
+
+// ==========================================
+// TAX RATES
+// ==========================================
+
+function renderRates() {
+    const rates = loadTaxRates();
+    document.getElementById('sst-rates-list').innerHTML = rates.length === 0
+        ? '<p class="text-sm text-gray-500">No rates yet.</p>'
+        : rates.map(({ name, rate }, index) => `
+            <div class="flex items-center gap-2 text-sm bg-white border border-gray-200 rounded-md px-3 py-2">
+                <span class="flex-grow min-w-0 truncate text-gray-800">${escapeHtml(name)}</span>
+                <span class="flex-shrink-0 font-semibold text-gray-800">${formatTaxRate(rate)}</span>
+                <button type="button" data-remove-rate="${index}" class="flex-shrink-0 text-gray-400 hover:text-red-600" title="Remove rate">✕</button>
+            </div>
+        `).join('');
+}
+
+function addRate() {
+    const nameInput = document.getElementById('sst-rate-name');
+    const rateInput = document.getElementById('sst-rate-value');
+    const name = nameInput.value.trim();
+    const rate = parseTaxRate(rateInput.value);
+    if (!name || rate === null) {
+        notifications.warning('Enter a name and a rate above zero.');
+        return;
+    }
+    const rates = loadTaxRates();
+    if (rates.some(existing => existing.rate === rate)) {
+        notifications.warning(`There is already a ${formatTaxRate(rate)} rate.`);
+        return;
+    }
+    saveTaxRates([...rates, { name, rate }].sort((a, b) => b.rate - a.rate));
+    nameInput.value = '';
+    rateInput.value = '';
+    renderRates();
+    notifications.success(`${name} (${formatTaxRate(rate)}) added`);
+}
+
+function removeRate(index) {
+    const rates = loadTaxRates();
+    const removed = rates[index];
+    if (!removed) return;
+    saveTaxRates(rates.filter((_, i) => i !== index));
+    renderRates();
+    notifications.info(`${removed.name} (${formatTaxRate(removed.rate)}) removed. Projects and expenses already charged at it keep it.`);
+}
@@ -0,0 +1,224 @@
+/**
+ * tax.js - SST (sales and service tax) on projects and expenses
+ * A project is charged at one rate, or none, and its amounts either include
+ * the tax or have it added on top; each payment milestone carries its share.
+ * Expenses can carry input tax, the SST included in what was paid. The SST
+ * report sets the tax on the milestones paid in a filing period against the
+ * input tax on that period's expenses, all in the base currency.
+ */
+
+import { CONFIG } from './config.js';
+import { toBase, transactionToBase } from './currency.js';
+import { getProjectPayments } from './project-schema.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * @typedef {Object} TaxRate
+ * @property {string} name - e.g. 'Service tax'
+ * @property {number} rate - Percent, e.g. 8
+ */
+
+/**
+ * @typedef {Object} TaxBreakdown
+ * @property {number} net - Before tax
+ * @property {number} tax
+ * @property {number} gross - Net plus tax, what the client pays
+ */
+
+const TAX_RATES_KEY = 'tax-rates';
+
+// SST is filed every two months: January-February, March-April, ...
+const FILING_PERIOD_MONTHS = 2;
+
+/**
+ * The rates offered on projects and expenses
+ * @returns {Array<TaxRate>}
+ */
+export function loadTaxRates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TAX_RATES_KEY));
+        if (Array.isArray(saved)) return saved;
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable saved tax rates:', error);
+    }
+    return CONFIG.TAX_RATES;
+}
+
+/**
+ * @param {Array<TaxRate>} rates
+ */
+export function saveTaxRates(rates) {
+    localStorage.setItem(TAX_RATES_KEY, JSON.stringify(rates));
+}
+
+/**
+ * Options for a tax rate select. A rate no longer in the list is kept as an
+ * option while a saved project or expense still uses it.
+ * @param {number|null} selected
+ * @returns {string} HTML string
+ */
+export function renderTaxRateOptions(selected = null) {
+    const rates = loadTaxRates();
+    const selectedRate = parseTaxRate(selected);
+    const options = rates.map(({ name, rate }) =>
+        `<option value="${rate}" ${rate === selectedRate ? 'selected' : ''}>${escapeHtml(name)} (${formatTaxRate(rate)})</option>`
+    );
+    if (selectedRate !== null && !rates.some(({ rate }) => rate === selectedRate)) {
+        options.push(`<option value="${selectedRate}" selected>${formatTaxRate(selectedRate)}</option>`);
+    }
+    return [`<option value="" ${selectedRate === null ? 'selected' : ''}>No SST</option>`, ...options].join('');
+}
+
+/**
+ * A rate as saved: a number, or null for no tax
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function parseTaxRate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const rate = parseFloat(value);
+    return rate > 0 ? rate : null;
+}
+
+/**
+ * e.g. '8%'
+ * @param {number} rate
+ */
+export function formatTaxRate(rate) {
+    return `${parseFloat(rate)}%`;
+}
+
+// ==========================================
+// CALCULATION
+// ==========================================
+
+/**
+ * Splits an amount into its net and tax
+ * @param {number} amount
+ * @param {number|null} rate - Percent; null or 0 for no tax
+ * @param {boolean} inclusive - Whether the amount already includes the tax
+ * @returns {TaxBreakdown}
+ */
+export function calculateTax(amount, rate, inclusive) {
+    const value = parseFloat(amount) || 0;
+    const percent = parseTaxRate(rate) || 0;
+    if (inclusive) {
+        const tax = roundCents(value * percent / (100 + percent));
+        return { net: value - tax, tax, gross: value };
+    }
+    const tax = roundCents(value * percent / 100);
+    return { net: value, tax, gross: value + tax };
+}
+
+/**
+ * A project's payments with the tax on each, in the project's currency
+ * @param {Project} project
+ * @returns {Array<Object>} getProjectPayments' rows plus { net, tax, gross }
+ */
+export function getProjectPaymentsWithTax(project) {
+    return getProjectPayments(project).map(payment => ({
+        ...payment,
+        ...calculateTax(payment.amount, project.tax_rate, project.tax_inclusive)
+    }));
+}
+
+/**
+ * The tax fields for the income recorded when a project payment is received
+ * @param {Project} project
+ * @param {number} amount - The payment as scheduled
+ * @returns {Object} { amount, tax_rate, tax_amount } - amount is what the client pays
+ */
+export function getPaymentIncomeTax(project, amount) {
+    const { tax, gross } = calculateTax(amount, project.tax_rate, project.tax_inclusive);
+    return { amount: gross, tax_rate: parseTaxRate(project.tax_rate), tax_amount: tax };
+}
+
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// ==========================================
+// FILING PERIODS
+// ==========================================
+
+/**
+ * The filing period a date falls in
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Object} { from, to, label }
+ */
+export function getFilingPeriod(date) {
+    const [year, month] = date.split('-').map(Number);
+    const firstMonth = month - ((month - 1) % FILING_PERIOD_MONTHS);
+    return buildPeriod(year, firstMonth);
+}
+
+/**
+ * The period a number of periods before (negative) or after another
+ * @param {Object} period - From getFilingPeriod
+ * @param {number} steps
+ */
+export function shiftFilingPeriod(period, steps) {
+    const [year, month] = period.from.split('-').map(Number);
+    const monthIndex = year * 12 + (month - 1) + steps * FILING_PERIOD_MONTHS;
+    return buildPeriod(Math.floor(monthIndex / 12), (monthIndex % 12) + 1);
+}
+
+function buildPeriod(year, firstMonth) {
+    const lastMonth = firstMonth + FILING_PERIOD_MONTHS - 1;
+    const lastDay = new Date(Date.UTC(year, lastMonth, 0)).getUTCDate();
+    const monthName = (m) => new Date(Date.UTC(year, m - 1, 1)).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+    return {
+        from: `${year}-${String(firstMonth).padStart(2, '0')}-01`,
+        to: `${year}-${String(lastMonth).padStart(2, '0')}-${String(lastDay).padStart(2, '0')}`,
+        label: `${monthName(firstMonth)}–${monthName(lastMonth)} ${year}`
+    };
+}
+
+// ==========================================
+// SST REPORT
+// ==========================================
+
+/**
+ * Tax collected versus paid in a period. Milestones count on their due
+ * date; unpaid ones are listed as outstanding and left out of the totals.
+ * @param {Array<Project>} projects
+ * @param {Array<Transaction>} expenses - Expenses in the period
+ * @param {Object} period - { from, to }
+ * @returns {Object} { collected, outstanding, paid, net, milestones, expenses }
+ */
+export function buildSstReport(projects, expenses, { from, to }) {
+    const milestones = projects
+        .filter(project => parseTaxRate(project.tax_rate) !== null)
+        .flatMap(project => getProjectPaymentsWithTax(project)
+            .filter(payment => payment.due_date && payment.due_date >= from && payment.due_date <= to)
+            .map(payment => ({
+                project,
+                ...payment,
+                taxBase: toBase(payment.tax, project.currency, payment.due_date)
+            })))
+        .sort((a, b) => a.due_date.localeCompare(b.due_date));
+
+    const taxedExpenses = expenses
+        .filter(expense => expense.type === 'expense' && parseFloat(expense.tax_amount) > 0)
+        .filter(expense => expense.date >= from && expense.date <= to)
+        .map(expense => ({
+            transaction: expense,
+            taxBase: expenseTaxToBase(expense)
+        }))
+        .sort((a, b) => a.transaction.date.localeCompare(b.transaction.date));
+
+    const collected = milestones.filter(m => m.paid).reduce((sum, m) => sum + m.taxBase, 0);
+    const outstanding = milestones.filter(m => !m.paid).reduce((sum, m) => sum + m.taxBase, 0);
+    const paid = taxedExpenses.reduce((sum, e) => sum + e.taxBase, 0);
+    return { collected, outstanding, paid, net: collected - paid, milestones, expenses: taxedExpenses };
+}
+
+/**
+ * An expense's input tax in the base currency, at the rate its amount was converted at
+ * @param {Transaction} expense
+ */
+function expenseTaxToBase(expense) {
+    const amount = parseFloat(expense.amount) || 0;
+    const tax = parseFloat(expense.tax_amount) || 0;
+    return amount ? transactionToBase(expense) * tax / amount : 0;
+}
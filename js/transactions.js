@@ -3,33 +3,45 @@
  * Handles all transaction-related functionality and database operations
  */
 import { getCurrentCalendarDate } from './calendar.js';
-import { supabase, testConnection } from './supabase-client.js';
-import { CONFIG } from './config.js';
+import { apiClient } from './api-client.js';
 import { getProjectCalendarItems } from './project-manager.js';
-import { refreshCalendar } from './calendar.js';
-import { fetchAndDisplayMonthlyGoal } from './monthly-goal.js';
-
-let allTransactions = [];
-let transactionsSubscription = null;
-let projectsSubscription = null;
-let projectData = { quotations: [], invoices: [], tasks: [] };
+import { CONFIG } from './config.js';
+import { MonthCache } from './month-cache.js';
+import { notifications } from './notifications.js';
+import { checkProject, schemaDiagnostics } from './project-schema.js';
+import { checkCategoryBudget } from './categories.js';
+import { getAccountDeltas, getTotalBalance, getAccountBalances, formatAccountLabel } from './accounts.js';
+import { loadBaseCurrency, transactionToBase, toBase, currencySymbol } from './currency.js';
+import { store, selectTransactions, selectProjectData, selectProjects, applyRowChange } from './store.js';
+
+let changeSubscriptions = [];
 let currentUserId = null;
 
+// Transactions per month, plus the all-time totals and project list under their own keys
+const transactionsCache = new MonthCache(CONFIG.CACHE_DURATION);
+const sharedCache = new MonthCache(CONFIG.CACHE_DURATION);
+
+// Last known version of every transaction we have seen (null once deleted).
+// Change events are turned into deltas against it, so an echo of our own
+// write, or the same event from two backends, is only counted once.
+const knownTransactions = new Map();
+
 /**
  * Set up transaction system
  */
 export async function setupTransactions() {
     console.log('💰 Setting up transaction system...');
     try {
-        currentUserId = CONFIG.USER_ID;
+        currentUserId = apiClient.userId;
         if (!currentUserId) throw new Error('No user ID available for transactions.');
 
-        const isConnected = await testConnection();
-        if (isConnected) {
-            await setupSupabaseListener(currentUserId);
-        } else {
+        if (apiClient.isOffline) {
             console.warn('⚠️ Database unavailable - running in offline mode');
         }
+        store.setState({ baseCurrency: loadBaseCurrency() });
+        // Summary cards re-render whenever the data behind them changes
+        store.subscribe(['transactions', 'totals', 'accounts', 'exchangeRates', 'baseCurrency', 'projectData', 'viewedDate'], renderSummaryCards);
+        await setupChangeListeners(currentUserId);
          
         setupTransactionUI();
         console.log('✅ Transaction system setup complete');
@@ -39,56 +51,282 @@ export async function setupTransactions() {
 }
 
 /**
- * Set up Supabase real-time listener
+ * Set up change listeners on the active storage backend
+ * (Supabase realtime when online, local change events when offline).
+ * Each payload is patched into the store instead of reloading everything.
  */
-async function setupSupabaseListener(userId) {
-    if (!supabase || !userId) return;
+async function setupChangeListeners(userId) {
+    if (!apiClient.storage || !userId) return;
      
     await refetchTransactionData(getCurrentCalendarDate());
 
-    if (transactionsSubscription) supabase.removeChannel(transactionsSubscription);
-    if (projectsSubscription) supabase.removeChannel(projectsSubscription);
-
-    // Set up real-time listener for the 'transactions' table
-    transactionsSubscription = supabase.channel('public:transactions')
-        .on('postgres_changes', { 
-            event: '*', 
-            schema: 'public', 
-            table: 'transactions', 
-            filter: `user_id=eq.${userId}` 
-        }, (payload) => {
-            console.log('📡 Real-time change received from transactions:', payload);
-            refetchTransactionData(getCurrentCalendarDate());
-        })
-        .subscribe();
-         
-    // Set up real-time listener for the 'projects' table
-    projectsSubscription = supabase.channel('public:projects')
-        .on('postgres_changes', { 
-            event: '*', 
-            schema: 'public', 
-            table: 'projects', 
-            filter: `user_id=eq.${userId}` 
-        }, (payload) => {
-            console.log('📡 Real-time change received from projects:', payload);
-            refetchTransactionData(getCurrentCalendarDate());
-                // ENHANCED: Force explicit calendar refresh for task changes
-                setTimeout(() => {
-                    refreshCalendar();
-                }, 100); // Small delay to ensure data is processed first
+    changeSubscriptions.forEach(unsubscribe => unsubscribe());
+
+    const handlers = {
+        transactions: applyTransactionChange,
+        projects: applyProjectChange,
+        contacts: applyContactChange,
+        recurring_rules: applyRecurringRuleChange,
+        bills: applyBillChange,
+        categories: applyCategoryChange,
+        accounts: applyAccountChange,
+        exchange_rates: applyExchangeRateChange,
+        monthly_goals: applyMonthlyGoalChange
+    };
+    changeSubscriptions = Object.entries(handlers).map(([table, handler]) =>
+        apiClient.storage.subscribe(table, { user_id: userId }, (payload) => {
+            console.log(`📡 Real-time change received from ${table}:`, payload.eventType);
+            Promise.resolve(handler(asActiveRowChange(payload))).catch(error => {
+                console.error(`❌ Failed to apply ${table} change:`, error);
+            });
         })
-        .subscribe();
+    );
 
-    console.log('✅ Supabase real-time listeners set up');
+    console.log(`✅ ${apiClient.storage.name} change listeners set up`);
+}
+
+// ==========================================
+// INCREMENTAL CHANGE HANDLING
+// ==========================================
+
+/**
+ * Moving a row to the trash arrives as an UPDATE that sets deleted_at;
+ * everything on screen should treat it as a delete
+ */
+function asActiveRowChange(payload) {
+    if (payload.eventType !== 'DELETE' && payload.new?.deleted_at) {
+        return { ...payload, eventType: 'DELETE', new: {}, old: payload.new };
+    }
+    return payload;
 }
 
 /**
- * UPDATED: Replace the entire processAllTransactions function in transactions.js
- * with this fixed version that counts ALL quotations for the viewed month
+ * Patches a transaction change into the month cache, the store and the totals.
+ * Only the day cells of the old and new dates are re-rendered.
+ * @param {Object} payload - { eventType, new, old }
  */
-function processAllTransactions(transactions, viewedDate = null) {
-    allTransactions = transactions;
-    let totalCurrentBalance = 0;
+export async function applyTransactionChange(payload) {
+    const row = payload.eventType === 'DELETE' ? null : payload.new;
+    const id = row?.id || payload.old?.id;
+    if (!id) return;
+
+    // Without REPLICA IDENTITY FULL, Supabase only sends the old row's id
+    const previous = knownTransactions.has(id)
+        ? knownTransactions.get(id)
+        : (payload.old?.date ? payload.old : undefined);
+    if (JSON.stringify(previous ?? null) === JSON.stringify(row)) return; // Already applied
+
+    knownTransactions.set(id, row);
+
+    // Keep cached months in step so flipping back to them stays correct
+    transactionsCache.updateAll((rows, monthKey) => {
+        const patched = rows.filter(transaction => transaction.id !== id);
+        if (row && row.date?.startsWith(monthKey)) patched.push(row);
+        return patched;
+    });
+
+    const state = store.getState();
+    const viewedMonth = MonthCache.monthKey(state.viewedDate || getCurrentCalendarDate());
+    const loadedMonths = [MonthCache.shiftMonth(viewedMonth, -1), viewedMonth];
+    const transactions = state.transactions.filter(transaction => transaction.id !== id);
+    if (row && loadedMonths.includes(row.date?.slice(0, 7))) transactions.push(row);
+
+    let totals = state.totals;
+    if (previous === undefined && payload.eventType !== 'INSERT') {
+        // The old amount is unknown, so the totals can't be adjusted - reload them
+        sharedCache.invalidate('totals');
+        const result = await apiClient.getTransactionTotals(null, null, { convert: transactionToBase });
+        if (result.success) totals = result.data;
+    } else {
+        totals = adjustTotals(state.totals, previous, row);
+    }
+    sharedCache.set('totals', totals);
+
+    store.setState({ transactions, totals }, { dates: [previous?.date, row?.date].filter(Boolean) });
+}
+
+/**
+ * Patches many new transactions into the store at once, e.g. an imported
+ * bank statement, so the calendar and summaries re-render once
+ * @param {Array<Transaction>} rows - Rows just inserted
+ */
+export function applyNewTransactions(rows) {
+    const fresh = rows.filter(row => row?.id && !knownTransactions.has(row.id));
+    if (fresh.length === 0) return;
+    fresh.forEach(row => knownTransactions.set(row.id, row));
+
+    transactionsCache.updateAll((cached, monthKey) => [...cached, ...fresh.filter(row => row.date?.startsWith(monthKey))]);
+
+    const state = store.getState();
+    const viewedMonth = MonthCache.monthKey(state.viewedDate || getCurrentCalendarDate());
+    const loadedMonths = [MonthCache.shiftMonth(viewedMonth, -1), viewedMonth];
+    const transactions = [...state.transactions, ...fresh.filter(row => loadedMonths.includes(row.date?.slice(0, 7)))];
+    const totals = fresh.reduce((adjusted, row) => adjustTotals(adjusted, null, row), state.totals);
+    sharedCache.set('totals', totals);
+
+    store.setState({ transactions, totals }, { dates: [...new Set(fresh.map(row => row.date))] });
+}
+
+/**
+ * Returns totals with one row's old contribution removed and its new one added
+ * (amounts in the base currency)
+ */
+function adjustTotals(totals, previous, row) {
+    const adjusted = { ...totals, byAccount: { ...totals.byAccount } };
+    const apply = (transaction, sign) => {
+        if (!transaction) return;
+        const amount = transactionToBase(transaction);
+        if (transaction.type in adjusted && !['balance', 'count', 'byAccount'].includes(transaction.type)) {
+            adjusted[transaction.type] += sign * amount;
+        }
+        getAccountDeltas(transaction, amount).forEach(([account, delta]) => {
+            adjusted.byAccount[account] = (adjusted.byAccount[account] || 0) + sign * delta;
+        });
+        adjusted.count += sign;
+    };
+    apply(previous, -1);
+    apply(row, 1);
+    adjusted.balance = adjusted.income - adjusted.expense;
+    return adjusted;
+}
+
+/**
+ * Patches a project change into the store and recomputes the items derived from projects.
+ * Only the day cells showing the project's dates are re-rendered.
+ * @param {Object} payload - { eventType, new, old }
+ */
+export async function applyProjectChange(payload) {
+    const state = store.getState();
+    const id = payload.new?.id || payload.old?.id;
+    const previous = state.projects.find(project => project.id === id);
+    // Realtime rows skip the ApiClient, so check their JSON columns here
+    const row = payload.eventType === 'DELETE' ? null : checkProject(payload.new);
+    if (!row) schemaDiagnostics.forget(id);
+    if (!previous && !row) return;
+
+    const projects = applyRowChange(selectProjects(state), { ...payload, new: row });
+    sharedCache.set('projects', projects);
+
+    const projectData = buildProjectData(currentUserId, projects);
+    const projectCalendarData = await getProjectCalendarItems(currentUserId, projects);
+
+    const dates = [...getProjectDates(previous), ...getProjectDates(row)];
+    store.setState({ projects, projectData, projectCalendarData }, { dates });
+}
+
+/**
+ * Lists every calendar date a project shows up on
+ * (start date, payment due dates and task due dates)
+ */
+function getProjectDates(project) {
+    if (!project) return [];
+    const schedule = project.payment_schedule || {};
+    return [
+        project.start_date,
+        schedule.due_date,
+        ...(schedule.milestones || []).map(milestone => milestone.due_date),
+        ...(project.tasks || []).map(task => task.due_date)
+    ].filter(Boolean);
+}
+
+function applyContactChange(payload) {
+    store.setState({ contacts: applyRowChange(store.getState().contacts, payload) });
+}
+
+/**
+ * Patches a recurring rule change into the store; the calendar recomputes the occurrences
+ * @param {Object} payload - { eventType, new, old }
+ */
+export function applyRecurringRuleChange(payload) {
+    const recurringRules = applyRowChange(store.getState().recurringRules, payload);
+    sharedCache.set('recurringRules', recurringRules);
+    store.setState({ recurringRules });
+}
+
+/**
+ * Patches a bill change into the store. Only the day cells of its old and
+ * new due dates are re-rendered.
+ * @param {Object} payload - { eventType, new, old }
+ */
+export function applyBillChange(payload) {
+    const state = store.getState();
+    const id = payload.new?.id || payload.old?.id;
+    const previous = state.bills.find(bill => bill.id === id);
+    const bills = applyRowChange(state.bills, payload)
+        .sort((a, b) => (a.due_date || '').localeCompare(b.due_date || ''));
+    sharedCache.set('bills', bills);
+    const dates = [previous?.due_date, payload.eventType === 'DELETE' ? null : payload.new?.due_date].filter(Boolean);
+    store.setState({ bills }, { dates });
+}
+
+/**
+ * Patches a category change into the store; entry cards and budgets look categories up by id
+ * @param {Object} payload - { eventType, new, old }
+ */
+export function applyCategoryChange(payload) {
+    const categories = applyRowChange(store.getState().categories, payload)
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    sharedCache.set('categories', categories);
+    store.setState({ categories });
+}
+
+/**
+ * Patches an account change into the store; the balance card re-renders its breakdown
+ * @param {Object} payload - { eventType, new, old }
+ */
+export function applyAccountChange(payload) {
+    const accounts = applyRowChange(store.getState().accounts, payload)
+        .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+    sharedCache.set('accounts', accounts);
+    store.setState({ accounts });
+}
+
+/**
+ * Patches an exchange rate change into the store. Totals were converted at
+ * the old rates, so they are recalculated.
+ * @param {Object} payload - { eventType, new, old }
+ */
+export async function applyExchangeRateChange(payload) {
+    const exchangeRates = applyRowChange(store.getState().exchangeRates, payload)
+        .sort((a, b) => a.effective_date.localeCompare(b.effective_date));
+    sharedCache.set('exchangeRates', exchangeRates);
+    store.setState({ exchangeRates });
+    await reloadTotals();
+}
+
+/**
+ * Recalculates the all-time totals, e.g. after the exchange rates or the base currency changed
+ */
+export async function reloadTotals() {
+    sharedCache.invalidate('totals');
+    const result = await apiClient.getTransactionTotals(null, null, { convert: transactionToBase });
+    if (!result.success) return;
+    sharedCache.set('totals', result.data);
+    store.setState({ totals: result.data });
+}
+
+function applyMonthlyGoalChange(payload) {
+    const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+    const currentMonth = new Date().toISOString().slice(0, 7);
+    const currentGoal = store.getState().monthlyGoal;
+    // Deletes may only carry the id, so match on it as well
+    if (row?.month === currentMonth || (currentGoal && row?.id === currentGoal.id)) {
+        store.setState({ monthlyGoal: payload.eventType === 'DELETE' ? null : payload.new });
+    }
+}
+
+/**
+ * Recalculates the balance and monthly summary cards from the store.
+ * Counts ALL quotations for the viewed month.
+ * @param {AppState} state - Current store state
+ */
+function renderSummaryCards(state) {
+    const allTransactions = selectTransactions(state);
+    const projectData = selectProjectData(state);
+    const viewedDate = state.viewedDate;
+    // Balance covers every transaction ever recorded, so it comes from the aggregate query,
+    // plus the opening balances of the accounts
+    const totalCurrentBalance = getTotalBalance(state);
 
     const now = viewedDate || new Date();
     const thisMonthDate = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -102,16 +340,15 @@ function processAllTransactions(transactions, viewedDate = null) {
      
     let overallTotalPayable = 0;
      
+    // Every amount below is converted to the base currency at the rate of its date
     allTransactions.forEach((data) => {
-        if (data.type === 'income') totalCurrentBalance += data.amount;
-        if (data.type === 'expense') totalCurrentBalance -= data.amount;
-         
+        const amount = transactionToBase(data, state);
         if (data.date.startsWith(thisMonthString)) {
-            if (data.type === 'income') thisMonth.cashIn += data.amount;
-            if (data.type === 'expense') thisMonth.cashOut += data.amount;
+            if (data.type === 'income') thisMonth.cashIn += amount;
+            if (data.type === 'expense') thisMonth.cashOut += amount;
         } else if (data.date.startsWith(lastMonthString)) {
-            if (data.type === 'income') lastMonth.cashIn += data.amount;
-            if (data.type === 'expense') lastMonth.cashOut += data.amount;
+            if (data.type === 'income') lastMonth.cashIn += amount;
+            if (data.type === 'expense') lastMonth.cashOut += amount;
         }
     });
 
@@ -121,21 +358,23 @@ function processAllTransactions(transactions, viewedDate = null) {
 
     if (projectData && Array.isArray(projectData.invoices)) {
         projectData.invoices.forEach(invoice => {
+            const invoiceAmount = toBase(invoice.amount, invoice.currency, invoice.due_date, state);
             if (!invoice.is_paid) { 
-                overallTotalPayable += invoice.amount;
+                overallTotalPayable += invoiceAmount;
             }
             // MODIFIED: Use a Set to track projects to prevent double-counting staggered projects
             if (invoice.due_date?.startsWith(thisMonthString)) {
                 if (invoice._project && !countedProjectsForTotalInvoice.has(invoice._project.id)) {
-                    thisMonth.totalInvoice += parseFloat(invoice._project.total_amount) || 0;
-                    thisMonthTotalInvoiceAmount += parseFloat(invoice._project.total_amount) || 0;
+                    const projectTotal = toBase(invoice._project.total_amount, invoice.currency, invoice.due_date, state);
+                    thisMonth.totalInvoice += projectTotal;
+                    thisMonthTotalInvoiceAmount += projectTotal;
                     countedProjectsForTotalInvoice.add(invoice._project.id);
                 }
                 if (invoice.is_paid) {
-                    thisMonthPaidInvoiceAmount += invoice.amount;
+                    thisMonthPaidInvoiceAmount += invoiceAmount;
                 }
             } else if (invoice.due_date?.startsWith(lastMonthString)) {
-                lastMonth.payable += invoice.amount;
+                lastMonth.payable += invoiceAmount;
             }
         });
     }
@@ -160,13 +399,14 @@ function processAllTransactions(transactions, viewedDate = null) {
             const isThisMonth = projectDate.getFullYear() === now.getFullYear() && projectDate.getMonth() === now.getMonth();
             const isLastMonth = projectDate.getFullYear() === lastMonthDate.getFullYear() && projectDate.getMonth() === lastMonthDate.getMonth();
 
+            const quotationAmount = toBase(project.amount, project.currency, project.target_date, state);
             if (isThisMonth && !projectsThisMonth.has(actualProjectId)) {
-                thisMonth.quotation += project.amount || 0;
+                thisMonth.quotation += quotationAmount;
                 thisMonth.quotationCount++;
                 projectsThisMonth.add(actualProjectId);
                 console.log(`  ✅ Added quotation (${project.status}) for THIS MONTH: ${project.name} - RM${project.amount}`);
             } else if (isLastMonth && !projectsLastMonth.has(actualProjectId)) {
-                lastMonth.quotation += project.amount || 0;
+                lastMonth.quotation += quotationAmount;
                 lastMonth.quotationCount++;
                 projectsLastMonth.add(actualProjectId);
                 console.log(`  ✅ Added quotation (${project.status}) for LAST MONTH: ${project.name} - RM${project.amount}`);
@@ -184,6 +424,7 @@ function processAllTransactions(transactions, viewedDate = null) {
     }
      
     updateBalanceDisplays(totalCurrentBalance, overallTotalPayable);
+    updateAccountBreakdown(getAccountBalances(state));
     updateMonthlySummaryDisplays(thisMonth, lastMonth, lastMonthDate, thisMonthPaidInvoiceAmount, thisMonthTotalInvoiceAmount); 
      
     console.log("📊 Processed transactions and updated UI (FIXED)");
@@ -197,6 +438,31 @@ function updateBalanceDisplays(currentBalance, totalPayable) {
     if (payableDisplay) payableDisplay.querySelector('span').textContent = formatNumber(totalPayable, true);
 }
 
+/**
+ * Lists each account's balance under the Current Account Balance total
+ * @param {Array<Object>} balances - From getAccountBalances
+ */
+function updateAccountBreakdown(balances) {
+    const list = document.getElementById('accountBalancesList');
+    if (!list) return;
+    list.innerHTML = '';
+    balances.forEach(({ account, balance }) => {
+        const row = document.createElement('div');
+        row.className = 'flex justify-between text-xs';
+        const name = document.createElement('span');
+        name.className = 'text-gray-500 truncate';
+        name.textContent = account ? formatAccountLabel(account) : 'Unassigned';
+        const amount = document.createElement('span');
+        amount.className = `font-medium flex-shrink-0 ml-2 ${balance < 0 ? 'text-red-600' : 'text-gray-700'}`;
+        amount.textContent = formatNumber(balance, true);
+        row.appendChild(name);
+        row.appendChild(amount);
+        list.appendChild(row);
+    });
+    // Without accounts everything is unassigned, so the total says it all
+    list.classList.toggle('hidden', !balances.some(({ account }) => account));
+}
+
 /**
  * --- UPDATED: Main function to update all summary cards ---
  */
@@ -331,27 +597,21 @@ function shouldShowAsPayable(project) {
 }
 
 
-async function loadProjectData(userId) {
+/**
+ * Derives the quotation / invoice items used by the summary cards and day cells
+ * @param {string} userId
+ * @param {Array<Project>} projects
+ * @returns {ProjectData}
+ */
+function buildProjectData(userId, projects) {
+    const projectData = { quotations: [], invoices: [], tasks: [] };
     try {
-        // MODIFIED: Load ALL projects instead of filtering by status
-        const { data: projects, error: projError } = await supabase
-            .from('projects')
-            .select(`
-                id, name, client_name, status, total_amount,
-                payment_schedule, contact_id, created_at, updated_at, start_date, tasks
-            `)
-            .eq('user_id', userId);
          
         console.log('🔍 DEBUG - loadProjectData results:');
         console.log('  - userId:', userId);
         console.log('  - projectsFound:', projects?.length || 0);
         console.log('  - projects:', projects);
 
-        // Reset the arrays
-        projectData.quotations = [];
-        projectData.invoices = [];
-        projectData.tasks = [];
-         
         // Process each project (including converted ones for quotation tracking)
         projects?.forEach(project => {
             if (project.status === 'quotation') {
@@ -361,6 +621,7 @@ async function loadProjectData(userId) {
                     name: project.name,
                     client_name: project.client_name,
                     amount: parseFloat(project.total_amount) || 0,
+                    currency: project.currency,
                     status: 'quotation',
                     target_date: project.start_date,
                     created_at: project.created_at
@@ -374,6 +635,7 @@ async function loadProjectData(userId) {
                         name: project.name,
                         client_name: project.client_name,
                         amount: parseFloat(project.total_amount) || 0,
+                        currency: project.currency,
                         due_date: schedule.due_date,
                         is_paid: schedule.completed || false,
                         status: 'invoice',
@@ -395,6 +657,7 @@ async function loadProjectData(userId) {
                             name: `${project.name} - ${milestone.name || `Milestone ${index + 1}`}`,
                             client_name: project.client_name,
                             amount: milestoneAmount,
+                            currency: project.currency,
                             due_date: milestone.due_date,
                             is_paid: isPaid, // Use actual payment status
                             status: 'invoice',
@@ -414,6 +677,7 @@ async function loadProjectData(userId) {
                     name: project.name,
                     client_name: project.client_name,
                     amount: parseFloat(project.total_amount) || 0,
+                    currency: project.currency,
                     status: 'converted_quotation', // Special status to track converted quotations
                     target_date: project.start_date || (project.payment_schedule?.due_date) || project.created_at, // FIX: Use due_date as a fallback for invoices
                     created_at: project.created_at
@@ -430,6 +694,7 @@ async function loadProjectData(userId) {
     } catch (error) {
         console.error('Error loading project data:', error);
     }
+    return projectData;
 }
 
 function setupTransactionUI() {
@@ -468,82 +733,207 @@ async function generateSpendingInsights(currentDate) {
 
 export async function saveEntry(entryData, entryId = null) {
     const userId = currentUserId; 
-    if (!supabase || !userId) return false;
+    if (!apiClient.storage || !userId) return false;
 
     try {
-        if (entryId) {
-            const { error } = await supabase.from('transactions').update(entryData).eq('id', entryId).eq('user_id', userId);
-            if (error) throw error;
-        } else {
-            const { error } = await supabase.from('transactions').insert([{ ...entryData, user_id: userId }]);
-            if (error) throw error;
+        const previous = entryId ? knownTransactions.get(entryId) : null;
+        // Reconciled transactions are unlocked in the entry form before they can change
+        if (previous?.reconciliation_id) {
+            notifications.warning(`"${previous.title}" is reconciled. Unlock it before editing.`);
+            return false;
+        }
+        const result = entryId
+            ? await apiClient.updateTransaction(entryId, entryData)
+            : await apiClient.createTransaction(entryData);
+        if (!result.success) throw new Error(result.error);
+        // Apply straight away; the realtime echo of this write is then a no-op
+        if (result.data) {
+            await applyTransactionChange({ eventType: entryId ? 'UPDATE' : 'INSERT', new: result.data, old: { id: entryId } });
         }
-        await refetchTransactionData(getCurrentCalendarDate());
+        notifications.success(`"${entryData.title}" ${entryId ? 'updated' : 'saved'}`);
+        if (result.data) await checkCategoryBudget(result.data, previous);
         return true;
     } catch (error) {
         console.error("Error saving entry:", error);
-        alert('Failed to save entry. Please check console for details.');
+        notifications.error(`Failed to save "${entryData.title}"`, {
+            actions: [{ label: 'Retry', onClick: () => saveEntry(entryData, entryId) }]
+        });
         return false;
     }
 }
 
 export async function deleteTransaction(transactionId) {
     const userId = currentUserId;
-    if (!supabase || !userId || !transactionId) return false;
+    if (!apiClient.storage || !userId || !transactionId) return false;
      
     try {
-        const { error } = await supabase.from('transactions').delete().eq('id', transactionId).eq('user_id', userId);
-        if (error) throw error;
-        await refetchTransactionData(getCurrentCalendarDate());
+        const deleted = knownTransactions.get(transactionId)
+            || selectTransactions(store.getState()).find(transaction => transaction.id === transactionId);
+        const result = await apiClient.deleteTransaction(transactionId);
+        if (!result.success) throw new Error(result.error);
+        await applyTransactionChange({ eventType: 'DELETE', new: {}, old: { id: transactionId } });
+
+        const label = deleted?.title ? `"${deleted.title}"` : 'Transaction';
+        notifications.success(`${label} moved to the trash`, {
+            actions: deleted ? [{ label: 'Undo', onClick: () => restoreTransaction(deleted) }] : []
+        });
         return true;
     } catch (error) {
         console.error("Error deleting transaction:", error);
-        alert('Failed to delete transaction. Please check console for details.');
+        notifications.error('Failed to delete transaction', {
+            actions: [{ label: 'Retry', onClick: () => deleteTransaction(transactionId) }]
+        });
         return false;
     }
 }
 
-export async function refetchTransactionData(viewedDate = null) {
+/**
+ * Takes a deleted transaction back out of the trash (the "Undo" of a delete)
+ * @param {Object} transaction - The row as it was before deletion
+ */
+async function restoreTransaction(transaction) {
+    const result = await apiClient.restoreFromTrash('transactions', transaction.id);
+    if (!result.success) {
+        notifications.error(`Could not restore "${transaction.title}"`, {
+            actions: [{ label: 'Retry', onClick: () => restoreTransaction(transaction) }]
+        });
+        return;
+    }
+    await applyTransactionChange({ eventType: 'INSERT', new: result.data.row, old: {} });
+    notifications.info(`"${transaction.title}" restored`);
+}
+
+/**
+ * Reloads the data for the months on screen: the viewed month (calendar and
+ * monthly cards) and the month before it (comparisons). Overall balances come
+ * from aggregate queries instead of downloading every transaction.
+ * Everything is served from the month cache while it is fresh; the results go
+ * into the store, whose subscribers re-render the calendar and cards.
+ * @param {Date|null} viewedDate - Month to load, defaults to the calendar's month
+ * @param {Object} options - { reloadProjects: true } after saving or deleting a project
+ */
+export async function refetchTransactionData(viewedDate = null, { reloadProjects = false } = {}) {
     const userId = currentUserId;
     if (!userId) return;
      
     try {
-        const { data, error } = await supabase.from('transactions').select('*').eq('user_id', userId);
-        if (error) {
-            console.error("Error refetching data:", error);
-        } else {
-            // Add a small delay to ensure proper loading
-            await new Promise(resolve => setTimeout(resolve, 100));
-            await loadProjectData(userId);
-            processAllTransactions(data || [], viewedDate);
-            // NEW: Also refresh project calendar data
-            console.log('🔄 Refreshing project calendar data...');
-            const { getProjectCalendarItems } = await import('./project-manager.js');
-            window.projectCalendarData = await getProjectCalendarItems(userId);
-            console.log('✅ Updated window.projectCalendarData:', window.projectCalendarData);
-            const { apiClient } = await import('./api-client.js');
-            const projectsResult = await apiClient.getAllProjects();
-            window.allProjects = projectsResult.success ? (projectsResult.data || []) : [];
-            console.log('✅ Updated window.allProjects:', window.allProjects?.length || 0, 'projects');
-            refreshCalendar(); 
-        }
+        if (reloadProjects) sharedCache.invalidate('projects');
+        const viewedMonth = MonthCache.monthKey(viewedDate || getCurrentCalendarDate());
+        // Totals are converted to the base currency, so the rates go first
+        const exchangeRates = await sharedCache.load('exchangeRates', async () => {
+            const result = await apiClient.getExchangeRates();
+            if (!result.success) throw new Error(result.error);
+            return result.data;
+        });
+        store.setState({ exchangeRates });
+
+        const [previousMonthRows, viewedMonthRows, totals, projects, recurringRules, bills, categories, accounts] = await Promise.all([
+            loadMonthTransactions(MonthCache.shiftMonth(viewedMonth, -1)),
+            loadMonthTransactions(viewedMonth),
+            sharedCache.load('totals', async () => {
+                const result = await apiClient.getTransactionTotals(null, null, { convert: transactionToBase });
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            }),
+            sharedCache.load('projects', async () => {
+                const result = await apiClient.getAllProjects();
+                if (!result.success) throw new Error(result.error);
+                return result.data || [];
+            }),
+            sharedCache.load('recurringRules', async () => {
+                const result = await apiClient.getRecurringRules();
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            }),
+            sharedCache.load('bills', async () => {
+                const result = await apiClient.getBills();
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            }),
+            sharedCache.load('categories', async () => {
+                const result = await apiClient.getCategories();
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            }),
+            sharedCache.load('accounts', async () => {
+                const result = await apiClient.getAccounts();
+                if (!result.success) throw new Error(result.error);
+                return result.data;
+            })
+        ]);
+
+        const projectData = buildProjectData(userId, projects);
+        const projectCalendarData = await getProjectCalendarItems(userId, projects);
+
+        store.setState({
+            transactions: [...previousMonthRows, ...viewedMonthRows],
+            recurringRules,
+            bills,
+            categories,
+            accounts,
+            totals,
+            projects,
+            projectData,
+            projectCalendarData,
+            viewedDate: viewedDate || getCurrentCalendarDate()
+        });
+        console.log('✅ Store updated:', projects.length, 'projects,', previousMonthRows.length + viewedMonthRows.length, 'transactions');
+
+        prefetchAdjacentMonths(viewedMonth);
     } catch (error) {
         console.error("Error in refetch:", error);
     }
 }
 
+/**
+ * Loads one month of transactions through the cache
+ * @param {string} monthKey - 'YYYY-MM'
+ */
+function loadMonthTransactions(monthKey) {
+    return transactionsCache.load(monthKey, async () => {
+        const { from, to } = MonthCache.monthBounds(monthKey);
+        const result = await apiClient.getTransactionsInRange(from, to);
+        if (!result.success) throw new Error(result.error);
+        result.data.forEach(transaction => knownTransactions.set(transaction.id, transaction));
+        return result.data;
+    });
+}
+
+/**
+ * Warms the cache for the months the calendar's prev/next buttons lead to
+ */
+function prefetchAdjacentMonths(viewedMonth) {
+    [MonthCache.shiftMonth(viewedMonth, 1), MonthCache.shiftMonth(viewedMonth, -2)].forEach(monthKey => {
+        loadMonthTransactions(monthKey).catch(error => {
+            console.warn(`⚠️ Prefetch of ${monthKey} failed:`, error.message);
+        });
+    });
+}
+
+/**
+ * Empties the transaction, project, recurring rule, bill, category and account caches, forcing the next refetch to hit the database
+ */
+export function clearTransactionCache() {
+    transactionsCache.clear();
+    sharedCache.clear();
+    knownTransactions.clear();
+}
+
 function formatNumber(amount, includeCurrency = false) {
     const formatter = new Intl.NumberFormat('en-MY', {
         minimumFractionDigits: 2,
         maximumFractionDigits: 2,
     });
     let formattedAmount = formatter.format(Math.abs(amount));
-    if (includeCurrency) formattedAmount = `RM${formattedAmount}`;
+    if (includeCurrency) formattedAmount = `${currencySymbol()}${formattedAmount}`;
     return amount < 0 ? `(${formattedAmount})` : formattedAmount;
 }
 
+/**
+ * Transactions loaded for the displayed months (the viewed month and the one before it)
+ */
 export function getAllTransactions() {
-    return allTransactions;
+    return selectTransactions(store.getState());
 }
 
 /**
@@ -554,6 +944,8 @@ export function getAllTransactions() {
  * @returns {Array} An array of transactions and payables for the given date.
  */
 export function getTransactionsForDate(dateString) {
+    const projectData = selectProjectData(store.getState());
+    const allTransactions = selectTransactions(store.getState());
     // NEW: Filter out paid invoices from the calendar view by checking if the project is complete
     const projectInvoices = projectData.invoices.filter(invoice => {
         const isForDate = invoice.due_date === dateString;
@@ -574,5 +966,5 @@ export function getTransactionsForDate(dateString) {
 }
 
 export function getProjectData() {
-    return projectData;
+    return selectProjectData(store.getState());
 }
\ No newline at end of file
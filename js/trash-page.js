@@ -0,0 +1,273 @@
+/**
+ * trash-page.js - Trash Page
+ * Lists deleted contacts, projects and transactions by type, restores them
+ * (a contact comes back with the projects deleted alongside it) and purges
+ * them for good once they are older than the retention period.
+ */
+
+import { apiClient } from './api-client.js';
+import { CONFIG } from './config.js';
+import { formatMoney } from './currency.js';
+import { refetchTransactionData, applyTransactionChange } from './transactions.js';
+import { contactsManager } from './contacts-manager.js';
+import { notifications } from './notifications.js';
+import { escapeHtml } from './utils.js';
+
+const RETENTION_KEY = 'trash-retention-days';
+const RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+const DAY = 24 * 60 * 60 * 1000;
+
+const TABS = [
+    { table: 'contacts', label: 'Contacts' },
+    { table: 'projects', label: 'Projects' },
+    { table: 'transactions', label: 'Transactions' }
+];
+
+let trash = { contacts: [], projects: [], transactions: [] };
+let activeTab = 'contacts';
+
+/**
+ * Days trashed rows are kept before they are purged
+ * @returns {number}
+ */
+export function getRetentionDays() {
+    const stored = parseInt(localStorage.getItem(RETENTION_KEY), 10);
+    return Number.isInteger(stored) && stored > 0 ? stored : CONFIG.TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently deletes trashed rows older than the retention period.
+ * Runs once at startup and whenever the retention period changes.
+ */
+export async function purgeExpiredTrash() {
+    const result = await apiClient.purgeExpiredTrash(getRetentionDays());
+    if (result.success && result.data > 0) {
+        console.log(`🗑️ Purged ${result.data} item(s) from the trash`);
+    }
+    return result;
+}
+
+/**
+ * Builds the page skeleton and wires its controls (first visit only)
+ */
+export async function initializeTrashPage() {
+    console.log('🗑️ Initializing trash page...');
+    const page = document.getElementById('trash-page');
+    if (!page) {
+        console.error('❌ Trash page element not found');
+        return;
+    }
+
+    page.innerHTML = `
+        <div class="p-6 max-w-5xl mx-auto">
+            <div class="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <div>
+                    <h1 class="text-2xl font-semibold text-gray-800">Trash</h1>
+                    <p class="text-sm text-gray-500">Deleted items can be restored until they are purged.</p>
+                </div>
+                <div class="flex items-center space-x-3">
+                    <label for="trash-retention" class="text-sm text-gray-600">Keep deleted items for</label>
+                    <select id="trash-retention" class="rounded-md border-gray-300 shadow-sm text-sm p-2">
+                        ${RETENTION_OPTIONS.map(days => `<option value="${days}">${days} days</option>`).join('')}
+                    </select>
+                    <button id="empty-trash-btn" class="bg-white py-2 px-4 border border-red-300 rounded-md text-sm font-medium text-red-600 hover:bg-red-50">Empty Trash</button>
+                </div>
+            </div>
+            <div id="trash-tabs" class="flex space-x-2 border-b border-gray-200 mb-4"></div>
+            <div id="trash-list" class="space-y-3"></div>
+        </div>
+    `;
+
+    const retentionSelect = document.getElementById('trash-retention');
+    const retentionDays = getRetentionDays();
+    if (!RETENTION_OPTIONS.includes(retentionDays)) {
+        retentionSelect.insertAdjacentHTML('beforeend', `<option value="${retentionDays}">${retentionDays} days</option>`);
+    }
+    retentionSelect.value = String(retentionDays);
+    retentionSelect.addEventListener('change', async () => {
+        localStorage.setItem(RETENTION_KEY, retentionSelect.value);
+        const result = await purgeExpiredTrash();
+        notifications.info(`Deleted items are now kept for ${retentionSelect.value} days${result.data > 0 ? ` - ${result.data} older item(s) purged` : ''}`);
+        await refreshTrashPage();
+    });
+
+    document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
+
+    document.getElementById('trash-tabs').addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-trash-tab]');
+        if (!tab) return;
+        activeTab = tab.dataset.trashTab;
+        renderTrash();
+    });
+
+    document.getElementById('trash-list').addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-trash-action]');
+        if (!button) return;
+        button.disabled = true;
+        const { trashAction, table, id } = button.dataset;
+        if (trashAction === 'restore') {
+            await restoreItem(table, id);
+        } else {
+            await purgeItem(table, id);
+        }
+    });
+
+    console.log('✅ Trash page initialized');
+}
+
+/**
+ * Reloads the trash contents (called every time the page is shown)
+ */
+export async function refreshTrashPage() {
+    const list = document.getElementById('trash-list');
+    if (!list) return;
+
+    list.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">Loading...</p>';
+    const result = await apiClient.getTrash();
+    if (!result.success) {
+        list.innerHTML = '<p class="text-sm text-red-600 text-center py-8">Could not load the trash.</p>';
+        return;
+    }
+    trash = result.data;
+    renderTrash();
+}
+
+function renderTrash() {
+    const tabs = document.getElementById('trash-tabs');
+    const list = document.getElementById('trash-list');
+
+    tabs.innerHTML = TABS.map(({ table, label }) => `
+        <button data-trash-tab="${table}" class="py-2 px-4 text-sm font-medium border-b-2 ${table === activeTab ? 'border-indigo-600 text-indigo-600' : 'border-transparent text-gray-500 hover:text-gray-700'}">
+            ${label} <span class="ml-1 text-xs text-gray-400">${trash[table].length}</span>
+        </button>
+    `).join('');
+
+    const rows = trash[activeTab];
+    if (rows.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500 text-center py-8">Nothing here.</p>';
+        return;
+    }
+    list.innerHTML = rows.map(row => createTrashRow(activeTab, row)).join('');
+}
+
+/**
+ * Builds one row of the trash list
+ * @param {string} table - Table the row came from
+ * @param {Object} row - The trashed row
+ * @returns {string} HTML string
+ */
+function createTrashRow(table, row) {
+    const { title, details } = describeRow(table, row);
+    const deletedAt = new Date(row.deleted_at);
+    const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + getRetentionDays() * DAY - Date.now()) / DAY));
+
+    return `
+        <div class="flex justify-between items-center bg-white border border-gray-200 rounded-lg p-4">
+            <div class="min-w-0">
+                <p class="text-sm font-semibold text-gray-800 truncate">${escapeHtml(title)}</p>
+                <p class="text-xs text-gray-500">${escapeHtml(details)}</p>
+                <p class="text-xs text-gray-400 mt-1">Deleted ${deletedAt.toLocaleString()} · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}</p>
+            </div>
+            <div class="flex space-x-2 flex-shrink-0 ml-4">
+                <button data-trash-action="purge" data-table="${table}" data-id="${row.id}" class="bg-white py-1 px-3 border border-gray-300 rounded-md text-xs font-medium text-red-600 hover:bg-red-50">Delete Forever</button>
+                <button data-trash-action="restore" data-table="${table}" data-id="${row.id}" class="bg-indigo-600 py-1 px-3 border border-transparent rounded-md text-xs font-medium text-white hover:bg-indigo-700">Restore</button>
+            </div>
+        </div>
+    `;
+}
+
+function describeRow(table, row) {
+    if (table === 'contacts') {
+        const cascaded = trash.projects.filter(project => project.deleted_with_contact === row.id).length;
+        return {
+            title: row.company_name || row.contact_person || 'Unnamed contact',
+            details: [row.contact_person, row.email, cascaded > 0 ? `${cascaded} project(s) deleted with it` : ''].filter(Boolean).join(' · ')
+        };
+    }
+    if (table === 'projects') {
+        const contact = trash.contacts.find(c => c.id === row.deleted_with_contact);
+        return {
+            title: row.name || 'Untitled project',
+            details: [
+                row.client_name,
+                row.status,
+                contact ? `Deleted with ${contact.company_name || contact.contact_person}` : ''
+            ].filter(Boolean).join(' · ')
+        };
+    }
+    return {
+        title: row.title || 'Untitled transaction',
+        details: `${row.type} · ${formatMoney(row.amount, row.currency)} · ${row.date}`
+    };
+}
+
+async function restoreItem(table, id) {
+    const result = await apiClient.restoreFromTrash(table, id);
+    if (result.data?.duplicate) {
+        const { duplicate } = result.data;
+        notifications.error(`This statement line was imported again as "${duplicate.title}" on ${duplicate.date}. Delete that transaction first to restore this one.`);
+        return;
+    }
+    if (!result.success) {
+        notifications.error('Failed to restore item', {
+            actions: [{ label: 'Retry', onClick: () => restoreItem(table, id) }]
+        });
+        await refreshTrashPage();
+        return;
+    }
+
+    const { row, projects, contact } = result.data;
+    const extras = [
+        projects > 0 ? `${projects} project(s)` : '',
+        contact ? 'its contact' : ''
+    ].filter(Boolean);
+    notifications.success(`Restored "${describeRow(table, row).title}"${extras.length > 0 ? ` with ${extras.join(' and ')}` : ''}`);
+
+    await reloadRestoredData(table, row, projects > 0 || contact);
+    await refreshTrashPage();
+}
+
+async function purgeItem(table, id) {
+    const row = trash[table].find(item => item.id === id);
+    const title = row ? describeRow(table, row).title : 'this item';
+    if (!confirm(`Permanently delete "${title}"? This cannot be undone.`)) {
+        renderTrash();
+        return;
+    }
+
+    const result = await apiClient.purgeFromTrash(table, id);
+    if (result.success) {
+        notifications.success(`"${title}" deleted permanently`);
+    } else {
+        notifications.error(`Failed to delete "${title}"`);
+    }
+    await refreshTrashPage();
+}
+
+async function emptyTrash() {
+    const total = TABS.reduce((sum, { table }) => sum + trash[table].length, 0);
+    if (total === 0) return;
+    if (!confirm(`Permanently delete all ${total} item(s) in the trash? This cannot be undone.`)) return;
+
+    const result = await apiClient.purgeExpiredTrash(0);
+    if (result.success) {
+        notifications.success(`Emptied the trash (${result.data} item(s))`);
+    } else {
+        notifications.error('Failed to empty the trash');
+    }
+    await refreshTrashPage();
+}
+
+/**
+ * Brings the views that show a restored row up to date
+ */
+async function reloadRestoredData(table, row, includesRelated) {
+    if (table === 'transactions') {
+        await applyTransactionChange({ eventType: 'UPDATE', new: row, old: { id: row.id } });
+        return;
+    }
+    if (table === 'contacts' || includesRelated) {
+        await contactsManager.loadContacts();
+    }
+    await refetchTransactionData(null, { reloadProjects: true });
+}
@@ -0,0 +1,17 @@
+/**
+ * utils.js - Small helpers shared by the views
+ */
+
+/**
+ * Escapes text for use inside HTML, attribute values included.
+ * Null and undefined become an empty string.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
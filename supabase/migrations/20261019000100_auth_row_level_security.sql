@@ -0,0 +1,24 @@
+-- Scope every table to the signed-in Supabase Auth user.
+-- Rows created before auth was introduced belong to the old fixed user id;
+-- reassign them with:
+--   update <table> set user_id = '<new auth user id>' where user_id = 'ed83d1fa-43a0-46c5-b6d1-98e92efbdd3f';
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['contacts', 'projects', 'project_activities', 'transactions', 'monthly_goals']
+    loop
+        execute format('alter table public.%I alter column user_id set default auth.uid()', t);
+        execute format('alter table public.%I enable row level security', t);
+
+        execute format('drop policy if exists "Users manage their own %1$s" on public.%1$I', t);
+        execute format(
+            'create policy "Users manage their own %1$s" on public.%1$I
+                for all to authenticated
+                using (user_id = auth.uid())
+                with check (user_id = auth.uid())',
+            t
+        );
+    end loop;
+end $$;
@@ -0,0 +1,14 @@
+-- Soft delete: rows are moved to the Trash by setting deleted_at, and purged
+-- for good by the app once they are older than the retention period.
+-- Projects trashed together with their contact remember it in
+-- deleted_with_contact so restoring the contact restores them too.
+
+alter table public.contacts add column if not exists deleted_at timestamptz;
+alter table public.projects add column if not exists deleted_at timestamptz;
+alter table public.projects add column if not exists deleted_with_contact uuid references public.contacts(id) on delete set null;
+alter table public.transactions add column if not exists deleted_at timestamptz;
+
+create index if not exists contacts_user_active_idx on public.contacts (user_id) where deleted_at is null;
+create index if not exists projects_user_active_idx on public.projects (user_id) where deleted_at is null;
+create index if not exists transactions_user_active_date_idx on public.transactions (user_id, date) where deleted_at is null;
+create index if not exists projects_deleted_with_contact_idx on public.projects (deleted_with_contact) where deleted_with_contact is not null;
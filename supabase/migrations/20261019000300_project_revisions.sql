@@ -0,0 +1,25 @@
+-- Change history for projects: every update made through the app stores the
+-- fields that changed (changes) and the versioned columns afterwards
+-- (snapshot), so earlier versions can be inspected and restored.
+
+create table if not exists public.project_revisions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    project_id uuid not null references public.projects(id) on delete cascade,
+    changed_by text,
+    changes jsonb not null default '[]'::jsonb,
+    snapshot jsonb not null,
+    reverted_from uuid references public.project_revisions(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists project_revisions_project_idx on public.project_revisions (project_id, created_at desc);
+
+alter table public.project_revisions enable row level security;
+
+drop policy if exists "Users manage their own project_revisions" on public.project_revisions;
+create policy "Users manage their own project_revisions" on public.project_revisions
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
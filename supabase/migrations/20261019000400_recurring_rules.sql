@@ -0,0 +1,37 @@
+-- Recurring income and expenses. A rule describes the schedule; its upcoming
+-- occurrences are computed in the app and shown on the calendar until they are
+-- confirmed into real transactions, which remember the rule and the
+-- occurrence date they came from.
+
+create table if not exists public.recurring_rules (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    type text not null check (type in ('income', 'expense')),
+    title text not null,
+    description text,
+    amount numeric not null,
+    frequency text not null check (frequency in ('daily', 'weekly', 'monthly', 'yearly')),
+    interval integer not null default 1 check (interval > 0),
+    start_date date not null,
+    end_date date,
+    occurrence_count integer check (occurrence_count > 0),
+    skip_dates jsonb not null default '[]'::jsonb,
+    overrides jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists recurring_rules_user_idx on public.recurring_rules (user_id);
+
+alter table public.recurring_rules enable row level security;
+
+drop policy if exists "Users manage their own recurring_rules" on public.recurring_rules;
+create policy "Users manage their own recurring_rules" on public.recurring_rules
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+alter table public.transactions add column if not exists recurring_rule_id uuid references public.recurring_rules(id) on delete set null;
+alter table public.transactions add column if not exists recurring_date date;
+
+create index if not exists transactions_recurring_idx on public.transactions (recurring_rule_id, recurring_date) where recurring_rule_id is not null;
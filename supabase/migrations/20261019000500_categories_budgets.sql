@@ -0,0 +1,30 @@
+-- User-defined transaction categories with an icon, a color and an optional
+-- monthly budget (expense categories). Transactions and recurring rules point
+-- at their category; deleting a category leaves them uncategorized.
+
+create table if not exists public.categories (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    name text not null,
+    icon text,
+    color text,
+    type text not null default 'expense' check (type in ('income', 'expense')),
+    monthly_budget numeric check (monthly_budget >= 0),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists categories_user_idx on public.categories (user_id);
+
+alter table public.categories enable row level security;
+
+drop policy if exists "Users manage their own categories" on public.categories;
+create policy "Users manage their own categories" on public.categories
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+alter table public.transactions add column if not exists category_id uuid references public.categories(id) on delete set null;
+alter table public.recurring_rules add column if not exists category_id uuid references public.categories(id) on delete set null;
+
+create index if not exists transactions_category_idx on public.transactions (user_id, category_id, date) where category_id is not null;
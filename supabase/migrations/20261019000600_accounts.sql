@@ -0,0 +1,29 @@
+-- Bank, cash and credit card accounts. Each transaction may name the account
+-- it was paid from or into; a 'transfer' transaction moves money from its
+-- account_id to its transfer_account_id and is neither income nor expense.
+
+create table if not exists public.accounts (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    name text not null,
+    type text not null default 'bank' check (type in ('bank', 'cash', 'credit_card')),
+    opening_balance numeric not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists accounts_user_idx on public.accounts (user_id);
+
+alter table public.accounts enable row level security;
+
+drop policy if exists "Users manage their own accounts" on public.accounts;
+create policy "Users manage their own accounts" on public.accounts
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+alter table public.transactions add column if not exists account_id uuid references public.accounts(id) on delete set null;
+alter table public.transactions add column if not exists transfer_account_id uuid references public.accounts(id) on delete set null;
+alter table public.recurring_rules add column if not exists account_id uuid references public.accounts(id) on delete set null;
+
+create index if not exists transactions_account_idx on public.transactions (user_id, account_id) where account_id is not null;
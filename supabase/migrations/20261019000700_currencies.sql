@@ -0,0 +1,30 @@
+-- Multi-currency amounts. Transactions, recurring rules and projects record the
+-- currency their amount is in (rows from before this migration are MYR). The
+-- exchange_rates table holds user-entered rates by date: on and after
+-- effective_date, 1 unit of `currency` is worth `rate` units of `base_currency`.
+
+alter table public.transactions add column if not exists currency text not null default 'MYR';
+alter table public.recurring_rules add column if not exists currency text not null default 'MYR';
+alter table public.projects add column if not exists currency text not null default 'MYR';
+
+create table if not exists public.exchange_rates (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    currency text not null,
+    base_currency text not null,
+    rate numeric not null check (rate > 0),
+    effective_date date not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (user_id, currency, base_currency, effective_date)
+);
+
+create index if not exists exchange_rates_user_idx on public.exchange_rates (user_id, currency, effective_date);
+
+alter table public.exchange_rates enable row level security;
+
+drop policy if exists "Users manage their own exchange_rates" on public.exchange_rates;
+create policy "Users manage their own exchange_rates" on public.exchange_rates
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
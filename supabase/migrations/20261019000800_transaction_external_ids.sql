@@ -0,0 +1,10 @@
+-- Transactions imported from OFX/QFX statements keep the bank's FITID, the
+-- id the bank gives each statement line. Re-importing an overlapping
+-- statement then finds the lines already recorded. Transactions in the
+-- trash do not count, so a deleted line can be imported again.
+
+alter table public.transactions add column if not exists external_id text;
+
+create unique index if not exists transactions_external_id_idx
+    on public.transactions (user_id, external_id)
+    where external_id is not null and deleted_at is null;
@@ -0,0 +1,29 @@
+-- Bank reconciliation. Transactions are ticked as cleared while checking
+-- them against a bank statement; once the cleared balance matches the
+-- statement's closing balance the period is saved as a reconciliation and
+-- its cleared transactions point at it. Those transactions are locked in
+-- the app until they are explicitly unlocked (reconciliation_id cleared).
+
+create table if not exists public.reconciliations (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    account_id uuid not null references public.accounts(id) on delete cascade,
+    period_start date,
+    period_end date not null,
+    closing_balance numeric not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists reconciliations_account_idx on public.reconciliations (user_id, account_id, period_end);
+
+alter table public.reconciliations enable row level security;
+
+drop policy if exists "Users manage their own reconciliations" on public.reconciliations;
+create policy "Users manage their own reconciliations" on public.reconciliations
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+alter table public.transactions add column if not exists cleared boolean not null default false;
+alter table public.transactions add column if not exists reconciliation_id uuid references public.reconciliations(id) on delete set null;
@@ -0,0 +1,16 @@
+-- Receipts and documents attached to transactions. The files live in the
+-- private 'attachments' storage bucket under '<user id>/<transaction id>/';
+-- the transaction lists them in its attachments column as
+-- [{ path, name, type, size, uploaded_at }].
+
+alter table public.transactions add column if not exists attachments jsonb not null default '[]'::jsonb;
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('attachments', 'attachments', false, 10485760, array['image/*', 'application/pdf'])
+on conflict (id) do nothing;
+
+drop policy if exists "Users manage their own attachments" on storage.objects;
+create policy "Users manage their own attachments" on storage.objects
+    for all to authenticated
+    using (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text)
+    with check (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text);
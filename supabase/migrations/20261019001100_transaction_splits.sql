@@ -0,0 +1,6 @@
+-- Transactions split across categories and projects. A split transaction
+-- lists its lines as [{ amount, category_id, project_id }] in the
+-- transaction's currency, adding up to its amount; its own category_id is
+-- left empty. Transactions that are not split have no lines.
+
+alter table public.transactions add column if not exists splits jsonb not null default '[]'::jsonb;
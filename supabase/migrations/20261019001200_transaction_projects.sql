@@ -0,0 +1,6 @@
+-- Expenses charged to a project (subcontractors, hosting, ...) count as the
+-- project's costs. Split expenses name a project per line in their splits.
+
+alter table public.transactions add column if not exists project_id uuid references public.projects(id) on delete set null;
+
+create index if not exists transactions_project_idx on public.transactions (project_id) where project_id is not null;
@@ -0,0 +1,11 @@
+-- SST (sales and service tax). A project is charged at one rate (percent,
+-- null when not taxable) on amounts that either include the tax or have it
+-- added on top; each payment milestone's tax follows from that. Transactions
+-- record the rate and tax they carry: output tax on project payments, input
+-- tax on expenses.
+
+alter table public.projects add column if not exists tax_rate numeric;
+alter table public.projects add column if not exists tax_inclusive boolean not null default false;
+
+alter table public.transactions add column if not exists tax_rate numeric;
+alter table public.transactions add column if not exists tax_amount numeric not null default 0;
@@ -0,0 +1,35 @@
+-- Accounts payable: bills we owe to vendors. A bill names the vendor (a
+-- contact), what it is for, the amount and when it is due. Marking it paid
+-- records the matching expense, which points back at the bill; unmarking it
+-- moves that expense to the trash.
+
+create table if not exists public.bills (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null default auth.uid(),
+    contact_id uuid references public.contacts(id) on delete set null,
+    title text not null,
+    bill_number text,
+    amount numeric not null check (amount >= 0),
+    currency text not null default 'MYR',
+    due_date date not null,
+    category_id uuid references public.categories(id) on delete set null,
+    account_id uuid references public.accounts(id) on delete set null,
+    paid boolean not null default false,
+    paid_date date,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists bills_due_idx on public.bills (user_id, paid, due_date);
+
+alter table public.bills enable row level security;
+
+drop policy if exists "Users manage their own bills" on public.bills;
+create policy "Users manage their own bills" on public.bills
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
+
+alter table public.transactions add column if not exists bill_id uuid references public.bills(id) on delete set null;
+
+create index if not exists transactions_bill_idx on public.transactions (bill_id) where bill_id is not null;
@@ -0,0 +1,6 @@
+-- Each account holds money in one currency, the one its bank statements are
+-- in. Its opening balance is in that currency, and reconciling it adds up
+-- the amounts of its transactions in that currency. Accounts from before
+-- this migration are MYR.
+
+alter table public.accounts add column if not exists currency text not null default 'MYR';
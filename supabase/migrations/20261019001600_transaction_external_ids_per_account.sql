@@ -0,0 +1,10 @@
+-- Banks only keep FITIDs unique within one account, so two accounts may
+-- share one. The index now covers the account too; transactions without an
+-- account count as one more account. Transactions in the trash still do not
+-- count, so a deleted line can be imported again.
+
+drop index if exists public.transactions_external_id_idx;
+
+create unique index transactions_external_id_idx
+    on public.transactions (user_id, account_id, external_id) nulls not distinct
+    where external_id is not null and deleted_at is null;